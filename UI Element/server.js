@@ -0,0 +1,35 @@
+/* eslint-disable no-undef */
+
+// Serves the built add-in (npm run build) over HTTPS at the URLs in manifest.xml, together with
+// the local scripting API in server/bridge.js. During development use npm run dev-server
+// instead, which serves the same files from memory but has no scripting API.
+
+const express = require("express");
+const https = require("https");
+const path = require("path");
+const devCerts = require("office-addin-dev-certs");
+const { createBridge } = require("./server/bridge");
+
+const port = process.env.npm_package_config_dev_server_port || 3000;
+const root = path.join(__dirname, "dist");
+
+async function start() {
+  const bridge = createBridge({ origins: [`https://localhost:${port}`] });
+  const app = express();
+  app.use("/api", bridge.router);
+  app.use(express.static(root));
+
+  const httpsOptions = await devCerts.getHttpsServerOptions();
+  const server = https.createServer(httpsOptions, app);
+  bridge.attach(server);
+  // The API can edit the open presentation, so it is only reachable from this machine
+  server.listen(port, "localhost", () => {
+    console.log(`Serving ${root} at https://localhost:${port}/taskpane.html`);
+    console.log(`Scripting API at https://localhost:${port}/api`);
+  });
+}
+
+start().catch((error) => {
+  console.error("Server error:", error);
+  process.exit(1);
+});
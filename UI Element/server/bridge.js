@@ -0,0 +1,164 @@
+/* eslint-disable no-undef */
+
+// Lets scripts on this machine query and edit the open presentation. Requests to the REST API
+// are forwarded over a WebSocket to the task pane, which runs them against the live deck with
+// the same inspector code the UI uses.
+//
+//   GET  /api/status                  { connected }
+//   GET  /api/selection               The selection model of the current selection.
+//   GET  /api/slides/:slideId/shapes  { slideId, index, shapes }
+//   POST /api/shapes/:shapeId         Body: property values, e.g. { "left": 20 }. Returns the edit.
+//
+// Messages to the task pane are { id, method, params } and it answers with { id, result } or
+// { id, error: { code, message, details } }.
+
+const express = require("express");
+const { WebSocketServer } = require("ws");
+
+const BRIDGE_PATH = "/bridge";
+const DEFAULT_TIMEOUT = 10000;
+
+// HTTP status for the error codes the task pane reports; anything else is a 500
+const ERROR_STATUS = { InvalidArgument: 400, ItemNotFound: 404, NotSupported: 501 };
+
+function bridgeError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Creates the bridge between the REST API and the task pane.
+ * @param options {Object}
+ * @param options.timeout {number} Milliseconds to wait for the task pane to answer.
+ * @param options.origins {string[]} Origins allowed to connect as the task pane. Empty allows any,
+ *   which is only meant for tests.
+ */
+function createBridge(options = {}) {
+  const { timeout = DEFAULT_TIMEOUT, origins = [] } = options;
+  // Every open task pane, oldest first. The most recent one answers requests.
+  const clients = [];
+  const pending = new Map();
+  let nextId = 1;
+  let server = null;
+
+  function settle(id) {
+    const entry = pending.get(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+      pending.delete(id);
+    }
+    return entry;
+  }
+
+  function request(method, params = {}) {
+    const socket = clients[clients.length - 1];
+    if (!socket) {
+      return Promise.reject(bridgeError(503, "No task pane is connected"));
+    }
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settle(id);
+        reject(bridgeError(504, `The task pane didn't answer ${method} within ${timeout} ms`));
+      }, timeout);
+      pending.set(id, { socket, resolve, reject, timer });
+      socket.send(JSON.stringify({ id, method, params }));
+    });
+  }
+
+  function handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    const entry = settle(message.id);
+    if (!entry) {
+      return;
+    }
+    if (message.error) {
+      const { code, message: text, details } = message.error;
+      entry.reject(bridgeError(ERROR_STATUS[code] || 500, text, details));
+    } else {
+      entry.resolve(message.result === undefined ? null : message.result);
+    }
+  }
+
+  function handleClose(socket) {
+    clients.splice(clients.indexOf(socket), 1);
+    pending.forEach((entry, id) => {
+      if (entry.socket === socket) {
+        settle(id);
+        entry.reject(bridgeError(503, "The task pane disconnected"));
+      }
+    });
+  }
+
+  /**
+   * Accepts task pane connections on an HTTP(S) server at /bridge.
+   * @param httpServer {import("http").Server}
+   */
+  function attach(httpServer) {
+    server = new WebSocketServer({
+      server: httpServer,
+      path: BRIDGE_PATH,
+      // Only the task pane, served from this server, may answer for the presentation
+      verifyClient: ({ origin }) => origins.length === 0 || origins.includes(origin),
+    });
+    server.on("connection", (socket) => {
+      clients.push(socket);
+      socket.on("message", handleMessage);
+      socket.on("close", () => handleClose(socket));
+    });
+  }
+
+  function forward(method, getParams) {
+    return (req, res) => {
+      request(method, getParams(req)).then(
+        (result) => res.json(result),
+        (error) =>
+          res.status(error.status || 500).json({ error: error.message, details: error.details })
+      );
+    };
+  }
+
+  const router = express.Router();
+  router.use(express.json());
+  router.get("/status", (req, res) => res.json({ connected: clients.length > 0 }));
+  router.get(
+    "/selection",
+    forward("getSelection", () => ({}))
+  );
+  router.get(
+    "/slides/:slideId/shapes",
+    forward("getSlideShapes", (req) => ({ slideId: req.params.slideId }))
+  );
+  router.post(
+    "/shapes/:shapeId",
+    (req, res, next) =>
+      req.is("application/json")
+        ? next()
+        : res.status(415).json({ error: "Send the property values as application/json" }),
+    forward("editShape", (req) => ({ shapeId: req.params.shapeId, values: req.body }))
+  );
+
+  return {
+    router,
+    attach,
+    request,
+    isConnected: () => clients.length > 0,
+    close() {
+      clients.forEach((socket) => socket.terminate());
+      if (server) {
+        server.close();
+      }
+    },
+  };
+}
+
+module.exports = { BRIDGE_PATH, createBridge };
@@ -3,33 +3,186 @@
  * See LICENSE in the project root for license information.
  */
 
-/* global Office */
+/* global console, Office */
+
+import {
+  ALT_TEXT_UNREADABLE,
+  auditPresentation,
+  countUnreadableAltText,
+} from "../inspector/accessibility";
+import { detectCapabilities, requireFeature } from "../inspector/capabilities";
+import { createStrategyRegistry } from "../inspector/detection/registry";
+import { defaultStrategies } from "../inspector/detection/strategies";
+import { lintPresentation, resolveLintConfig } from "../inspector/lint/layoutLint";
+import {
+  loadInventoryData,
+  loadPresentationData,
+  loadSelectedSlideIds,
+  loadSlideSize,
+} from "../inspector/presentationData";
+import { resolveSelection } from "../inspector/resolveSelection";
+import { buildSelectionModel } from "../inspector/selectionModel";
+import { requestInspection } from "../taskpane/inspectRequest";
+import { showReport } from "./reportDialog";
+import {
+  errorReport,
+  inspectFallbackReport,
+  inventoryReport,
+  issueReport,
+  selectionReport,
+} from "./reports";
+
+// How long "Inspect element" waits for an open task pane to answer. See inspectRequest.js for
+// why this can miss a pane that is open.
+const INSPECT_ANSWER_TIMEOUT = 1000;
 
 Office.onReady(() => {
   // If needed, Office.js is ready to be called.
 });
 
 /**
- * Shows a notification when the add-in command is executed.
+ * Runs a command, shows its report and tells Office the command is done once the report is
+ * closed. Failures are reported in the same dialog.
+ * @param title {string} Report title used if the command fails.
+ * @param createReport {function(import("../inspector/capabilities").Capabilities): Promise<import("./reports").Report>}
+ *   Receives the host's capabilities, so the command can check what it needs first.
+ * @param event {Office.AddinCommands.Event}
+ */
+async function runCommand(title, createReport, event) {
+  try {
+    let report;
+    try {
+      report = await createReport(detectCapabilities());
+    } catch (error) {
+      console.error(`${title} error:`, error);
+      report = errorReport(title, error);
+    }
+    await showReport(report);
+  } catch (error) {
+    console.error("Report dialog error:", error);
+  } finally {
+    // Be sure to indicate when the add-in command function is complete.
+    event.completed();
+  }
+}
+
+/**
+ * Has the open task pane inspect the selected shape. Commands can't open the task pane, so
+ * without one the selection is shown in a dialog instead. This is a ribbon button rather than
+ * a shape context menu item because PowerPoint add-ins can't extend context menus.
+ * @param event {Office.AddinCommands.Event}
+ */
+export async function inspectElement(event) {
+  if (await requestInspection(INSPECT_ANSWER_TIMEOUT)) {
+    event.completed();
+    return;
+  }
+  await runCommand(
+    "Inspect element",
+    async () =>
+      inspectFallbackReport(
+        buildSelectionModel(await resolveSelection(createStrategyRegistry(defaultStrategies)))
+      ),
+    event
+  );
+}
+
+/**
+ * Shows the selected shapes as JSON in a dialog, where Copy puts them on the clipboard.
+ * @param event {Office.AddinCommands.Event}
+ */
+export function showSelectionInfo(event) {
+  return runCommand(
+    "Selection info",
+    async () => {
+      const model = buildSelectionModel(
+        await resolveSelection(createStrategyRegistry(defaultStrategies))
+      );
+      return selectionReport(model);
+    },
+    event
+  );
+}
+
+// The slides picked in the slide sorter when there are several, like the task pane's "selected
+// slides only" option. Null for the whole presentation.
+async function loadCommandSlideIds() {
+  const slideIds = await loadSelectedSlideIds();
+  return slideIds.length > 1 ? slideIds : null;
+}
+
+async function loadCommandSlides() {
+  const slideIds = await loadCommandSlideIds();
+  return { slides: await loadPresentationData(slideIds), selected: slideIds !== null };
+}
+
+/**
+ * Checks the presentation, or the selected slides, for accessibility problems.
  * @param event {Office.AddinCommands.Event}
  */
-function action(event) {
-  const message = {
-    type: Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage,
-    message: "Performed action.",
-    icon: "Icon.80x80",
-    persistent: true,
-  };
-
-  // Show a notification message.
-  Office.context.mailbox.item.notificationMessages.replaceAsync(
-    "ActionPerformanceNotification",
-    message
+export function runAccessibilityCheck(event) {
+  return runCommand(
+    "Accessibility check",
+    async (capabilities) => {
+      requireFeature(capabilities, "presentation-checks");
+      const { slides, selected } = await loadCommandSlides();
+      const report = issueReport(
+        "Accessibility check",
+        auditPresentation(slides),
+        "No accessibility issues found.",
+        selected ? slides.length : null
+      );
+      if (countUnreadableAltText(slides) > 0) {
+        report.summary += " " + ALT_TEXT_UNREADABLE;
+      }
+      return report;
+    },
+    event
   );
+}
 
-  // Be sure to indicate when the add-in command function is complete.
-  event.completed();
+/**
+ * Checks the presentation, or the selected slides, with the default layout rules.
+ * @param event {Office.AddinCommands.Event}
+ */
+export function runLayoutLint(event) {
+  return runCommand(
+    "Layout lint",
+    async (capabilities) => {
+      requireFeature(capabilities, "presentation-checks");
+      const { slides, selected } = await loadCommandSlides();
+      return issueReport(
+        "Layout lint",
+        lintPresentation(slides, resolveLintConfig({}, await loadSlideSize())),
+        "No layout issues found.",
+        selected ? slides.length : null
+      );
+    },
+    event
+  );
+}
+
+/**
+ * Builds the shape inventory of the presentation, or of the selected slides, offered as CSV and
+ * Markdown.
+ * @param event {Office.AddinCommands.Event}
+ */
+export function exportInventory(event) {
+  return runCommand(
+    "Presentation inventory",
+    async (capabilities) => {
+      requireFeature(capabilities, "presentation-checks");
+      const slideIds = await loadCommandSlideIds();
+      const { slides, unread } = await loadInventoryData(slideIds);
+      return inventoryReport(slides, slideIds !== null, unread);
+    },
+    event
+  );
 }
 
-// Register the function with Office.
-Office.actions.associate("action", action);
+// Register the functions with Office. The names match the FunctionName of each ribbon button.
+Office.actions.associate("inspectElement", inspectElement);
+Office.actions.associate("showSelectionInfo", showSelectionInfo);
+Office.actions.associate("runAccessibilityCheck", runAccessibilityCheck);
+Office.actions.associate("runLayoutLint", runLayoutLint);
+Office.actions.associate("exportInventory", exportInventory);
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office, URL, window */
+
+import { detectCapabilities, requireFeature } from "../inspector/capabilities";
+
+// Messages the report page sends to the command that opened it
+export const REPORT_READY_MESSAGE = "ready";
+export const REPORT_CLOSE_MESSAGE = "close";
+
+/**
+ * Opens the report page in a dialog and hands it the report once it has loaded. Ribbon commands
+ * have no task pane to show results in, so this is how they report back.
+ * @param report {import("./reports").Report}
+ * @returns {Promise<void>} Resolves once the dialog is closed.
+ */
+export function showReport(report) {
+  // messageChild, used to hand over the report, arrived in DialogApi 1.2
+  try {
+    requireFeature(detectCapabilities(), "reports");
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const url = new URL("report.html", window.location.href).href;
+
+  return new Promise((resolve, reject) => {
+    Office.context.ui.displayDialogAsync(
+      url,
+      { height: 60, width: 40, displayInIframe: true },
+      (asyncResult) => {
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+          reject(new Error(asyncResult.error.message));
+          return;
+        }
+
+        const dialog = asyncResult.value;
+        dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+          if (arg.message === REPORT_READY_MESSAGE) {
+            dialog.messageChild(JSON.stringify(report));
+          } else if (arg.message === REPORT_CLOSE_MESSAGE) {
+            dialog.close();
+            resolve();
+          }
+        });
+        // Raised when the user closes the dialog with its close button
+        dialog.addEventHandler(Office.EventType.DialogEventReceived, () => resolve());
+      }
+    );
+  });
+}
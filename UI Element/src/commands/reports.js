@@ -0,0 +1,162 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { formatInventoryCsv, formatInventoryMarkdown } from "../inspector/export/inventory";
+import { serializeSelectionModel } from "../inspector/selectionModel";
+import { summarizeIssues } from "../taskpane/issueList";
+
+/**
+ * @typedef {Object} ReportAttachment
+ * @property {string} label Button text.
+ * @property {string} filename
+ * @property {string} type MIME type.
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} details Text shown in full, and copied by the report's Copy button.
+ * @property {ReportAttachment[]} attachments Files the report offers to download.
+ */
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function selectionSubject(model) {
+  const count = model.shapes.length;
+  return count > 0 ? plural(count, "selected shape") : "the slide";
+}
+
+/**
+ * Reports the selection info shown by the "Selection info" command. Ribbon commands run without
+ * a click in the page, so the JSON is copied from the dialog's Copy button.
+ * @param model {import("../inspector/selectionModel").SelectionModel}
+ * @returns {Report}
+ */
+export function selectionReport(model) {
+  const json = serializeSelectionModel(model);
+
+  return {
+    title: "Selection info",
+    summary: `Use Copy to copy the JSON for ${selectionSubject(model)}.`,
+    details: json,
+    attachments: [
+      {
+        label: "Download JSON",
+        filename: `selection-${model.slideId || "slide"}.json`,
+        type: "application/json",
+        content: json,
+      },
+    ],
+  };
+}
+
+/**
+ * Reports the selection when "Inspect element" finds no task pane open to inspect it in.
+ * @param model {import("../inspector/selectionModel").SelectionModel}
+ * @returns {Report}
+ */
+export function inspectFallbackReport(model) {
+  return {
+    ...selectionReport(model),
+    title: "Inspect element",
+    summary: `Open the Element Inspector task pane to edit ${selectionSubject(
+      model
+    )}, then choose Inspect Element again. Use Copy to copy the JSON.`,
+  };
+}
+
+function formatIssue(issue) {
+  return `Slide ${issue.slideIndex} [${issue.severity}] ${issue.message}`;
+}
+
+/**
+ * Reports the issues found by a presentation check.
+ * @param title {string}
+ * @param issues {Array<{severity: string, slideIndex: number, message: string}>}
+ * @param emptyMessage {string} Summary when there are no issues.
+ * @param selectedSlideCount {number|null} How many selected slides were checked. Null when the
+ *   whole presentation was.
+ * @returns {Report}
+ */
+export function issueReport(title, issues, emptyMessage, selectedSlideCount = null) {
+  let summary = issues.length === 0 ? emptyMessage : `Found ${summarizeIssues(issues)}.`;
+  if (selectedSlideCount !== null) {
+    summary += ` Checked the ${plural(selectedSlideCount, "selected slide")} only.`;
+  }
+
+  return {
+    title,
+    summary,
+    details: issues.map(formatIssue).join("\n"),
+    attachments:
+      issues.length === 0
+        ? []
+        : [
+            {
+              label: "Download JSON",
+              filename: `${title.toLowerCase().replace(/\s+/g, "-")}.json`,
+              type: "application/json",
+              content: JSON.stringify(issues, null, 2),
+            },
+          ],
+  };
+}
+
+/**
+ * Reports the shape inventory of the presentation or of the selected slides.
+ * @param slides {import("../inspector/export/inventory").InventorySlide[]}
+ * @param selected {boolean} Whether the slides are the selected ones rather than all of them.
+ * @param unread {string[]} What the host couldn't read, e.g. "grouped shapes".
+ * @returns {Report}
+ */
+export function inventoryReport(slides, selected = false, unread = []) {
+  const title = selected ? "Selected slides inventory" : "Presentation inventory";
+  const filename = title.toLowerCase().replace(/\s+/g, "-");
+  const shapeCount = slides.reduce((total, slide) => total + slide.shapes.length, 0);
+  const markdown = formatInventoryMarkdown(slides, title);
+  let summary = `Found ${plural(shapeCount, "shape")} on ${plural(slides.length, "slide")}.`;
+  if (unread.length > 0) {
+    summary += ` This host couldn't read: ${unread.join(", ")}.`;
+  }
+
+  return {
+    title,
+    summary,
+    details: markdown,
+    attachments: [
+      {
+        label: "Download CSV",
+        filename: `${filename}.csv`,
+        type: "text/csv",
+        content: formatInventoryCsv(slides),
+      },
+      {
+        label: "Download Markdown",
+        filename: `${filename}.md`,
+        type: "text/markdown",
+        content: markdown,
+      },
+    ],
+  };
+}
+
+/**
+ * Reports a command that failed.
+ * @param title {string}
+ * @param error {Error}
+ * @returns {Report}
+ */
+export function errorReport(title, error) {
+  return {
+    title,
+    summary: "Error: " + (error.message || error),
+    details: "",
+    attachments: [],
+  };
+}
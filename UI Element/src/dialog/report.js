@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document, Office */
+
+import { REPORT_CLOSE_MESSAGE, REPORT_READY_MESSAGE } from "../commands/reportDialog";
+import { copyText } from "../taskpane/clipboard";
+import { downloadFile } from "../taskpane/download";
+
+Office.onReady(() => {
+  document.getElementById("report-close").onclick = () =>
+    Office.context.ui.messageParent(REPORT_CLOSE_MESSAGE);
+
+  Office.context.ui.addHandlerAsync(Office.EventType.DialogParentMessageReceived, (arg) =>
+    renderReport(JSON.parse(arg.message))
+  );
+  Office.context.ui.messageParent(REPORT_READY_MESSAGE);
+});
+
+function createButton(label, onClick) {
+  const button = document.createElement("button");
+  button.className = "ms-Button";
+  button.textContent = label;
+  button.onclick = onClick;
+  return button;
+}
+
+/**
+ * Shows a report sent by a ribbon command.
+ * @param report {import("../commands/reports").Report}
+ */
+export function renderReport(report) {
+  document.title = report.title;
+  document.getElementById("report-title").textContent = report.title;
+  document.getElementById("report-summary").textContent = report.summary;
+  document.getElementById("report-details").textContent = report.details;
+
+  const copy = document.getElementById("report-copy");
+  copy.hidden = !report.details;
+  copy.onclick = async () => {
+    const copied = await copyText(report.details);
+    copy.querySelector(".ms-Button-label").textContent = copied ? "Copied" : "Copy failed";
+  };
+
+  const actions = document.getElementById("report-actions");
+  report.attachments.forEach((attachment) => {
+    actions.appendChild(
+      createButton(attachment.label, () =>
+        downloadFile(attachment.filename, attachment.content, attachment.type)
+      )
+    );
+  });
+}
@@ -0,0 +1,244 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Shape types that carry meaning a screen reader can only get from alt text
+export const ALT_TEXT_TYPES = ["Image", "Chart", "Group", "SmartArt"];
+
+// Placeholder types that hold a slide's title
+export const TITLE_PLACEHOLDER_TYPES = ["Title", "CenterTitle"];
+
+export const DEFAULT_ACCESSIBILITY_OPTIONS = {
+  // Text below this size in points is reported as too small to read
+  minFontSize: 12,
+  // Whether the host can write alt text, so missing alt text can be fixed from the issue
+  canWriteAltText: false,
+};
+
+// Shown instead of alt text issues when the host couldn't read alt text
+export const ALT_TEXT_UNREADABLE =
+  "Alt text wasn't checked: reading it requires PowerPointApi 1.10, which this host doesn't support.";
+
+/**
+ * @typedef {Object} AccessibilityIssue
+ * @property {string} rule
+ * @property {"error"|"warning"} severity
+ * @property {string} slideId
+ * @property {number} slideIndex
+ * @property {string|null} shapeId
+ * @property {string|null} shapeName
+ * @property {string} message
+ * @property {boolean} [fixableAltText] The issue can be fixed by adding alt text.
+ */
+
+// Alt text that didn't load is null, while a shape without alt text has an empty string
+function needsAltText(shape) {
+  return ALT_TEXT_TYPES.includes(shape.type);
+}
+
+function isAltTextRead(shape) {
+  return typeof shape.altTextDescription === "string";
+}
+
+/**
+ * Counts the shapes that need alt text but whose alt text the host couldn't read, so it wasn't
+ * checked.
+ * @param slides {import("./presentationData").PresentationSlide[]}
+ * @returns {number}
+ */
+export function countUnreadableAltText(slides) {
+  return slides.reduce(
+    (count, slide) =>
+      count + slide.shapes.filter((shape) => needsAltText(shape) && !isAltTextRead(shape)).length,
+    0
+  );
+}
+
+function createIssue(rule, severity, slide, shape, message) {
+  return {
+    rule,
+    severity,
+    slideId: slide.id,
+    slideIndex: slide.index,
+    shapeId: shape ? shape.id : null,
+    shapeName: shape ? shape.name : null,
+    message,
+  };
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim().length === 0;
+}
+
+/**
+ * Finds the shape holding a slide's title: a title placeholder, or failing that a shape named
+ * like one ("Title 1").
+ * @param slide {import("./presentationData").PresentationSlide}
+ */
+export function findSlideTitle(slide) {
+  return (
+    slide.shapes.find((shape) => TITLE_PLACEHOLDER_TYPES.includes(shape.placeholderType)) ||
+    slide.shapes.find((shape) => /^title\b/i.test(shape.name || "")) ||
+    null
+  );
+}
+
+function checkAltText(slide, options, issues) {
+  slide.shapes
+    .filter(
+      (shape) => needsAltText(shape) && isAltTextRead(shape) && isBlank(shape.altTextDescription)
+    )
+    .forEach((shape) => {
+      const issue = createIssue(
+        "missing-alt-text",
+        "error",
+        slide,
+        shape,
+        `${shape.type} "${shape.name || shape.id}" has no alt text`
+      );
+      if (options.canWriteAltText) {
+        issue.fixableAltText = true;
+      }
+      issues.push(issue);
+    });
+}
+
+function checkTitle(slide, issues) {
+  const title = findSlideTitle(slide);
+  if (!title || isBlank(title.text)) {
+    issues.push(createIssue("missing-title", "error", slide, title, "Slide has no title"));
+    return null;
+  }
+  return title;
+}
+
+// Screen readers follow z-order. Report a title that isn't read first, shapes sharing a
+// z-order position, and shapes read before a shape that sits entirely above them.
+function checkReadingOrder(slide, title, issues) {
+  const shapes = slide.shapes.filter((shape) => typeof shape.zIndex === "number");
+  if (shapes.length < 2) {
+    return;
+  }
+
+  const readingOrder = [...shapes].sort((a, b) => a.zIndex - b.zIndex);
+
+  if (title && readingOrder[0].id !== title.id) {
+    issues.push(
+      createIssue(
+        "title-not-first",
+        "warning",
+        slide,
+        title,
+        `Title is read after "${readingOrder[0].name || readingOrder[0].id}"`
+      )
+    );
+  }
+
+  const seen = new Map();
+  readingOrder.forEach((shape) => {
+    if (seen.has(shape.zIndex)) {
+      issues.push(
+        createIssue(
+          "duplicate-z-order",
+          "warning",
+          slide,
+          shape,
+          `"${shape.name || shape.id}" shares z-order position ${shape.zIndex} with "${
+            seen.get(shape.zIndex).name
+          }"`
+        )
+      );
+    } else {
+      seen.set(shape.zIndex, shape);
+    }
+  });
+
+  readingOrder.forEach((shape, position) => {
+    const above = readingOrder
+      .slice(position + 1)
+      .find((later) => later.top + later.height <= shape.top);
+    if (above) {
+      issues.push(
+        createIssue(
+          "reading-order",
+          "warning",
+          slide,
+          shape,
+          `"${shape.name || shape.id}" is read before "${above.name || above.id}", which is above it`
+        )
+      );
+    }
+  });
+}
+
+function checkFontSize(slide, options, issues) {
+  slide.shapes
+    .filter((shape) => shape.fontSize !== null && shape.fontSize < options.minFontSize)
+    .forEach((shape) => {
+      issues.push(
+        createIssue(
+          "tiny-text",
+          "warning",
+          slide,
+          shape,
+          `"${shape.name || shape.id}" uses ${shape.fontSize}pt text, below ${options.minFontSize}pt`
+        )
+      );
+    });
+}
+
+function checkDuplicateTitles(titles, issues) {
+  const byText = new Map();
+  titles.forEach(({ slide, title }) => {
+    const key = title.text.trim().toLowerCase();
+    if (!byText.has(key)) {
+      byText.set(key, []);
+    }
+    byText.get(key).push({ slide, title });
+  });
+
+  byText.forEach((entries) => {
+    if (entries.length < 2) {
+      return;
+    }
+    const slideNumbers = entries.map(({ slide }) => slide.index).join(", ");
+    entries.forEach(({ slide, title }) => {
+      issues.push(
+        createIssue(
+          "duplicate-title",
+          "warning",
+          slide,
+          title,
+          `Title "${title.text.trim()}" is used on slides ${slideNumbers}`
+        )
+      );
+    });
+  });
+}
+
+/**
+ * Checks every slide for accessibility problems.
+ * @param slides {import("./presentationData").PresentationSlide[]}
+ * @param options {Object} Overrides for DEFAULT_ACCESSIBILITY_OPTIONS.
+ * @returns {AccessibilityIssue[]} Issues ordered by slide.
+ */
+export function auditPresentation(slides, options = {}) {
+  const settings = { ...DEFAULT_ACCESSIBILITY_OPTIONS, ...options };
+  const issues = [];
+  const titles = [];
+
+  slides.forEach((slide) => {
+    checkAltText(slide, settings, issues);
+    const title = checkTitle(slide, issues);
+    if (title) {
+      titles.push({ slide, title });
+    }
+    checkReadingOrder(slide, title, issues);
+    checkFontSize(slide, settings, issues);
+  });
+
+  checkDuplicateTitles(titles, issues);
+
+  return issues.sort((a, b) => a.slideIndex - b.slideIndex);
+}
@@ -0,0 +1,166 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/**
+ * @typedef {Object} ShapeChange
+ * @property {string} shapeId
+ * @property {Object} values New geometry by property, only the properties that change.
+ */
+
+/**
+ * @typedef {Object} GridOptions
+ * @property {number} size Grid spacing in points.
+ * @property {number} [originX] Horizontal offset of the grid from the slide's left edge.
+ * @property {number} [originY] Vertical offset of the grid from the slide's top edge.
+ * @property {boolean} [snapSize] Also round width and height to the grid.
+ */
+
+export const ALIGNMENTS = ["left", "center", "right", "top", "middle", "bottom"];
+
+export const DEFAULT_GRID = { size: 10, originX: 0, originY: 0, snapSize: false };
+
+// Positions are rounded so floating point noise doesn't show up as a change
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function hasGeometry(shape) {
+  return ["left", "top", "width", "height"].every((key) => typeof shape[key] === "number");
+}
+
+function requireShapes(shapes, minimum, action) {
+  const usable = shapes.filter(hasGeometry);
+  if (usable.length < minimum) {
+    throw new Error(`Select at least ${minimum} shapes to ${action}`);
+  }
+  return usable;
+}
+
+// Keeps only the values that differ from the shape's current geometry
+function toChanges(shapes, compute) {
+  return shapes
+    .map((shape) => {
+      const values = {};
+      Object.entries(compute(shape)).forEach(([key, value]) => {
+        if (round(value) !== round(shape[key])) {
+          values[key] = round(value);
+        }
+      });
+      return { shapeId: shape.id, values };
+    })
+    .filter((change) => Object.keys(change.values).length > 0);
+}
+
+/**
+ * Aligns shapes to an edge or center line of the box around them.
+ * @param shapes {import("./selectionModel").ShapeModel[]}
+ * @param alignment {"left"|"center"|"right"|"top"|"middle"|"bottom"}
+ * @returns {ShapeChange[]}
+ */
+export function alignShapes(shapes, alignment) {
+  if (!ALIGNMENTS.includes(alignment)) {
+    throw new Error(`Unknown alignment "${alignment}"`);
+  }
+  const usable = requireShapes(shapes, 2, "align");
+
+  const left = Math.min(...usable.map((shape) => shape.left));
+  const top = Math.min(...usable.map((shape) => shape.top));
+  const right = Math.max(...usable.map((shape) => shape.left + shape.width));
+  const bottom = Math.max(...usable.map((shape) => shape.top + shape.height));
+
+  const positions = {
+    left: () => ({ left }),
+    center: (shape) => ({ left: (left + right) / 2 - shape.width / 2 }),
+    right: (shape) => ({ left: right - shape.width }),
+    top: () => ({ top }),
+    middle: (shape) => ({ top: (top + bottom) / 2 - shape.height / 2 }),
+    bottom: (shape) => ({ top: bottom - shape.height }),
+  };
+  return toChanges(usable, positions[alignment]);
+}
+
+/**
+ * Spaces shapes so the gaps between them are equal. The outermost shapes stay where they are.
+ * @param shapes {import("./selectionModel").ShapeModel[]}
+ * @param direction {"horizontal"|"vertical"}
+ * @returns {ShapeChange[]}
+ */
+export function distributeShapes(shapes, direction) {
+  if (direction !== "horizontal" && direction !== "vertical") {
+    throw new Error(`Unknown direction "${direction}"`);
+  }
+  const usable = requireShapes(shapes, 3, "distribute");
+  const [position, size] = direction === "horizontal" ? ["left", "width"] : ["top", "height"];
+
+  const ordered = [...usable].sort((a, b) => a[position] - b[position]);
+  const first = ordered[0];
+  const last = ordered[ordered.length - 1];
+  const span = last[position] + last[size] - first[position];
+  const occupied = ordered.reduce((total, shape) => total + shape[size], 0);
+  const gap = (span - occupied) / (ordered.length - 1);
+
+  const targets = new Map();
+  let next = first[position];
+  ordered.forEach((shape) => {
+    targets.set(shape.id, next);
+    next += shape[size] + gap;
+  });
+  return toChanges(ordered, (shape) => ({ [position]: targets.get(shape.id) }));
+}
+
+/**
+ * Resizes shapes to the size of the first one, which is the first shape selected.
+ * @param shapes {import("./selectionModel").ShapeModel[]}
+ * @param dimension {"width"|"height"|"both"}
+ * @returns {ShapeChange[]}
+ */
+export function matchSize(shapes, dimension) {
+  if (!["width", "height", "both"].includes(dimension)) {
+    throw new Error(`Unknown dimension "${dimension}"`);
+  }
+  const [reference, ...others] = requireShapes(shapes, 2, "match sizes");
+
+  return toChanges(others, () => {
+    const values = {};
+    if (dimension !== "height") {
+      values.width = reference.width;
+    }
+    if (dimension !== "width") {
+      values.height = reference.height;
+    }
+    return values;
+  });
+}
+
+function snap(value, size, origin) {
+  return origin + Math.round((value - origin) / size) * size;
+}
+
+/**
+ * Moves shapes to the nearest grid lines.
+ * @param shapes {import("./selectionModel").ShapeModel[]}
+ * @param grid {GridOptions}
+ * @returns {ShapeChange[]}
+ */
+export function snapToGrid(shapes, grid) {
+  const { size, originX, originY, snapSize } = { ...DEFAULT_GRID, ...grid };
+  if (!(typeof size === "number" && size > 0)) {
+    throw new Error("Grid size must be greater than 0");
+  }
+  const usable = requireShapes(shapes, 1, "snap");
+
+  return toChanges(usable, (shape) => {
+    const values = {
+      left: snap(shape.left, size, originX),
+      top: snap(shape.top, size, originY),
+    };
+    if (snapSize) {
+      // A shape can't be resized to nothing, so the smallest size is one grid step
+      values.width = Math.max(size, snap(shape.width, size, 0));
+      values.height = Math.max(size, snap(shape.height, size, 0));
+    }
+    return values;
+  });
+}
@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { requireFeature } from "./capabilities";
+import {
+  EDITABLE_PROPERTIES,
+  applyShapeEdits,
+  getEditableProperties,
+  validateShapeEdits,
+} from "./editing";
+import { loadPresentationData } from "./presentationData";
+
+// Errors carry a code that the bridge server turns into an HTTP status
+function bridgeError(code, message, details) {
+  return Object.assign(new Error(message), { code, details });
+}
+
+function needFeature(capabilities, id) {
+  try {
+    requireFeature(capabilities, id);
+  } catch (error) {
+    throw bridgeError("NotSupported", error.message);
+  }
+}
+
+/**
+ * The requests the scripting bridge can send to the task pane.
+ * @param capabilities {import("./capabilities").Capabilities}
+ * @param getSelectionModel {function(): Promise<import("./selectionModel").SelectionModel>}
+ *   Resolves the current selection the way the task pane does.
+ * @returns {Object<string, function(Object): Promise<*>>} Handlers by method name.
+ */
+export function createBridgeHandlers(capabilities, getSelectionModel) {
+  return {
+    getSelection() {
+      return getSelectionModel();
+    },
+
+    async getSlideShapes({ slideId }) {
+      needFeature(capabilities, "presentation-checks");
+      const slide = (await loadPresentationData()).find((item) => item.id === slideId);
+      if (!slide) {
+        throw bridgeError("ItemNotFound", `No slide with id "${slideId}"`);
+      }
+      return { slideId: slide.id, index: slide.index, shapes: slide.shapes };
+    },
+
+    async editShape({ shapeId, values }) {
+      needFeature(capabilities, "shape-editing");
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        throw bridgeError("InvalidArgument", "Send the property values as an object");
+      }
+      EDITABLE_PROPERTIES.filter((property) => property.feature && property.key in values).forEach(
+        (property) => needFeature(capabilities, property.feature)
+      );
+
+      const slides = await loadPresentationData();
+      const slide = slides.find((item) => item.shapes.some((shape) => shape.id === shapeId));
+      if (!slide) {
+        throw bridgeError("ItemNotFound", `No shape with id "${shapeId}"`);
+      }
+      const shape = slide.shapes.find((item) => item.id === shapeId);
+
+      const editable = getEditableProperties(shape, capabilities).map((property) => property.key);
+      const unknown = Object.keys(values).filter((key) => !editable.includes(key));
+      if (unknown.length > 0) {
+        throw bridgeError("InvalidArgument", `Can't edit ${unknown.join(", ")} on this shape`);
+      }
+
+      const { values: changes, errors } = validateShapeEdits(shape, values, capabilities);
+      if (Object.keys(errors).length > 0) {
+        throw bridgeError("InvalidArgument", "Invalid property values", errors);
+      }
+      // Setting a shape to the values it already has is not an error for a script
+      if (Object.keys(changes).length === 0) {
+        return { slideId: slide.id, shapeId, values: {}, previous: {} };
+      }
+      return applyShapeEdits({ slideId: slide.id, shapeId }, changes);
+    },
+  };
+}
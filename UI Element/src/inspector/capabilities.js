@@ -0,0 +1,187 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office */
+
+// Versions of each requirement set the inspector knows about, oldest first
+export const REQUIREMENT_SET_VERSIONS = {
+  PowerPointApi: ["1.1", "1.2", "1.3", "1.4", "1.5", "1.6", "1.7", "1.8", "1.9", "1.10"],
+  DialogApi: ["1.1", "1.2"],
+};
+
+/**
+ * @typedef {Object} Feature
+ * @property {string} id
+ * @property {string} label
+ * @property {{name: string, version: string}} requirement
+ * @property {string} fallback What the inspector does instead when the feature is unavailable.
+ */
+
+/** @type {Feature[]} */
+export const FEATURES = [
+  {
+    id: "selection",
+    label: "Exact selected shape detection",
+    requirement: { name: "PowerPointApi", version: "1.5" },
+    fallback: "Older detection strategies guess the selected shapes where the host has them.",
+  },
+  {
+    id: "navigation",
+    label: "Go to slide or shape",
+    requirement: { name: "PowerPointApi", version: "1.5" },
+    fallback: "Issues and tree nodes can't select shapes in the presentation.",
+  },
+  {
+    id: "shape-editing",
+    label: "Shape editing and arranging",
+    requirement: { name: "PowerPointApi", version: "1.4" },
+    fallback: "Shape editors and arrange tools are disabled.",
+  },
+  {
+    id: "alt-text",
+    label: "Alt text checks and editing",
+    requirement: { name: "PowerPointApi", version: "1.10" },
+    fallback: "Alt text can't be read, so it isn't checked, shown or edited.",
+  },
+  {
+    id: "grouping",
+    label: "Group and ungroup",
+    requirement: { name: "PowerPointApi", version: "1.8" },
+    fallback: "Group contents can be inspected but shapes can't be grouped or ungrouped.",
+  },
+  {
+    id: "table-editing",
+    label: "Table cells and CSV import",
+    requirement: { name: "PowerPointApi", version: "1.8" },
+    fallback: "Table cells can't be read, searched or imported. Charts are still described.",
+  },
+  {
+    id: "picture-images",
+    label: "Picture thumbnails and downloads",
+    requirement: { name: "PowerPointApi", version: "1.10" },
+    fallback: "Pictures are listed with their size on the slide, without an image.",
+  },
+  {
+    id: "presentation-checks",
+    label: "Presentation tree, checks and inventory",
+    requirement: { name: "PowerPointApi", version: "1.4" },
+    fallback: "Whole-presentation tools are disabled.",
+  },
+  {
+    id: "reports",
+    label: "Ribbon command reports",
+    requirement: { name: "DialogApi", version: "1.2" },
+    fallback: "Ribbon commands can't show their results.",
+  },
+];
+
+/**
+ * @typedef {Object} FeatureSupport
+ * @property {string} id
+ * @property {string} label
+ * @property {boolean} supported
+ * @property {string|null} reason Why the feature is unavailable.
+ * @property {string} fallback
+ */
+
+/**
+ * @typedef {Object} Capabilities
+ * @property {Object} versions Highest supported version by requirement set, null when unsupported.
+ * @property {FeatureSupport[]} features
+ */
+
+function defaultIsSetSupported(name, version) {
+  return Office.context.requirements.isSetSupported(name, version);
+}
+
+function highestVersion(name, isSetSupported) {
+  const supported = REQUIREMENT_SET_VERSIONS[name].filter((version) =>
+    isSetSupported(name, version)
+  );
+  return supported.length > 0 ? supported[supported.length - 1] : null;
+}
+
+function describeReason(requirement, version) {
+  const host = version
+    ? `this host supports ${requirement.name} ${version}`
+    : `this host doesn't support ${requirement.name}`;
+  return `Requires ${requirement.name} ${requirement.version}; ${host}`;
+}
+
+/**
+ * Checks which requirement set versions the host supports and which features that enables.
+ * @param isSetSupported {function(string, string): boolean} Defaults to the Office check.
+ * @returns {Capabilities}
+ */
+export function detectCapabilities(isSetSupported = defaultIsSetSupported) {
+  const versions = {};
+  Object.keys(REQUIREMENT_SET_VERSIONS).forEach((name) => {
+    versions[name] = highestVersion(name, isSetSupported);
+  });
+
+  const features = FEATURES.map((feature) => {
+    const supported = isSetSupported(feature.requirement.name, feature.requirement.version);
+    return {
+      id: feature.id,
+      label: feature.label,
+      supported,
+      reason: supported
+        ? null
+        : describeReason(feature.requirement, versions[feature.requirement.name]),
+      fallback: feature.fallback,
+    };
+  });
+
+  return { versions, features };
+}
+
+function findFeature(capabilities, id) {
+  const feature = capabilities.features.find((item) => item.id === id);
+  if (!feature) {
+    throw new Error(`Unknown feature "${id}"`);
+  }
+  return feature;
+}
+
+/**
+ * @param capabilities {Capabilities}
+ * @param id {string} Feature id.
+ * @returns {boolean}
+ */
+export function isFeatureSupported(capabilities, id) {
+  return findFeature(capabilities, id).supported;
+}
+
+/**
+ * Explains why a feature is unavailable, e.g. "Go to slide or shape is unavailable. Requires
+ * PowerPointApi 1.5; this host supports PowerPointApi 1.4."
+ * @param capabilities {Capabilities}
+ * @param id {string} Feature id.
+ * @returns {string|null} Null when the feature is available.
+ */
+export function describeUnavailable(capabilities, id) {
+  const feature = findFeature(capabilities, id);
+  return feature.supported ? null : `${feature.label} is unavailable. ${feature.reason}.`;
+}
+
+/**
+ * Throws when a feature is unavailable, with the reason as the message.
+ * @param capabilities {Capabilities}
+ * @param id {string} Feature id.
+ */
+export function requireFeature(capabilities, id) {
+  const message = describeUnavailable(capabilities, id);
+  if (message) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * @param capabilities {Capabilities}
+ * @returns {FeatureSupport[]} The features the host doesn't support.
+ */
+export function unavailableFeatures(capabilities) {
+  return capabilities.features.filter((feature) => !feature.supported);
+}
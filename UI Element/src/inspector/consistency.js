@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { mostCommon } from "./lint/layoutLint";
+
+export const DEFAULT_CONSISTENCY_OPTIONS = {
+  // Differences up to this many points are not reported
+  tolerance: 1,
+  // Roles on fewer slides than this have no meaningful majority
+  minSlides: 3,
+};
+
+// Properties compared across slides, with the path used to write the canonical value back
+const COMPARED_PROPERTIES = [
+  { key: "left", label: "left", path: "left", unit: "pt" },
+  { key: "top", label: "top", path: "top", unit: "pt" },
+  { key: "width", label: "width", path: "width", unit: "pt" },
+  { key: "height", label: "height", path: "height", unit: "pt" },
+  { key: "fontSize", label: "font size", path: "textFrame/textRange/font/size", unit: "pt" },
+  { key: "fontName", label: "font", path: "textFrame/textRange/font/name", unit: "" },
+];
+
+/**
+ * @typedef {Object} ConsistencyIssue
+ * @property {string} rule Always "inconsistent-shape".
+ * @property {"warning"} severity
+ * @property {string} slideId
+ * @property {number} slideIndex
+ * @property {string} shapeId
+ * @property {string|null} shapeName
+ * @property {string} role E.g. "Title placeholder" or "Logo".
+ * @property {string} message
+ * @property {Object} canonical The values most slides use, by property path, for
+ *   applyShapeEditBatch.
+ */
+
+/**
+ * The role a shape plays across slides: its placeholder type, or else its name. A slide with two
+ * shapes in the same role, like a two-column layout, compares them in z-order.
+ * @param shape {import("./presentationData").PresentationShape}
+ * @returns {string|null}
+ */
+export function shapeRole(shape) {
+  if (shape.placeholderType) {
+    return `${shape.placeholderType} placeholder`;
+  }
+  return shape.name || null;
+}
+
+function round(value) {
+  return typeof value === "number" ? Math.round(value * 100) / 100 : value;
+}
+
+function formatValue(property, value) {
+  return `${round(value)}${property.unit}`;
+}
+
+// The value most shapes agree on. Numbers within the tolerance of each other count as agreeing.
+function canonicalValue(values, tolerance) {
+  if (values.some((value) => typeof value !== "number")) {
+    return mostCommon(values);
+  }
+
+  let best = null;
+  values.forEach((value) => {
+    const count = values.filter((other) => Math.abs(other - value) <= tolerance).length;
+    if (!best || count > best.count) {
+      best = { value, count };
+    }
+  });
+  return best;
+}
+
+function differs(value, canonical, tolerance) {
+  if (typeof value === "number") {
+    return Math.abs(value - canonical) > tolerance;
+  }
+  return value !== canonical;
+}
+
+// Groups shapes by role and, within a slide, by how many shapes of that role came before
+function groupByRole(slides) {
+  const groups = new Map();
+  slides.forEach((slide) => {
+    const seen = new Map();
+    slide.shapes.forEach((shape) => {
+      const role = shapeRole(shape);
+      if (!role) {
+        return;
+      }
+      const occurrence = seen.get(role) || 0;
+      seen.set(role, occurrence + 1);
+
+      const key = `${role}\u0000${occurrence}`;
+      if (!groups.has(key)) {
+        groups.set(key, { role: occurrence > 0 ? `${role} (${occurrence + 1})` : role, items: [] });
+      }
+      groups.get(key).items.push({ slide, shape });
+    });
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Compares shapes that play the same role on different slides, such as every title or the logo,
+ * and reports the ones whose position, size or font differs from what most of those slides use.
+ * A property is only compared when a majority of the slides agree on it.
+ * @param slides {import("./presentationData").PresentationSlide[]}
+ * @param options {Object} Merged over DEFAULT_CONSISTENCY_OPTIONS.
+ * @returns {ConsistencyIssue[]} Issues ordered by slide.
+ */
+export function checkConsistency(slides, options = {}) {
+  const { tolerance, minSlides } = { ...DEFAULT_CONSISTENCY_OPTIONS, ...options };
+  const issues = [];
+
+  groupByRole(slides)
+    .filter(({ items }) => items.length >= minSlides)
+    .forEach(({ role, items }) => {
+      const canonical = COMPARED_PROPERTIES.map((property) => {
+        const values = items
+          .map(({ shape }) => shape[property.key])
+          .filter((value) => value !== null && value !== undefined);
+        const common = canonicalValue(values.map(round), tolerance);
+        return common && common.count > items.length / 2 ? { property, common } : null;
+      }).filter(Boolean);
+
+      items.forEach(({ slide, shape }) => {
+        const different = canonical.filter(
+          ({ property, common }) =>
+            shape[property.key] !== null &&
+            shape[property.key] !== undefined &&
+            differs(shape[property.key], common.value, tolerance)
+        );
+        if (different.length === 0) {
+          return;
+        }
+
+        const values = {};
+        different.forEach(({ property, common }) => {
+          values[property.path] = common.value;
+        });
+        const details = different.map(
+          ({ property, common }) =>
+            `${property.label} ${formatValue(property, shape[property.key])} ` +
+            `(usually ${formatValue(property, common.value)})`
+        );
+        issues.push({
+          rule: "inconsistent-shape",
+          severity: "warning",
+          slideId: slide.id,
+          slideIndex: slide.index,
+          shapeId: shape.id,
+          shapeName: shape.name,
+          role,
+          message: `${role} differs from the other slides: ${details.join(", ")}`,
+          canonical: values,
+        });
+      });
+    });
+
+  return issues.sort((a, b) => a.slideIndex - b.slideIndex);
+}
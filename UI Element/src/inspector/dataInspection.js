@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office, PowerPoint */
+
+import { defuseFormula, formatCsv, parseCsv } from "./export/csv";
+import { writeTextReplacements } from "./findReplace";
+import { tryLoad } from "./loading";
+
+// Shape types the inspector can drill into
+export const DATA_SHAPE_TYPES = ["Table", "Chart"];
+
+// PowerPoint's JavaScript API has no chart object, so charts can only be described
+export const CHART_DATA_UNAVAILABLE =
+  "PowerPoint's JavaScript API doesn't expose chart data, so the chart type, series, " +
+  "categories and values can't be read. Open the chart's data in PowerPoint to check them.";
+
+const CELL_FORMAT_PROPERTIES =
+  "fill/foregroundColor,font/name,font/size,font/color,font/bold,font/italic";
+
+/**
+ * @typedef {Object} TableCellModel
+ * @property {number} row Zero-based.
+ * @property {number} column Zero-based.
+ * @property {string} text
+ * @property {number} rowSpan Rows the cell spans, more than 1 for merged cells.
+ * @property {number} columnSpan
+ * @property {{row: number, column: number}|null} mergedInto The cell covering this one when it
+ *   is hidden by a merge.
+ * @property {string|null} fill Fill color, e.g. "#FF0000".
+ * @property {{name: string, size: number, color: string, bold: boolean, italic: boolean}|null}
+ *   font
+ */
+
+/**
+ * @typedef {Object} TableModel
+ * @property {string} slideId
+ * @property {string} shapeId
+ * @property {string|null} name
+ * @property {number} rowCount
+ * @property {number} columnCount
+ * @property {TableCellModel[][]} cells By row, then column.
+ * @property {boolean} formatted Whether the host could read the cells' fill and font.
+ */
+
+function readFont(cell) {
+  const { name, size, color, bold, italic } = cell.font;
+  return { name, size, color, bold, italic };
+}
+
+// Marks the cells hidden under each merged cell
+function markMergedCells(cells) {
+  cells.flat().forEach((cell) => {
+    for (let row = cell.row; row < cell.row + cell.rowSpan; row++) {
+      for (let column = cell.column; column < cell.column + cell.columnSpan; column++) {
+        const covered = cells[row] && cells[row][column];
+        if (covered && covered !== cell) {
+          covered.mergedInto = { row: cell.row, column: cell.column };
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Reads the cells of a table with their text, merges and, where the host allows, formatting.
+ * @param slideId {string}
+ * @param shapeId {string} A top-level table shape on the slide.
+ * @returns {Promise<TableModel>}
+ */
+export async function loadTable(slideId, shapeId) {
+  return PowerPoint.run(async (context) => {
+    const shapes = context.presentation.slides.getItem(slideId).shapes;
+    const shape = shapes.getItem(shapeId);
+    shape.load("name,type");
+    await context.sync();
+
+    if (shape.type !== "Table") {
+      throw new Error(`${shape.name || shapeId} isn't a table`);
+    }
+    // Shape.getTable() came with PowerPointApi 1.8
+    if (!Office.context.requirements.isSetSupported("PowerPointApi", "1.8")) {
+      throw new Error("This host can't read table cells");
+    }
+    const table = shapes.getItem(shapeId).getTable();
+    if (!(await tryLoad(context, [table], "rowCount,columnCount"))) {
+      throw new Error("This host can't read table cells");
+    }
+
+    const { rowCount, columnCount } = table;
+    const proxies = [];
+    for (let row = 0; row < rowCount; row++) {
+      proxies.push([]);
+      for (let column = 0; column < columnCount; column++) {
+        proxies[row].push(table.getCellOrNullObject(row, column));
+      }
+    }
+    const all = proxies.flat();
+    if (!(await tryLoad(context, all, "text"))) {
+      throw new Error("This host can't read table cells");
+    }
+    const spans = await tryLoad(context, all, "rowCount,columnCount");
+    const formatted = await tryLoad(context, all, CELL_FORMAT_PROPERTIES);
+
+    const cells = proxies.map((row, rowIndex) =>
+      row.map((cell, columnIndex) => ({
+        row: rowIndex,
+        column: columnIndex,
+        text: cell.text,
+        rowSpan: spans ? cell.rowCount : 1,
+        columnSpan: spans ? cell.columnCount : 1,
+        mergedInto: null,
+        fill: formatted ? cell.fill.foregroundColor : null,
+        font: formatted ? readFont(cell) : null,
+      }))
+    );
+    markMergedCells(cells);
+
+    return { slideId, shapeId, name: shape.name, rowCount, columnCount, cells, formatted };
+  });
+}
+
+/**
+ * Formats a table's cell text as CSV, one line per row. Cells hidden by a merge are empty.
+ * @param table {TableModel}
+ * @returns {string}
+ */
+export function formatTableCsv(table) {
+  return formatCsv(table.cells.map((row) => row.map((cell) => (cell.mergedInto ? "" : cell.text))));
+}
+
+/**
+ * Works out which cells a CSV file changes. The CSV must have the table's rows and columns;
+ * values for cells hidden by a merge are ignored. A value that is the cell's text with the
+ * apostrophe formatCsv puts in front of formulas leaves the cell as it is; other apostrophes are
+ * written to the cell.
+ * @param table {TableModel}
+ * @param text {string} CSV as written by formatTableCsv or a spreadsheet.
+ * @returns {import("./findReplace").TextReplacement[]} One replacement per changed cell.
+ */
+export function tableImportReplacements(table, text) {
+  const rows = parseCsv(text);
+  if (rows.length !== table.rowCount) {
+    throw new Error(`The CSV has ${rows.length} rows, but the table has ${table.rowCount}`);
+  }
+  rows.forEach((row, index) => {
+    if (row.length !== table.columnCount) {
+      throw new Error(
+        `Row ${index + 1} of the CSV has ${row.length} cells, but the table has ` +
+          `${table.columnCount} columns`
+      );
+    }
+  });
+
+  const changed = (cell) => {
+    const value = rows[cell.row][cell.column];
+    return value !== cell.text && value !== defuseFormula(cell.text);
+  };
+
+  return table.cells
+    .flat()
+    .filter((cell) => !cell.mergedInto && changed(cell))
+    .map((cell) => ({
+      target: {
+        id: `${table.slideId}/${table.shapeId}@${cell.row},${cell.column}`,
+        slideId: table.slideId,
+        shapePath: [table.shapeId],
+        cell: { row: cell.row, column: cell.column },
+        location: `${table.name || table.shapeId}, row ${cell.row + 1}, column ${cell.column + 1}`,
+        text: cell.text,
+      },
+      previous: cell.text,
+      text: rows[cell.row][cell.column],
+    }));
+}
+
+/**
+ * Writes the cells a CSV file changes in one batch. Cells edited since the table was loaded are
+ * left alone.
+ * @param table {TableModel}
+ * @param text {string}
+ * @returns {Promise<{replacements: import("./findReplace").TextReplacement[],
+ *   stale: import("./findReplace").TextTarget[]}>}
+ */
+export async function importTableCsv(table, text) {
+  const replacements = tableImportReplacements(table, text);
+  if (replacements.length === 0) {
+    return { replacements, stale: [] };
+  }
+  return writeTextReplacements(replacements);
+}
@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office */
+
+import { loadShapeSnapshot } from "./snapshot";
+
+// Results below this confidence are reported as candidates but never picked as the selection
+export const DEFAULT_MIN_CONFIDENCE = 0.25;
+
+/**
+ * @typedef {Object} DetectionCandidate
+ * @property {string} strategyId
+ * @property {number} priority
+ * @property {number} confidence
+ * @property {"matched"|"empty"|"unsupported"|"failed"} status
+ * @property {PowerPoint.Shape[]} shapes
+ * @property {string} [error] Why the strategy failed or is unsupported.
+ */
+
+/**
+ * @typedef {Object} DetectionResult
+ * @property {string|null} slideId The slide the shapes were detected on.
+ * @property {string[]} slideIds Every selected slide, starting with slideId.
+ * @property {string|null} winner Id of the strategy whose shapes were picked.
+ * @property {PowerPoint.Shape[]} shapes The selected shapes, empty when no strategy matched.
+ * @property {PowerPoint.Shape[]} allShapes Every shape on the slide.
+ * @property {DetectionCandidate[]} candidates One entry per enabled strategy, in run order.
+ */
+
+function defaultIsSetSupported(name, version) {
+  return Office.context.requirements.isSetSupported(name, version);
+}
+
+function isRequirementSupported(requirement, isSetSupported) {
+  return !requirement || isSetSupported(requirement.name, requirement.version);
+}
+
+/**
+ * Runs every enabled strategy once against a shared shape snapshot and picks the
+ * highest-priority strategy that found shapes with enough confidence. Strategies whose
+ * requirement the host doesn't meet are reported as unsupported and skipped, so older hosts
+ * still get the strategies they can run.
+ * @param context {PowerPoint.RequestContext}
+ * @param registry {ReturnType<import("./registry").createStrategyRegistry>}
+ * @param options {Object}
+ * @param options.minConfidence {number}
+ * @param options.isSetSupported {function(string, string): boolean} Requirement set check.
+ * @returns {Promise<DetectionResult>}
+ */
+export async function runDetection(context, registry, options = {}) {
+  const { minConfidence = DEFAULT_MIN_CONFIDENCE, isSetSupported = defaultIsSetSupported } =
+    options;
+  const strategies = registry.listEnabled();
+
+  const optionalProperties = strategies.flatMap((strategy) => strategy.shapeProperties || []);
+  const snapshot = await loadShapeSnapshot(context, optionalProperties, isSetSupported);
+
+  const result = {
+    slideId: snapshot.slideId,
+    slideIds: snapshot.slideIds,
+    winner: null,
+    shapes: [],
+    allShapes: snapshot.shapes,
+    candidates: [],
+  };
+
+  if (!snapshot.slide) {
+    return result;
+  }
+
+  for (const strategy of strategies) {
+    const candidate = {
+      strategyId: strategy.id,
+      priority: strategy.priority,
+      confidence: strategy.confidence,
+      status: "empty",
+      shapes: [],
+    };
+    result.candidates.push(candidate);
+
+    if (!isRequirementSupported(strategy.requirement, isSetSupported)) {
+      candidate.status = "unsupported";
+      candidate.error = `Requires ${strategy.requirement.name} ${strategy.requirement.version}`;
+      continue;
+    }
+
+    try {
+      candidate.shapes = (await strategy.detect(context, snapshot, options)) || [];
+      candidate.status = candidate.shapes.length > 0 ? "matched" : "empty";
+    } catch (error) {
+      candidate.status = "failed";
+      candidate.error = error.message || String(error);
+    }
+  }
+
+  const winner = result.candidates.find(
+    (candidate) => candidate.status === "matched" && candidate.confidence >= minConfidence
+  );
+  if (winner) {
+    result.winner = winner.strategyId;
+    result.shapes = winner.shapes;
+  }
+
+  return result;
+}
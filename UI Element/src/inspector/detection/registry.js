@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/**
+ * @typedef {Object} DetectionStrategy
+ * @property {string} id Unique id, reported as the detection method.
+ * @property {string} description
+ * @property {{name: string, version: string}|null} requirement Requirement set the strategy needs.
+ * @property {number} priority Strategies run from the highest priority down.
+ * @property {number} confidence How much to trust a non-empty result, from 0 to 1.
+ * @property {string[][]} shapeProperties Optional shape property groups to load in the snapshot.
+ * @property {function(PowerPoint.RequestContext, Object, Object): Promise<PowerPoint.Shape[]>} detect
+ */
+
+function validateStrategy(strategy) {
+  if (!strategy || typeof strategy.id !== "string" || typeof strategy.detect !== "function") {
+    throw new Error("A detection strategy needs an id and a detect function");
+  }
+}
+
+/**
+ * Creates a registry of detection strategies that can be added, removed, enabled and disabled
+ * at runtime, e.g. to turn off a strategy that misbehaves on a particular host version.
+ * @param strategies {DetectionStrategy[]} Strategies to register up front.
+ */
+export function createStrategyRegistry(strategies = []) {
+  const entries = new Map();
+
+  const registry = {
+    register(strategy) {
+      validateStrategy(strategy);
+      if (entries.has(strategy.id)) {
+        throw new Error(`Detection strategy "${strategy.id}" is already registered`);
+      }
+      entries.set(strategy.id, { strategy, enabled: true });
+      return registry;
+    },
+
+    unregister(id) {
+      return entries.delete(id);
+    },
+
+    setEnabled(id, enabled) {
+      const entry = entries.get(id);
+      if (!entry) {
+        throw new Error(`Unknown detection strategy "${id}"`);
+      }
+      entry.enabled = enabled;
+    },
+
+    isEnabled(id) {
+      const entry = entries.get(id);
+      return Boolean(entry && entry.enabled);
+    },
+
+    get(id) {
+      const entry = entries.get(id);
+      return entry ? entry.strategy : undefined;
+    },
+
+    // All registered strategies, highest priority first
+    list() {
+      return [...entries.values()]
+        .map((entry) => entry.strategy)
+        .sort((a, b) => b.priority - a.priority);
+    },
+
+    // The enabled strategies, highest priority first
+    listEnabled() {
+      return registry.list().filter((strategy) => entries.get(strategy.id).enabled);
+    },
+  };
+
+  strategies.forEach((strategy) => registry.register(strategy));
+  return registry;
+}
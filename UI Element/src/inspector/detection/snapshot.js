@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office */
+
+import { CORE_SHAPE_PROPERTIES, itemPaths, loadEach, tryLoad } from "../loading";
+
+// Properties shown in the inspector that are not available on every host or shape, with the
+// PowerPointApi version that added them. Pictures and groups have no text frame, so these are
+// loaded shape by shape when a shape lacks them.
+const DISPLAY_PROPERTY_GROUPS = [
+  { properties: ["zOrderPosition"], version: "1.8" },
+  { properties: ["textFrame/textRange/text"], version: "1.4" },
+  { properties: ["altTextDescription", "altTextTitle"], version: "1.10" },
+];
+
+/**
+ * @typedef {Object} ShapeSnapshot
+ * @property {PowerPoint.Slide|null} slide The first selected slide. Shapes can only be selected
+ *   on one slide, so detection runs against this one.
+ * @property {string|null} slideId
+ * @property {string[]} slideIds Every selected slide, such as a range picked in the slide sorter.
+ * @property {PowerPoint.Shape[]} shapes Every shape on the slide with the core properties loaded.
+ * @property {Set<string>} loadedProperties Optional properties that loaded on every shape.
+ */
+
+// Reads the 1-based positions of the selected slides through the common API
+function readSelectedSlideIndexes() {
+  return new Promise((resolve) => {
+    Office.context.document.getSelectedDataAsync(Office.CoercionType.SlideRange, (asyncResult) => {
+      const succeeded = asyncResult.status === Office.AsyncResultStatus.Succeeded;
+      resolve(succeeded ? asyncResult.value.slides.map((slide) => slide.index) : []);
+    });
+  });
+}
+
+/**
+ * Loads the selected slides' ids. getSelectedSlides() is part of PowerPointApi 1.5; older hosts
+ * still report the selected slides' positions, which are enough to get the slides themselves.
+ * @param context {PowerPoint.RequestContext}
+ * @param isSetSupported {function(string, string): boolean} Requirement set check.
+ * @returns {Promise<PowerPoint.Slide[]>} In presentation order.
+ */
+export async function loadSelectedSlides(context, isSetSupported) {
+  if (isSetSupported("PowerPointApi", "1.5")) {
+    const selectedSlides = context.presentation.getSelectedSlides();
+    selectedSlides.load("items/id");
+    await context.sync();
+    return selectedSlides.items;
+  }
+
+  const indexes = await readSelectedSlideIndexes();
+  const slides = indexes.map((index) =>
+    context.presentation.slides.getItemAt(index - 1).load("id")
+  );
+  await context.sync();
+  return slides;
+}
+
+/**
+ * Loads the selected slide and its shapes once so that every detection strategy can work
+ * against the same data.
+ * @param context {PowerPoint.RequestContext}
+ * @param optionalProperties {string[][]} Extra property groups requested by the strategies.
+ * @param isSetSupported {function(string, string): boolean} Requirement set check.
+ * @returns {Promise<ShapeSnapshot>}
+ */
+export async function loadShapeSnapshot(context, optionalProperties, isSetSupported) {
+  const snapshot = {
+    slide: null,
+    slideId: null,
+    slideIds: [],
+    shapes: [],
+    loadedProperties: new Set(),
+  };
+
+  const selectedSlides = await loadSelectedSlides(context, isSetSupported);
+  if (selectedSlides.length === 0) {
+    return snapshot;
+  }
+
+  snapshot.slide = selectedSlides[0];
+  snapshot.slideId = snapshot.slide.id;
+  snapshot.slideIds = selectedSlides.map((slide) => slide.id);
+
+  const shapes = snapshot.slide.shapes;
+  shapes.load(itemPaths(CORE_SHAPE_PROPERTIES));
+  await context.sync();
+  snapshot.shapes = shapes.items;
+
+  if (snapshot.shapes.length === 0) {
+    return snapshot;
+  }
+
+  for (const { properties, version } of DISPLAY_PROPERTY_GROUPS) {
+    if (!isSetSupported("PowerPointApi", version)) {
+      continue;
+    }
+    const loaded = await loadEach(context, snapshot.shapes, properties.join(","));
+    if (loaded.length === snapshot.shapes.length) {
+      properties.forEach((property) => snapshot.loadedProperties.add(property));
+    }
+  }
+
+  // Strategies read their properties on every shape, so a host that doesn't know one of them
+  // drops the whole group. Each group is synced on its own so it can't hide the others.
+  for (const group of optionalProperties) {
+    if (group.every((property) => snapshot.loadedProperties.has(property))) {
+      continue;
+    }
+    if (await tryLoad(context, snapshot.shapes, group.join(","))) {
+      group.forEach((property) => snapshot.loadedProperties.add(property));
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Maps shape ids reported by a selection API back onto the loaded snapshot shapes, keeping the
+ * order of the ids. Ids that aren't on the snapshot slide are dropped.
+ * @param snapshot {ShapeSnapshot}
+ * @param ids {string[]}
+ * @returns {PowerPoint.Shape[]}
+ */
+export function findSnapshotShapes(snapshot, ids) {
+  return ids
+    .map((id) => snapshot.shapes.find((shape) => shape.id === id))
+    .filter((shape) => shape !== undefined);
+}
@@ -0,0 +1,34 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { findSnapshotShapes } from "../snapshot";
+
+// Reads the selection of the active document view, available on some older hosts that don't
+// implement getSelectedShapes().
+export default {
+  id: "active-view",
+  description: "Shapes in the active view's selection",
+  requirement: null,
+  priority: 90,
+  confidence: 0.9,
+  shapeProperties: [],
+  async detect(context, snapshot) {
+    const view = context.presentation.getActiveView();
+    view.load("selection");
+    await context.sync();
+
+    if (!view.selection) {
+      return [];
+    }
+
+    view.selection.shapes.load("items/id");
+    await context.sync();
+
+    return findSnapshotShapes(
+      snapshot,
+      view.selection.shapes.items.map((shape) => shape.id)
+    );
+  },
+};
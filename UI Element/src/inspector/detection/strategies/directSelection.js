@@ -0,0 +1,27 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { findSnapshotShapes } from "../snapshot";
+
+// Asks PowerPoint for the selected shapes directly. This is the only exact answer and wins
+// whenever the host supports it.
+export default {
+  id: "direct-selection",
+  description: "Shapes returned by presentation.getSelectedShapes()",
+  requirement: { name: "PowerPointApi", version: "1.5" },
+  priority: 100,
+  confidence: 1,
+  shapeProperties: [],
+  async detect(context, snapshot) {
+    const selectedShapes = context.presentation.getSelectedShapes();
+    selectedShapes.load("items/id");
+    await context.sync();
+
+    return findSnapshotShapes(
+      snapshot,
+      selectedShapes.items.map((shape) => shape.id)
+    );
+  },
+};
@@ -0,0 +1,18 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import activeView from "./activeView";
+import directSelection from "./directSelection";
+import isSelected from "./isSelected";
+import lastModified from "./lastModified";
+import slideSelection from "./slideSelection";
+import zOrder from "./zOrder";
+
+// The strategies registered by default, in no particular order; the registry sorts by priority
+export const defaultStrategies = [directSelection, slideSelection, zOrder];
+
+// Strategies for APIs PowerPoint doesn't have: getActiveView(), Shape.isSelected and
+// Shape.lastModified. They always fail there, so they're only run when registered explicitly.
+export const otherHostStrategies = [activeView, isSelected, lastModified];
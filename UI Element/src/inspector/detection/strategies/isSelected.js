@@ -0,0 +1,21 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Checks the isSelected flag that some hosts expose on each shape
+export default {
+  id: "isSelected",
+  description: "Shapes whose isSelected property is true",
+  requirement: null,
+  priority: 80,
+  confidence: 0.8,
+  shapeProperties: [["isSelected"]],
+  async detect(context, snapshot) {
+    if (!snapshot.loadedProperties.has("isSelected")) {
+      throw new Error("isSelected is not available on this host");
+    }
+
+    return snapshot.shapes.filter((shape) => shape.isSelected);
+  },
+};
@@ -0,0 +1,25 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Guesses that the most recently modified shape is the one the user is working on
+export default {
+  id: "lastModified",
+  description: "The most recently modified shape",
+  requirement: null,
+  priority: 60,
+  confidence: 0.4,
+  shapeProperties: [["lastModified"]],
+  async detect(context, snapshot) {
+    if (!snapshot.loadedProperties.has("lastModified")) {
+      throw new Error("lastModified is not available on this host");
+    }
+
+    const modifiedShapes = snapshot.shapes
+      .filter((shape) => shape.lastModified)
+      .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+
+    return modifiedShapes.slice(0, 1);
+  },
+};
@@ -0,0 +1,32 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { findSnapshotShapes } from "../snapshot";
+
+// Asks the selected slide's shape collection for its selection, the way the original
+// getSelected() inspector did. Only some hosts expose shapes.getSelected(), outside any
+// requirement set, so the strategy fails where it is missing and the pipeline moves on.
+export default {
+  id: "slide-selection",
+  description: "Shapes returned by the selected slide's shapes.getSelected()",
+  requirement: null,
+  priority: 95,
+  confidence: 1,
+  shapeProperties: [],
+  async detect(context, snapshot) {
+    if (typeof snapshot.slide.shapes.getSelected !== "function") {
+      throw new Error("shapes.getSelected() is not available on this host");
+    }
+
+    const selectedShapes = snapshot.slide.shapes.getSelected();
+    selectedShapes.load("items/id");
+    await context.sync();
+
+    return findSnapshotShapes(
+      snapshot,
+      selectedShapes.items.map((shape) => shape.id)
+    );
+  },
+};
@@ -0,0 +1,28 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { readPath } from "../../loading";
+
+// Proposes the top-most shape on the slide. This is a guess, so its confidence is below the
+// default threshold and it is only reported as a candidate unless the threshold is lowered.
+// Hosts without zOrderPosition list shapes back to front, so the last one is on top.
+export default {
+  id: "z-order",
+  description: "The top-most shape on the slide",
+  requirement: null,
+  priority: 10,
+  confidence: 0.1,
+  shapeProperties: [],
+  async detect(context, snapshot) {
+    const stackOrder = (shape, order) => {
+      const position = readPath(shape, "zOrderPosition");
+      return typeof position === "number" ? position : order;
+    };
+    const sortedShapes = snapshot.shapes
+      .map((shape, order) => ({ shape, position: stackOrder(shape, order) }))
+      .sort((a, b) => b.position - a.position);
+    return sortedShapes.slice(0, 1).map(({ shape }) => shape);
+  },
+};
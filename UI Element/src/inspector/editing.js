@@ -0,0 +1,244 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global PowerPoint */
+
+import { isFeatureSupported } from "./capabilities";
+import { readPath, writePath } from "./loading";
+
+/**
+ * @typedef {Object} EditableProperty
+ * @property {string} key Shape property name in a ShapeModel.
+ * @property {string} [path] Where PowerPoint keeps the value, when it isn't the key itself.
+ * @property {string} label
+ * @property {"text"|"multiline"|"number"} kind
+ * @property {boolean} [positive] Numbers must be greater than zero.
+ * @property {boolean} [required] Text can't be empty.
+ * @property {boolean} [optional] Only editable when the shape reported a value for it.
+ * @property {string} [feature] The capability the host needs to write it.
+ */
+
+/** @type {EditableProperty[]} */
+export const EDITABLE_PROPERTIES = [
+  { key: "name", label: "Name", kind: "text", required: true },
+  { key: "left", label: "Left", kind: "number" },
+  { key: "top", label: "Top", kind: "number" },
+  { key: "width", label: "Width", kind: "number", positive: true },
+  { key: "height", label: "Height", kind: "number", positive: true },
+  {
+    key: "text",
+    path: "textFrame/textRange/text",
+    label: "Text",
+    kind: "multiline",
+    optional: true,
+  },
+  {
+    key: "altTextTitle",
+    label: "Alt text title",
+    kind: "text",
+    optional: true,
+    feature: "alt-text",
+  },
+  {
+    key: "altTextDescription",
+    label: "Alt text description",
+    kind: "multiline",
+    optional: true,
+    feature: "alt-text",
+  },
+];
+
+/**
+ * @typedef {Object} ShapeEdit
+ * @property {string} slideId
+ * @property {string} shapeId
+ * @property {string[]} [shapePath] For shapes inside groups, the ids from the top-level group
+ *   down to the shape.
+ * @property {Object} values The values that were written.
+ * @property {Object} previous The values before the edit, used to undo it.
+ */
+
+/**
+ * Returns the properties that can be edited on a shape. Optional properties are left out when
+ * the host didn't report them, e.g. text on a picture, and so are properties whose feature the
+ * host doesn't support.
+ * @param shape {import("./selectionModel").ShapeModel}
+ * @param capabilities {import("./capabilities").Capabilities}
+ * @returns {EditableProperty[]}
+ */
+export function getEditableProperties(shape, capabilities) {
+  return EDITABLE_PROPERTIES.filter(
+    (property) =>
+      (!property.optional || (shape[property.key] !== null && shape[property.key] !== undefined)) &&
+      (!property.feature || isFeatureSupported(capabilities, property.feature))
+  );
+}
+
+function parseValue(property, raw) {
+  if (property.kind !== "number") {
+    const text = raw === undefined || raw === null ? "" : String(raw);
+    if (property.required && text.trim().length === 0) {
+      return { error: `${property.label} is required` };
+    }
+    return { value: property.required ? text.trim() : text };
+  }
+
+  const trimmed = String(raw === undefined || raw === null ? "" : raw).trim();
+  if (trimmed.length === 0) {
+    return { error: `${property.label} is required` };
+  }
+
+  const value = Number(trimmed);
+  if (!Number.isFinite(value)) {
+    return { error: `${property.label} must be a number` };
+  }
+  if (property.positive && value <= 0) {
+    return { error: `${property.label} must be greater than 0` };
+  }
+  return { value };
+}
+
+/**
+ * Validates the raw form values for a shape and returns only the properties that changed.
+ * @param shape {import("./selectionModel").ShapeModel} The shape as currently displayed.
+ * @param formValues {Object} Raw input values by property key.
+ * @param capabilities {import("./capabilities").Capabilities}
+ * @returns {{values: Object, errors: Object}} Parsed changed values and error messages by key.
+ */
+export function validateShapeEdits(shape, formValues, capabilities) {
+  const values = {};
+  const errors = {};
+
+  getEditableProperties(shape, capabilities).forEach((property) => {
+    if (!(property.key in formValues)) {
+      return;
+    }
+
+    const result = parseValue(property, formValues[property.key]);
+    if (result.error) {
+      errors[property.key] = result.error;
+    } else if (result.value !== shape[property.key]) {
+      values[property.key] = result.value;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Writes property values to a shape and records the previous values so the edit can be undone.
+ * @param target {{slideId: string, shapeId: string, shapePath: string[]}} shapePath is only
+ *   needed for shapes inside groups.
+ * @param values {Object} Validated values by property key.
+ * @returns {Promise<ShapeEdit>}
+ */
+export async function applyShapeEdits(target, values) {
+  if (Object.keys(values).length === 0) {
+    throw new Error("There are no changes to apply");
+  }
+
+  const [edit] = await applyShapeEditBatch([{ ...target, values }]);
+  return edit;
+}
+
+// Values are keyed by property name or by a load path such as "fill/foregroundColor". Editable
+// properties stored elsewhere on the shape, such as text, are written through their path.
+function propertyPath(key) {
+  const property = EDITABLE_PROPERTIES.find((item) => item.key === key);
+  return property && property.path ? property.path : key;
+}
+
+// The fill type can't be set. NoFill is written by clearing the fill, and Solid by setting the
+// fill color written with it.
+const FILL_TYPE_PATH = "fill/type";
+const FILL_COLOR_PATHS = ["fill/foregroundColor", "fill/transparency"];
+
+// The paths to load before writing values, including the fill color a clear would lose
+function loadPaths(values) {
+  const paths = Object.keys(values).map(propertyPath);
+  return paths.includes(FILL_TYPE_PATH) ? [...new Set([...paths, ...FILL_COLOR_PATHS])] : paths;
+}
+
+function writeValue(shape, path, value, values) {
+  if (path !== FILL_TYPE_PATH) {
+    writePath(shape, path, value);
+  } else if (value === "NoFill") {
+    shape.fill.clear();
+  } else if (value === "Solid" && values["fill/foregroundColor"]) {
+    shape.fill.setSolidColor(values["fill/foregroundColor"]);
+  }
+}
+
+// Shapes inside groups are reached through each enclosing group
+function getShape(context, { slideId, shapeId, shapePath }) {
+  const [topId, ...childIds] = shapePath || [shapeId];
+  let shape = context.presentation.slides.getItem(slideId).shapes.getItem(topId);
+  childIds.forEach((id) => {
+    shape = shape.group.shapes.getItem(id);
+  });
+  return shape;
+}
+
+/**
+ * Writes property values to several shapes in one batch, so they change together.
+ * @param changes {{slideId: string, shapeId: string, shapePath: string[], values: Object}[]}
+ *   Values are keyed by property name or by a property path such as "lineFormat/weight".
+ *   shapePath is only needed for shapes inside groups.
+ * @returns {Promise<ShapeEdit[]>}
+ */
+export async function applyShapeEditBatch(changes) {
+  const pending = changes.filter((change) => Object.keys(change.values).length > 0);
+  if (pending.length === 0) {
+    throw new Error("There are no changes to apply");
+  }
+
+  return PowerPoint.run(async (context) => {
+    const shapes = pending.map((change) => {
+      const shape = getShape(context, change);
+      shape.load(loadPaths(change.values).join(","));
+      return shape;
+    });
+    await context.sync();
+
+    const edits = pending.map(({ slideId, shapeId, shapePath, values }, index) => {
+      const previous = {};
+      Object.keys(values).forEach((property) => {
+        previous[property] = readPath(shapes[index], propertyPath(property));
+      });
+      // Undoing a clear sets the solid fill back
+      if (FILL_TYPE_PATH in values && previous[FILL_TYPE_PATH] === "Solid") {
+        FILL_COLOR_PATHS.forEach((path) => {
+          previous[path] = readPath(shapes[index], path);
+        });
+      }
+      Object.keys(values).forEach((property) => {
+        writeValue(shapes[index], propertyPath(property), values[property], values);
+      });
+      const edit = { slideId, shapeId, values: { ...values }, previous };
+      return shapePath ? { ...edit, shapePath } : edit;
+    });
+    await context.sync();
+
+    return edits;
+  });
+}
+
+/**
+ * Restores the values a shape had before an edit.
+ * @param edit {ShapeEdit}
+ * @returns {Promise<ShapeEdit>} The edit that performed the undo.
+ */
+export function undoShapeEdit(edit) {
+  return applyShapeEdits(edit, edit.previous);
+}
+
+/**
+ * Restores the values several shapes had before a batch edit.
+ * @param edits {ShapeEdit[]}
+ * @returns {Promise<ShapeEdit[]>} The edits that performed the undo.
+ */
+export function undoShapeEditBatch(edits) {
+  return applyShapeEditBatch(edits.map((edit) => ({ ...edit, values: edit.previous })));
+}
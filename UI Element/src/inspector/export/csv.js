@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Signed numbers like "-12.5", "+3%" or "-1,200" start like formulas but are safe to keep
+const SIGNED_NUMBER = /^[+-][\d,]*\.?\d+%?$/;
+
+/**
+ * Prefixes text that spreadsheets would run as a formula with an apostrophe, as formatCsv does.
+ * @param text {string}
+ * @returns {string}
+ */
+export function defuseFormula(text) {
+  return FORMULA_PREFIX.test(text) && !SIGNED_NUMBER.test(text) ? `'${text}` : text;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "number") {
+    return String(value);
+  }
+
+  const text = defuseFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows of values as CSV. Values that spreadsheets would run as formulas are prefixed
+ * with an apostrophe.
+ * @param rows {Array[]}
+ * @returns {string} CRLF-separated rows, ending with a line break.
+ */
+export function formatCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Parses CSV as written by formatCsv or a spreadsheet: quoted cells may hold commas, quotes and
+ * line breaks, and a trailing line break doesn't start another row. Cells are kept as written,
+ * including any leading apostrophe, since a CSV doesn't say which ones formatCsv added.
+ * @param text {string}
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    rows.push(row);
+    row = [];
+  };
+
+  for (let index = 0; index < input.length; index++) {
+    const character = input[index];
+    if (quoted) {
+      if (character === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === ",") {
+      endCell();
+    } else if (character === "\r" || character === "\n") {
+      if (character === "\r" && input[index + 1] === "\n") {
+        index++;
+      }
+      endRow();
+    } else {
+      cell += character;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("The CSV ends inside a quoted cell");
+  }
+  if (cell !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { formatCsv } from "./csv";
+
+/**
+ * @typedef {Object} InventorySlide
+ * @property {string} id
+ * @property {number|null} index 1-based slide number, null when it couldn't be resolved.
+ * @property {import("../presentationData").InventoryShape[]} shapes Selected shapes have no
+ *   parentId or group.
+ */
+
+// CSV columns, in order, with the value each one reads from a slide and shape
+export const INVENTORY_COLUMNS = [
+  ["slideIndex", (slide) => slide.index],
+  ["slideId", (slide) => slide.id],
+  ["id", (slide, shape) => shape.id],
+  ["name", (slide, shape) => shape.name],
+  ["type", (slide, shape) => shape.type],
+  ["parentId", (slide, shape) => shape.parentId],
+  ["group", (slide, shape) => shape.group],
+  ["left", (slide, shape) => shape.left],
+  ["top", (slide, shape) => shape.top],
+  ["width", (slide, shape) => shape.width],
+  ["height", (slide, shape) => shape.height],
+  ["text", (slide, shape) => shape.text],
+  ["altTextTitle", (slide, shape) => shape.altTextTitle],
+  ["altTextDescription", (slide, shape) => shape.altTextDescription],
+];
+
+/**
+ * Formats the shapes as CSV with one row per shape and a header row.
+ * @param slides {InventorySlide[]}
+ * @returns {string}
+ */
+export function formatInventoryCsv(slides) {
+  const rows = [INVENTORY_COLUMNS.map(([name]) => name)];
+  slides.forEach((slide) => {
+    slide.shapes.forEach((shape) => {
+      rows.push(INVENTORY_COLUMNS.map(([, read]) => read(slide, shape)));
+    });
+  });
+  return formatCsv(rows);
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\|/g, "\\|")
+    .replace(/\r?\n|\r/g, "<br>");
+}
+
+function formatNumber(value) {
+  return typeof value === "number" ? String(Math.round(value * 100) / 100) : "?";
+}
+
+function slideHeading(slide) {
+  return slide.index === null ? `Slide ${slide.id}` : `Slide ${slide.index}`;
+}
+
+/**
+ * Formats a Markdown report with a section and a shape table per slide.
+ * @param slides {InventorySlide[]}
+ * @param title {string} Heading for the report.
+ * @returns {string}
+ */
+export function formatInventoryMarkdown(slides, title) {
+  const lines = [`# ${title}`, ""];
+
+  slides.forEach((slide) => {
+    lines.push(`## ${slideHeading(slide)}`, "");
+    if (slide.shapes.length === 0) {
+      lines.push("_No shapes._", "");
+      return;
+    }
+
+    lines.push("| Name | Type | Group | Position | Size | Text | Alt text |");
+    lines.push("| --- | --- | --- | --- | --- | --- | --- |");
+    slide.shapes.forEach((shape) => {
+      const cells = [
+        shape.name || shape.id,
+        shape.type,
+        shape.group,
+        `${formatNumber(shape.left)}, ${formatNumber(shape.top)}`,
+        `${formatNumber(shape.width)} x ${formatNumber(shape.height)}`,
+        shape.text,
+        shape.altTextDescription || shape.altTextTitle,
+      ];
+      lines.push(`| ${cells.map(markdownCell).join(" | ")} |`);
+    });
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Wraps the selected shapes as a one-slide inventory.
+ * @param model {import("../selectionModel").SelectionModel}
+ * @param slideIndex {number|null}
+ * @returns {InventorySlide[]}
+ */
+export function selectionInventory(model, slideIndex) {
+  return [{ id: model.slideId, index: slideIndex, shapes: model.shapes }];
+}
@@ -0,0 +1,440 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office, PowerPoint */
+
+import {
+  compareTreeOrder,
+  CORE_SHAPE_PROPERTIES,
+  itemPaths,
+  loadEach,
+  readPath,
+  tryLoad,
+  walkShapeTree,
+  writePath,
+} from "./loading";
+
+// Characters shown on each side of a match in the preview
+const PREVIEW_CONTEXT = 24;
+
+/**
+ * @typedef {Object} TextTarget A piece of text in the presentation that can be replaced.
+ * @property {string} id Unique key, e.g. "256/4/7" for a grouped shape or "256/9@1,2" for a cell.
+ * @property {string} slideId
+ * @property {number} slideIndex 1-based slide number.
+ * @property {string[]} shapePath Shape ids from the top-level shape down to the one with the text.
+ * @property {{row: number, column: number}|null} cell Zero-based table cell holding the text.
+ * @property {string} location E.g. "Logo group > Tagline" or "Results, row 2, column 1".
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {boolean} [matchCase]
+ * @property {boolean} [wholeWord]
+ * @property {boolean} [regex] The query is a regular expression, and the replacement can use
+ *   $1, $<name> and $& like String.prototype.replace.
+ */
+
+/**
+ * @typedef {Object} TextMatch
+ * @property {string} id
+ * @property {string} targetId
+ * @property {string} slideId
+ * @property {number} slideIndex
+ * @property {string[]} shapePath
+ * @property {string} location
+ * @property {number} index Position of the match in the target's text.
+ * @property {string} text The matched text.
+ * @property {string} replacement What the match will be replaced with.
+ * @property {string} before Text just before the match, for the preview.
+ * @property {string} after Text just after the match, for the preview.
+ */
+
+/**
+ * @typedef {Object} TextEdit A span of a text to replace.
+ * @property {number} index Where the span starts.
+ * @property {number} length
+ * @property {string} text What replaces the span.
+ */
+
+/**
+ * @typedef {Object} TextReplacement
+ * @property {TextTarget} target
+ * @property {string} previous The text before the replacement.
+ * @property {string} text The text after it.
+ * @property {TextEdit[]} [edits] The spans of the previous text that changed, in order. Shape
+ *   text is written span by span so the rest keeps its formatting. Without them, and in table
+ *   cells, the whole text is written.
+ */
+
+// Load path of a shape's text
+const SHAPE_TEXT = "textFrame/textRange/text";
+
+function readText(object, path) {
+  const text = readPath(object, path);
+  return typeof text === "string" ? text : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds the regular expression for a search.
+ * @param query {string}
+ * @param options {SearchOptions}
+ * @returns {RegExp} A global expression.
+ */
+export function createSearchPattern(query, options = {}) {
+  if (!query) {
+    throw new Error("Type the text to find");
+  }
+
+  let source = options.regex ? query : escapeRegExp(query);
+  if (options.wholeWord) {
+    source = `\\b(?:${source})\\b`;
+  }
+  // An invalid expression throws a SyntaxError that says what is wrong with it
+  return new RegExp(source, options.matchCase ? "g" : "gi");
+}
+
+// Expands $$, $&, $`, $', $1 and $<name> in a regex replacement, like String.prototype.replace
+function expandReplacement(replacement, match) {
+  return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+    if (key === "$") {
+      return "$";
+    }
+    if (key === "&") {
+      return match[0];
+    }
+    if (key === "`") {
+      return match.input.slice(0, match.index);
+    }
+    if (key === "'") {
+      return match.input.slice(match.index + match[0].length);
+    }
+    if (name !== undefined) {
+      return match.groups && name in match.groups ? match.groups[name] || "" : token;
+    }
+
+    // "$12" refers to group 1 followed by "2" when there are fewer than 12 groups
+    let number = Number(key);
+    let rest = "";
+    if (number >= match.length && key.length === 2) {
+      number = Number(key[0]);
+      rest = key[1];
+    }
+    return number > 0 && number < match.length ? (match[number] || "") + rest : token;
+  });
+}
+
+/**
+ * Finds every match of a search in the given texts.
+ * @param targets {TextTarget[]}
+ * @param query {string}
+ * @param replacement {string}
+ * @param options {SearchOptions}
+ * @returns {TextMatch[]} In presentation order.
+ */
+export function findTextMatches(targets, query, replacement, options = {}) {
+  const pattern = createSearchPattern(query, options);
+  const matches = [];
+
+  targets.forEach((target) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(target.text)) !== null) {
+      if (match[0].length === 0) {
+        // Skip empty matches such as "^", which have nothing to replace
+        pattern.lastIndex++;
+        continue;
+      }
+      const end = match.index + match[0].length;
+      matches.push({
+        id: `${target.id}#${match.index}`,
+        targetId: target.id,
+        slideId: target.slideId,
+        slideIndex: target.slideIndex,
+        shapePath: target.shapePath,
+        location: target.location,
+        index: match.index,
+        text: match[0],
+        replacement: options.regex ? expandReplacement(replacement, match) : replacement,
+        before: target.text.slice(Math.max(0, match.index - PREVIEW_CONTEXT), match.index),
+        after: target.text.slice(end, end + PREVIEW_CONTEXT),
+      });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Applies matches found in a text to it.
+ * @param text {string}
+ * @param matches {TextMatch[]} Matches found in this text.
+ * @returns {string}
+ */
+export function replaceMatches(text, matches) {
+  return [...matches]
+    .sort((a, b) => b.index - a.index)
+    .reduce(
+      (result, match) =>
+        result.slice(0, match.index) +
+        match.replacement +
+        result.slice(match.index + match.text.length),
+      text
+    );
+}
+
+// Reads the text of shapes, and of the cells of tables, found at one level of the shape tree
+async function collectText(context, level, found, unsearched) {
+  const textShapes = level
+    .map(({ shape }) => shape)
+    .filter((shape) => !["Group", "Table"].includes(shape.type));
+  // One shape without a text frame, such as a picture, fails the sync for all of them
+  await loadEach(context, textShapes, SHAPE_TEXT);
+  const textEntries = level.filter(({ shape }) => textShapes.includes(shape));
+  textEntries.forEach((entry) => {
+    const text = readText(entry.shape, SHAPE_TEXT);
+    if (text) {
+      found.push({ ...entry, cell: null, text });
+    }
+  });
+
+  const tables = level.filter(({ shape }) => shape.type === "Table");
+  if (tables.length === 0) {
+    return;
+  }
+  // Shape.getTable() came with PowerPointApi 1.8
+  if (!Office.context.requirements.isSetSupported("PowerPointApi", "1.8")) {
+    unsearched.add("table cells");
+    return;
+  }
+  const tableObjects = tables.map(({ shape }) => shape.getTable());
+  if (!(await tryLoad(context, tableObjects, "rowCount,columnCount"))) {
+    unsearched.add("table cells");
+    return;
+  }
+
+  const cells = tables.flatMap((entry, index) => {
+    const table = tableObjects[index];
+    const tableCells = [];
+    for (let row = 0; row < table.rowCount; row++) {
+      for (let column = 0; column < table.columnCount; column++) {
+        const cell = table.getCellOrNullObject(row, column);
+        tableCells.push({ entry, row, column, cell });
+      }
+    }
+    return tableCells;
+  });
+  if (
+    !(await tryLoad(
+      context,
+      cells.map(({ cell }) => cell),
+      "text"
+    ))
+  ) {
+    unsearched.add("table cells");
+    return;
+  }
+
+  cells.forEach(({ entry, row, column, cell }) => {
+    const text = readText(cell, "text");
+    if (text) {
+      found.push({ ...entry, order: [...entry.order, row, column], cell: { row, column }, text });
+    }
+  });
+}
+
+function toTextTarget({ slideId, slideIndex, path, names, cell, text }) {
+  const location = names.join(" > ");
+  return {
+    id: `${slideId}/${path.join("/")}` + (cell ? `@${cell.row},${cell.column}` : ""),
+    slideId,
+    slideIndex,
+    shapePath: path,
+    cell,
+    location: cell ? `${location}, row ${cell.row + 1}, column ${cell.column + 1}` : location,
+    text,
+  };
+}
+
+/**
+ * Loads the text of every shape on every slide, including shapes inside groups and the cells of
+ * tables. Text the host can't reach is reported rather than failing the search.
+ * @param slideIds {string[]|null} Only search these slides. Null searches the whole presentation.
+ * @returns {Promise<{targets: TextTarget[], unsearched: string[]}>} Targets in presentation
+ *   order, and the kinds of text that couldn't be searched, e.g. "table cells".
+ */
+export async function loadTextTargets(slideIds = null) {
+  return PowerPoint.run(async (context) => {
+    const slides = context.presentation.slides;
+    slides.load("items/id");
+    await context.sync();
+
+    const searched = slides.items
+      .map((slide, slideIndex) => ({ slide, slideIndex }))
+      .filter(({ slide }) => !slideIds || slideIds.includes(slide.id));
+    searched.forEach(({ slide }) => slide.shapes.load(itemPaths(CORE_SHAPE_PROPERTIES)));
+    await context.sync();
+
+    const found = [];
+    const unsearched = new Set();
+    const level = searched.flatMap(({ slide, slideIndex }) =>
+      slide.shapes.items.map((shape, shapeIndex) => ({
+        shape,
+        slideId: slide.id,
+        slideIndex: slideIndex + 1,
+        path: [shape.id],
+        names: [shape.name || shape.id],
+        order: [slideIndex, shapeIndex],
+      }))
+    );
+
+    const truncated = await walkShapeTree(
+      context,
+      level,
+      (entries) => collectText(context, entries, found, unsearched),
+      (entry, child, index) => ({
+        shape: child,
+        slideId: entry.slideId,
+        slideIndex: entry.slideIndex,
+        path: [...entry.path, child.id],
+        names: [...entry.names, child.name || child.id],
+        order: [...entry.order, index],
+      })
+    );
+    if (truncated) {
+      unsearched.add("grouped shapes");
+    }
+
+    found.sort((a, b) => compareTreeOrder(a.order, b.order));
+    return { targets: found.map(toTextTarget), unsearched: [...unsearched] };
+  });
+}
+
+// Shape text is written through its text range, whose substrings keep the formatting around them
+function getTextRange(shape) {
+  return shape.textFrame.textRange;
+}
+
+// Gets the shape's text range or the table cell holding a target's text
+function getTextObject(context, target) {
+  const [topId, ...childIds] = target.shapePath;
+  let shape = context.presentation.slides.getItem(target.slideId).shapes.getItem(topId);
+  childIds.forEach((id) => {
+    shape = shape.group.shapes.getItem(id);
+  });
+  return target.cell
+    ? shape.getTable().getCellOrNullObject(target.cell.row, target.cell.column)
+    : getTextRange(shape);
+}
+
+// Writes each changed span, last first so the earlier spans' positions still hold
+function writeEdits(textRange, edits) {
+  [...edits]
+    .sort((a, b) => b.index - a.index)
+    .forEach((edit) => {
+      textRange.getSubstring(edit.index, edit.length).text = edit.text;
+    });
+}
+
+// The edits that turn a replacement's text back into its previous text
+function invertEdits(previous, edits) {
+  let shift = 0;
+  return edits.map((edit) => {
+    const inverse = {
+      index: edit.index + shift,
+      length: edit.text.length,
+      text: previous.slice(edit.index, edit.index + edit.length),
+    };
+    shift += edit.text.length - edit.length;
+    return inverse;
+  });
+}
+
+/**
+ * Writes new texts in one batch. Texts that changed since they were read are left alone.
+ * @param replacements {TextReplacement[]}
+ * @returns {Promise<{replacements: TextReplacement[], stale: TextTarget[]}>} The replacements
+ *   that were written, and the targets skipped because their text changed.
+ */
+export async function writeTextReplacements(replacements) {
+  return PowerPoint.run(async (context) => {
+    const texts = replacements.map(({ target }) => getTextObject(context, target));
+    texts.forEach((object) => object.load("text"));
+    await context.sync();
+
+    const applied = [];
+    const stale = [];
+    replacements.forEach((replacement, index) => {
+      const object = texts[index];
+      if (readPath(object, "text") === replacement.previous) {
+        if (replacement.edits && !replacement.target.cell) {
+          writeEdits(object, replacement.edits);
+        } else {
+          writePath(object, "text", replacement.text);
+        }
+        applied.push(replacement);
+      } else {
+        stale.push(replacement.target);
+      }
+    });
+    await context.sync();
+
+    return { replacements: applied, stale };
+  });
+}
+
+/**
+ * Replaces the chosen matches in one batch.
+ * @param targets {TextTarget[]} The texts the matches were found in.
+ * @param matches {TextMatch[]} The matches to replace.
+ * @returns {Promise<{replacements: TextReplacement[], stale: TextTarget[]}>} The texts that were
+ *   replaced, and the ones skipped because they changed since the search.
+ */
+export async function applyTextReplacements(targets, matches) {
+  const replacements = targets
+    .map((target) => ({
+      target,
+      matches: matches.filter((match) => match.targetId === target.id),
+    }))
+    .filter((item) => item.matches.length > 0)
+    .map(({ target, matches: targetMatches }) => ({
+      target,
+      previous: target.text,
+      text: replaceMatches(target.text, targetMatches),
+      edits: targetMatches
+        .map((match) => ({
+          index: match.index,
+          length: match.text.length,
+          text: match.replacement,
+        }))
+        .sort((a, b) => a.index - b.index),
+    }));
+  if (replacements.length === 0) {
+    throw new Error("Pick the matches to replace");
+  }
+
+  return writeTextReplacements(replacements);
+}
+
+/**
+ * Puts back the texts a replacement changed.
+ * @param replacements {TextReplacement[]}
+ * @returns {Promise<{replacements: TextReplacement[], stale: TextTarget[]}>}
+ */
+export function undoTextReplacements(replacements) {
+  return writeTextReplacements(
+    replacements.map(({ target, previous, text, edits }) => ({
+      target,
+      previous: text,
+      text: previous,
+      edits: edits && invertEdits(previous, edits),
+    }))
+  );
+}
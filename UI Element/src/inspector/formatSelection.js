@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { hasSelection } from "./selectionModel";
+import { describeStyle } from "./style";
+
+const MAX_TEXT_LENGTH = 100;
+
+// Element type descriptions shown for the shape types that need some explanation
+const ELEMENT_TYPE_LABELS = {
+  Image: "Image/Picture",
+  Group: "Group (contains multiple elements)",
+  Table: "Table",
+  Chart: "Chart",
+  SmartArt: "SmartArt",
+};
+
+// Fill, line and text formatting, indented like the other details
+function formatStyle(style) {
+  return style
+    ? describeStyle(style)
+        .map((line) => `   ${line}\n`)
+        .join("")
+    : "";
+}
+
+// Helper function to get detailed information about a picture
+export function formatPictureDetails(picture, index) {
+  let details = `${index + 1}. ${picture.name || "Unnamed Picture"} (ID: ${picture.id})\n`;
+  details += `   Type: Picture/Image\n`;
+  details += `   Position: (${picture.left}, ${picture.top})\n`;
+  details += `   Size: ${picture.width} x ${picture.height}\n`;
+  details += `   Z-Index: ${picture.zIndex}\n`;
+
+  if (picture.altTextDescription) {
+    details += `   Alt Text: ${picture.altTextDescription}\n`;
+  }
+
+  if (picture.altTextTitle) {
+    details += `   Alt Text Title: ${picture.altTextTitle}\n`;
+  }
+
+  details += formatStyle(picture.style);
+  details += "\n";
+  return details;
+}
+
+// Helper function to get detailed information about a shape
+export function formatShapeDetails(shape, index) {
+  let details = `${index + 1}. ${shape.name || "Unnamed"} (ID: ${shape.id})\n`;
+  details += `   Type: ${shape.type}\n`;
+
+  if (ELEMENT_TYPE_LABELS[shape.type]) {
+    details += `   Element Type: ${ELEMENT_TYPE_LABELS[shape.type]}\n`;
+  }
+
+  details += `   Position: (${shape.left}, ${shape.top})\n`;
+  details += `   Size: ${shape.width} x ${shape.height}\n`;
+  details += `   Z-Index: ${shape.zIndex}\n`;
+
+  if (shape.text) {
+    // Truncate text if it's too long
+    const displayText =
+      shape.text.length > MAX_TEXT_LENGTH
+        ? shape.text.substring(0, MAX_TEXT_LENGTH) + "..."
+        : shape.text;
+    details += `   Text: "${displayText}"\n`;
+  }
+
+  details += formatStyle(shape.style);
+  details += "\n";
+  return details;
+}
+
+// Lists every element on the slide grouped by type, used when nothing is selected
+function formatSlideShapes(slideShapes) {
+  if (slideShapes.length === 0) {
+    return "No elements found on the current slide.";
+  }
+
+  let message = `All elements on current slide (${slideShapes.length} total):\n\n`;
+
+  // Group shapes by type
+  const elementsByType = {};
+  slideShapes.forEach((shape) => {
+    const type = shape.type || "Unknown";
+    if (!elementsByType[type]) {
+      elementsByType[type] = [];
+    }
+    elementsByType[type].push(shape);
+  });
+
+  for (const type in elementsByType) {
+    message += `== ${type} Elements (${elementsByType[type].length}) ==\n\n`;
+
+    elementsByType[type].forEach((element, index) => {
+      message += `${index + 1}. ${element.name || "Unnamed"} (ID: ${element.id})\n`;
+      message += `   Position: (${element.left}, ${element.top})\n`;
+      message += `   Size: ${element.width} x ${element.height}\n`;
+      message += `   Z-Index: ${element.zIndex}\n\n`;
+    });
+  }
+
+  message += "\nTips for selecting elements:\n";
+  message += "1. Click directly on the element you want to examine\n";
+  message += "2. Press the 'Get Info' button immediately after selecting\n";
+  message += "3. For text elements, try selecting some text within the element\n";
+  message += "4. Select an element and choose 'Inspect Element' on the ribbon";
+
+  return message;
+}
+
+// Lists what every detection strategy reported, so a wrong guess can be traced to its strategy
+function formatCandidates(candidates) {
+  if (!candidates || candidates.length === 0) {
+    return "";
+  }
+
+  let message = "\n\nDetection candidates:\n";
+  candidates.forEach((candidate) => {
+    message += `- ${candidate.strategyId} (confidence ${candidate.confidence}): ${candidate.status}`;
+    if (candidate.status === "matched") {
+      message += ` [${candidate.shapeIds.join(", ")}]`;
+    } else if (candidate.error) {
+      message += ` - ${candidate.error}`;
+    }
+    message += "\n";
+  });
+
+  return message;
+}
+
+// Says that only the first of several selected slides is described below
+function formatSlideCount(model) {
+  const count = model.slideIds ? model.slideIds.length : 0;
+  return count > 1 ? `${count} slides selected; elements are listed for the first one.\n\n` : "";
+}
+
+/**
+ * Renders a selection model as the plain-text report shown in the task pane.
+ * @param model {import("./selectionModel").SelectionModel}
+ * @returns {string}
+ */
+export function formatSelectionModel(model) {
+  if (!hasSelection(model)) {
+    return (
+      formatSlideCount(model) +
+      "No element is currently selected.\n\n" +
+      formatSlideShapes(model.slideShapes)
+    );
+  }
+
+  let message = "=== CURRENT SELECTION INFO ===\n\n" + formatSlideCount(model);
+
+  // If we have selected text, show it first
+  if (model.text) {
+    message += "SELECTED TEXT:\n";
+    message += `"${model.text}"\n\n`;
+  }
+
+  const pictures = model.shapes.filter((shape) => shape.type === "Image");
+  const otherShapes = model.shapes.filter((shape) => shape.type !== "Image");
+
+  if (pictures.length > 0) {
+    message += `SELECTED PICTURE${pictures.length > 1 ? "S" : ""}:\n`;
+    pictures.forEach((picture, index) => {
+      message += formatPictureDetails(picture, index);
+    });
+    message += "\n";
+  }
+
+  if (otherShapes.length > 0) {
+    message += `SELECTED SHAPE${otherShapes.length > 1 ? "S" : ""}:\n`;
+    otherShapes.forEach((shape, index) => {
+      message += formatShapeDetails(shape, index);
+    });
+  }
+
+  if (model.detectionMethod) {
+    message += "\nDetection method: " + model.detectionMethod;
+  }
+
+  message += formatCandidates(model.candidates);
+
+  return message;
+}
@@ -0,0 +1,143 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global PowerPoint */
+
+import { loadEach, walkShapeTree } from "./loading";
+import { toShapeModel } from "./selectionModel";
+
+/**
+ * @typedef {import("./selectionModel").ShapeModel & {
+ *   shapePath: string[],
+ *   relativeLeft: number|null,
+ *   relativeTop: number|null,
+ *   children: GroupNode[],
+ * }} GroupNode A shape in a group. left and top are on the slide; relativeLeft and relativeTop
+ *   are from the top-left corner of the group holding the shape. shapePath lists the ids from
+ *   the top-level group down to the shape.
+ */
+
+function offset(value, origin) {
+  return typeof value === "number" && typeof origin === "number"
+    ? Math.round((value - origin) * 100) / 100
+    : null;
+}
+
+function toGroupNode(shape, parent) {
+  const model = toShapeModel(shape);
+  return {
+    ...model,
+    shapePath: parent ? [...parent.shapePath, model.id] : [model.id],
+    relativeLeft: parent ? offset(model.left, parent.left) : null,
+    relativeTop: parent ? offset(model.top, parent.top) : null,
+    children: [],
+  };
+}
+
+/**
+ * Loads a group and the shapes inside it, following nested groups.
+ * @param slideId {string}
+ * @param shapeId {string} A top-level group on the slide.
+ * @returns {Promise<{root: GroupNode, truncated: boolean}>} truncated is true when some nested
+ *   groups couldn't be read, because they're too deep or the host can't read group contents.
+ */
+export async function loadGroupTree(slideId, shapeId) {
+  return PowerPoint.run(async (context) => {
+    const shape = context.presentation.slides.getItem(slideId).shapes.getItem(shapeId);
+    shape.load("id,name,type,left,top,width,height");
+    await context.sync();
+    if (shape.type !== "Group") {
+      throw new Error(`${shape.name || shapeId} isn't a group`);
+    }
+
+    const root = toGroupNode(shape, null);
+    const truncated = await walkShapeTree(
+      context,
+      [{ node: root, shape }],
+      async (level) => {
+        // The group itself was loaded above; its shapes get their node once their text loads
+        const children = level.filter((entry) => entry.parent);
+        // Text is optional, and one shape without it fails the sync for all of them
+        await loadEach(
+          context,
+          children.map((entry) => entry.shape),
+          "textFrame/textRange/text"
+        );
+        children.forEach((entry) => {
+          entry.node = toGroupNode(entry.shape, entry.parent);
+          entry.parent.children.push(entry.node);
+        });
+      },
+      (entry, child) => ({ parent: entry.node, shape: child })
+    );
+
+    return { root, truncated };
+  });
+}
+
+/**
+ * Finds a shape in a group tree.
+ * @param root {GroupNode}
+ * @param shapeId {string}
+ * @returns {GroupNode|null}
+ */
+export function findGroupNode(root, shapeId) {
+  if (root.id === shapeId) {
+    return root;
+  }
+  for (const child of root.children) {
+    const found = findGroupNode(child, shapeId);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Groups top-level shapes on a slide.
+ * @param slideId {string}
+ * @param shapeIds {string[]} Two or more shapes.
+ * @returns {Promise<string>} The id of the new group.
+ */
+export async function groupShapes(slideId, shapeIds) {
+  if (shapeIds.length < 2) {
+    throw new Error("Select two or more shapes to group");
+  }
+
+  return PowerPoint.run(async (context) => {
+    const group = context.presentation.slides.getItem(slideId).shapes.addGroup(shapeIds);
+    group.load("id");
+    await context.sync();
+    return group.id;
+  });
+}
+
+/**
+ * Ungroups a top-level group, leaving its shapes on the slide.
+ * @param slideId {string}
+ * @param shapeId {string}
+ * @returns {Promise<string[]>} The ids of the shapes that were in the group.
+ */
+export async function ungroupShape(slideId, shapeId) {
+  return PowerPoint.run(async (context) => {
+    const shapes = context.presentation.slides.getItem(slideId).shapes;
+    const shape = shapes.getItem(shapeId);
+    shape.load("name,type");
+    await context.sync();
+    if (shape.type !== "Group") {
+      throw new Error(`${shape.name || shapeId} isn't a group`);
+    }
+
+    const group = shapes.getItem(shapeId).group;
+    group.shapes.load("items/id");
+    await context.sync();
+    const childIds = group.shapes.items.map((child) => child.id);
+
+    group.ungroup();
+    await context.sync();
+    return childIds;
+  });
+}
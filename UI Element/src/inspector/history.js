@@ -0,0 +1,182 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Older snapshots are dropped once the history holds this many
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} SelectionSnapshot
+ * @property {number} id Sequence number, unique within a history.
+ * @property {string} timestamp ISO 8601 time the selection was resolved.
+ * @property {string|null} slideId
+ * @property {import("./selectionModel").ShapeModel[]} shapes
+ */
+
+/**
+ * @typedef {Object} PropertyChange
+ * @property {"moved"|"resized"|"renamed"|"text"|"alt text"|"reordered"} kind
+ * @property {string} property
+ * @property {*} before
+ * @property {*} after
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {{shapeId: string, name: string|null, changes: PropertyChange[]}[]} shapes Shapes in
+ *   both snapshots that changed.
+ * @property {string[]} unchanged Ids of shapes in both snapshots that didn't change.
+ * @property {string[]} removed Ids of shapes only in the first snapshot.
+ * @property {string[]} added Ids of shapes only in the second snapshot.
+ */
+
+// The properties compared between snapshots, and what a change to each means
+const TRACKED_PROPERTIES = [
+  ["left", "moved"],
+  ["top", "moved"],
+  ["width", "resized"],
+  ["height", "resized"],
+  ["name", "renamed"],
+  ["text", "text"],
+  ["altTextTitle", "alt text"],
+  ["altTextDescription", "alt text"],
+  ["zIndex", "reordered"],
+];
+
+function snapshotKey(slideId, shapes) {
+  return JSON.stringify([
+    slideId,
+    shapes.map((shape) => TRACKED_PROPERTIES.map(([property]) => shape[property]).concat(shape.id)),
+  ]);
+}
+
+/**
+ * Creates a history of resolved selections. Selecting the same shapes again without changing
+ * them isn't recorded twice in a row.
+ * @param options {Object}
+ * @param options.limit {number} Most snapshots to keep.
+ */
+export function createSelectionHistory(options = {}) {
+  const limit = options.limit || DEFAULT_HISTORY_LIMIT;
+  let snapshots = [];
+  let nextId = 1;
+  let lastKey = null;
+
+  return {
+    /**
+     * Records a selection model. Selections without shapes are ignored.
+     * @param model {import("./selectionModel").SelectionModel}
+     * @returns {SelectionSnapshot|null} The new snapshot, or null when nothing was recorded.
+     */
+    record(model) {
+      if (!model || model.shapes.length === 0) {
+        return null;
+      }
+      const key = snapshotKey(model.slideId, model.shapes);
+      if (key === lastKey) {
+        return null;
+      }
+
+      const snapshot = {
+        id: nextId++,
+        timestamp: model.timestamp,
+        slideId: model.slideId,
+        shapes: model.shapes.map((shape) => ({ ...shape })),
+      };
+      snapshots = [...snapshots, snapshot].slice(-limit);
+      lastKey = key;
+      return snapshot;
+    },
+
+    get(id) {
+      return snapshots.find((snapshot) => snapshot.id === id) || null;
+    },
+
+    /** @returns {SelectionSnapshot[]} Snapshots, oldest first. */
+    list() {
+      return [...snapshots];
+    },
+
+    clear() {
+      snapshots = [];
+      lastKey = null;
+    },
+  };
+}
+
+/**
+ * Lists what changed on a shape between two snapshots.
+ * @param before {import("./selectionModel").ShapeModel}
+ * @param after {import("./selectionModel").ShapeModel}
+ * @returns {PropertyChange[]}
+ */
+export function diffShapes(before, after) {
+  return TRACKED_PROPERTIES.filter(([property]) => before[property] !== after[property]).map(
+    ([property, kind]) => ({ kind, property, before: before[property], after: after[property] })
+  );
+}
+
+/**
+ * Compares the shapes two snapshots have in common.
+ * @param from {SelectionSnapshot}
+ * @param to {SelectionSnapshot}
+ * @returns {SnapshotDiff}
+ */
+export function diffSnapshots(from, to) {
+  const fromShapes = new Map(from.shapes.map((shape) => [shape.id, shape]));
+  const toIds = new Set(to.shapes.map((shape) => shape.id));
+  const diff = { shapes: [], unchanged: [], removed: [], added: [] };
+
+  to.shapes.forEach((shape) => {
+    if (!fromShapes.has(shape.id)) {
+      diff.added.push(shape.id);
+      return;
+    }
+    const changes = diffShapes(fromShapes.get(shape.id), shape);
+    if (changes.length === 0) {
+      diff.unchanged.push(shape.id);
+    } else {
+      diff.shapes.push({ shapeId: shape.id, name: shape.name, changes });
+    }
+  });
+  diff.removed = from.shapes.map((shape) => shape.id).filter((id) => !toIds.has(id));
+
+  return diff;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return "(none)";
+  }
+  return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats a snapshot diff as text for the task pane.
+ * @param diff {SnapshotDiff}
+ * @returns {string}
+ */
+export function formatSnapshotDiff(diff) {
+  const lines = [];
+  diff.shapes.forEach(({ shapeId, name, changes }) => {
+    lines.push(`${name || shapeId} (ID: ${shapeId})`);
+    changes.forEach(({ kind, property, before, after }) => {
+      lines.push(`  ${kind}: ${property} ${formatValue(before)} -> ${formatValue(after)}`);
+    });
+  });
+
+  if (diff.unchanged.length > 0) {
+    lines.push(`Unchanged: ${diff.unchanged.join(", ")}`);
+  }
+  if (diff.removed.length > 0) {
+    lines.push(`Only in the first snapshot: ${diff.removed.join(", ")}`);
+  }
+  if (diff.added.length > 0) {
+    lines.push(`Only in the second snapshot: ${diff.added.join(", ")}`);
+  }
+  if (diff.shapes.length === 0 && diff.unchanged.length === 0) {
+    lines.push("The snapshots have no shapes in common.");
+  }
+  return lines.join("\n");
+}
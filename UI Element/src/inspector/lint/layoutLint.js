@@ -0,0 +1,333 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import defaultConfig from "./layoutLintConfig.json";
+
+export const SEVERITIES = ["error", "warning", "info", "off"];
+
+export const DEFAULT_LINT_CONFIG = defaultConfig;
+
+// 16:9 slides in points, for hosts that can't read the page setup
+export const DEFAULT_SLIDE_SIZE = { width: 960, height: 540 };
+
+// Differences below this many points are rounding noise, not misalignment
+const EPSILON = 0.01;
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {string} rule
+ * @property {"error"|"warning"|"info"} severity
+ * @property {string} slideId
+ * @property {number} slideIndex
+ * @property {string|null} shapeId
+ * @property {string|null} shapeName
+ * @property {string} message
+ */
+
+/**
+ * Merges a user config over the defaults and checks that every severity is known.
+ * @param config {Object} Partial config, e.g. { rules: { overlap: { severity: "off" } } }. A
+ *   slideSize in it overrides the presentation's.
+ * @param slideSize {{width: number, height: number}|null} The presentation's slide size, from
+ *   loadSlideSize(). Null uses DEFAULT_SLIDE_SIZE.
+ * @returns {Object} The complete config.
+ */
+export function resolveLintConfig(config = {}, slideSize = null) {
+  const rules = {};
+  Object.keys(DEFAULT_LINT_CONFIG.rules).forEach((rule) => {
+    rules[rule] = { ...DEFAULT_LINT_CONFIG.rules[rule], ...(config.rules || {})[rule] };
+  });
+
+  Object.keys(config.rules || {}).forEach((rule) => {
+    if (!rules[rule]) {
+      throw new Error(`Unknown layout rule "${rule}"`);
+    }
+  });
+  Object.keys(rules).forEach((rule) => {
+    if (!SEVERITIES.includes(rules[rule].severity)) {
+      throw new Error(
+        `Rule "${rule}" has severity "${rules[rule].severity}", expected one of ${SEVERITIES.join(", ")}`
+      );
+    }
+  });
+
+  return {
+    slideSize: { ...(slideSize || DEFAULT_SLIDE_SIZE), ...config.slideSize },
+    rules,
+  };
+}
+
+/**
+ * Returns the most common value and how often it occurs. Ties go to the value seen first.
+ * @param values {Array}
+ * @returns {{value: *, count: number}|null}
+ */
+export function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+
+  let best = null;
+  counts.forEach((count, value) => {
+    if (!best || count > best.count) {
+      best = { value, count };
+    }
+  });
+  return best;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function label(shape) {
+  return `"${shape.name || shape.id}"`;
+}
+
+function hasGeometry(shape) {
+  return ["left", "top", "width", "height"].every((key) => typeof shape[key] === "number");
+}
+
+function createIssue(rule, severity, slide, shape, message) {
+  return {
+    rule,
+    severity,
+    slideId: slide.id,
+    slideIndex: slide.index,
+    shapeId: shape ? shape.id : null,
+    shapeName: shape ? shape.name : null,
+    message,
+  };
+}
+
+function checkOffSlide(slide, shapes, config, report) {
+  const { width, height } = config.slideSize;
+  shapes.forEach((shape) => {
+    const sides = [];
+    if (shape.left < -EPSILON) {
+      sides.push("left");
+    }
+    if (shape.top < -EPSILON) {
+      sides.push("top");
+    }
+    if (shape.left + shape.width > width + EPSILON) {
+      sides.push("right");
+    }
+    if (shape.top + shape.height > height + EPSILON) {
+      sides.push("bottom");
+    }
+
+    if (sides.length > 0) {
+      report(slide, shape, `${label(shape)} extends off the slide (${sides.join(", ")})`);
+    }
+  });
+}
+
+function contains(outer, inner) {
+  return (
+    inner.left >= outer.left - EPSILON &&
+    inner.top >= outer.top - EPSILON &&
+    inner.left + inner.width <= outer.left + outer.width + EPSILON &&
+    inner.top + inner.height <= outer.top + outer.height + EPSILON
+  );
+}
+
+function checkOverlap(slide, shapes, config, report) {
+  const { minOverlapArea, ignoreContained } = config.rules.overlap;
+  shapes.forEach((a, i) => {
+    shapes.slice(i + 1).forEach((b) => {
+      const overlapWidth = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+      const overlapHeight = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+      if (overlapWidth <= 0 || overlapHeight <= 0) {
+        return;
+      }
+      if (overlapWidth * overlapHeight < minOverlapArea) {
+        return;
+      }
+      // A shape sitting inside another, like a label on a box, is usually intentional
+      if (ignoreContained && (contains(a, b) || contains(b, a))) {
+        return;
+      }
+      report(
+        slide,
+        b,
+        `${label(b)} overlaps ${label(a)} by ${round(overlapWidth)} x ${round(overlapHeight)}pt`
+      );
+    });
+  });
+}
+
+// Edges compared for alignment, per axis
+const ALIGNMENT_EDGES = {
+  horizontal: [
+    ["left", (s) => s.left],
+    ["right", (s) => s.left + s.width],
+    ["center", (s) => s.left + s.width / 2],
+  ],
+  vertical: [
+    ["top", (s) => s.top],
+    ["bottom", (s) => s.top + s.height],
+    ["middle", (s) => s.top + s.height / 2],
+  ],
+};
+
+function checkNearAlignment(slide, shapes, config, report) {
+  const { tolerance } = config.rules["near-alignment"];
+  shapes.forEach((a, i) => {
+    shapes.slice(i + 1).forEach((b) => {
+      Object.values(ALIGNMENT_EDGES).forEach((edges) => {
+        const differences = edges.map(([edge, position]) => ({
+          edge,
+          difference: Math.abs(position(a) - position(b)),
+        }));
+        // Shapes that already share an edge on this axis are aligned on purpose
+        if (differences.some(({ difference }) => difference < EPSILON)) {
+          return;
+        }
+        const nearMiss = differences.find(({ difference }) => difference <= tolerance);
+        if (nearMiss) {
+          report(
+            slide,
+            b,
+            `${label(b)}'s ${nearMiss.edge} edge is ${round(nearMiss.difference)}pt off ${label(a)}'s`
+          );
+        }
+      });
+    });
+  });
+}
+
+function slideMargins(shapes, config) {
+  const { width, height } = config.slideSize;
+  // Full-bleed and off-slide shapes don't define the content margins
+  const content = shapes.filter(
+    (shape) =>
+      shape.left > EPSILON &&
+      shape.top > EPSILON &&
+      shape.left + shape.width < width - EPSILON &&
+      shape.top + shape.height < height - EPSILON
+  );
+  if (content.length === 0) {
+    return null;
+  }
+
+  const measures = {
+    left: (shape) => shape.left,
+    top: (shape) => shape.top,
+    right: (shape) => width - shape.left - shape.width,
+    bottom: (shape) => height - shape.top - shape.height,
+  };
+
+  // The margin on each side is set by the shape closest to that edge
+  const margins = {};
+  Object.keys(measures).forEach((side) => {
+    const measure = measures[side];
+    const shape = content.reduce((best, item) => (measure(item) < measure(best) ? item : best));
+    margins[side] = { value: round(measure(shape)), shape };
+  });
+  return margins;
+}
+
+function checkMargins(entries, config, report) {
+  const { tolerance } = config.rules["inconsistent-margins"];
+  const withMargins = entries
+    .map(({ slide, shapes }) => ({ slide, margins: slideMargins(shapes, config) }))
+    .filter(({ margins }) => margins !== null);
+
+  ["left", "top", "right", "bottom"].forEach((side) => {
+    const common = mostCommon(withMargins.map(({ margins }) => margins[side].value));
+    if (!common || common.count < 2) {
+      return;
+    }
+    withMargins.forEach(({ slide, margins }) => {
+      const margin = margins[side];
+      if (Math.abs(margin.value - common.value) > tolerance) {
+        report(
+          slide,
+          margin.shape,
+          `${side} margin is ${margin.value}pt, most slides use ${common.value}pt`
+        );
+      }
+    });
+  });
+}
+
+// Shapes playing the same role across slides, e.g. every title, should use the same font size
+function fontRole(shape) {
+  if (shape.placeholderType) {
+    return shape.placeholderType;
+  }
+  return /^title\b/i.test(shape.name || "") ? "Title" : null;
+}
+
+function checkFontSizes(entries, config, report) {
+  const { tolerance } = config.rules["inconsistent-font-size"];
+  const byRole = new Map();
+  entries.forEach(({ slide, shapes }) => {
+    shapes.forEach((shape) => {
+      const role = fontRole(shape);
+      if (role && typeof shape.fontSize === "number") {
+        if (!byRole.has(role)) {
+          byRole.set(role, []);
+        }
+        byRole.get(role).push({ slide, shape });
+      }
+    });
+  });
+
+  byRole.forEach((items, role) => {
+    const common = mostCommon(items.map(({ shape }) => shape.fontSize));
+    if (!common || common.count < 2) {
+      return;
+    }
+    items.forEach(({ slide, shape }) => {
+      if (Math.abs(shape.fontSize - common.value) > tolerance) {
+        report(
+          slide,
+          shape,
+          `${role} text is ${shape.fontSize}pt, most slides use ${common.value}pt`
+        );
+      }
+    });
+  });
+}
+
+const SLIDE_RULES = {
+  "off-slide": checkOffSlide,
+  overlap: checkOverlap,
+  "near-alignment": checkNearAlignment,
+};
+
+const DECK_RULES = {
+  "inconsistent-margins": checkMargins,
+  "inconsistent-font-size": checkFontSizes,
+};
+
+/**
+ * Runs the layout rules over the slides.
+ * @param slides {import("../presentationData").PresentationSlide[]}
+ * @param config {Object} Partial config merged over the defaults.
+ * @returns {LintIssue[]} Issues ordered by slide.
+ */
+export function lintPresentation(slides, config = {}) {
+  const resolved = resolveLintConfig(config);
+  const issues = [];
+  const reporter = (rule) => (slide, shape, message) =>
+    issues.push(createIssue(rule, resolved.rules[rule].severity, slide, shape, message));
+  const isEnabled = (rule) => resolved.rules[rule].severity !== "off";
+
+  const entries = slides.map((slide) => ({ slide, shapes: slide.shapes.filter(hasGeometry) }));
+
+  entries.forEach(({ slide, shapes }) => {
+    Object.keys(SLIDE_RULES)
+      .filter(isEnabled)
+      .forEach((rule) => SLIDE_RULES[rule](slide, shapes, resolved, reporter(rule)));
+  });
+
+  Object.keys(DECK_RULES)
+    .filter(isEnabled)
+    .forEach((rule) => DECK_RULES[rule](entries, resolved, reporter(rule)));
+
+  return issues.sort((a, b) => a.slideIndex - b.slideIndex);
+}
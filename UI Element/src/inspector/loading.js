@@ -0,0 +1,147 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Properties every shape has on every host
+export const CORE_SHAPE_PROPERTIES = ["id", "name", "type", "left", "top", "width", "height"];
+
+// Groups can nest, but templates rarely go deeper than this
+export const MAX_GROUP_DEPTH = 5;
+
+/**
+ * Turns property names into load paths on the items of a collection.
+ * @param properties {string[]}
+ * @param prefix {string} Path to the collection, e.g. "group/shapes/".
+ * @returns {string} E.g. "group/shapes/items/id,group/shapes/items/name".
+ */
+export function itemPaths(properties, prefix = "") {
+  return properties.map((property) => `${prefix}items/${property}`).join(",");
+}
+
+/**
+ * Loads properties on several objects in one sync. A host that doesn't know one of the
+ * properties, or one object that doesn't have it, fails the whole sync.
+ * @param context {PowerPoint.RequestContext}
+ * @param objects {OfficeExtension.ClientObject[]}
+ * @param properties {string} Comma-separated load paths.
+ * @returns {Promise<boolean>} Whether the properties loaded.
+ */
+export async function tryLoad(context, objects, properties) {
+  if (objects.length === 0) {
+    return true;
+  }
+  try {
+    objects.forEach((object) => object.load(properties));
+    await context.sync();
+    return true;
+  } catch {
+    // Expected for properties some shapes or hosts don't have, so it isn't logged
+    return false;
+  }
+}
+
+/**
+ * Loads properties on every object, falling back to one object at a time when some of them,
+ * such as pictures without a text frame, don't have the properties.
+ * @param context {PowerPoint.RequestContext}
+ * @param objects {OfficeExtension.ClientObject[]}
+ * @param properties {string} Comma-separated load paths.
+ * @returns {Promise<OfficeExtension.ClientObject[]>} The objects that loaded.
+ */
+export async function loadEach(context, objects, properties) {
+  if (await tryLoad(context, objects, properties)) {
+    return objects;
+  }
+  if (objects.length === 1) {
+    return [];
+  }
+  const loaded = [];
+  for (const object of objects) {
+    if (await tryLoad(context, [object], properties)) {
+      loaded.push(object);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Reads a value by load path, e.g. "textFrame/textRange/font/size".
+ * @param object {Object}
+ * @param path {string}
+ * @returns {*} Null when the value didn't load or isn't there.
+ */
+export function readPath(object, path) {
+  try {
+    const value = path.split("/").reduce((parent, key) => parent[key], object);
+    return value === undefined ? null : value;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sets a value by load path, e.g. "textFrame/textRange/text".
+ * @param object {Object}
+ * @param path {string}
+ * @param value {*}
+ */
+export function writePath(object, path, value) {
+  const keys = path.split("/");
+  const last = keys.pop();
+  keys.reduce((parent, key) => parent[key], object)[last] = value;
+}
+
+/**
+ * Compares the positions of two shapes in a shape tree, given as the index of each enclosing
+ * shape from the top level down. A group comes before the shapes in it.
+ * @param a {number[]}
+ * @param b {number[]}
+ * @returns {number}
+ */
+export function compareTreeOrder(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Walks down a tree of shapes one level at a time, so each level only needs a few syncs
+ * however many groups it holds.
+ * @param context {PowerPoint.RequestContext}
+ * @param level {{shape: PowerPoint.Shape}[]} Entries for the top-level shapes, loaded with
+ *   CORE_SHAPE_PROPERTIES.
+ * @param visit {function(Object[]): Promise<void>} Called with the entries of each level.
+ * @param childEntry {function(Object, PowerPoint.Shape, number): Object} Makes the entry for a
+ *   shape in a group from the group's entry, the shape and its position in the group.
+ * @returns {Promise<boolean>} Whether some groups weren't walked, because they're nested too
+ *   deep or the host can't read group contents.
+ */
+export async function walkShapeTree(context, level, visit, childEntry) {
+  for (let depth = 0; level.length > 0; depth++) {
+    await visit(level);
+
+    const groups = level.filter(({ shape }) => shape.type === "Group");
+    if (groups.length === 0) {
+      break;
+    }
+    if (
+      depth === MAX_GROUP_DEPTH ||
+      !(await tryLoad(
+        context,
+        groups.map(({ shape }) => shape),
+        itemPaths(CORE_SHAPE_PROPERTIES, "group/shapes/")
+      ))
+    ) {
+      return true;
+    }
+
+    level = groups.flatMap((entry) =>
+      entry.shape.group.shapes.items.map((child, index) => childEntry(entry, child, index))
+    );
+  }
+  return false;
+}
@@ -0,0 +1,149 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { DEFAULT_SLIDE_SIZE } from "./lint/layoutLint";
+
+// Outline colors by shape type. Types not listed use DEFAULT_COLOR.
+export const SHAPE_TYPE_COLORS = {
+  GeometricShape: "#0078d4",
+  TextBox: "#107c10",
+  Image: "#8764b8",
+  Table: "#ca5010",
+  Chart: "#c239b3",
+  Group: "#038387",
+  Line: "#605e5c",
+  Placeholder: "#4f6bed",
+  Media: "#986f0b",
+};
+
+const DEFAULT_COLOR = "#8a8886";
+
+// Label font size and the space around the slide, in points
+export const LABEL_SIZE = 14;
+const MARGIN = 10;
+
+// Lines have no height or no width, so boxes get at least this size to stay visible
+const MIN_BOX_SIZE = 1;
+
+// Average glyph width relative to the font size, used to fit labels in their box
+const GLYPH_WIDTH = 0.6;
+
+const TOOLTIP_TEXT_LENGTH = 60;
+
+/**
+ * @typedef {Object} MinimapBox
+ * @property {string} id
+ * @property {string|null} name
+ * @property {string|null} type
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {string} color
+ * @property {boolean} selected
+ * @property {string} label The name shortened to fit the box, or "" when no part of it fits.
+ * @property {string} tooltip
+ */
+
+/**
+ * @typedef {Object} MinimapLayout
+ * @property {string} slideId
+ * @property {{x: number, y: number, width: number, height: number}} viewBox Covers the slide and
+ *   any shape hanging off it.
+ * @property {{width: number, height: number}} slide
+ * @property {MinimapBox[]} boxes Back to front.
+ */
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function hasGeometry(shape) {
+  return ["left", "top", "width", "height"].every((key) => typeof shape[key] === "number");
+}
+
+// Shapes without a z-order keep the order the host listed them in
+function stackOrder({ shape, order }) {
+  return typeof shape.zIndex === "number" ? shape.zIndex : order;
+}
+
+function fitLabel(name, width) {
+  const characters = Math.floor(width / (LABEL_SIZE * GLYPH_WIDTH));
+  if (!name || characters < 3) {
+    return "";
+  }
+  return name.length <= characters ? name : name.slice(0, characters - 1) + "…";
+}
+
+function describeShape(shape) {
+  const lines = [
+    `${shape.name || "Unnamed"} (${shape.type || "Unknown"})`,
+    `Position: (${round(shape.left)}, ${round(shape.top)})`,
+    `Size: ${round(shape.width)} x ${round(shape.height)}`,
+  ];
+  const text = (shape.text || "").trim();
+  if (text) {
+    const snippet =
+      text.length > TOOLTIP_TEXT_LENGTH ? text.slice(0, TOOLTIP_TEXT_LENGTH) + "…" : text;
+    lines.push(`Text: "${snippet}"`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Lays out the shapes on the selected slide as boxes for the task pane minimap.
+ * @param model {import("./selectionModel").SelectionModel}
+ * @param slideSize {{width: number, height: number}|null} In points, as read from the page setup.
+ *   Null uses the layout lint's default size, for hosts that can't read the page setup.
+ * @returns {MinimapLayout|null} Null when no slide is selected.
+ */
+export function layoutMinimap(model, slideSize = null) {
+  if (!model.slideId) {
+    return null;
+  }
+  if (!slideSize) {
+    slideSize = DEFAULT_SLIDE_SIZE;
+  }
+
+  // Hosts that can't list the slide's shapes still report the selected ones
+  const listed = new Set(model.slideShapes.map((shape) => shape.id));
+  const selectedIds = new Set(model.shapes.map((shape) => shape.id));
+  const shapes = [
+    ...model.slideShapes,
+    ...model.shapes.filter((shape) => !listed.has(shape.id)),
+  ].filter(hasGeometry);
+
+  const boxes = shapes
+    .map((shape, order) => ({ shape, order }))
+    .sort((a, b) => stackOrder(a) - stackOrder(b) || a.order - b.order)
+    .map(({ shape }) => {
+      const width = Math.max(shape.width, MIN_BOX_SIZE);
+      return {
+        id: shape.id,
+        name: shape.name,
+        type: shape.type,
+        x: shape.left,
+        y: shape.top,
+        width,
+        height: Math.max(shape.height, MIN_BOX_SIZE),
+        color: SHAPE_TYPE_COLORS[shape.type] || DEFAULT_COLOR,
+        selected: selectedIds.has(shape.id),
+        label: shape.height >= LABEL_SIZE ? fitLabel(shape.name, width) : "",
+        tooltip: describeShape(shape),
+      };
+    });
+
+  const left = Math.min(0, ...boxes.map((box) => box.x)) - MARGIN;
+  const top = Math.min(0, ...boxes.map((box) => box.y)) - MARGIN;
+  const right = Math.max(slideSize.width, ...boxes.map((box) => box.x + box.width)) + MARGIN;
+  const bottom = Math.max(slideSize.height, ...boxes.map((box) => box.y + box.height)) + MARGIN;
+
+  return {
+    slideId: model.slideId,
+    viewBox: { x: left, y: top, width: right - left, height: bottom - top },
+    slide: { width: slideSize.width, height: slideSize.height },
+    boxes,
+  };
+}
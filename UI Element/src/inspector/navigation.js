@@ -0,0 +1,31 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global PowerPoint */
+
+/**
+ * Shows a slide in PowerPoint and optionally selects shapes on it.
+ * @param slideId {string}
+ * @param shapeIds {string[]} Top-level shapes on the slide to select.
+ */
+export async function goToSlide(slideId, shapeIds = []) {
+  return PowerPoint.run(async (context) => {
+    context.presentation.setSelectedSlides([slideId]);
+    if (shapeIds.length > 0) {
+      // Shapes are selected through the slide holding them
+      context.presentation.slides.getItem(slideId).setSelectedShapes(shapeIds);
+    }
+    await context.sync();
+  });
+}
+
+/**
+ * Shows the slide holding a shape and selects the shape.
+ * @param slideId {string}
+ * @param shapeId {string}
+ */
+export function goToShape(slideId, shapeId) {
+  return goToSlide(slideId, [shapeId]);
+}
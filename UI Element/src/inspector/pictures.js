@@ -0,0 +1,157 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office, PowerPoint */
+
+import { CORE_SHAPE_PROPERTIES, itemPaths, walkShapeTree } from "./loading";
+
+// PowerPoint's JavaScript API has no image object. PowerPointApi 1.10 can render a shape as a
+// PNG, but the original file stays out of reach.
+export const PICTURE_DATA_UNAVAILABLE =
+  "PowerPoint's JavaScript API doesn't expose the original image files, so their format, " +
+  "pixel size, crop and file size can't be read. Use Compress Pictures in PowerPoint to " +
+  "shrink them.";
+
+export const PICTURE_IMAGES_UNAVAILABLE =
+  "Pictures weren't rendered: thumbnails and downloads require PowerPointApi 1.10, which this " +
+  "host doesn't support.";
+
+// Thumbnail height in pixels, twice the displayed size for high-DPI screens
+const THUMBNAIL_HEIGHT = 96;
+
+/**
+ * @typedef {Object} PictureInfo
+ * @property {string} slideId
+ * @property {number} slideIndex 1-based slide number.
+ * @property {string} shapeId
+ * @property {string[]} shapePath Shape ids from the top-level shape down to the picture.
+ * @property {string|null} name
+ * @property {string} location E.g. "Logo group > Logo mark".
+ * @property {number} width Size on the slide, in points.
+ * @property {number} height
+ * @property {string|null} thumbnail PNG rendering in base64, null on hosts before PowerPointApi
+ *   1.10.
+ */
+
+function toPictureInfo({ shape, slideId, slideIndex, path, names }, thumbnail) {
+  return {
+    slideId,
+    slideIndex,
+    shapeId: shape.id,
+    shapePath: path,
+    name: shape.name || null,
+    location: names.join(" > "),
+    width: shape.width,
+    height: shape.height,
+    thumbnail: thumbnail ? thumbnail.value : null,
+  };
+}
+
+function canRenderShapes() {
+  return Office.context.requirements.isSetSupported("PowerPointApi", "1.10");
+}
+
+// Shapes inside groups are reached through each enclosing group
+function getShape(context, { slideId, shapePath }) {
+  const [topId, ...childIds] = shapePath;
+  let shape = context.presentation.slides.getItem(slideId).shapes.getItem(topId);
+  childIds.forEach((id) => {
+    shape = shape.group.shapes.getItem(id);
+  });
+  return shape;
+}
+
+/**
+ * Loads every picture in the presentation, including pictures inside groups, with a thumbnail
+ * where the host can render one.
+ * @param slideIds {string[]|null} Only list pictures on these slides. Null lists the whole
+ *   presentation.
+ * @returns {Promise<{pictures: PictureInfo[], unread: string[]}>} Pictures in presentation
+ *   order, and what couldn't be read, e.g. "grouped shapes".
+ */
+export async function loadPictures(slideIds = null) {
+  return PowerPoint.run(async (context) => {
+    const slides = context.presentation.slides;
+    slides.load("items/id");
+    await context.sync();
+
+    const listed = slides.items
+      .map((slide, slideIndex) => ({ slide, slideIndex }))
+      .filter(({ slide }) => !slideIds || slideIds.includes(slide.id));
+    listed.forEach(({ slide }) => slide.shapes.load(itemPaths(CORE_SHAPE_PROPERTIES)));
+    await context.sync();
+
+    const found = [];
+    const unread = new Set();
+    const level = listed.flatMap(({ slide, slideIndex }) =>
+      slide.shapes.items.map((shape) => ({
+        shape,
+        slideId: slide.id,
+        slideIndex: slideIndex + 1,
+        path: [shape.id],
+        names: [shape.name || shape.id],
+      }))
+    );
+
+    const truncated = await walkShapeTree(
+      context,
+      level,
+      async (entries) => {
+        found.push(...entries.filter(({ shape }) => shape.type === "Image"));
+      },
+      (entry, child) => ({
+        shape: child,
+        slideId: entry.slideId,
+        slideIndex: entry.slideIndex,
+        path: [...entry.path, child.id],
+        names: [...entry.names, child.name || child.id],
+      })
+    );
+    if (truncated) {
+      unread.add("grouped shapes");
+    }
+
+    // Keep presentation order: slides first, then the order shapes were found in
+    found.sort((a, b) => a.slideIndex - b.slideIndex);
+
+    const thumbnails = canRenderShapes()
+      ? found.map(({ shape }) => shape.getImageAsBase64({ height: THUMBNAIL_HEIGHT }))
+      : [];
+    if (thumbnails.length > 0) {
+      await context.sync();
+    }
+
+    return {
+      pictures: found.map((entry, index) => toPictureInfo(entry, thumbnails[index])),
+      unread: [...unread],
+    };
+  });
+}
+
+/**
+ * Renders a picture at its size on the slide. Requires PowerPointApi 1.10.
+ * @param picture {PictureInfo}
+ * @returns {Promise<string>} The PNG in base64. It shows the picture as cropped and sized on the
+ *   slide, not the original file.
+ */
+export async function loadPictureImage(picture) {
+  return PowerPoint.run(async (context) => {
+    const image = getShape(context, picture).getImageAsBase64();
+    await context.sync();
+    return image.value;
+  });
+}
+
+/**
+ * Totals the pictures in a presentation.
+ * @param pictures {PictureInfo[]}
+ * @returns {{count: number, slides: number}} The number of pictures and of slides holding them.
+ */
+export function summarizePictures(pictures) {
+  return {
+    count: pictures.length,
+    slides: new Set(pictures.map((picture) => picture.slideId)).size,
+  };
+}
@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office, PowerPoint */
+
+import { loadSelectedSlides } from "./detection/snapshot";
+import {
+  compareTreeOrder,
+  CORE_SHAPE_PROPERTIES,
+  itemPaths,
+  loadEach,
+  readPath,
+  tryLoad,
+  walkShapeTree,
+} from "./loading";
+import { toShapeModel } from "./selectionModel";
+
+/**
+ * @typedef {import("./selectionModel").ShapeModel & {
+ *   placeholderType: string|null,
+ *   fontSize: number|null,
+ *   fontName: string|null,
+ * }} PresentationShape
+ */
+
+/**
+ * @typedef {Object} PresentationSlide
+ * @property {string} id
+ * @property {number} index 1-based slide number.
+ * @property {PresentationShape[]} shapes Top-level shapes in z-order.
+ */
+
+/**
+ * @typedef {import("./selectionModel").ShapeModel & {
+ *   parentId: string|null,
+ *   group: string|null,
+ * }} InventoryShape A shape and the group holding it, e.g. group "Logo group > Inner group".
+ */
+
+function supportsApi(version) {
+  return Office.context.requirements.isSetSupported("PowerPointApi", version);
+}
+
+// Loads the position, text and alt text every shape listing shows. Properties the host doesn't
+// have are left null. Alt text stays null rather than empty, so checks can tell it wasn't read.
+async function loadShapeDetails(context, shapes) {
+  if (supportsApi("1.8")) {
+    await tryLoad(context, shapes, "zOrderPosition");
+  }
+  await loadEach(context, shapes, "textFrame/textRange/text");
+  if (supportsApi("1.10")) {
+    await tryLoad(context, shapes, "altTextTitle,altTextDescription");
+  }
+}
+
+function toPresentationShape(shape) {
+  const fontSize = readPath(shape, "textFrame/textRange/font/size");
+  const fontName = readPath(shape, "textFrame/textRange/font/name");
+  return {
+    ...toShapeModel(shape),
+    placeholderType: readPath(shape, "placeholderFormat/type") || null,
+    fontSize: typeof fontSize === "number" ? fontSize : null,
+    fontName: typeof fontName === "string" && fontName ? fontName : null,
+  };
+}
+
+/**
+ * Loads every slide's shapes with the properties the deck-wide checks need. Properties the host
+ * doesn't support are left null rather than failing the whole load.
+ * @param slideIds {string[]|null} Only load these slides. Null loads the whole presentation.
+ * @returns {Promise<PresentationSlide[]>} In presentation order.
+ */
+export async function loadPresentationData(slideIds = null) {
+  return PowerPoint.run(async (context) => {
+    const allSlides = context.presentation.slides;
+    allSlides.load("items/id");
+    await context.sync();
+
+    const slides = allSlides.items
+      .map((slide, index) => ({ slide, index: index + 1 }))
+      .filter(({ slide }) => !slideIds || slideIds.includes(slide.id));
+    slides.forEach(({ slide }) => slide.shapes.load(itemPaths(CORE_SHAPE_PROPERTIES)));
+    await context.sync();
+
+    const shapes = slides.flatMap(({ slide }) => slide.shapes.items);
+    await loadShapeDetails(context, shapes);
+    if (supportsApi("1.8")) {
+      await tryLoad(
+        context,
+        shapes.filter((shape) => shape.type === "Placeholder"),
+        "placeholderFormat/type"
+      );
+    }
+
+    const textShapes = shapes.filter((shape) =>
+      Boolean(readPath(shape, "textFrame/textRange/text"))
+    );
+    await tryLoad(context, textShapes, "textFrame/textRange/font/size");
+    await tryLoad(context, textShapes, "textFrame/textRange/font/name");
+
+    return slides.map(({ slide, index }) => ({
+      id: slide.id,
+      index,
+      shapes: slide.shapes.items.map(toPresentationShape),
+    }));
+  });
+}
+
+/**
+ * Loads every shape for the inventory, including the shapes inside groups.
+ * @param slideIds {string[]|null} Only load these slides. Null loads the whole presentation.
+ * @returns {Promise<{slides: import("./export/inventory").InventorySlide[], unread: string[]}>}
+ *   Slides in presentation order, with the shapes in a group after the group, and what couldn't
+ *   be read, e.g. "grouped shapes".
+ */
+export async function loadInventoryData(slideIds = null) {
+  return PowerPoint.run(async (context) => {
+    const allSlides = context.presentation.slides;
+    allSlides.load("items/id");
+    await context.sync();
+
+    const slides = allSlides.items
+      .map((slide, index) => ({ slide, index: index + 1 }))
+      .filter(({ slide }) => !slideIds || slideIds.includes(slide.id));
+    slides.forEach(({ slide }) => slide.shapes.load(itemPaths(CORE_SHAPE_PROPERTIES)));
+    await context.sync();
+
+    const found = [];
+    const level = slides.flatMap(({ slide }) =>
+      slide.shapes.items.map((shape, index) => ({
+        shape,
+        slideId: slide.id,
+        parentId: null,
+        groups: [],
+        order: [index],
+      }))
+    );
+    const truncated = await walkShapeTree(
+      context,
+      level,
+      async (entries) => {
+        await loadShapeDetails(
+          context,
+          entries.map(({ shape }) => shape)
+        );
+        found.push(...entries);
+      },
+      (entry, child, index) => ({
+        shape: child,
+        slideId: entry.slideId,
+        parentId: entry.shape.id,
+        groups: [...entry.groups, entry.shape.name || entry.shape.id],
+        order: [...entry.order, index],
+      })
+    );
+    found.sort((a, b) => compareTreeOrder(a.order, b.order));
+
+    return {
+      slides: slides.map(({ slide, index }) => ({
+        id: slide.id,
+        index,
+        shapes: found
+          .filter((entry) => entry.slideId === slide.id)
+          .map(({ shape, parentId, groups }) => ({
+            ...toShapeModel(shape),
+            parentId,
+            group: groups.length > 0 ? groups.join(" > ") : null,
+          })),
+      })),
+      unread: truncated ? ["grouped shapes"] : [],
+    };
+  });
+}
+
+/**
+ * Loads the size of the presentation's slides from its page setup.
+ * @returns {Promise<{width: number, height: number}|null>} In points. Null on hosts without
+ *   PowerPointApi 1.10, which brought the page setup.
+ */
+export async function loadSlideSize() {
+  if (!Office.context.requirements.isSetSupported("PowerPointApi", "1.10")) {
+    return null;
+  }
+  return PowerPoint.run(async (context) => {
+    const pageSetup = context.presentation.pageSetup;
+    if (!(await tryLoad(context, [pageSetup], "slideWidth,slideHeight"))) {
+      return null;
+    }
+    return { width: readPath(pageSetup, "slideWidth"), height: readPath(pageSetup, "slideHeight") };
+  });
+}
+
+/**
+ * Finds the slides selected in PowerPoint, such as a range picked in the slide sorter.
+ * @returns {Promise<string[]>} Slide ids in presentation order.
+ */
+export async function loadSelectedSlideIds() {
+  return PowerPoint.run(async (context) => {
+    const slides = await loadSelectedSlides(context, (name, version) =>
+      Office.context.requirements.isSetSupported(name, version)
+    );
+    return slides.map((slide) => slide.id);
+  });
+}
+
+/**
+ * Finds the slide number of a slide.
+ * @param slideId {string}
+ * @returns {Promise<number|null>} 1-based slide number, or null when the slide isn't found.
+ */
+export async function findSlideIndex(slideId) {
+  return PowerPoint.run(async (context) => {
+    const slides = context.presentation.slides;
+    slides.load("items/id");
+    await context.sync();
+
+    const index = slides.items.findIndex((slide) => slide.id === slideId);
+    return index === -1 ? null : index + 1;
+  });
+}
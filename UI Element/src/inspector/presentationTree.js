@@ -0,0 +1,196 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Office, PowerPoint */
+
+import { CORE_SHAPE_PROPERTIES, itemPaths, loadEach, tryLoad, walkShapeTree } from "./loading";
+import { goToShape, goToSlide } from "./navigation";
+import { toShapeModel } from "./selectionModel";
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {"slide"|"shape"} kind
+ * @property {string} id
+ * @property {string} slideId
+ * @property {number} [index] 1-based slide number, for slides.
+ * @property {string|null} name
+ * @property {string|null} type
+ * @property {string|null} text
+ * @property {string} selectId Id of the top-level shape to select for this node.
+ * @property {Object} details Extra type-specific information, e.g. table size.
+ * @property {TreeNode[]} children
+ */
+
+// Loads text plus the type-specific details for a set of shapes. Returns the loaded table of
+// each table shape, by shape.
+async function loadShapeDetails(context, shapes) {
+  // Pictures and groups have no text frame, which would fail the sync for every shape
+  await loadEach(context, shapes, "textFrame/textRange/text");
+
+  // Shape.getTable() is part of PowerPointApi 1.8, so older hosts list tables without a size
+  const tables = Office.context.requirements.isSetSupported("PowerPointApi", "1.8")
+    ? shapes.filter((shape) => shape.type === "Table").map((shape) => [shape, shape.getTable()])
+    : [];
+  await tryLoad(
+    context,
+    tables.map(([, table]) => table),
+    "rowCount,columnCount"
+  );
+
+  const placeholders = shapes.filter((shape) => shape.type === "Placeholder");
+  await tryLoad(context, placeholders, "placeholderFormat/type");
+
+  return new Map(tables);
+}
+
+function readDetails(shape, table) {
+  const details = {};
+  try {
+    if (shape.type === "Table" && table) {
+      details.rowCount = table.rowCount;
+      details.columnCount = table.columnCount;
+    } else if (shape.type === "Placeholder") {
+      details.placeholderType = shape.placeholderFormat.type;
+    }
+  } catch {
+    // The details didn't load on this host
+  }
+  return details;
+}
+
+function toShapeNode(shape, slideId, selectId, table) {
+  const model = toShapeModel(shape);
+  return {
+    kind: "shape",
+    id: model.id,
+    slideId,
+    name: model.name,
+    type: model.type,
+    text: model.text,
+    selectId: selectId || model.id,
+    details: readDetails(shape, table),
+    children: [],
+  };
+}
+
+/**
+ * Loads every slide and shape in the presentation, including the children of groups.
+ * @returns {Promise<TreeNode[]>} One node per slide, in presentation order.
+ */
+export async function loadPresentationTree() {
+  return PowerPoint.run(async (context) => {
+    const slides = context.presentation.slides;
+    slides.load("items/id");
+    await context.sync();
+
+    slides.items.forEach((slide) => slide.shapes.load(itemPaths(CORE_SHAPE_PROPERTIES)));
+    await context.sync();
+
+    const tree = slides.items.map((slide, index) => ({
+      kind: "slide",
+      id: slide.id,
+      slideId: slide.id,
+      index: index + 1,
+      name: `Slide ${index + 1}`,
+      type: "Slide",
+      text: null,
+      selectId: null,
+      details: {},
+      children: [],
+    }));
+
+    // Groups the host can't read, or nested too deep, are listed without their shapes
+    await walkShapeTree(
+      context,
+      slides.items.flatMap((slide, index) =>
+        slide.shapes.items.map((shape) => ({ shape, parent: tree[index], selectId: null }))
+      ),
+      async (level) => {
+        const tables = await loadShapeDetails(
+          context,
+          level.map((entry) => entry.shape)
+        );
+        level.forEach((entry) => {
+          entry.node = toShapeNode(
+            entry.shape,
+            entry.parent.slideId,
+            entry.selectId,
+            tables.get(entry.shape)
+          );
+          entry.parent.children.push(entry.node);
+        });
+      },
+      (entry, child) => ({ shape: child, parent: entry.node, selectId: entry.node.selectId })
+    );
+
+    return tree;
+  });
+}
+
+function matchesQuery(node, query, field) {
+  if (!query) {
+    return true;
+  }
+  const needle = query.toLowerCase();
+  const fields = field === "all" || !field ? ["name", "type", "text"] : [field];
+  return fields.some((key) => node[key] && String(node[key]).toLowerCase().includes(needle));
+}
+
+/**
+ * Returns a copy of the tree with only the shapes that match the filter. Shapes are kept when
+ * they or any of their children match; slides are kept when any of their shapes are.
+ * @param tree {TreeNode[]}
+ * @param filter {Object}
+ * @param filter.query {string} Case-insensitive text to look for.
+ * @param filter.field {"all"|"name"|"type"|"text"} Which field to search.
+ * @param filter.type {string} Only keep shapes of this type.
+ * @returns {TreeNode[]}
+ */
+export function filterTree(tree, filter = {}) {
+  const { query = "", field = "all", type = "" } = filter;
+
+  function filterNode(node) {
+    const children = node.children.map(filterNode).filter(Boolean);
+    const matches = matchesQuery(node, query, field) && (!type || node.type === type);
+    return matches || children.length > 0 ? { ...node, children } : null;
+  }
+
+  if (!query && !type) {
+    return tree;
+  }
+
+  return tree
+    .map((slideNode) => {
+      const children = slideNode.children.map(filterNode).filter(Boolean);
+      return children.length > 0 ? { ...slideNode, children } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Lists the distinct shape types in the tree, for the type filter.
+ * @param tree {TreeNode[]}
+ * @returns {string[]}
+ */
+export function listShapeTypes(tree) {
+  const types = new Set();
+  const visit = (node) => {
+    if (node.kind === "shape" && node.type) {
+      types.add(node.type);
+    }
+    node.children.forEach(visit);
+  };
+  tree.forEach(visit);
+  return [...types].sort();
+}
+
+/**
+ * Navigates to a tree node in PowerPoint: slides are shown, shapes are shown and selected.
+ * Shapes inside groups select their top-level group.
+ * @param node {TreeNode}
+ */
+export function selectTreeNode(node) {
+  return node.kind === "shape" ? goToShape(node.slideId, node.selectId) : goToSlide(node.slideId);
+}
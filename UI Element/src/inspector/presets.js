@@ -0,0 +1,267 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global console, Office */
+
+import { STYLE_PROPERTIES, describeStyle, styleEditValues } from "./style";
+
+// Document setting holding the presets, so they travel with the presentation
+export const PRESETS_SETTING = "elementInspector.presets";
+
+// Version of exported preset files. Bump when the shape of a preset changes.
+export const PRESET_FILE_VERSION = 1;
+
+// The geometry each part of a preset saves
+const GEOMETRY_PARTS = { position: ["left", "top"], size: ["width", "height"] };
+const GEOMETRY_KEYS = [...GEOMETRY_PARTS.position, ...GEOMETRY_PARTS.size];
+const STYLE_KEYS = STYLE_PROPERTIES.map((property) => property.key);
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name
+ * @property {{left?: number, top?: number, width?: number, height?: number}} geometry
+ * @property {import("./style").ShapeStyle|null} style
+ */
+
+/**
+ * Saves the size, position and/or style of a shape as a preset.
+ * @param name {string}
+ * @param shape {import("./selectionModel").ShapeModel}
+ * @param parts {{position: boolean, size: boolean, style: boolean}} What to save.
+ * @returns {Preset}
+ */
+export function createPreset(name, shape, parts) {
+  const trimmed = String(name || "").trim();
+  if (trimmed.length === 0) {
+    throw new Error("Give the preset a name");
+  }
+  if (!parts.position && !parts.size && !parts.style) {
+    throw new Error("Pick at least one of position, size and style");
+  }
+  if (parts.style && !shape.style) {
+    throw new Error(`The style of ${shape.name || shape.id} couldn't be read`);
+  }
+
+  const geometry = {};
+  Object.keys(GEOMETRY_PARTS).forEach((part) => {
+    if (parts[part]) {
+      GEOMETRY_PARTS[part]
+        .filter((key) => typeof shape[key] === "number")
+        .forEach((key) => {
+          geometry[key] = shape[key];
+        });
+    }
+  });
+
+  return { name: trimmed, geometry, style: parts.style ? { ...shape.style } : null };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateGeometry(geometry) {
+  if (!isPlainObject(geometry)) {
+    throw new Error("geometry must be an object");
+  }
+  Object.keys(geometry).forEach((key) => {
+    const value = geometry[key];
+    if (!GEOMETRY_KEYS.includes(key)) {
+      throw new Error(`unknown geometry "${key}"`);
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new Error(`${key} must be a number`);
+    }
+    if ((key === "width" || key === "height") && value <= 0) {
+      throw new Error(`${key} must be greater than 0`);
+    }
+  });
+  return { ...geometry };
+}
+
+function validateStyle(style) {
+  if (style === null || style === undefined) {
+    return null;
+  }
+  if (!isPlainObject(style)) {
+    throw new Error("style must be an object");
+  }
+  const unknown = Object.keys(style).filter((key) => !STYLE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown style "${unknown[0]}"`);
+  }
+
+  // Properties left out of a hand-written preset are simply not applied
+  const normalized = {};
+  STYLE_KEYS.forEach((key) => {
+    const value = style[key] === undefined ? null : style[key];
+    if (value !== null && !["string", "number", "boolean"].includes(typeof value)) {
+      throw new Error(`style "${key}" must be a string, number or boolean`);
+    }
+    normalized[key] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Checks a preset read from a file or the document settings.
+ * @param value {*}
+ * @returns {Preset}
+ */
+export function validatePreset(value) {
+  if (!isPlainObject(value)) {
+    throw new Error("a preset must be an object");
+  }
+  if (typeof value.name !== "string" || value.name.trim().length === 0) {
+    throw new Error("a preset needs a name");
+  }
+
+  try {
+    const preset = {
+      name: value.name.trim(),
+      geometry: validateGeometry(value.geometry || {}),
+      style: validateStyle(value.style),
+    };
+    if (Object.keys(preset.geometry).length === 0 && !preset.style) {
+      throw new Error("it has no geometry or style");
+    }
+    return preset;
+  } catch (error) {
+    throw new Error(`Preset "${value.name}": ${error.message}`);
+  }
+}
+
+/**
+ * Reads an exported preset file. A bare array of presets is accepted too.
+ * @param text {string}
+ * @returns {Preset[]}
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The preset file isn't valid JSON");
+  }
+
+  const list = Array.isArray(data) ? data : isPlainObject(data) ? data.presets : null;
+  if (!Array.isArray(list)) {
+    throw new Error('The preset file needs a "presets" list');
+  }
+  if (isPlainObject(data) && data.version > PRESET_FILE_VERSION) {
+    throw new Error(
+      `The preset file is version ${data.version}; this inspector reads up to ${PRESET_FILE_VERSION}`
+    );
+  }
+  return list.map(validatePreset);
+}
+
+/**
+ * @param presets {Preset[]}
+ * @returns {string} The preset file, as pretty-printed JSON.
+ */
+export function formatPresetFile(presets) {
+  return JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Adds presets to a library. A preset with the name of an existing one replaces it in place.
+ * @param existing {Preset[]}
+ * @param incoming {Preset[]}
+ * @returns {{presets: Preset[], added: string[], replaced: string[]}}
+ */
+export function mergePresets(existing, incoming) {
+  const presets = [...existing];
+  const added = [];
+  const replaced = [];
+
+  incoming.forEach((preset) => {
+    const index = presets.findIndex((item) => item.name === preset.name);
+    if (index === -1) {
+      presets.push(preset);
+      added.push(preset.name);
+    } else {
+      presets[index] = preset;
+      replaced.push(preset.name);
+    }
+  });
+
+  return { presets, added, replaced };
+}
+
+/**
+ * The property values that apply a preset to a shape, for applyShapeEditBatch.
+ * @param preset {Preset}
+ * @param target {import("./selectionModel").ShapeModel}
+ * @returns {Object}
+ */
+export function presetEditValues(preset, target) {
+  return {
+    ...preset.geometry,
+    ...(preset.style ? styleEditValues(preset.style, target) : {}),
+  };
+}
+
+/**
+ * Summarizes what a preset sets, e.g. "Position (10, 20); Size 300 x 40; Font: Segoe UI 14 pt".
+ * @param preset {Preset}
+ * @returns {string}
+ */
+export function describePreset(preset) {
+  const { left, top, width, height } = preset.geometry;
+  const parts = [];
+  if (left !== undefined || top !== undefined) {
+    parts.push(`Position (${left === undefined ? "?" : left}, ${top === undefined ? "?" : top})`);
+  }
+  if (width !== undefined || height !== undefined) {
+    parts.push(
+      `Size ${width === undefined ? "?" : width} x ${height === undefined ? "?" : height}`
+    );
+  }
+  if (preset.style) {
+    parts.push(...describeStyle(preset.style));
+  }
+  return parts.join("; ");
+}
+
+/**
+ * Reads the presets saved in the presentation. Presets that no longer validate are skipped.
+ * @returns {Preset[]}
+ */
+export function readStoredPresets() {
+  const stored = Office.context.document.settings.get(PRESETS_SETTING);
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+
+  return stored.flatMap((value) => {
+    try {
+      return [validatePreset(value)];
+    } catch (error) {
+      console.log("Skipping stored preset:", error.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Saves the presets in the presentation's settings.
+ * @param presets {Preset[]}
+ * @returns {Promise<void>}
+ */
+export function storePresets(presets) {
+  const settings = Office.context.document.settings;
+  settings.set(PRESETS_SETTING, presets);
+
+  return new Promise((resolve, reject) => {
+    settings.saveAsync((asyncResult) => {
+      if (asyncResult.status === Office.AsyncResultStatus.Failed) {
+        reject(new Error(asyncResult.error.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
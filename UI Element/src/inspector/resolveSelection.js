@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global console, Office, PowerPoint */
+
+import { runDetection } from "./detection/pipeline";
+import { loadShapeStyles } from "./style";
+
+/**
+ * Reads the selected text through the common API.
+ * @returns {Promise<string|null>} The text, or null when no text is selected.
+ */
+export function readSelectedText() {
+  return new Promise((resolve) => {
+    Office.context.document.getSelectedDataAsync(
+      Office.CoercionType.Text,
+      { valueFormat: "unformatted" },
+      (asyncResult) => {
+        const succeeded = asyncResult.status === Office.AsyncResultStatus.Succeeded;
+        resolve(succeeded && asyncResult.value ? asyncResult.value : null);
+      }
+    );
+  });
+}
+
+// Runs the detection strategies and loads the style of the shapes found. A failed run is logged
+// and reported as no selection.
+function detectShapes(registry, options) {
+  return PowerPoint.run(async (context) => {
+    const result = await runDetection(context, registry, options);
+    await loadShapeStyles(context, result.shapes);
+    return result;
+  }).catch((error) => {
+    console.error("Shape detection error:", error);
+    return null;
+  });
+}
+
+/**
+ * Resolves the selected text and shapes in parallel.
+ * @param registry {ReturnType<import("./detection/registry").createStrategyRegistry>}
+ * @param options {Object} Passed to runDetection, e.g. { minConfidence }.
+ * @returns {Promise<Object>} Selection info for buildSelectionModel.
+ */
+export async function resolveSelection(registry, options = {}) {
+  const [text, result] = await Promise.all([readSelectedText(), detectShapes(registry, options)]);
+
+  return {
+    slideId: result ? result.slideId : null,
+    slideIds: result ? result.slideIds : [],
+    text,
+    shapes: result ? result.shapes : [],
+    allShapes: result ? result.allShapes : [],
+    candidates: result ? result.candidates : [],
+    detectionMethod: text ? "text" : (result && result.winner) || null,
+  };
+}
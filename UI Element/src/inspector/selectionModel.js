@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { readPath } from "./loading";
+import { readShapeStyle } from "./style";
+
+// Version of the serialized selection model. Bump when the shape of the JSON changes.
+export const SELECTION_MODEL_VERSION = 6;
+
+/**
+ * @typedef {Object} ShapeModel
+ * @property {string} id
+ * @property {string|null} name
+ * @property {string|null} type
+ * @property {number|null} left
+ * @property {number|null} top
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {number|null} zIndex Position in the slide's z-order, from zOrderPosition.
+ * @property {string|null} text
+ * @property {string|null} altTextTitle
+ * @property {string|null} altTextDescription
+ * @property {import("./style").ShapeStyle|null} style Only loaded for selected shapes.
+ */
+
+/**
+ * @typedef {Object} SelectionModel
+ * @property {number} version
+ * @property {string} timestamp ISO 8601 time the selection was resolved.
+ * @property {string|null} slideId The slide holding the selected shapes, the first selected slide.
+ * @property {string[]} slideIds Every selected slide, starting with slideId.
+ * @property {string|null} detectionMethod
+ * @property {string|null} text Selected text, if any.
+ * @property {ShapeModel[]} shapes Selected shapes, in detection order.
+ * @property {ShapeModel[]} slideShapes Every shape on the slide, for the minimap.
+ * @property {DetectionCandidateModel[]} candidates What each detection strategy reported.
+ */
+
+/**
+ * @typedef {Object} DetectionCandidateModel
+ * @property {string} strategyId
+ * @property {number} priority
+ * @property {number} confidence
+ * @property {string} status
+ * @property {string[]} shapeIds
+ * @property {string|null} error
+ */
+
+/**
+ * Converts a loaded PowerPoint.Shape (or any object with the same properties) into a plain
+ * ShapeModel that can be rendered or serialized. Properties that didn't load are null.
+ * @param shape {PowerPoint.Shape}
+ * @returns {ShapeModel}
+ */
+export function toShapeModel(shape) {
+  return {
+    id: readPath(shape, "id"),
+    name: readPath(shape, "name"),
+    type: readPath(shape, "type"),
+    left: readPath(shape, "left"),
+    top: readPath(shape, "top"),
+    width: readPath(shape, "width"),
+    height: readPath(shape, "height"),
+    zIndex: readPath(shape, "zOrderPosition"),
+    text: readPath(shape, "textFrame/textRange/text"),
+    altTextTitle: readPath(shape, "altTextTitle"),
+    altTextDescription: readPath(shape, "altTextDescription"),
+    style: readShapeStyle(shape),
+  };
+}
+
+// Converts a list of shapes, dropping duplicates that were reported by more than one detector.
+function toShapeModels(shapes) {
+  const models = [];
+  const seen = new Set();
+
+  (shapes || []).forEach((shape) => {
+    const model = toShapeModel(shape);
+    const key = model.id !== null ? model.id : models.length;
+    if (!seen.has(key)) {
+      seen.add(key);
+      models.push(model);
+    }
+  });
+
+  return models;
+}
+
+function toCandidateModel(candidate) {
+  return {
+    strategyId: candidate.strategyId,
+    priority: candidate.priority,
+    confidence: candidate.confidence,
+    status: candidate.status,
+    shapeIds: candidate.shapes.map((shape) => readPath(shape, "id")),
+    error: candidate.error || null,
+  };
+}
+
+/**
+ * Builds the serializable selection model from the raw detection results.
+ * @param selectionInfo {Object} The object filled in by the detection functions.
+ * @returns {SelectionModel}
+ */
+export function buildSelectionModel(selectionInfo) {
+  return {
+    version: SELECTION_MODEL_VERSION,
+    timestamp: new Date().toISOString(),
+    slideId: selectionInfo.slideId || null,
+    slideIds: selectionInfo.slideIds || (selectionInfo.slideId ? [selectionInfo.slideId] : []),
+    detectionMethod: selectionInfo.detectionMethod || null,
+    text: selectionInfo.text || null,
+    shapes: toShapeModels(selectionInfo.shapes),
+    slideShapes: toShapeModels(selectionInfo.allShapes),
+    candidates: (selectionInfo.candidates || []).map(toCandidateModel),
+  };
+}
+
+/**
+ * Returns true when the model describes selected text or at least one selected shape.
+ * @param model {SelectionModel}
+ */
+export function hasSelection(model) {
+  return Boolean(model.text) || model.shapes.length > 0;
+}
+
+/**
+ * Serializes a selection model as pretty-printed JSON.
+ * @param model {SelectionModel}
+ * @returns {string}
+ */
+export function serializeSelectionModel(model) {
+  return JSON.stringify(model, null, 2);
+}
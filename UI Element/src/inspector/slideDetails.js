@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global PowerPoint */
+
+import { loadEach, readPath, tryLoad } from "./loading";
+
+// PowerPoint stores tag keys in upper case, and they can't hold spaces
+const TAG_KEY = /^[A-Za-z0-9_.-]+$/;
+
+// PowerPoint's JavaScript API has no notes page, so speaker notes can't be shown
+export const SPEAKER_NOTES_UNAVAILABLE =
+  "PowerPoint's JavaScript API doesn't expose speaker notes. Open the Notes pane in PowerPoint " +
+  "to read them.";
+
+/**
+ * @typedef {Object} PlaceholderModel
+ * @property {string} shapeId
+ * @property {string|null} name
+ * @property {string|null} placeholderType E.g. "Title" or "Body".
+ * @property {boolean} filled Whether the placeholder has text or holds a picture, table or chart.
+ */
+
+/**
+ * @typedef {Object} SlideTag
+ * @property {string} key In upper case.
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} SlideDetails
+ * @property {string} id
+ * @property {number} index 1-based slide number.
+ * @property {string|null} layoutName
+ * @property {string|null} masterName
+ * @property {PlaceholderModel[]|null} placeholders Null when the host can't read placeholders.
+ * @property {SlideTag[]|null} tags Null when the host can't read tags.
+ */
+
+async function loadPlaceholders(context, slide) {
+  const shapes = slide.shapes;
+  shapes.load("items/id,items/name,items/type");
+  await context.sync();
+
+  const placeholders = shapes.items.filter((shape) => shape.type === "Placeholder");
+  if (!(await tryLoad(context, placeholders, "placeholderFormat/type"))) {
+    return null;
+  }
+  // Both are optional: empty picture placeholders have no text frame, and older hosts can't say
+  // what a placeholder holds
+  await loadEach(context, placeholders, "textFrame/textRange/text");
+  await tryLoad(context, placeholders, "placeholderFormat/containedType");
+
+  return placeholders.map((shape) => {
+    const text = readPath(shape, "textFrame/textRange/text");
+    return {
+      shapeId: shape.id,
+      name: shape.name || null,
+      placeholderType: readPath(shape, "placeholderFormat/type"),
+      filled:
+        (typeof text === "string" && text.trim() !== "") ||
+        Boolean(readPath(shape, "placeholderFormat/containedType")),
+    };
+  });
+}
+
+/**
+ * Loads a slide's layout, master, placeholders and tags. Whatever the host can't read is left
+ * null rather than failing the whole load.
+ * @param slideId {string}
+ * @returns {Promise<SlideDetails>}
+ */
+export async function loadSlideDetails(slideId) {
+  return PowerPoint.run(async (context) => {
+    const slides = context.presentation.slides;
+    slides.load("items/id");
+    await context.sync();
+
+    const index = slides.items.findIndex((slide) => slide.id === slideId);
+    if (index === -1) {
+      throw new Error(`Slide ${slideId} isn't in the presentation`);
+    }
+    const slide = slides.items[index];
+
+    const hasLayout = await tryLoad(context, [slide], "layout/name");
+    const hasMaster = await tryLoad(context, [slide], "slideMaster/name");
+    const placeholders = await loadPlaceholders(context, slide);
+    const hasTags = await tryLoad(context, [slide.tags], "items/key,items/value");
+
+    return {
+      id: slideId,
+      index: index + 1,
+      layoutName: hasLayout ? slide.layout.name : null,
+      masterName: hasMaster ? slide.slideMaster.name : null,
+      placeholders,
+      tags: hasTags ? slide.tags.items.map(({ key, value }) => ({ key, value })) : null,
+    };
+  });
+}
+
+/**
+ * Adds a tag to a slide, or changes the value of an existing tag.
+ * @param slideId {string}
+ * @param key {string} Stored in upper case.
+ * @param value {string}
+ */
+export async function setSlideTag(slideId, key, value) {
+  if (!key) {
+    throw new Error("Give the tag a name");
+  }
+  if (!TAG_KEY.test(key)) {
+    throw new Error("Tag names can only use letters, digits, dots, dashes and underscores");
+  }
+  return PowerPoint.run(async (context) => {
+    context.presentation.slides.getItem(slideId).tags.add(key.toUpperCase(), value);
+    await context.sync();
+  });
+}
+
+/**
+ * Removes a tag from a slide.
+ * @param slideId {string}
+ * @param key {string}
+ */
+export async function deleteSlideTag(slideId, key) {
+  return PowerPoint.run(async (context) => {
+    context.presentation.slides.getItem(slideId).tags.delete(key);
+    await context.sync();
+  });
+}
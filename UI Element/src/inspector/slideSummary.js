@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { auditPresentation, TITLE_PLACEHOLDER_TYPES } from "./accessibility";
+
+/**
+ * @typedef {Object} SlideSummary
+ * @property {string} id
+ * @property {number} index 1-based slide number.
+ * @property {string|null} title Text of the slide's title placeholder.
+ * @property {number} shapeCount Top-level shapes.
+ * @property {Array<{type: string, count: number}>} types Shape counts by type, most common first.
+ * @property {number} accessibilityIssues Issues the accessibility check finds on the slide.
+ */
+
+function countTypes(shapes) {
+  const counts = new Map();
+  shapes.forEach((shape) => {
+    const type = shape.type || "Unknown";
+    counts.set(type, (counts.get(type) || 0) + 1);
+  });
+  return [...counts]
+    .map(([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+}
+
+/**
+ * Summarizes each slide of a multi-slide selection, so a section of a deck can be reviewed
+ * without visiting every slide.
+ * @param slides {import("./presentationData").PresentationSlide[]}
+ * @returns {SlideSummary[]}
+ */
+export function summarizeSlides(slides) {
+  const issues = auditPresentation(slides);
+  return slides.map((slide) => {
+    const title = slide.shapes.find((shape) =>
+      TITLE_PLACEHOLDER_TYPES.includes(shape.placeholderType)
+    );
+    return {
+      id: slide.id,
+      index: slide.index,
+      title: title && title.text ? title.text.trim() : null,
+      shapeCount: slide.shapes.length,
+      types: countTypes(slide.shapes),
+      accessibilityIssues: issues.filter((issue) => issue.slideId === slide.id).length,
+    };
+  });
+}
@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { loadEach, readPath } from "./loading";
+
+/**
+ * @typedef {Object} StyleProperty
+ * @property {string} key Property name in a ShapeStyle.
+ * @property {string} path Load path on a PowerPoint.Shape.
+ * @property {"fill"|"line"|"font"|"paragraph"|"textFrame"} group Properties loaded together.
+ * @property {boolean} [readOnly] Shown but never written.
+ */
+
+/** @type {StyleProperty[]} */
+export const STYLE_PROPERTIES = [
+  { key: "fillType", path: "fill/type", group: "fill", readOnly: true },
+  { key: "fillColor", path: "fill/foregroundColor", group: "fill" },
+  { key: "fillTransparency", path: "fill/transparency", group: "fill" },
+  { key: "lineVisible", path: "lineFormat/visible", group: "line" },
+  { key: "lineColor", path: "lineFormat/color", group: "line" },
+  { key: "lineWeight", path: "lineFormat/weight", group: "line" },
+  { key: "lineDashStyle", path: "lineFormat/dashStyle", group: "line" },
+  { key: "fontName", path: "textFrame/textRange/font/name", group: "font" },
+  { key: "fontSize", path: "textFrame/textRange/font/size", group: "font" },
+  { key: "fontColor", path: "textFrame/textRange/font/color", group: "font" },
+  { key: "bold", path: "textFrame/textRange/font/bold", group: "font" },
+  { key: "italic", path: "textFrame/textRange/font/italic", group: "font" },
+  { key: "underline", path: "textFrame/textRange/font/underline", group: "font" },
+  {
+    key: "alignment",
+    path: "textFrame/textRange/paragraphFormat/horizontalAlignment",
+    group: "paragraph",
+  },
+  { key: "marginLeft", path: "textFrame/leftMargin", group: "textFrame" },
+  { key: "marginRight", path: "textFrame/rightMargin", group: "textFrame" },
+  { key: "marginTop", path: "textFrame/topMargin", group: "textFrame" },
+  { key: "marginBottom", path: "textFrame/bottomMargin", group: "textFrame" },
+  { key: "autoSize", path: "textFrame/autoSizeSetting", group: "textFrame" },
+  { key: "verticalAlignment", path: "textFrame/verticalAlignment", group: "textFrame" },
+  { key: "wordWrap", path: "textFrame/wordWrap", group: "textFrame" },
+];
+
+/**
+ * @typedef {Object<string, string|number|boolean|null>} ShapeStyle Values by StyleProperty key,
+ *   null when the host or shape doesn't have the property.
+ */
+
+/**
+ * Loads the style properties of shapes, group by group. A shape without a text frame fails the
+ * text groups for every shape in the sync, so a failed group is retried shape by shape.
+ * @param context {PowerPoint.RequestContext}
+ * @param shapes {PowerPoint.Shape[]}
+ */
+export async function loadShapeStyles(context, shapes) {
+  if (shapes.length === 0) {
+    return;
+  }
+
+  const groups = [...new Set(STYLE_PROPERTIES.map((property) => property.group))];
+  for (const group of groups) {
+    const paths = STYLE_PROPERTIES.filter((property) => property.group === group)
+      .map((property) => property.path)
+      .join(",");
+    await loadEach(context, shapes, paths);
+  }
+}
+
+/**
+ * Reads the style of a shape loaded with loadShapeStyles, or of a plain shape-like object.
+ * @param shape {PowerPoint.Shape}
+ * @returns {ShapeStyle|null} Null when no style property was loaded.
+ */
+export function readShapeStyle(shape) {
+  const style = {};
+  STYLE_PROPERTIES.forEach((property) => {
+    style[property.key] = readPath(shape, property.path);
+  });
+  return Object.values(style).some((value) => value !== null) ? style : null;
+}
+
+// Whether a shape reported any property of a group, e.g. pictures have no font
+function hasGroup(style, group) {
+  return STYLE_PROPERTIES.some(
+    (property) => property.group === group && style[property.key] !== null
+  );
+}
+
+/**
+ * Turns a style into the property values to write to a shape, for applyShapeEditBatch.
+ * Read-only and missing values are skipped, and so are groups the target didn't report, such as
+ * the font of a picture. Solid fills are copied and NoFill clears the target's fill; other fills
+ * can't be set, so they aren't copied.
+ * @param style {ShapeStyle}
+ * @param target {import("./selectionModel").ShapeModel}
+ * @returns {Object} Values by property path.
+ */
+export function styleEditValues(style, target) {
+  const solidFill = style.fillType === null || style.fillType === "Solid";
+  const values = {};
+  if (!target.style) {
+    return values;
+  }
+
+  STYLE_PROPERTIES.forEach((property) => {
+    const value = style[property.key];
+    if (
+      property.readOnly ||
+      value === null ||
+      value === undefined ||
+      (property.group === "fill" && !solidFill) ||
+      !hasGroup(target.style, property.group)
+    ) {
+      return;
+    }
+    values[property.path] = value;
+  });
+  if (style.fillType === "NoFill" && hasGroup(target.style, "fill")) {
+    values["fill/type"] = "NoFill";
+  }
+
+  return values;
+}
+
+function joinDefined(values, separator = " ") {
+  return values.filter((value) => value !== null && value !== undefined).join(separator);
+}
+
+/**
+ * Describes a style in a few lines for the details view.
+ * @param style {ShapeStyle}
+ * @returns {string[]}
+ */
+export function describeStyle(style) {
+  const lines = [];
+
+  if (style.fillType && style.fillType !== "Solid") {
+    lines.push(`Fill: ${style.fillType}`);
+  } else if (style.fillColor) {
+    const transparency = style.fillTransparency
+      ? `, ${Math.round(style.fillTransparency * 100)}% transparent`
+      : "";
+    lines.push(`Fill: ${style.fillColor}${transparency}`);
+  }
+
+  if (style.lineVisible === false) {
+    lines.push("Line: none");
+  } else if (style.lineColor || style.lineWeight !== null) {
+    lines.push(
+      "Line: " +
+        joinDefined(
+          [
+            style.lineColor,
+            style.lineWeight !== null ? `${style.lineWeight} pt` : null,
+            style.lineDashStyle,
+          ],
+          ", "
+        )
+    );
+  }
+
+  if (style.fontName || style.fontSize !== null) {
+    lines.push(
+      "Font: " +
+        joinDefined([
+          style.fontName,
+          style.fontSize !== null ? `${style.fontSize} pt` : null,
+          style.fontColor,
+          style.bold ? "bold" : null,
+          style.italic ? "italic" : null,
+          style.underline && style.underline !== "None" ? "underline" : null,
+        ])
+    );
+  }
+
+  if (style.alignment) {
+    lines.push(`Alignment: ${style.alignment}`);
+  }
+
+  const margins = [style.marginLeft, style.marginRight, style.marginTop, style.marginBottom];
+  if (margins.some((margin) => margin !== null) || style.autoSize) {
+    lines.push(
+      "Text frame: " +
+        joinDefined(
+          [
+            margins.some((margin) => margin !== null)
+              ? `margins ${margins.map((margin) => (margin === null ? "?" : margin)).join("/")}`
+              : null,
+            style.autoSize,
+            style.verticalAlignment,
+            style.wordWrap === null ? null : style.wordWrap ? "wrap" : "no wrap",
+          ],
+          ", "
+        )
+    );
+  }
+
+  return lines;
+}
@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { renderIssues } from "./issueList";
+
+function createAltTextForm(issue, onFixAltText) {
+  const form = document.createElement("form");
+  form.className = "issue__fix";
+
+  form.innerHTML = `
+    <input name="altTextTitle" type="text" placeholder="Alt text title" aria-label="Alt text title" />
+    <textarea name="altTextDescription" placeholder="Alt text description" aria-label="Alt text description"></textarea>
+    <span class="issue__fix-error"></span>
+    <button type="submit" class="ms-Button"><span class="ms-Button-label">Save alt text</span></button>
+  `;
+
+  form.onsubmit = async (event) => {
+    event.preventDefault();
+    const description = form.elements.altTextDescription.value.trim();
+    const error = form.querySelector(".issue__fix-error");
+    if (!description) {
+      error.textContent = "Describe the element for people who can't see it";
+      return;
+    }
+    error.textContent = "";
+    await onFixAltText(issue, {
+      altTextTitle: form.elements.altTextTitle.value.trim(),
+      altTextDescription: description,
+    });
+  };
+
+  return form;
+}
+
+/**
+ * Renders accessibility issues grouped by slide, with an alt text form on the issues it fixes
+ * when the host can write alt text.
+ * @param container {HTMLElement}
+ * @param issues {import("../inspector/accessibility").AccessibilityIssue[]}
+ * @param handlers {Object}
+ * @param handlers.onGoTo {function(AccessibilityIssue): void}
+ * @param handlers.onFixAltText {function(AccessibilityIssue, Object): Promise<void>|null} Null
+ *   leaves out the alt text forms.
+ * @param notes {string[]} Shown under the issues, e.g. for checks the host couldn't run.
+ */
+export function renderAccessibilityIssues(container, issues, handlers, notes = []) {
+  renderIssues(container, issues, {
+    onGoTo: handlers.onGoTo,
+    emptyMessage: "No accessibility issues found.",
+    decorate: (item, issue) => {
+      if (issue.fixableAltText && handlers.onFixAltText) {
+        item.appendChild(createAltTextForm(issue, handlers.onFixAltText));
+      }
+    },
+  });
+
+  notes.forEach((text) => {
+    const note = document.createElement("p");
+    note.className = "ms-font-s";
+    note.textContent = text;
+    container.appendChild(note);
+  });
+}
@@ -0,0 +1,98 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global console, setTimeout, URL, WebSocket */
+
+// How long to wait before reconnecting after the server goes away
+export const RECONNECT_DELAY = 5000;
+
+/**
+ * The bridge endpoint of the server that served a page.
+ * @param pageUrl {string}
+ * @returns {string} e.g. "wss://localhost:3000/bridge"
+ */
+export function bridgeUrl(pageUrl) {
+  const url = new URL("/bridge", pageUrl);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.href;
+}
+
+function describeError(error) {
+  return {
+    code: error.code || "GeneralException",
+    message: error.message || String(error),
+    details: error.details,
+  };
+}
+
+/**
+ * Connects to the scripting bridge in server.js and answers its requests until closed,
+ * reconnecting whenever the server restarts.
+ * @param url {string}
+ * @param handlers {Object<string, function(Object): Promise<*>>} Handlers by method name.
+ * @param options {Object}
+ * @param options.onStatus {function(boolean): void} Called when the connection opens or closes.
+ * @param options.WebSocket {Function} WebSocket implementation, for use outside the browser.
+ * @param options.reconnectDelay {number}
+ * @returns {{close: function(): void}}
+ */
+export function connectBridge(url, handlers, options = {}) {
+  const {
+    onStatus = () => {},
+    WebSocket: Socket = WebSocket,
+    reconnectDelay = RECONNECT_DELAY,
+  } = options;
+  let socket = null;
+  let closed = false;
+
+  async function answer(current, message) {
+    let reply;
+    try {
+      const handler = handlers[message.method];
+      if (!handler) {
+        throw Object.assign(new Error(`Unknown method "${message.method}"`), {
+          code: "InvalidArgument",
+        });
+      }
+      reply = { id: message.id, result: await handler(message.params || {}) };
+    } catch (error) {
+      console.error(`Bridge ${message.method} error:`, error);
+      reply = { id: message.id, error: describeError(error) };
+    }
+    current.send(JSON.stringify(reply));
+  }
+
+  function open() {
+    const current = new Socket(url);
+    socket = current;
+    current.onopen = () => onStatus(true);
+    current.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      answer(current, message);
+    };
+    current.onclose = () => {
+      onStatus(false);
+      if (!closed) {
+        setTimeout(() => !closed && open(), reconnectDelay);
+      }
+    };
+    // A failed connection also closes the socket, which schedules the retry
+    current.onerror = () => {};
+  }
+
+  open();
+
+  return {
+    close() {
+      closed = true;
+      socket.close();
+    },
+  };
+}
@@ -0,0 +1,41 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { unavailableFeatures } from "../inspector/capabilities";
+
+/**
+ * Renders the feature matrix: a summary of the host's support, and each feature with the reason
+ * it is unavailable. The list starts open when something is missing.
+ * @param details {HTMLDetailsElement}
+ * @param capabilities {import("../inspector/capabilities").Capabilities}
+ */
+export function renderCapabilities(details, capabilities) {
+  const missing = unavailableFeatures(capabilities);
+  const version = capabilities.versions.PowerPointApi;
+
+  details.innerHTML = "";
+  details.open = missing.length > 0;
+
+  const summary = document.createElement("summary");
+  summary.textContent =
+    `Host support: ${version ? `PowerPointApi ${version}` : "no PowerPointApi"}` +
+    (missing.length > 0 ? ` (${missing.length} unavailable)` : ", all features available");
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+  list.className = "capabilities";
+  capabilities.features.forEach((feature) => {
+    const item = document.createElement("li");
+    item.className = `capability capability--${feature.supported ? "available" : "unavailable"}`;
+    item.dataset.feature = feature.id;
+    item.textContent = feature.supported
+      ? `${feature.label}: available`
+      : `${feature.label}: unavailable. ${feature.reason}. ${feature.fallback}`;
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+}
@@ -0,0 +1,33 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { renderIssues } from "./issueList";
+
+/**
+ * Renders consistency issues grouped by slide, each with a button that snaps the shape to the
+ * values most slides use.
+ * @param container {HTMLElement}
+ * @param issues {import("../inspector/consistency").ConsistencyIssue[]}
+ * @param handlers {Object}
+ * @param handlers.onGoTo {function(ConsistencyIssue): void}
+ * @param handlers.onSnap {function(ConsistencyIssue): Promise<void>}
+ * @param canSnap {boolean} Whether the host can edit shapes. Snapping is disabled when it can't.
+ */
+export function renderConsistencyIssues(container, issues, handlers, canSnap) {
+  renderIssues(container, issues, {
+    onGoTo: handlers.onGoTo,
+    emptyMessage: "Shapes in the same role match across slides.",
+    decorate: (item, issue) => {
+      const button = document.createElement("button");
+      button.className = "ms-Button issue__snap";
+      button.textContent = "Snap to canonical";
+      button.disabled = !canSnap;
+      button.onclick = () => handlers.onSnap(issue);
+      item.appendChild(button);
+    },
+  });
+}
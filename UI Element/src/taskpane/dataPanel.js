@@ -0,0 +1,113 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { CHART_DATA_UNAVAILABLE } from "../inspector/dataInspection";
+
+function describeFont(font) {
+  const weight = [font.bold && "bold", font.italic && "italic"].filter(Boolean).join(" ");
+  return `${font.name} ${font.size}pt ${font.color}` + (weight ? ` ${weight}` : "");
+}
+
+function describeCell(cell) {
+  const lines = [`Row ${cell.row + 1}, column ${cell.column + 1}`];
+  if (cell.rowSpan > 1 || cell.columnSpan > 1) {
+    lines.push(`Merged: ${cell.rowSpan} x ${cell.columnSpan} cells`);
+  }
+  if (cell.fill) {
+    lines.push(`Fill: ${cell.fill}`);
+  }
+  if (cell.font) {
+    lines.push(`Font: ${describeFont(cell.font)}`);
+  }
+  return lines.join("\n");
+}
+
+function createCell(cell) {
+  const element = document.createElement("td");
+  element.dataset.row = cell.row;
+  element.dataset.column = cell.column;
+  element.rowSpan = cell.rowSpan;
+  element.colSpan = cell.columnSpan;
+  element.textContent = cell.text;
+  element.title = describeCell(cell);
+
+  if (cell.fill) {
+    element.style.backgroundColor = cell.fill;
+  }
+  if (cell.font) {
+    element.style.color = cell.font.color;
+    element.style.fontWeight = cell.font.bold ? "bold" : "normal";
+    element.style.fontStyle = cell.font.italic ? "italic" : "normal";
+  }
+  return element;
+}
+
+function summarizeTable(table) {
+  const merged = table.cells.flat().filter((cell) => cell.rowSpan > 1 || cell.columnSpan > 1);
+  let summary = `${table.name || "Table"}: ${table.rowCount} rows x ${table.columnCount} columns`;
+  if (merged.length > 0) {
+    summary += `, ${merged.length} merged cell${merged.length === 1 ? "" : "s"}`;
+  }
+  if (!table.formatted) {
+    summary += ". This host can't read cell fill and font.";
+  }
+  return summary;
+}
+
+/**
+ * Renders a table's cells as a grid, with merged cells spanning their rows and columns and each
+ * cell's fill and font. Hovering a cell shows its position and formatting.
+ * @param container {HTMLElement}
+ * @param table {import("../inspector/dataInspection").TableModel}
+ */
+export function renderTable(container, table) {
+  container.innerHTML = "";
+
+  const grid = document.createElement("table");
+  grid.className = "data-grid";
+  const caption = document.createElement("caption");
+  caption.textContent = summarizeTable(table);
+  grid.appendChild(caption);
+
+  const body = document.createElement("tbody");
+  table.cells.forEach((row) => {
+    const element = document.createElement("tr");
+    row.filter((cell) => !cell.mergedInto).forEach((cell) => element.appendChild(createCell(cell)));
+    body.appendChild(element);
+  });
+  grid.appendChild(body);
+  container.appendChild(grid);
+}
+
+/**
+ * Shows what can be known about a chart, and why its data can't be read.
+ * @param container {HTMLElement}
+ * @param shape {import("../inspector/selectionModel").ShapeModel}
+ */
+export function renderChart(container, shape) {
+  container.innerHTML = "";
+
+  const list = document.createElement("dl");
+  list.className = "chart-details";
+  [
+    ["Name", shape.name || shape.id],
+    ["Size", `${shape.width} x ${shape.height}`],
+    ["Alt text", shape.altTextDescription || shape.altTextTitle || "None"],
+  ].forEach(([term, value]) => {
+    const title = document.createElement("dt");
+    title.textContent = term;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(title, detail);
+  });
+  container.appendChild(list);
+
+  const note = document.createElement("p");
+  note.className = "ms-font-s";
+  note.textContent = CHART_DATA_UNAVAILABLE;
+  container.appendChild(note);
+}
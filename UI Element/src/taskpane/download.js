@@ -0,0 +1,29 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global Blob, document, setTimeout, URL */
+
+// Milliseconds to keep a download's object URL alive after the click
+const REVOKE_DELAY = 1000;
+
+/**
+ * Saves content as a file through a temporary download link.
+ * @param filename {string}
+ * @param content {string|Uint8Array} Text, or binary data such as an image.
+ * @param type {string} MIME type of the content.
+ */
+export function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some WebView hosts start the download after click() returns, and revoking the URL right
+  // away cancels it
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+function createMatchItem(match, options) {
+  const item = document.createElement("li");
+  item.className = "find-match";
+
+  const label = document.createElement("label");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = true;
+  checkbox.dataset.matchId = match.id;
+  checkbox.setAttribute("aria-label", `Replace "${match.text}" in ${match.location}`);
+  label.appendChild(checkbox);
+
+  // The match in context, with what it becomes
+  const preview = document.createElement("span");
+  preview.className = "find-match__preview";
+  const found = document.createElement("mark");
+  found.textContent = match.text;
+  const replacement = document.createElement("ins");
+  replacement.textContent = match.replacement;
+  preview.append(match.before, found, replacement, match.after);
+  label.appendChild(preview);
+  item.appendChild(label);
+
+  const link = document.createElement("a");
+  link.href = "#";
+  link.className = "find-match__location";
+  link.textContent = match.location;
+  link.onclick = (event) => {
+    event.preventDefault();
+    options.onGoTo(match);
+  };
+  item.appendChild(link);
+
+  return item;
+}
+
+/**
+ * Renders the matches of a search grouped by slide, each with a checkbox to pick it for
+ * replacement. Every match starts out picked.
+ * @param container {HTMLElement}
+ * @param matches {import("../inspector/findReplace").TextMatch[]}
+ * @param options {Object}
+ * @param options.onGoTo {function(Object): void} Called when a match's location is clicked.
+ */
+export function renderMatches(container, matches, options) {
+  container.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.className = "issues-summary";
+  const slides = new Set(matches.map((match) => match.slideId)).size;
+  summary.textContent =
+    matches.length === 0
+      ? "No matches."
+      : `${matches.length} match${matches.length === 1 ? "" : "es"} on ${slides} slide${slides === 1 ? "" : "s"}`;
+  container.appendChild(summary);
+
+  let list = null;
+  let currentSlide = null;
+  matches.forEach((match) => {
+    if (match.slideId !== currentSlide) {
+      currentSlide = match.slideId;
+      const heading = document.createElement("h3");
+      heading.className = "ms-font-m issues-slide";
+      heading.textContent = `Slide ${match.slideIndex}`;
+      container.appendChild(heading);
+      list = document.createElement("ul");
+      list.className = "find-matches";
+      container.appendChild(list);
+    }
+    list.appendChild(createMatchItem(match, options));
+  });
+}
+
+/**
+ * @param container {HTMLElement} Rendered with renderMatches.
+ * @returns {string[]} Ids of the matches picked for replacement.
+ */
+export function pickedMatchIds(container) {
+  return [...container.querySelectorAll("input[data-match-id]:checked")].map(
+    (checkbox) => checkbox.dataset.matchId
+  );
+}
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+function formatNumber(value) {
+  return typeof value === "number" ? String(Math.round(value * 100) / 100) : "?";
+}
+
+function describeGeometry(node) {
+  let text = `On slide (${formatNumber(node.left)}, ${formatNumber(node.top)})`;
+  if (node.shapePath.length > 1) {
+    text += `, in group (${formatNumber(node.relativeLeft)}, ${formatNumber(node.relativeTop)})`;
+  }
+  return `${text}, ${formatNumber(node.width)} x ${formatNumber(node.height)}`;
+}
+
+function createNode(node, onSelect, selectedId) {
+  const item = document.createElement("li");
+  item.className = "group-node";
+  item.dataset.shapeId = node.id;
+
+  const label = document.createElement("a");
+  label.href = "#";
+  label.className = "group-node__label";
+  if (node.id === selectedId) {
+    label.classList.add("group-node__label--selected");
+  }
+  label.textContent = `${node.name || "Unnamed"} [${node.type}]`;
+  label.onclick = (event) => {
+    event.preventDefault();
+    onSelect(node);
+  };
+  item.appendChild(label);
+
+  const geometry = document.createElement("span");
+  geometry.className = "group-node__geometry";
+  geometry.textContent = describeGeometry(node);
+  item.appendChild(geometry);
+
+  if (node.children.length > 0) {
+    const list = document.createElement("ul");
+    node.children.forEach((child) => list.appendChild(createNode(child, onSelect, selectedId)));
+    item.appendChild(list);
+  }
+  return item;
+}
+
+/**
+ * Renders a group and everything inside it as a nested list, with each shape's position on the
+ * slide and within its group.
+ * @param container {HTMLElement}
+ * @param tree {{root: import("../inspector/groups").GroupNode, truncated: boolean}|null} Null
+ *   clears the panel.
+ * @param onSelect {function(GroupNode): void} Called when a shape is clicked.
+ * @param selectedId {string|null} The shape to highlight.
+ */
+export function renderGroupTree(container, tree, onSelect, selectedId = null) {
+  container.innerHTML = "";
+  if (!tree) {
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "group-tree";
+  list.appendChild(createNode(tree.root, onSelect, selectedId));
+  container.appendChild(list);
+
+  if (tree.truncated) {
+    const note = document.createElement("p");
+    note.className = "ms-font-s";
+    note.textContent = "Some nested groups couldn't be read on this host.";
+    container.appendChild(note);
+  }
+}
@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+function describeSnapshot(snapshot) {
+  const time = new Date(snapshot.timestamp).toLocaleTimeString();
+  const names = snapshot.shapes.map((shape) => shape.name || shape.id).join(", ");
+  return `#${snapshot.id} ${time} - Slide ${snapshot.slideId}: ${names}`;
+}
+
+// Keeps the picked snapshot while it is still recorded. A picker following the latest snapshot
+// moves on to the newest one.
+function fillSnapshotOptions(select, snapshots, fallback, followLatest) {
+  const current = Number(select.value);
+  const wasLatest = current === Number(select.dataset.latestId);
+  select.innerHTML = "";
+  snapshots.forEach((snapshot) => {
+    const option = document.createElement("option");
+    option.value = String(snapshot.id);
+    option.textContent = describeSnapshot(snapshot);
+    select.appendChild(option);
+  });
+
+  const latest = snapshots[snapshots.length - 1];
+  select.dataset.latestId = latest ? String(latest.id) : "";
+  const keep = snapshots.some((snapshot) => snapshot.id === current);
+  if (keep && !(followLatest && wasLatest)) {
+    select.value = String(current);
+  } else if (fallback) {
+    select.value = String(fallback.id);
+  }
+}
+
+/**
+ * Renders the recorded selections and fills the snapshot pickers. By default the pickers compare
+ * the two latest snapshots.
+ * @param elements {{list: HTMLElement, from: HTMLSelectElement, to: HTMLSelectElement}}
+ * @param snapshots {import("../inspector/history").SelectionSnapshot[]} Oldest first.
+ */
+export function renderHistory(elements, snapshots) {
+  const { list, from, to } = elements;
+  list.innerHTML = "";
+
+  if (snapshots.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "history__empty";
+    empty.textContent = "No selections recorded yet.";
+    list.appendChild(empty);
+  }
+
+  [...snapshots].reverse().forEach((snapshot) => {
+    const item = document.createElement("li");
+    item.className = "history__item";
+    item.dataset.snapshotId = String(snapshot.id);
+    item.textContent = describeSnapshot(snapshot);
+    list.appendChild(item);
+  });
+
+  fillSnapshotOptions(from, snapshots, snapshots[snapshots.length - 2] || snapshots[0], false);
+  fillSnapshotOptions(to, snapshots, snapshots[snapshots.length - 1], true);
+}
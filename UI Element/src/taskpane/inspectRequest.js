@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global clearTimeout, localStorage, setTimeout, window */
+
+// The ribbon commands and the task pane are separate pages on the same origin. Writing to
+// localStorage fires a storage event in every other page, which is how they reach each other.
+//
+// This is best effort. Without a shared runtime the commands page can't open the task pane or
+// call into it, so it can only ask and wait. A pane that answers after the timeout, e.g. one
+// the host suspended in the background, still inspects the selection, and the command has
+// shown its dialog by then too.
+const REQUEST_KEY = "element-inspector.inspect-request";
+const ANSWER_KEY = "element-inspector.inspect-answer";
+
+let requestCount = 0;
+
+/**
+ * Asks an open task pane to inspect the selection.
+ * @param timeout {number} Milliseconds to wait for the task pane to answer.
+ * @returns {Promise<boolean>} Whether a task pane answered. False when no task pane is open.
+ */
+export function requestInspection(timeout) {
+  // Unique across pages, so a pane's answer to an earlier request doesn't count
+  const id = `${Date.now()}-${++requestCount}`;
+
+  return new Promise((resolve) => {
+    const finish = (answered) => {
+      clearTimeout(timer);
+      window.removeEventListener("storage", onStorage);
+      resolve(answered);
+    };
+    const onStorage = (event) => {
+      if (event.key === ANSWER_KEY && event.newValue === id) {
+        finish(true);
+      }
+    };
+    const timer = setTimeout(() => finish(false), timeout);
+
+    window.addEventListener("storage", onStorage);
+    localStorage.setItem(REQUEST_KEY, id);
+  });
+}
+
+/**
+ * Answers inspection requests from the ribbon while the task pane is open.
+ * @param inspect {function(): void} Called for each request.
+ */
+export function onInspectionRequest(inspect) {
+  window.addEventListener("storage", (event) => {
+    if (event.key === REQUEST_KEY && event.newValue) {
+      localStorage.setItem(ANSWER_KEY, event.newValue);
+      inspect();
+    }
+  });
+}
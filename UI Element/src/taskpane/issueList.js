@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Summarizes issues by severity, e.g. "3 issues (1 error, 2 warnings)".
+ * @param issues {Array<{severity: string}>}
+ * @returns {string}
+ */
+export function summarizeIssues(issues) {
+  const counts = ["error", "warning", "info"]
+    .map((severity) => ({
+      severity,
+      count: issues.filter((issue) => issue.severity === severity).length,
+    }))
+    .filter(({ count }) => count > 0)
+    .map(({ severity, count }) =>
+      severity === "info" ? `${count} info` : plural(count, severity)
+    );
+
+  return `${plural(issues.length, "issue")} (${counts.join(", ")})`;
+}
+
+function createIssueItem(issue, options) {
+  const item = document.createElement("li");
+  item.className = `issue issue--${issue.severity}`;
+  item.dataset.rule = issue.rule;
+
+  const message = document.createElement("span");
+  message.className = "issue__message";
+  message.textContent = issue.message;
+  item.appendChild(message);
+
+  const link = document.createElement("a");
+  link.href = "#";
+  link.className = "issue__link";
+  link.textContent = issue.shapeId ? "Go to shape" : "Go to slide";
+  link.onclick = (event) => {
+    event.preventDefault();
+    options.onGoTo(issue);
+  };
+  item.appendChild(link);
+
+  if (options.decorate) {
+    options.decorate(item, issue);
+  }
+
+  return item;
+}
+
+/**
+ * Renders issues from the presentation checks grouped by slide, with a summary line.
+ * @param container {HTMLElement}
+ * @param issues {Array<Object>} Issues with slideId, slideIndex, shapeId, severity and message.
+ * @param options {Object}
+ * @param options.onGoTo {function(Object): void} Called when an issue's link is clicked.
+ * @param options.emptyMessage {string} Shown when there are no issues.
+ * @param options.decorate {function(HTMLElement, Object): void} Adds extra content to an issue.
+ */
+export function renderIssues(container, issues, options) {
+  container.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.className = "issues-summary";
+  summary.textContent = issues.length === 0 ? options.emptyMessage : summarizeIssues(issues);
+  container.appendChild(summary);
+
+  let list = null;
+  let currentSlide = null;
+  issues.forEach((issue) => {
+    if (issue.slideId !== currentSlide) {
+      currentSlide = issue.slideId;
+      const heading = document.createElement("h3");
+      heading.className = "ms-font-m issues-slide";
+      heading.textContent = `Slide ${issue.slideIndex}`;
+      container.appendChild(heading);
+      list = document.createElement("ul");
+      list.className = "issues";
+      container.appendChild(list);
+    }
+    list.appendChild(createIssueItem(issue, options));
+  });
+}
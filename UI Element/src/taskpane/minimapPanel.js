@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { LABEL_SIZE } from "../inspector/minimap";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NAMESPACE, name);
+  Object.keys(attributes).forEach((key) => element.setAttribute(key, String(attributes[key])));
+  return element;
+}
+
+function createBox(box, onSelect) {
+  const group = createSvgElement("g", {
+    class: `minimap__shape${box.selected ? " minimap__shape--selected" : ""}`,
+    "data-shape-id": box.id,
+  });
+
+  const title = createSvgElement("title");
+  title.textContent = box.tooltip;
+  group.appendChild(title);
+
+  group.appendChild(
+    createSvgElement("rect", {
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height,
+      fill: box.color,
+      stroke: box.color,
+      class: "minimap__box",
+    })
+  );
+
+  if (box.label) {
+    const label = createSvgElement("text", {
+      x: box.x + 4,
+      y: box.y + LABEL_SIZE,
+      "font-size": LABEL_SIZE,
+      fill: box.color,
+      class: "minimap__label",
+    });
+    label.textContent = box.label;
+    group.appendChild(label);
+  }
+
+  if (onSelect) {
+    group.setAttribute("tabindex", "0");
+    group.setAttribute("role", "button");
+    group.setAttribute("aria-label", `Select ${box.name || box.id}`);
+    group.addEventListener("click", (event) => {
+      // Clicks elsewhere in the pane re-read the selection; onSelect does that once it changed
+      event.stopPropagation();
+      onSelect(box.id, event.shiftKey || event.ctrlKey || event.metaKey);
+    });
+    group.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onSelect(box.id, event.shiftKey);
+      }
+    });
+  }
+  return group;
+}
+
+/**
+ * Draws the slide and the bounding box of every shape on it, to scale.
+ * @param container {HTMLElement}
+ * @param layout {import("../inspector/minimap").MinimapLayout|null}
+ * @param onSelect {function(string, boolean): void|null} Called with the clicked shape's id and
+ *   whether to add it to the selection (Shift, Ctrl or Cmd held). Null when shapes can't be
+ *   selected on this host.
+ */
+export function renderMinimap(container, layout, onSelect) {
+  container.innerHTML = "";
+
+  if (!layout || layout.boxes.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "minimap__empty";
+    empty.textContent = layout ? "No shapes on this slide." : "No slide selected.";
+    container.appendChild(empty);
+    return;
+  }
+
+  const { x, y, width, height } = layout.viewBox;
+  const svg = createSvgElement("svg", {
+    viewBox: `${x} ${y} ${width} ${height}`,
+    role: "img",
+    "aria-label": `Slide with ${layout.boxes.length} shape${layout.boxes.length === 1 ? "" : "s"}`,
+    class: "minimap__svg",
+  });
+  svg.appendChild(
+    createSvgElement("rect", {
+      x: 0,
+      y: 0,
+      width: layout.slide.width,
+      height: layout.slide.height,
+      class: "minimap__slide",
+    })
+  );
+  layout.boxes.forEach((box) => svg.appendChild(createBox(box, onSelect)));
+  container.appendChild(svg);
+}
@@ -0,0 +1,125 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import {
+  PICTURE_DATA_UNAVAILABLE,
+  PICTURE_IMAGES_UNAVAILABLE,
+  summarizePictures,
+} from "../inspector/pictures";
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// Largest on the slide first
+function bySize(a, b) {
+  return b.width * b.height - a.width * a.height || a.slideIndex - b.slideIndex;
+}
+
+function createPictureItem(picture, handlers) {
+  const item = document.createElement("li");
+  item.className = "picture";
+  item.dataset.shapeId = picture.shapeId;
+
+  if (picture.thumbnail) {
+    const thumbnail = document.createElement("img");
+    thumbnail.className = "picture__thumbnail";
+    thumbnail.src = `data:image/png;base64,${picture.thumbnail}`;
+    thumbnail.alt = "";
+    item.appendChild(thumbnail);
+  }
+
+  const details = document.createElement("div");
+  details.className = "picture__details";
+  const title = document.createElement("span");
+  title.className = "picture__name";
+  title.textContent = `Slide ${picture.slideIndex}: ${picture.location}`;
+  details.appendChild(title);
+
+  const size = document.createElement("span");
+  size.className = "picture__detail";
+  size.textContent = `On slide ${Math.round(picture.width)} x ${Math.round(picture.height)} pt`;
+  details.appendChild(size);
+
+  const actions = document.createElement("div");
+  actions.className = "picture__actions";
+  const goTo = document.createElement("a");
+  goTo.href = "#";
+  goTo.className = "issue__link";
+  goTo.textContent = "Go to picture";
+  goTo.onclick = (event) => {
+    event.preventDefault();
+    handlers.onGoTo(picture);
+  };
+  actions.appendChild(goTo);
+  if (picture.thumbnail) {
+    const download = document.createElement("a");
+    download.href = "#";
+    download.className = "issue__link picture__download";
+    download.textContent = "Download PNG";
+    download.title = "The picture as it appears on the slide, not the original file";
+    download.onclick = (event) => {
+      event.preventDefault();
+      return handlers.onDownload(picture);
+    };
+    actions.appendChild(download);
+  }
+  details.appendChild(actions);
+
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Renders the presentation's pictures, largest on the slide first, with thumbnails where the
+ * host rendered them, and says what the API can't tell about them.
+ * @param container {HTMLElement}
+ * @param result {{pictures: import("../inspector/pictures").PictureInfo[], unread: string[]}}
+ * @param handlers {Object}
+ * @param handlers.onGoTo {function(PictureInfo): void}
+ * @param handlers.onDownload {function(PictureInfo): void} Offered for pictures with a thumbnail.
+ */
+export function renderPictures(container, result, handlers) {
+  container.innerHTML = "";
+
+  const { count, slides } = summarizePictures(result.pictures);
+  const summary = document.createElement("p");
+  summary.className = "issues-summary";
+  summary.textContent =
+    count === 0
+      ? "No pictures in this presentation."
+      : `${plural(count, "picture")} on ${plural(slides, "slide")}.`;
+  container.appendChild(summary);
+
+  if (count > 0) {
+    const note = document.createElement("p");
+    note.className = "ms-font-s";
+    note.textContent = PICTURE_DATA_UNAVAILABLE;
+    container.appendChild(note);
+  }
+
+  if (result.pictures.some((picture) => !picture.thumbnail)) {
+    const note = document.createElement("p");
+    note.className = "ms-font-s";
+    note.textContent = PICTURE_IMAGES_UNAVAILABLE;
+    container.appendChild(note);
+  }
+
+  if (result.unread.length > 0) {
+    const note = document.createElement("p");
+    note.className = "ms-font-s";
+    note.textContent = `This host couldn't read: ${result.unread.join(", ")}.`;
+    container.appendChild(note);
+  }
+
+  const list = document.createElement("ul");
+  list.className = "pictures";
+  [...result.pictures]
+    .sort(bySize)
+    .forEach((picture) => list.appendChild(createPictureItem(picture, handlers)));
+  container.appendChild(list);
+}
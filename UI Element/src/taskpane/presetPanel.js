@@ -0,0 +1,56 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { describePreset } from "../inspector/presets";
+
+function presetButton(label, onClick) {
+  const button = document.createElement("button");
+  button.className = "ms-Button";
+  button.textContent = label;
+  button.onclick = onClick;
+  return button;
+}
+
+/**
+ * Renders the preset library with an Apply and a Delete button per preset.
+ * @param list {HTMLElement}
+ * @param presets {import("../inspector/presets").Preset[]}
+ * @param handlers {{onApply: function(Preset): void, onDelete: function(Preset): void}}
+ * @param canApply {boolean} Whether the host can edit shapes. Apply is disabled when it can't.
+ */
+export function renderPresets(list, presets, handlers, canApply) {
+  list.innerHTML = "";
+
+  if (presets.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "presets__empty";
+    empty.textContent = "No presets saved in this presentation yet.";
+    list.appendChild(empty);
+  }
+
+  presets.forEach((preset) => {
+    const item = document.createElement("li");
+    item.className = "preset";
+    item.dataset.presetName = preset.name;
+
+    const name = document.createElement("strong");
+    name.className = "preset__name";
+    name.textContent = preset.name;
+    const summary = document.createElement("span");
+    summary.className = "preset__summary";
+    summary.textContent = describePreset(preset);
+
+    const apply = presetButton("Apply", () => handlers.onApply(preset));
+    apply.disabled = !canApply;
+    apply.setAttribute("aria-label", `Apply ${preset.name} to the selection`);
+    const remove = presetButton("Delete", () => handlers.onDelete(preset));
+    remove.setAttribute("aria-label", `Delete ${preset.name}`);
+
+    item.append(name, summary, apply, remove);
+    list.appendChild(item);
+  });
+}
@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { getEditableProperties } from "../inspector/editing";
+
+function createField(shape, property) {
+  const field = document.createElement("label");
+  field.className = "shape-editor__field";
+
+  const label = document.createElement("span");
+  label.className = "shape-editor__label";
+  label.textContent = property.label;
+  field.appendChild(label);
+
+  const input = document.createElement(property.kind === "multiline" ? "textarea" : "input");
+  if (property.kind === "number") {
+    input.type = "number";
+    input.step = "any";
+  } else if (property.kind === "text") {
+    input.type = "text";
+  }
+  input.name = property.key;
+  const value = shape[property.key];
+  input.value = value === null || value === undefined ? "" : String(value);
+  field.appendChild(input);
+
+  const error = document.createElement("span");
+  error.className = "shape-editor__error";
+  error.dataset.errorFor = property.key;
+  field.appendChild(error);
+
+  return field;
+}
+
+function readFormValues(form) {
+  const values = {};
+  form.querySelectorAll("input, textarea").forEach((input) => {
+    values[input.name] = input.value;
+  });
+  return values;
+}
+
+/**
+ * Shows validation errors on a shape editor form, clearing the previous ones.
+ * @param form {HTMLFormElement}
+ * @param errors {Object} Error messages by property key.
+ */
+export function showEditorErrors(form, errors) {
+  form.querySelectorAll(".shape-editor__error").forEach((element) => {
+    element.textContent = errors[element.dataset.errorFor] || "";
+  });
+}
+
+/**
+ * Renders one editable form per selected shape.
+ * @param container {HTMLElement}
+ * @param model {import("../inspector/selectionModel").SelectionModel}
+ * @param capabilities {import("../inspector/capabilities").Capabilities} Leaves out the fields
+ *   the host can't write.
+ * @param onApply {function(ShapeModel, Object, HTMLFormElement): Promise<void>} Called with the
+ *   shape, the raw form values and the form when the user applies an edit.
+ */
+export function renderShapeEditors(container, model, capabilities, onApply) {
+  container.innerHTML = "";
+
+  if (!model.slideId) {
+    return;
+  }
+
+  model.shapes.forEach((shape) => {
+    const form = document.createElement("form");
+    form.className = "shape-editor";
+    form.dataset.shapeId = shape.id;
+
+    const title = document.createElement("h3");
+    title.className = "ms-font-m shape-editor__title";
+    title.textContent = `${shape.name || "Unnamed"} (ID: ${shape.id})`;
+    form.appendChild(title);
+
+    getEditableProperties(shape, capabilities).forEach((property) => {
+      form.appendChild(createField(shape, property));
+    });
+
+    const status = document.createElement("p");
+    status.className = "shape-editor__status";
+    form.appendChild(status);
+
+    const apply = document.createElement("button");
+    apply.type = "submit";
+    apply.className = "ms-Button";
+    apply.innerHTML = '<span class="ms-Button-label">Apply</span>';
+    form.appendChild(apply);
+
+    form.onsubmit = async (event) => {
+      event.preventDefault();
+      apply.disabled = true;
+      try {
+        await onApply(shape, readFormValues(form), form);
+      } finally {
+        apply.disabled = false;
+      }
+    };
+
+    container.appendChild(form);
+  });
+}
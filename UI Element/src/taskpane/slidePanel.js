@@ -0,0 +1,151 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+import { SPEAKER_NOTES_UNAVAILABLE } from "../inspector/slideDetails";
+
+function appendHeading(container, text) {
+  const heading = document.createElement("h3");
+  heading.className = "ms-font-m";
+  heading.textContent = text;
+  container.appendChild(heading);
+}
+
+function appendNote(container, text) {
+  const note = document.createElement("p");
+  note.className = "ms-font-s";
+  note.textContent = text;
+  container.appendChild(note);
+}
+
+function createSummary(details) {
+  const list = document.createElement("dl");
+  list.className = "slide-summary";
+  [
+    ["Slide", `${details.index} (id ${details.id})`],
+    ["Layout", details.layoutName || "Unknown"],
+    ["Slide master", details.masterName || "Unknown"],
+  ].forEach(([term, value]) => {
+    const title = document.createElement("dt");
+    title.textContent = term;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(title, detail);
+  });
+  return list;
+}
+
+function appendPlaceholders(container, placeholders) {
+  appendHeading(container, "Placeholders");
+  if (placeholders === null) {
+    appendNote(container, "This host can't read placeholders.");
+    return;
+  }
+  if (placeholders.length === 0) {
+    appendNote(container, "This slide has no placeholders.");
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "slide-placeholders";
+  placeholders.forEach((placeholder) => {
+    const state = placeholder.filled ? "filled" : "empty";
+    const item = document.createElement("li");
+    item.className = `slide-placeholder slide-placeholder--${state}`;
+    item.dataset.shapeId = placeholder.shapeId;
+    const role = placeholder.placeholderType || "Placeholder";
+    item.textContent = `${role} (${placeholder.name || placeholder.shapeId}): ${state}`;
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+function appendNotes(container) {
+  appendHeading(container, "Speaker notes");
+  appendNote(container, SPEAKER_NOTES_UNAVAILABLE);
+}
+
+function createTagForm(tag, handlers, canEdit) {
+  const form = document.createElement("form");
+  form.className = "slide-tag";
+  form.dataset.key = tag ? tag.key : "";
+
+  const key = document.createElement("input");
+  key.name = "key";
+  key.type = "text";
+  key.placeholder = "Name";
+  key.setAttribute("aria-label", "Tag name");
+  const value = document.createElement("input");
+  value.name = "value";
+  value.type = "text";
+  value.placeholder = "Value";
+  value.setAttribute("aria-label", "Tag value");
+  form.append(key, value);
+
+  const save = document.createElement("button");
+  save.type = "submit";
+  save.className = "ms-Button";
+  save.textContent = tag ? "Save" : "Add tag";
+  form.appendChild(save);
+
+  if (tag) {
+    // A tag's name is its identity, so only the value can change
+    key.value = tag.key;
+    key.readOnly = true;
+    value.value = tag.value;
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "ms-Button slide-tag__delete";
+    remove.textContent = "Delete";
+    remove.disabled = !canEdit;
+    remove.onclick = () => handlers.onDeleteTag(tag.key);
+    form.appendChild(remove);
+  }
+
+  save.disabled = !canEdit;
+  value.disabled = !canEdit;
+  key.disabled = !canEdit;
+  form.onsubmit = async (event) => {
+    event.preventDefault();
+    await handlers.onSetTag(key.value.trim(), value.value);
+  };
+  return form;
+}
+
+function appendTags(container, tags, handlers, canEdit) {
+  appendHeading(container, "Tags");
+  if (tags === null) {
+    appendNote(container, "This host can't read tags.");
+    return;
+  }
+  if (tags.length === 0) {
+    appendNote(container, "No tags on this slide.");
+  }
+  tags.forEach((tag) => container.appendChild(createTagForm(tag, handlers, canEdit)));
+  container.appendChild(createTagForm(null, handlers, canEdit));
+}
+
+/**
+ * Renders a slide's details: its number, layout and master, which placeholders are filled,
+ * why speaker notes can't be shown, and its tags with forms to change them.
+ * @param container {HTMLElement}
+ * @param details {import("../inspector/slideDetails").SlideDetails|null} Null clears the panel.
+ * @param handlers {Object}
+ * @param handlers.onSetTag {function(string, string): Promise<void>} Adds or changes a tag.
+ * @param handlers.onDeleteTag {function(string): Promise<void>}
+ * @param canEdit {boolean} Whether the host can change tags. The forms are disabled when it can't.
+ */
+export function renderSlideDetails(container, details, handlers, canEdit) {
+  container.innerHTML = "";
+  if (!details) {
+    return;
+  }
+
+  container.appendChild(createSummary(details));
+  appendPlaceholders(container, details.placeholders);
+  appendNotes(container);
+  appendTags(container, details.tags, handlers, canEdit);
+}
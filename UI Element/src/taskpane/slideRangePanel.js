@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function describeSlide(summary) {
+  if (summary.shapeCount === 0) {
+    return "No shapes";
+  }
+  const types = summary.types.map(({ type, count }) => `${count} ${type}`).join(", ");
+  let text = `${plural(summary.shapeCount, "shape")}: ${types}`;
+  if (summary.accessibilityIssues > 0) {
+    text += `; ${plural(summary.accessibilityIssues, "accessibility issue")}`;
+  }
+  return text;
+}
+
+/**
+ * Renders a summary of each selected slide, with a link to show the slide.
+ * @param container {HTMLElement}
+ * @param summaries {import("../inspector/slideSummary").SlideSummary[]} Empty clears the panel.
+ * @param onGoTo {function(SlideSummary): void|null} Called when a slide's link is clicked. Null
+ *   shows the slides without links, on hosts that can't select slides.
+ */
+export function renderSlideSummaries(container, summaries, onGoTo) {
+  container.innerHTML = "";
+  if (summaries.length === 0) {
+    return;
+  }
+
+  const shapeCount = summaries.reduce((total, summary) => total + summary.shapeCount, 0);
+  const heading = document.createElement("p");
+  heading.className = "issues-summary";
+  heading.textContent = `${plural(summaries.length, "slide")} selected, ${plural(
+    shapeCount,
+    "shape"
+  )} in total.`;
+  container.appendChild(heading);
+
+  const list = document.createElement("ul");
+  list.className = "slide-range";
+  summaries.forEach((summary) => {
+    const item = document.createElement("li");
+    item.className = "slide-range__slide";
+    item.dataset.slideId = summary.id;
+
+    const label = `Slide ${summary.index}: ${summary.title || "Untitled"}`;
+    let title;
+    if (onGoTo) {
+      title = document.createElement("a");
+      title.href = "#";
+      title.onclick = (event) => {
+        event.preventDefault();
+        onGoTo(summary);
+      };
+    } else {
+      title = document.createElement("span");
+    }
+    title.className = "slide-range__title";
+    title.textContent = label;
+    item.appendChild(title);
+
+    const details = document.createElement("span");
+    details.className = "slide-range__details";
+    details.textContent = describeSlide(summary);
+    item.appendChild(details);
+
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
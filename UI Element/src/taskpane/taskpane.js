@@ -3,91 +3,292 @@
  * See LICENSE in the project root for license information.
  */
 
-/* global document, Office */
+/* global atob, clearTimeout, console, document, FileReader, Office, setTimeout, URL, window */
 
-// Global variables to track selection and mouse state
-let lastSelectedText = "";
+import { buildSelectionModel, serializeSelectionModel } from "../inspector/selectionModel";
+import { formatSelectionModel } from "../inspector/formatSelection";
+import { createStrategyRegistry } from "../inspector/detection/registry";
+import { defaultStrategies } from "../inspector/detection/strategies";
+import { resolveSelection } from "../inspector/resolveSelection";
+import { describeStyle, styleEditValues } from "../inspector/style";
+import {
+  applyTextReplacements,
+  createSearchPattern,
+  findTextMatches,
+  loadTextTargets,
+  undoTextReplacements,
+} from "../inspector/findReplace";
+import {
+  createPreset,
+  formatPresetFile,
+  mergePresets,
+  parsePresetFile,
+  presetEditValues,
+  readStoredPresets,
+  storePresets,
+} from "../inspector/presets";
+import { createBridgeHandlers } from "../inspector/bridgeHandlers";
+import {
+  describeUnavailable,
+  detectCapabilities,
+  isFeatureSupported,
+  requireFeature,
+} from "../inspector/capabilities";
+import {
+  applyShapeEditBatch,
+  applyShapeEdits,
+  undoShapeEdit,
+  undoShapeEditBatch,
+  validateShapeEdits,
+} from "../inspector/editing";
+import { alignShapes, distributeShapes, matchSize, snapToGrid } from "../inspector/arrange";
+import { createSelectionHistory, diffSnapshots, formatSnapshotDiff } from "../inspector/history";
+import {
+  ALT_TEXT_UNREADABLE,
+  auditPresentation,
+  countUnreadableAltText,
+} from "../inspector/accessibility";
+import { checkConsistency } from "../inspector/consistency";
+import {
+  DATA_SHAPE_TYPES,
+  formatTableCsv,
+  importTableCsv,
+  loadTable,
+} from "../inspector/dataInspection";
+import { findGroupNode, groupShapes, loadGroupTree, ungroupShape } from "../inspector/groups";
+import { goToShape, goToSlide } from "../inspector/navigation";
+import { layoutMinimap } from "../inspector/minimap";
+import { loadPictureImage, loadPictures } from "../inspector/pictures";
+import {
+  findSlideIndex,
+  loadInventoryData,
+  loadPresentationData,
+  loadSlideSize,
+} from "../inspector/presentationData";
+import { deleteSlideTag, loadSlideDetails, setSlideTag } from "../inspector/slideDetails";
+import { summarizeSlides } from "../inspector/slideSummary";
+import {
+  formatInventoryCsv,
+  formatInventoryMarkdown,
+  selectionInventory,
+} from "../inspector/export/inventory";
+import {
+  DEFAULT_LINT_CONFIG,
+  lintPresentation,
+  resolveLintConfig,
+} from "../inspector/lint/layoutLint";
+import {
+  filterTree,
+  listShapeTypes,
+  loadPresentationTree,
+  selectTreeNode,
+} from "../inspector/presentationTree";
+import { renderAccessibilityIssues } from "./accessibilityPanel";
+import { bridgeUrl, connectBridge } from "./bridgeClient";
+import { renderCapabilities } from "./capabilityPanel";
+import { copyText } from "./clipboard";
+import { onInspectionRequest } from "./inspectRequest";
+import { renderConsistencyIssues } from "./consistencyPanel";
+import { renderChart, renderTable } from "./dataPanel";
+import { downloadFile } from "./download";
+import { pickedMatchIds, renderMatches } from "./findReplacePanel";
+import { renderGroupTree } from "./groupPanel";
+import { renderHistory } from "./historyPanel";
+import { renderIssues } from "./issueList";
+import { renderMinimap } from "./minimapPanel";
+import { renderPictures } from "./picturePanel";
+import { renderPresets } from "./presetPanel";
+import { renderShapeEditors, showEditorErrors } from "./shapeEditor";
+import { renderSlideDetails } from "./slidePanel";
+import { renderSlideSummaries } from "./slideRangePanel";
+import { renderTree, renderTypeOptions } from "./treeBrowser";
+
+// Pending debounced detection after a selection change
 let selectionChangeTimeout = null;
-let lastMousePosition = { x: 0, y: 0 };
-let lastClickedPosition = { x: 0, y: 0 };
-let hasMousePositionData = false;
+
+// The most recently resolved selection, used by the JSON actions
+let currentSelectionModel = null;
+
+// Slide size from the presentation's page setup, or null where the host can't read it
+let slideSize = null;
+
+// The last edit written to the document, kept so it can be undone. Arrange commands record one
+// edit per shape they moved, and find and replace records the texts it changed.
+let lastEdit = null;
+
+// The texts searched by the last Find all, and the matches found in them
+let textSearch = null;
+
+// Every slide and shape in the presentation, loaded on demand by the tree browser
+let presentationTree = [];
+
+// The last layout lint run, kept for export
+let lastLintReport = null;
+
+// The issues found by the last consistency check, for Snap all
+let consistencyIssues = [];
+
+// The table shown under Tables and charts, for CSV export and import
+let inspectedTable = null;
+
+// The contents of the selected group, and the shape in it picked for editing
+let groupTree = null;
+let pickedGroupShapeId = null;
+
+// The details of the selected slide, reloaded when another slide is selected
+let slideDetails = null;
+
+// The slides the presentation tools are limited to, or null for the whole presentation. They're
+// kept when the selection changes, so going to an issue doesn't narrow them.
+let scopedSlideIds = null;
+
+// Every resolved selection this session, for the history panel
+const selectionHistory = createSelectionHistory();
+
+// What the host supports, checked once Office is ready
+let capabilities = null;
+
+// Controls that need a feature, disabled when the host doesn't support it
+const FEATURE_CONTROLS = {
+  "shape-editing": ["[data-arrange]", "#paste-style", "#replace-picked", "#snap-all-consistency"],
+  grouping: ["#group-shapes", "#ungroup-shape"],
+  "table-editing": ["#import-table-csv"],
+  "presentation-checks": [
+    "#load-tree",
+    "#find-text",
+    "#run-accessibility",
+    "#load-pictures",
+    "#run-lint",
+    "#run-consistency",
+    "#export-deck-csv",
+    "#export-deck-markdown",
+    "#scope-selected-slides",
+  ],
+};
+
+// The style copied with Copy style, kept across selections and slides until replaced
+let copiedStyle = null;
+
+// The presets saved in the presentation's settings
+let presets = [];
+
+// Connection to the scripting API in server.js, open while the user allows it
+let bridge = null;
+
+// Detection strategies run on every selection change
+const detectionRegistry = createStrategyRegistry(defaultStrategies);
 
 Office.onReady((info) => {
   if (info.host === Office.HostType.PowerPoint) {
     document.getElementById("sideload-msg").style.display = "none";
     document.getElementById("app-body").style.display = "flex";
+    capabilities = detectCapabilities();
+    applyCapabilities();
     document.getElementById("run").onclick = run;
-    
+    document.getElementById("copy-json").onclick = copySelectionJson;
+    document.getElementById("download-json").onclick = downloadSelectionJson;
+    document.getElementById("download-csv").onclick = () => exportSelectionInventory("csv");
+    document.getElementById("download-markdown").onclick = () =>
+      exportSelectionInventory("markdown");
+    document.getElementById("export-deck-csv").onclick = () => exportDeckInventory("csv");
+    document.getElementById("export-deck-markdown").onclick = () => exportDeckInventory("markdown");
+    document.getElementById("undo-edit").onclick = undoLastEdit;
+    document.getElementById("copy-style").onclick = copyStyle;
+    document.getElementById("paste-style").onclick = pasteStyle;
+    document.getElementById("save-preset").onclick = savePreset;
+    document.getElementById("export-presets").onclick = exportPresets;
+    document.getElementById("import-presets").onchange = importPresets;
+    document.getElementById("inspect-data").onclick = inspectTableOrChart;
+    document.getElementById("export-table-csv").onclick = exportTableCsv;
+    document.getElementById("import-table-csv").onchange = importTableFile;
+    document.getElementById("group-shapes").onclick = groupSelectedShapes;
+    document.getElementById("ungroup-shape").onclick = ungroupSelectedShape;
+    document.getElementById("scope-selected-slides").onchange = scopeToSelectedSlides;
+    document.getElementById("refresh-slide-details").onclick = () =>
+      showSlideDetails(currentSelectionModel && currentSelectionModel.slideId, true);
+    presets = readStoredPresets();
+    renderPresetLibrary();
+    document.querySelectorAll("[data-arrange]").forEach((button) => {
+      button.onclick = () => arrangeSelection(button.dataset.arrange, button.dataset.value);
+    });
+    document.getElementById("load-tree").onclick = browsePresentation;
+    document.getElementById("tree-query").oninput = renderFilteredTree;
+    document.getElementById("tree-field").onchange = renderFilteredTree;
+    document.getElementById("tree-type").onchange = renderFilteredTree;
+    document.getElementById("find-text").onclick = findText;
+    document.getElementById("replace-picked").onclick = replacePickedMatches;
+    document.getElementById("run-accessibility").onclick = runAccessibilityCheck;
+    document.getElementById("load-pictures").onclick = listPictures;
+    document.getElementById("compare-history").onclick = compareSnapshots;
+    document.getElementById("clear-history").onclick = clearHistory;
+    document.getElementById("lint-config").value = JSON.stringify(DEFAULT_LINT_CONFIG, null, 2);
+    document.getElementById("run-lint").onclick = runLayoutLint;
+    document.getElementById("export-lint").onclick = exportLintResults;
+    document.getElementById("run-consistency").onclick = runConsistencyCheck;
+    document.getElementById("snap-all-consistency").onclick = () =>
+      snapToCanonical(consistencyIssues);
+    document.getElementById("bridge-enabled").onchange = toggleBridge;
+
     // Add event handler for document selection changes
     Office.context.document.addHandlerAsync(
       Office.EventType.DocumentSelectionChanged,
       selectionChangedHandler,
-      function(result) {
+      function (result) {
         if (result.status === Office.AsyncResultStatus.Failed) {
           console.error("Failed to add selection change handler: " + result.error.message);
         }
       }
     );
-    
-    // Set up mouse position tracking in PowerPoint
-    setupMouseTracking();
 
-    // Add click event listener to detect selected element
-    document.addEventListener('click', () => {
-      console.log('Click detected, running detectSelectedElement');
+    // Add click event listener to detect selected element. Clicks on the task pane's own
+    // controls are ignored so that re-rendering doesn't throw away what the user is editing.
+    document.addEventListener("click", (event) => {
+      if (
+        event.target.closest &&
+        event.target.closest("a, button, input, label, select, summary, textarea, form")
+      ) {
+        return;
+      }
       detectSelectedElement();
     });
+
+    // The "Inspect Element" ribbon button asks the open task pane to inspect the selection
+    onInspectionRequest(inspectSelectedShape);
   }
 });
 
-// Set up mouse position tracking
-function setupMouseTracking() {
-  // Add message listener for mouse position data from PowerPoint
-  Office.context.document.addHandlerAsync(
-    "documentSelectionChanged", 
-    function() {
-      // This event fires when selection changes, which often happens after a mouse click
-      // We'll capture the last mouse position at this time
-      try {
-        Office.context.document.getSelectedDataAsync(
-          Office.CoercionType.SlideRange,
-          function(asyncResult) {
-            if (asyncResult.status === Office.AsyncResultStatus.Succeeded) {
-              // Record that we clicked somewhere
-              lastClickedPosition = lastMousePosition;
-              hasMousePositionData = true;
-            }
-          }
-        );
-      } catch (error) {
-        console.log("Error in mouse tracking:", error);
-      }
+// Shows the feature matrix and disables the controls the host can't support
+function applyCapabilities() {
+  renderCapabilities(document.getElementById("capabilities"), capabilities);
+
+  Object.keys(FEATURE_CONTROLS).forEach((feature) => {
+    if (!isFeatureSupported(capabilities, feature)) {
+      FEATURE_CONTROLS[feature].forEach((selector) => {
+        document.querySelectorAll(selector).forEach((control) => {
+          control.disabled = true;
+        });
+      });
     }
-  );
-  
-  // Add a custom button to capture current position
-  const capturePositionButton = document.createElement("button");
-  capturePositionButton.textContent = "Capture Current Position";
-  capturePositionButton.onclick = function() {
-    lastClickedPosition = lastMousePosition;
-    hasMousePositionData = true;
-    detectSelectedElement();
-  };
-  
-  // Insert the button before the main run button
-  const runButton = document.getElementById("run");
-  if (runButton && runButton.parentNode) {
-    runButton.parentNode.insertBefore(capturePositionButton, runButton);
-  }
+  });
+}
+
+function supports(feature) {
+  return isFeatureSupported(capabilities, feature);
+}
+
+// Resolves the selection. Each detection strategy checks its own requirement, so hosts without
+// getSelectedShapes() fall back to the strategies they support.
+function resolveCurrentSelection() {
+  return resolveSelection(detectionRegistry);
 }
 
 // Handler for selection changed events
-function selectionChangedHandler(eventArgs) {
+function selectionChangedHandler() {
   // Debounce the selection change events to prevent too many API calls
   if (selectionChangeTimeout) {
     clearTimeout(selectionChangeTimeout);
   }
-  
+
   selectionChangeTimeout = setTimeout(() => {
     // Get the current selection when the selection changes
     detectSelectedElement();
@@ -95,612 +296,1101 @@ function selectionChangedHandler(eventArgs) {
 }
 
 // Function to detect the currently selected element
-function detectSelectedElement() {
-  try {
-    document.getElementById('item-subject').textContent = "Detecting selected element...";
-    
-    // Create a selection info object to store all detected information
-    const selectionInfo = {
-      text: null,
-      shapes: [],
-      pictures: [],
-      detectionMethod: null
-    };
-    
-    // Get all selection information in parallel
-    Promise.all([
-      detectSelectionText(selectionInfo),
-      detectPicturesSpecifically(selectionInfo),
-      detectShapesDirectly(selectionInfo)
-    ]).then(() => {
-      // Once all detection methods have completed, display the results
-      displaySelectionInfo(selectionInfo);
-    }).catch(error => {
+export function detectSelectedElement() {
+  document.getElementById("item-subject").textContent = "Detecting selected element...";
+
+  return resolveCurrentSelection()
+    .then((selectionInfo) =>
+      loadSlideSize().then((size) => {
+        slideSize = size;
+        return displaySelectionInfo(selectionInfo);
+      })
+    )
+    .catch((error) => {
       console.error("Selection detection error:", error);
-      document.getElementById('item-subject').textContent = 'Error: ' + (error.message || error);
+      showDetectionError(error);
     });
-    
-  } catch (error) {
-    console.error("Selection detection error:", error);
-    document.getElementById('item-subject').textContent = 'Error: ' + (error.message || error);
-  }
-}
-
-// Function to detect selected text
-function detectSelectionText(selectionInfo) {
-  return new Promise((resolve) => {
-    Office.context.document.getSelectedDataAsync(
-      Office.CoercionType.Text,
-      { valueFormat: "unformatted" },
-      function(asyncResult) {
-        if (asyncResult.status === Office.AsyncResultStatus.Succeeded) {
-          const selectedText = asyncResult.value || "";
-          
-          if (selectedText.length > 0) {
-            selectionInfo.text = selectedText;
-            selectionInfo.detectionMethod = "text";
-            lastSelectedText = selectedText;
-          }
-        }
-        resolve();
-      }
+}
+
+// Inspects the selected shape and brings its editor into view
+async function inspectSelectedShape() {
+  await detectSelectedElement();
+
+  const editor = document.querySelector(".shape-editor");
+  if (editor) {
+    editor.scrollIntoView({ block: "start" });
+    editor.querySelector("input").focus();
+  }
+}
+
+// Clears the stale selection model and shows the detection error
+function showDetectionError(error) {
+  currentSelectionModel = null;
+  setJsonActionsEnabled(false);
+  document.getElementById("shape-editors").innerHTML = "";
+  document.getElementById("minimap").innerHTML = "";
+  document.getElementById("slide-summaries").innerHTML = "";
+  document.getElementById("inspect-data").disabled = true;
+  showSelectionError(error);
+}
+
+// The selection details are collapsed under the minimap, so they're opened to show errors
+function showSelectionError(error) {
+  document.getElementById("selection-details").open = true;
+  document.getElementById("item-subject").textContent = "Error: " + (error.message || error);
+}
+
+// Function to build the selection model and display it in the task pane
+function displaySelectionInfo(selectionInfo) {
+  currentSelectionModel = buildSelectionModel(selectionInfo);
+  let text = formatSelectionModel(currentSelectionModel);
+  if (!supports("selection")) {
+    // Say that the shapes listed are a guess, or why none are listed
+    text += "\n\n" + describeUnavailable(capabilities, "selection");
+  }
+  document.getElementById("item-subject").textContent = text;
+  setJsonActionsEnabled(true);
+  renderMinimap(
+    document.getElementById("minimap"),
+    layoutMinimap(currentSelectionModel, slideSize),
+    supports("navigation") ? selectFromMinimap : null
+  );
+
+  if (selectionHistory.record(currentSelectionModel)) {
+    renderSelectionHistory();
+  }
+
+  const model = currentSelectionModel;
+  document.getElementById("inspect-data").disabled = !(
+    model.shapes[0] && DATA_SHAPE_TYPES.includes(model.shapes[0].type)
+  );
+  updateGroupActions(model);
+  if (supports("shape-editing")) {
+    renderShapeEditors(
+      document.getElementById("shape-editors"),
+      model,
+      capabilities,
+      (shape, formValues, form) => applyShapeEdit(model.slideId, shape, formValues, form)
     );
-  });
+    document.getElementById("copy-style").disabled = !(model.shapes[0] && model.shapes[0].style);
+    document.getElementById("paste-style").disabled = !copiedStyle || model.shapes.length === 0;
+  }
+  updateSlideScope(model);
+  return Promise.all([
+    showGroupContents(model),
+    showSlideDetails(model.slideId),
+    showSlideRange(model),
+  ]);
 }
 
-// Function to specifically detect pictures
-function detectPicturesSpecifically(selectionInfo) {
-  return new Promise((resolve) => {
-    PowerPoint.run(async (context) => {
-      try {
-        console.log('Running detectPicturesSpecifically');
-        // Get the selected slides
-        const selectedSlides = context.presentation.getSelectedSlides();
-        selectedSlides.load("items");
-        await context.sync();
-        
-        console.log('Selected slides loaded:', selectedSlides.items.length);
-        // Check if there are any selected slides
-        if (!selectedSlides.items || selectedSlides.items.length === 0) {
-          resolve();
-          return;
-        }
-        
-        // Get the first selected slide
-        const slide = selectedSlides.items[0];
-        
-        // Try to get pictures on the slide
-        slide.load("shapes");
-        await context.sync();
-        
-        console.log('Shapes on slide loaded:', slide.shapes.items.length);
-        if (!slide.shapes || !slide.shapes.items || slide.shapes.items.length === 0) {
-          resolve();
-          return;
-        }
-        
-        // Get all shapes and filter for pictures
-        const shapes = slide.shapes.items;
-        
-        // Load type property for all shapes
-        for (let i = 0; i < shapes.length; i++) {
-          shapes[i].load("type");
-        }
-        await context.sync();
-        
-        // Filter for pictures
-        const pictures = shapes.filter(shape => shape.type === "Picture");
-        
-        console.log('Pictures detected:', pictures.length);
-        if (pictures.length === 0) {
-          resolve();
-          return;
-        }
-        
-        // Load detailed properties for all pictures
-        for (let i = 0; i < pictures.length; i++) {
-          const picture = pictures[i];
-          picture.load("name,id,left,top,width,height,zIndex,isSelected,altTextDescription,altTextTitle");
-          
-          // Try to load image data if available
-          try {
-            picture.load("imageData");
-          } catch (e) {
-            console.log("Couldn't load image data", e);
-          }
-        }
-        await context.sync();
-        
-        // Check if any pictures are selected
-        const selectedPictures = pictures.filter(pic => pic.isSelected);
-        
-        console.log('Selected pictures:', selectedPictures.length);
-        if (selectedPictures.length > 0) {
-          // Found selected pictures!
-          selectionInfo.pictures = selectedPictures;
-          if (!selectionInfo.detectionMethod) {
-            selectionInfo.detectionMethod = "picture-isSelected";
-          }
-        }
-        
-        // If no selected pictures found, check if any picture contains the last clicked position
-        if (selectionInfo.pictures.length === 0 && hasMousePositionData) {
-          const picturesAtPosition = [];
-          
-          for (let i = 0; i < pictures.length; i++) {
-            const picture = pictures[i];
-            
-            // Check if the last clicked position is within this picture's bounds
-            if (lastClickedPosition.x >= picture.left && 
-                lastClickedPosition.x <= picture.left + picture.width &&
-                lastClickedPosition.y >= picture.top && 
-                lastClickedPosition.y <= picture.top + picture.height) {
-              picturesAtPosition.push(picture);
-            }
-          }
-          
-          console.log('Pictures at position:', picturesAtPosition.length);
-          if (picturesAtPosition.length > 0) {
-            // If multiple pictures overlap, take the one with highest z-index (top-most)
-            const topPictures = picturesAtPosition.sort((a, b) => b.zIndex - a.zIndex);
-            selectionInfo.pictures = topPictures;
-            if (!selectionInfo.detectionMethod) {
-              selectionInfo.detectionMethod = "picture-position";
-            }
-          }
-        }
-        
-        // Store all pictures for reference
-        if (selectionInfo.pictures.length === 0) {
-          selectionInfo.allPictures = pictures;
-        }
-        
-        resolve();
-      } catch (error) {
-        console.log("Picture-specific detection failed:", error);
-        resolve();
-      }
-    });
-  });
+// Summarizes each slide when several are selected, e.g. in the slide sorter
+async function showSlideRange(model) {
+  const container = document.getElementById("slide-summaries");
+  if (model.slideIds.length < 2) {
+    renderSlideSummaries(container, [], null);
+    return;
+  }
+
+  container.textContent = "Reading selected slides...";
+  try {
+    renderSlideSummaries(
+      container,
+      summarizeSlides(await loadPresentationData(model.slideIds)),
+      supports("navigation") ? (summary) => goToIssue({ slideId: summary.id }) : null
+    );
+  } catch (error) {
+    console.error("Slide summary error:", error);
+    container.textContent = "Error: " + (error.message || error);
+  }
 }
 
-// Function to detect shapes directly
-function detectShapesDirectly(selectionInfo) {
-  return new Promise((resolve) => {
-    PowerPoint.run(async (context) => {
-      try {
-        console.log('Running detectShapesDirectly');
-        // Get the selected slides
-        const selectedSlides = context.presentation.getSelectedSlides();
-        selectedSlides.load("items");
-        await context.sync();
-        
-        console.log('Selected slides loaded:', selectedSlides.items.length);
-        // Check if there are any selected slides
-        if (!selectedSlides.items || selectedSlides.items.length === 0) {
-          resolve();
-          return;
-        }
-        
-        // Get the first selected slide
-        const slide = selectedSlides.items[0];
-        
-        // Try multiple approaches to detect the selected shape
-        
-        // Approach 1: Try to get the selection directly (newer PowerPoint versions)
-        try {
-          const selection = context.presentation.getSelection();
-          selection.load("shapes");
-          await context.sync();
-          
-          console.log('Direct selection shapes loaded:', selection.shapes.items.length);
-          if (selection.shapes && selection.shapes.items && selection.shapes.items.length > 0) {
-            // We found directly selected shapes!
-            const selectedShapes = selection.shapes.items;
-            
-            // Load detailed properties for each selected shape
-            for (let i = 0; i < selectedShapes.length; i++) {
-              const shape = selectedShapes[i];
-              shape.load("name,id,type,text,left,top,width,height,zIndex");
-              
-              // Load additional properties for pictures
-              try {
-                shape.load("altTextDescription,altTextTitle");
-                
-                // For pictures, load image-specific data
-                if (shape.type === "Picture" || !shape.type) {
-                  shape.load("imageData");
-                }
-              } catch (e) {
-                console.log("Couldn't load extended properties for selected shape", e);
-              }
-            }
-            await context.sync();
-            
-            // Add to selection info
-            selectionInfo.shapes = selectedShapes;
-            if (!selectionInfo.detectionMethod) {
-              selectionInfo.detectionMethod = "direct-selection";
-            }
-            
-            resolve();
-            return;
-          }
-        } catch (selectionError) {
-          console.log("Direct selection API not supported:", selectionError);
-        }
-        
-        // Approach 2: Try to get active view and selection (alternative method)
-        try {
-          const view = context.presentation.getActiveView();
-          view.load("selection");
-          await context.sync();
-          
-          console.log('Active view selection loaded:', view.selection ? view.selection.shapes.items.length : 0);
-          if (view.selection) {
-            view.selection.load("shapes");
-            await context.sync();
-            
-            if (view.selection.shapes && view.selection.shapes.items && view.selection.shapes.items.length > 0) {
-              const selectedShapes = view.selection.shapes.items;
-              
-              // Load detailed properties for each selected shape
-              for (let i = 0; i < selectedShapes.length; i++) {
-                selectedShapes[i].load("name,id,type,text,left,top,width,height,zIndex");
-              }
-              await context.sync();
-              
-              // Add to selection info
-              selectionInfo.shapes = selectedShapes;
-              if (!selectionInfo.detectionMethod) {
-                selectionInfo.detectionMethod = "active-view";
-              }
-              
-              resolve();
-              return;
-            }
-          }
-        } catch (viewError) {
-          console.log("Active view selection API not supported:", viewError);
-        }
-        
-        // Approach 3: Check all shapes on the slide for isSelected property
-        slide.load("shapes");
-        await context.sync();
-        
-        console.log('Shapes on slide loaded:', slide.shapes.items.length);
-        if (!slide.shapes || !slide.shapes.items || slide.shapes.items.length === 0) {
-          resolve();
-          return;
-        }
-        
-        // Load all shapes with their properties
-        const shapes = slide.shapes.items;
-        
-        // Try to find selected shapes by checking isSelected property
-        for (let i = 0; i < shapes.length; i++) {
-          const shape = shapes[i];
-          // Load all relevant properties including isSelected if available
-          shape.load("name,id,type,text,left,top,width,height,zIndex,isSelected");
-          
-          // Load additional properties that might be available
-          try {
-            // These properties might not be available on all shapes or PowerPoint versions
-            shape.load("altTextDescription,altTextTitle");
-            
-            // Try to load picture-specific properties if available
-            if (shape.type === "Picture" || !shape.type) {
-              shape.load("imageData");
-            }
-          } catch (e) {
-            console.log("Couldn't load some extended properties", e);
-          }
-        }
-        
-        await context.sync();
-        
-        // Check if any shapes are marked as selected
-        const selectedShapes = shapes.filter(shape => shape.isSelected);
-        
-        console.log('Selected shapes:', selectedShapes.length);
-        if (selectedShapes.length > 0) {
-          // We found selected shapes!
-          selectionInfo.shapes = selectedShapes;
-          if (!selectionInfo.detectionMethod) {
-            selectionInfo.detectionMethod = "isSelected";
-          }
-          
-          resolve();
-          return;
-        }
-        
-        // Approach 4: Try to find shapes that were most recently modified
-        try {
-          // Get last modified shapes if available
-          for (let i = 0; i < shapes.length; i++) {
-            shapes[i].load("lastModified");
-          }
-          await context.sync();
-          
-          // Sort by last modified time if available
-          const shapesWithModifiedTime = shapes.filter(s => s.lastModified);
-          if (shapesWithModifiedTime.length > 0) {
-            const sortedByModified = [...shapesWithModifiedTime].sort((a, b) => 
-              new Date(b.lastModified) - new Date(a.lastModified)
-            );
-            
-            if (sortedByModified.length > 0) {
-              const mostRecentShape = sortedByModified[0];
-              mostRecentShape.load("name,id,type,text,left,top,width,height,zIndex");
-              await context.sync();
-              
-              selectionInfo.shapes = [mostRecentShape];
-              if (!selectionInfo.detectionMethod) {
-                selectionInfo.detectionMethod = "lastModified";
-              }
-              
-              resolve();
-              return;
-            }
-          }
-        } catch (modifiedError) {
-          console.log("Modified time detection failed:", modifiedError);
-        }
-        
-        // Approach 5: Use spatial detection - find shape at last clicked position
-        if (hasMousePositionData) {
-          try {
-            // Find shapes that contain the last clicked position
-            const shapesAtPosition = [];
-            
-            for (let i = 0; i < shapes.length; i++) {
-              const shape = shapes[i];
-              
-              // Check if the last clicked position is within this shape's bounds
-              if (lastClickedPosition.x >= shape.left && 
-                  lastClickedPosition.x <= shape.left + shape.width &&
-                  lastClickedPosition.y >= shape.top && 
-                  lastClickedPosition.y <= shape.top + shape.height) {
-                shapesAtPosition.push(shape);
-              }
-            }
-            
-            console.log('Shapes at position:', shapesAtPosition.length);
-            if (shapesAtPosition.length > 0) {
-              // If multiple shapes overlap, take the one with highest z-index (top-most)
-              const topShapes = shapesAtPosition.sort((a, b) => b.zIndex - a.zIndex);
-              selectionInfo.shapes = topShapes;
-              if (!selectionInfo.detectionMethod) {
-                selectionInfo.detectionMethod = "position";
-              }
-              
-              resolve();
-              return;
-            }
-          } catch (positionError) {
-            console.log("Position-based detection failed:", positionError);
-          }
-        }
-        
-        // Approach 6: Try to detect the most recently clicked shape based on z-order
-        try {
-          // Sort shapes by z-index (higher z-index is typically the one on top that was clicked)
-          const sortedShapes = [...shapes].sort((a, b) => b.zIndex - a.zIndex);
-          
-          console.log('Shapes sorted by z-index:', sortedShapes.length);
-          if (sortedShapes.length > 0) {
-            // Store all shapes for reference
-            selectionInfo.allShapes = shapes;
-            
-            resolve();
-            return;
-          }
-        } catch (zOrderError) {
-          console.log("Z-order detection failed:", zOrderError);
-        }
-        
-        // If we reach here, store all shapes for reference
-        selectionInfo.allShapes = shapes;
-        
-        resolve();
-      } catch (error) {
-        console.error("Shape detection error:", error);
-        resolve();
-      }
+// The scope can be turned on whenever slides are selected, and off at any time
+function updateSlideScope(model) {
+  const checkbox = document.getElementById("scope-selected-slides");
+  checkbox.disabled =
+    !supports("presentation-checks") || (!checkbox.checked && model.slideIds.length === 0);
+}
+
+// Limits the presentation tools to the slides selected now, or lifts the limit
+function scopeToSelectedSlides() {
+  const checkbox = document.getElementById("scope-selected-slides");
+  const status = document.getElementById("slide-scope-status");
+  if (checkbox.checked && currentSelectionModel && currentSelectionModel.slideIds.length > 0) {
+    scopedSlideIds = [...currentSelectionModel.slideIds];
+    const count = scopedSlideIds.length;
+    status.textContent = `The tools below run on ${count} selected slide${count === 1 ? "" : "s"}.`;
+  } else {
+    checkbox.checked = false;
+    scopedSlideIds = null;
+    status.textContent = "";
+    if (currentSelectionModel) {
+      updateSlideScope(currentSelectionModel);
+    }
+  }
+}
+
+function setSlideStatus(message) {
+  document.getElementById("slide-status").textContent = message;
+}
+
+// Shows the selected slide's layout, placeholders and tags. They're only read again when
+// another slide is selected, after a tag edit, or when refresh is true.
+async function showSlideDetails(slideId, refresh = false) {
+  if (!refresh && slideDetails && slideDetails.id === slideId) {
+    return;
+  }
+  slideDetails = null;
+  setSlideStatus("");
+  if (slideId) {
+    try {
+      slideDetails = await loadSlideDetails(slideId);
+    } catch (error) {
+      console.error("Slide details error:", error);
+      setSlideStatus("Error: " + (error.message || error));
+    }
+  }
+  renderSlideDetails(
+    document.getElementById("slide-details"),
+    slideDetails,
+    { onSetTag: saveSlideTag, onDeleteTag: removeSlideTag },
+    supports("shape-editing")
+  );
+}
+
+async function saveSlideTag(key, value) {
+  const slideId = slideDetails.id;
+  try {
+    await setSlideTag(slideId, key, value);
+    await showSlideDetails(slideId, true);
+    setSlideStatus(`Saved tag ${key.toUpperCase()}.`);
+  } catch (error) {
+    console.error("Slide tag error:", error);
+    setSlideStatus("Error: " + (error.message || error));
+  }
+}
+
+async function removeSlideTag(key) {
+  const slideId = slideDetails.id;
+  try {
+    await deleteSlideTag(slideId, key);
+    await showSlideDetails(slideId, true);
+    setSlideStatus(`Deleted tag ${key}.`);
+  } catch (error) {
+    console.error("Slide tag error:", error);
+    setSlideStatus("Error: " + (error.message || error));
+  }
+}
+
+function setGroupStatus(message) {
+  document.getElementById("group-status").textContent = message;
+}
+
+function selectedGroup(model) {
+  return model.shapes.length === 1 && model.shapes[0].type === "Group" ? model.shapes[0] : null;
+}
+
+function updateGroupActions(model) {
+  const canGroup = supports("grouping");
+  document.getElementById("group-shapes").disabled = !canGroup || model.shapes.length < 2;
+  document.getElementById("ungroup-shape").disabled = !canGroup || !selectedGroup(model);
+}
+
+// Shows the shapes inside the selected group, keeping the picked shape when it's still there
+async function showGroupContents(model) {
+  const group = selectedGroup(model);
+  groupTree = null;
+  if (group) {
+    try {
+      groupTree = await loadGroupTree(model.slideId, group.id);
+    } catch (error) {
+      console.error("Group inspection error:", error);
+      setGroupStatus("Error: " + (error.message || error));
+    }
+  }
+
+  const picked =
+    groupTree && pickedGroupShapeId && findGroupNode(groupTree.root, pickedGroupShapeId);
+  pickedGroupShapeId = picked ? picked.id : null;
+  renderGroupTree(
+    document.getElementById("group-tree"),
+    groupTree,
+    pickGroupShape,
+    pickedGroupShapeId
+  );
+  renderGroupShapeEditor(model.slideId, picked);
+}
+
+function pickGroupShape(node) {
+  pickedGroupShapeId = node.id;
+  renderGroupTree(document.getElementById("group-tree"), groupTree, pickGroupShape, node.id);
+  renderGroupShapeEditor(currentSelectionModel.slideId, node);
+}
+
+// Edits a shape inside the group, reached through the groups holding it
+function renderGroupShapeEditor(slideId, node) {
+  const container = document.getElementById("group-child-editor");
+  if (!node || !supports("shape-editing")) {
+    container.innerHTML = "";
+    return;
+  }
+  renderShapeEditors(
+    container,
+    { slideId, shapes: [node] },
+    capabilities,
+    (shape, formValues, form) => applyShapeEdit(slideId, shape, formValues, form, node.shapePath)
+  );
+}
+
+// Grouping changes which shapes exist, so an edit made before it can no longer be undone
+function forgetLastEdit() {
+  lastEdit = null;
+  document.getElementById("undo-edit").disabled = true;
+}
+
+async function groupSelectedShapes() {
+  const model = currentSelectionModel;
+  try {
+    requireFeature(capabilities, "grouping");
+    const groupId = await groupShapes(
+      model.slideId,
+      model.shapes.map((shape) => shape.id)
+    );
+    forgetLastEdit();
+    setGroupStatus(`Grouped ${model.shapes.length} shapes.`);
+    await goToShape(model.slideId, groupId);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Group error:", error);
+    setGroupStatus("Error: " + (error.message || error));
+  }
+}
+
+async function ungroupSelectedShape() {
+  const model = currentSelectionModel;
+  const group = selectedGroup(model);
+  try {
+    requireFeature(capabilities, "grouping");
+    const shapeIds = await ungroupShape(model.slideId, group.id);
+    forgetLastEdit();
+    setGroupStatus(`Ungrouped ${group.name || group.id} into ${shapeIds.length} shapes.`);
+    await goToSlide(model.slideId, shapeIds);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Ungroup error:", error);
+    setGroupStatus("Error: " + (error.message || error));
+  }
+}
+
+// Selects the clicked minimap shape, or adds it to or removes it from the selection
+async function selectFromMinimap(shapeId, additive) {
+  const model = currentSelectionModel;
+  let shapeIds = [shapeId];
+  if (additive) {
+    const selected = model.shapes.map((shape) => shape.id);
+    shapeIds = selected.includes(shapeId)
+      ? selected.filter((id) => id !== shapeId)
+      : [...selected, shapeId];
+  }
+
+  try {
+    await goToSlide(model.slideId, shapeIds);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Minimap selection error:", error);
+    showSelectionError(error);
+  }
+}
+
+function renderSelectionHistory() {
+  renderHistory(
+    {
+      list: document.getElementById("history-list"),
+      from: document.getElementById("history-from"),
+      to: document.getElementById("history-to"),
+    },
+    selectionHistory.list()
+  );
+}
+
+// Shows what changed on the shapes two history snapshots have in common
+function compareSnapshots() {
+  const from = selectionHistory.get(Number(document.getElementById("history-from").value));
+  const to = selectionHistory.get(Number(document.getElementById("history-to").value));
+  const output = document.getElementById("history-diff");
+
+  if (!from || !to) {
+    output.textContent = "Pick two snapshots to compare.";
+    return;
+  }
+  output.textContent = formatSnapshotDiff(diffSnapshots(from, to));
+}
+
+function clearHistory() {
+  selectionHistory.clear();
+  renderSelectionHistory();
+  document.getElementById("history-diff").textContent = "";
+}
+
+function setEditStatus(message) {
+  document.getElementById("edit-status").textContent = message;
+}
+
+// Validates an edit from a shape editor form and writes it to the document
+async function applyShapeEdit(slideId, shape, formValues, form, shapePath) {
+  const { values, errors } = validateShapeEdits(shape, formValues, capabilities);
+  showEditorErrors(form, errors);
+  if (Object.keys(errors).length > 0) {
+    return;
+  }
+  if (Object.keys(values).length === 0) {
+    setEditStatus("Nothing to change.");
+    return;
+  }
+
+  try {
+    lastEdit = await applyShapeEdits({ slideId, shapeId: shape.id, shapePath }, values);
+    document.getElementById("undo-edit").disabled = false;
+    setEditStatus(`Updated ${Object.keys(values).join(", ")} on ${shape.name || shape.id}.`);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Shape edit error:", error);
+    setEditStatus("Error: " + (error.message || error));
+  }
+}
+
+// Restores the values the shape had before the last edit
+async function undoLastEdit() {
+  if (!lastEdit) {
+    return;
+  }
+
+  try {
+    if (lastEdit.replacements) {
+      await undoTextReplacements(lastEdit.replacements);
+    } else {
+      await (Array.isArray(lastEdit) ? undoShapeEditBatch(lastEdit) : undoShapeEdit(lastEdit));
+    }
+    lastEdit = null;
+    document.getElementById("undo-edit").disabled = true;
+    setEditStatus("Undid the last edit.");
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Undo error:", error);
+    setEditStatus("Error: " + (error.message || error));
+  }
+}
+
+// Remembers the style of the first selected shape for Paste style
+function copyStyle() {
+  const shape = currentSelectionModel && currentSelectionModel.shapes[0];
+  if (!shape || !shape.style) {
+    setEditStatus("Select a shape whose style can be read first.");
+    return;
+  }
+
+  copiedStyle = { source: shape.name || shape.id, style: shape.style };
+  document.getElementById("copied-style").textContent =
+    `Copied the style of ${copiedStyle.source}: ` + describeStyle(shape.style).join("; ");
+  document.getElementById("paste-style").disabled = false;
+}
+
+// Applies the copied style to every selected shape as one undoable edit
+async function pasteStyle() {
+  const model = currentSelectionModel;
+  if (!copiedStyle || !model || model.shapes.length === 0) {
+    setEditStatus("Copy a style, then select the shapes to paste it to.");
+    return;
+  }
+
+  const changes = model.shapes
+    .map((shape) => ({
+      slideId: model.slideId,
+      shapeId: shape.id,
+      values: styleEditValues(copiedStyle.style, shape),
+    }))
+    .filter((change) => Object.keys(change.values).length > 0);
+  if (changes.length === 0) {
+    setEditStatus(`The selected shapes can't take the style of ${copiedStyle.source}.`);
+    return;
+  }
+
+  try {
+    lastEdit = await applyShapeEditBatch(changes);
+    document.getElementById("undo-edit").disabled = false;
+    setEditStatus(
+      `Pasted the style of ${copiedStyle.source} onto ${changes.length} shape` +
+        (changes.length === 1 ? "." : "s.")
+    );
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Paste style error:", error);
+    setEditStatus("Error: " + (error.message || error));
+  }
+}
+
+function setPresetStatus(message) {
+  document.getElementById("preset-status").textContent = message;
+}
+
+function renderPresetLibrary() {
+  renderPresets(
+    document.getElementById("preset-list"),
+    presets,
+    { onApply: applyPreset, onDelete: deletePreset },
+    supports("shape-editing")
+  );
+}
+
+// Saves the library in the presentation, then shows it
+async function updatePresets(next) {
+  await storePresets(next);
+  presets = next;
+  renderPresetLibrary();
+}
+
+// Saves the chosen parts of the first selected shape under the name typed in
+async function savePreset() {
+  const shape = currentSelectionModel && currentSelectionModel.shapes[0];
+  if (!shape) {
+    setPresetStatus("Select the shape to save as a preset first.");
+    return;
+  }
+
+  try {
+    const preset = createPreset(document.getElementById("preset-name").value, shape, {
+      position: document.getElementById("preset-position").checked,
+      size: document.getElementById("preset-size").checked,
+      style: document.getElementById("preset-style").checked,
     });
+    const { presets: next, replaced } = mergePresets(presets, [preset]);
+    await updatePresets(next);
+    setPresetStatus(`${replaced.length > 0 ? "Replaced" : "Saved"} preset ${preset.name}.`);
+  } catch (error) {
+    console.error("Save preset error:", error);
+    setPresetStatus("Error: " + (error.message || error));
+  }
+}
+
+// Applies a preset to every selected shape as one undoable edit
+async function applyPreset(preset) {
+  const model = currentSelectionModel;
+  if (!model || model.shapes.length === 0) {
+    setPresetStatus(`Select the shapes to apply ${preset.name} to first.`);
+    return;
+  }
+
+  const changes = model.shapes
+    .map((shape) => ({
+      slideId: model.slideId,
+      shapeId: shape.id,
+      values: presetEditValues(preset, shape),
+    }))
+    .filter((change) => Object.keys(change.values).length > 0);
+  if (changes.length === 0) {
+    setPresetStatus(`The selected shapes can't take ${preset.name}.`);
+    return;
+  }
+
+  try {
+    lastEdit = await applyShapeEditBatch(changes);
+    document.getElementById("undo-edit").disabled = false;
+    setPresetStatus(
+      `Applied ${preset.name} to ${changes.length} shape` + (changes.length === 1 ? "." : "s.")
+    );
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Apply preset error:", error);
+    setPresetStatus("Error: " + (error.message || error));
+  }
+}
+
+async function deletePreset(preset) {
+  try {
+    await updatePresets(presets.filter((item) => item.name !== preset.name));
+    setPresetStatus(`Deleted preset ${preset.name}.`);
+  } catch (error) {
+    console.error("Delete preset error:", error);
+    setPresetStatus("Error: " + (error.message || error));
+  }
+}
+
+function exportPresets() {
+  if (presets.length === 0) {
+    setPresetStatus("There are no presets to export.");
+    return;
+  }
+  downloadFile("presets.json", formatPresetFile(presets), "application/json");
+}
+
+function readTextFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
   });
 }
 
-// Function to display the selection information in a user-friendly format
-function displaySelectionInfo(selectionInfo) {
-  let message = "";
-  
-  // First, check if we have any selected elements
-  const hasSelection = selectionInfo.text || 
-                      (selectionInfo.shapes && selectionInfo.shapes.length > 0) || 
-                      (selectionInfo.pictures && selectionInfo.pictures.length > 0);
-  
-  if (!hasSelection) {
-    message = "No element is currently selected.\n\n";
-    
-    // Show all elements on the slide grouped by type
-    const allShapes = selectionInfo.allShapes || [];
-    const allPictures = selectionInfo.allPictures || [];
-    
-    if (allShapes.length > 0 || allPictures.length > 0) {
-      message += `All elements on current slide (${allShapes.length + allPictures.length} total):\n\n`;
-      
-      // Group shapes by type
-      const elementsByType = {};
-      
-      // Add shapes
-      allShapes.forEach((shape) => {
-        const type = shape.type || "Unknown";
-        if (!elementsByType[type]) {
-          elementsByType[type] = [];
-        }
-        elementsByType[type].push(shape);
-      });
-      
-      // Add pictures (if not already included in shapes)
-      if (allPictures.length > 0 && !elementsByType["Picture"]) {
-        elementsByType["Picture"] = allPictures;
-      }
-      
-      // Display elements grouped by type
-      for (const type in elementsByType) {
-        message += `== ${type} Elements (${elementsByType[type].length}) ==\n\n`;
-        
-        elementsByType[type].forEach((element, index) => {
-          message += `${index + 1}. ${element.name || "Unnamed"} (ID: ${element.id})\n`;
-          message += `   Position: (${element.left}, ${element.top})\n`;
-          message += `   Size: ${element.width} x ${element.height}\n`;
-          message += `   Z-Index: ${element.zIndex}\n\n`;
-        });
-      }
-      
-      message += "\nTips for selecting elements:\n";
-      message += "1. Click directly on the element you want to examine\n";
-      message += "2. Press the 'Get Info' button immediately after selecting\n";
-      message += "3. For text elements, try selecting some text within the element\n";
-      message += "4. Try using the 'Capture Current Position' button while hovering over an element";
-    } else {
-      message += "No elements found on the current slide.";
+// Adds the presets in a JSON file to the library. Presets with an existing name replace it.
+async function importPresets(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file) {
+    return;
+  }
+
+  try {
+    const imported = parsePresetFile(await readTextFile(file));
+    const { presets: next, added, replaced } = mergePresets(presets, imported);
+    await updatePresets(next);
+    const count = added.length + replaced.length;
+    setPresetStatus(
+      `Imported ${count} preset${count === 1 ? "" : "s"} from ${file.name}` +
+        (replaced.length > 0 ? `, replacing ${replaced.join(", ")}.` : ".")
+    );
+  } catch (error) {
+    console.error("Import presets error:", error);
+    setPresetStatus("Error: " + (error.message || error));
+  } finally {
+    // Lets the same file be imported again
+    input.value = "";
+  }
+}
+
+function setDataStatus(message) {
+  document.getElementById("data-status").textContent = message;
+}
+
+function setTableActionsEnabled(enabled) {
+  document.getElementById("export-table-csv").disabled = !enabled;
+  document.getElementById("import-table-csv").disabled = !enabled || !supports("table-editing");
+}
+
+// Shows the cells of the selected table, or what can be read about the selected chart
+async function inspectTableOrChart() {
+  const model = currentSelectionModel;
+  const shape = model && model.shapes[0];
+  const view = document.getElementById("data-view");
+  inspectedTable = null;
+  setTableActionsEnabled(false);
+  if (!shape || !DATA_SHAPE_TYPES.includes(shape.type)) {
+    setDataStatus("Select a table or chart first.");
+    return;
+  }
+
+  if (shape.type === "Chart") {
+    renderChart(view, shape);
+    setDataStatus("");
+    return;
+  }
+
+  try {
+    setDataStatus("Reading table cells...");
+    inspectedTable = await loadTable(model.slideId, shape.id);
+    renderTable(view, inspectedTable);
+    setTableActionsEnabled(true);
+    setDataStatus("");
+  } catch (error) {
+    console.error("Table inspection error:", error);
+    view.innerHTML = "";
+    setDataStatus("Error: " + (error.message || error));
+  }
+}
+
+function exportTableCsv() {
+  if (!inspectedTable) {
+    return;
+  }
+  const name = (inspectedTable.name || "table").replace(/[^\w-]+/g, "-");
+  downloadFile(`${name}.csv`, formatTableCsv(inspectedTable), "text/csv");
+}
+
+// Writes the cell text from a CSV file into the inspected table as one undoable edit
+async function importTableFile(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file || !inspectedTable) {
+    return;
+  }
+
+  try {
+    const table = inspectedTable;
+    const { replacements, stale } = await importTableCsv(table, await readTextFile(file));
+    if (replacements.length > 0) {
+      lastEdit = { replacements };
+      document.getElementById("undo-edit").disabled = false;
     }
-    
-    document.getElementById('item-subject').textContent = message;
+    inspectedTable = await loadTable(table.slideId, table.shapeId);
+    renderTable(document.getElementById("data-view"), inspectedTable);
+    setDataStatus(
+      `Imported ${file.name}: updated ${replacements.length} ` +
+        `cell${replacements.length === 1 ? "" : "s"}` +
+        (stale.length > 0 ? `, skipped ${stale.length} edited since the table was read.` : ".")
+    );
+  } catch (error) {
+    console.error("Table import error:", error);
+    setDataStatus("Error: " + (error.message || error));
+  } finally {
+    // Lets the same file be imported again
+    input.value = "";
+  }
+}
+
+function readGridOptions() {
+  return {
+    size: Number(document.getElementById("grid-size").value),
+    originX: Number(document.getElementById("grid-origin-x").value) || 0,
+    originY: Number(document.getElementById("grid-origin-y").value) || 0,
+    snapSize: document.getElementById("grid-snap-size").checked,
+  };
+}
+
+// Computes the new geometry for an arrange command
+function computeArrangement(command, value, shapes) {
+  switch (command) {
+    case "align":
+      return alignShapes(shapes, value);
+    case "distribute":
+      return distributeShapes(shapes, value);
+    case "match":
+      return matchSize(shapes, value);
+    case "snap":
+      return snapToGrid(shapes, readGridOptions());
+    default:
+      throw new Error(`Unknown arrange command "${command}"`);
+  }
+}
+
+// Aligns, distributes, resizes or snaps the selected shapes as one undoable edit
+async function arrangeSelection(command, value) {
+  const model = currentSelectionModel;
+  if (!model || model.shapes.length === 0) {
+    setEditStatus("Select shapes and click Get Element Info first.");
+    return;
+  }
+
+  try {
+    const changes = computeArrangement(command, value, model.shapes);
+    if (changes.length === 0) {
+      setEditStatus("The shapes are already in place.");
+      return;
+    }
+
+    lastEdit = await applyShapeEditBatch(
+      changes.map((change) => ({ slideId: model.slideId, ...change }))
+    );
+    document.getElementById("undo-edit").disabled = false;
+    setEditStatus(`Arranged ${changes.length} shape${changes.length === 1 ? "" : "s"}.`);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Arrange error:", error);
+    setEditStatus("Error: " + (error.message || error));
+  }
+}
+
+function setJsonActionsEnabled(enabled) {
+  ["copy-json", "download-json", "download-csv", "download-markdown"].forEach((id) => {
+    document.getElementById(id).disabled = !enabled;
+  });
+}
+
+// Copies the current selection model to the clipboard as JSON
+async function copySelectionJson() {
+  if (!currentSelectionModel) {
     return;
   }
-  
-  // If we have a selection, show details about the selected element(s)
-  message = "=== CURRENT SELECTION INFO ===\n\n";
-  
-  // If we have selected text, show it first
-  if (selectionInfo.text) {
-    message += "SELECTED TEXT:\n";
-    message += `"${selectionInfo.text}"\n\n`;
-  }
-  
-  // If we have selected pictures, show their details
-  if (selectionInfo.pictures && selectionInfo.pictures.length > 0) {
-    message += `SELECTED PICTURE${selectionInfo.pictures.length > 1 ? 'S' : ''}:\n`;
-    
-    selectionInfo.pictures.forEach((picture, index) => {
-      message += getPictureDetailsString(picture, index);
+
+  await copyText(serializeSelectionModel(currentSelectionModel));
+}
+
+// Downloads the current selection model as a JSON file
+function downloadSelectionJson() {
+  if (!currentSelectionModel) {
+    return;
+  }
+
+  downloadFile(
+    `selection-${currentSelectionModel.slideId || "slide"}.json`,
+    serializeSelectionModel(currentSelectionModel),
+    "application/json"
+  );
+}
+
+// File details and formatter for each inventory export format
+const INVENTORY_FORMATS = {
+  csv: { extension: "csv", type: "text/csv", format: formatInventoryCsv },
+  markdown: { extension: "md", type: "text/markdown", format: formatInventoryMarkdown },
+};
+
+// Downloads the selected shapes as a CSV or Markdown inventory
+async function exportSelectionInventory(format) {
+  if (!currentSelectionModel) {
+    return;
+  }
+
+  const model = currentSelectionModel;
+  const { extension, type, format: formatInventory } = INVENTORY_FORMATS[format];
+  try {
+    const slideIndex = model.slideId ? await findSlideIndex(model.slideId) : null;
+    const content = formatInventory(selectionInventory(model, slideIndex), "Selected shapes");
+    downloadFile(`selection-${model.slideId || "slide"}.${extension}`, content, type);
+  } catch (error) {
+    console.error("Inventory export error:", error);
+    showSelectionError(error);
+  }
+}
+
+// Downloads every shape in the presentation as a CSV or Markdown inventory
+async function exportDeckInventory(format) {
+  const status = document.getElementById("inventory-status");
+  const { extension, type, format: formatInventory } = INVENTORY_FORMATS[format];
+  status.textContent = "Loading presentation...";
+
+  try {
+    const { slides, unread } = await loadInventoryData(scopedSlideIds);
+    downloadFile(
+      `${scopedSlideIds ? "selected-slides" : "presentation"}-inventory.${extension}`,
+      formatInventory(
+        slides,
+        scopedSlideIds ? "Selected slides inventory" : "Presentation inventory"
+      ),
+      type
+    );
+    const shapeCount = slides.reduce((total, slide) => total + slide.shapes.length, 0);
+    status.textContent = `Exported ${shapeCount} shapes from ${slides.length} slides.`;
+    if (unread.length > 0) {
+      status.textContent += ` This host couldn't read: ${unread.join(", ")}.`;
+    }
+  } catch (error) {
+    console.error("Inventory export error:", error);
+    status.textContent = "Error: " + (error.message || error);
+  }
+}
+
+// Loads the whole presentation into the tree browser
+async function browsePresentation() {
+  const container = document.getElementById("tree-container");
+  container.textContent = "Loading presentation...";
+
+  try {
+    presentationTree = await loadPresentationTree();
+    renderTypeOptions(document.getElementById("tree-type"), listShapeTypes(presentationTree));
+    renderFilteredTree();
+  } catch (error) {
+    console.error("Presentation tree error:", error);
+    container.textContent = "Error: " + (error.message || error);
+  }
+}
+
+function renderFilteredTree() {
+  const filter = {
+    query: document.getElementById("tree-query").value.trim(),
+    field: document.getElementById("tree-field").value,
+    type: document.getElementById("tree-type").value,
+  };
+  const filtering = Boolean(filter.query || filter.type);
+
+  renderTree(
+    document.getElementById("tree-container"),
+    filterTree(presentationTree, filter),
+    goToTreeNode,
+    filtering
+  );
+}
+
+// Shows the clicked slide or shape in PowerPoint and inspects it
+async function goToTreeNode(node) {
+  try {
+    requireFeature(capabilities, "navigation");
+    await selectTreeNode(node);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Tree navigation error:", error);
+    showSelectionError(error);
+  }
+}
+
+// Audits every slide for accessibility problems and lists them
+async function runAccessibilityCheck() {
+  const container = document.getElementById("accessibility-results");
+  container.textContent = "Checking presentation...";
+
+  try {
+    const slides = await loadPresentationData(scopedSlideIds);
+    const issues = auditPresentation(slides, { canWriteAltText: supports("alt-text") });
+    renderAccessibilityIssues(
+      container,
+      issues,
+      { onGoTo: goToIssue, onFixAltText: supports("alt-text") ? fixAltText : null },
+      countUnreadableAltText(slides) > 0 ? [ALT_TEXT_UNREADABLE] : []
+    );
+  } catch (error) {
+    console.error("Accessibility check error:", error);
+    container.textContent = "Error: " + (error.message || error);
+  }
+}
+
+// Lists the presentation's pictures with their size on the slide, and thumbnails on hosts that
+// can render them
+async function listPictures() {
+  const container = document.getElementById("picture-results");
+  container.textContent = "Reading pictures...";
+
+  try {
+    renderPictures(container, await loadPictures(scopedSlideIds), {
+      onGoTo: goToPicture,
+      onDownload: downloadPicture,
     });
-    
-    message += "\n";
-  }
-  
-  // If we have selected shapes, show their details
-  if (selectionInfo.shapes && selectionInfo.shapes.length > 0) {
-    // Filter out pictures that are already shown
-    const nonPictureShapes = selectionInfo.shapes.filter(shape => 
-      shape.type !== "Picture" || 
-      !selectionInfo.pictures || 
-      !selectionInfo.pictures.some(pic => pic.id === shape.id)
+  } catch (error) {
+    console.error("Picture listing error:", error);
+    container.textContent = "Error: " + (error.message || error);
+  }
+}
+
+// Pictures in groups can't be selected on their own, so select the group holding them
+function goToPicture(picture) {
+  return goToIssue({ slideId: picture.slideId, shapeId: picture.shapePath[0] });
+}
+
+// Saves the picture as rendered on the slide, since the original file can't be read
+async function downloadPicture(picture) {
+  try {
+    requireFeature(capabilities, "picture-images");
+    const base64 = await loadPictureImage(picture);
+    const bytes = Uint8Array.from(atob(base64), (character) => character.charCodeAt(0));
+    downloadFile(`${picture.name || `picture-${picture.shapeId}`}.png`, bytes, "image/png");
+  } catch (error) {
+    console.error("Picture download error:", error);
+    document.getElementById("picture-results").textContent = "Error: " + (error.message || error);
+  }
+}
+
+function setFindStatus(message) {
+  document.getElementById("find-status").textContent = message;
+}
+
+// Searches the text of every shape and table cell and previews the replacements
+async function findText() {
+  const container = document.getElementById("find-results");
+  const replaceButton = document.getElementById("replace-picked");
+  replaceButton.disabled = true;
+
+  try {
+    requireFeature(capabilities, "presentation-checks");
+    const query = document.getElementById("find-query").value;
+    const replacement = document.getElementById("replace-text").value;
+    const options = {
+      matchCase: document.getElementById("find-match-case").checked,
+      wholeWord: document.getElementById("find-whole-word").checked,
+      regex: document.getElementById("find-regex").checked,
+    };
+    // Check the query before loading the whole presentation
+    createSearchPattern(query, options);
+
+    setFindStatus("Searching...");
+    const { targets, unsearched } = await loadTextTargets(scopedSlideIds);
+    const matches = findTextMatches(targets, query, replacement, options);
+    textSearch = { targets, matches };
+    renderMatches(container, matches, { onGoTo: goToMatch });
+    replaceButton.disabled = matches.length === 0 || !supports("shape-editing");
+    setFindStatus(
+      unsearched.length > 0 ? `Text in ${unsearched.join(" and ")} couldn't be searched.` : ""
     );
-    
-    if (nonPictureShapes.length > 0) {
-      message += `SELECTED SHAPE${nonPictureShapes.length > 1 ? 'S' : ''}:\n`;
-      
-      nonPictureShapes.forEach((shape, index) => {
-        message += getDetailedShapeInfo(shape, index);
-      });
+  } catch (error) {
+    console.error("Find error:", error);
+    textSearch = null;
+    container.innerHTML = "";
+    setFindStatus("Error: " + (error.message || error));
+  }
+}
+
+// Replaces the picked matches in one batch, then searches again to show what is left
+async function replacePickedMatches() {
+  const ids = pickedMatchIds(document.getElementById("find-results"));
+  const picked = textSearch ? textSearch.matches.filter((match) => ids.includes(match.id)) : [];
+  if (picked.length === 0) {
+    setFindStatus("Pick the matches to replace.");
+    return;
+  }
+
+  try {
+    const { replacements, stale } = await applyTextReplacements(textSearch.targets, picked);
+    if (replacements.length > 0) {
+      lastEdit = { replacements };
+      document.getElementById("undo-edit").disabled = false;
     }
+    const replaced = picked.filter((match) =>
+      replacements.some(({ target }) => target.id === match.targetId)
+    ).length;
+
+    await findText();
+    setFindStatus(
+      `Replaced ${replaced} match${replaced === 1 ? "" : "es"}.` +
+        (stale.length > 0
+          ? ` Skipped ${stale.map((target) => target.location).join(", ")}, which changed ` +
+            "since the search."
+          : "")
+    );
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Replace error:", error);
+    setFindStatus("Error: " + (error.message || error));
+  }
+}
+
+// Shows the shape holding a match. Shapes in groups select their top-level group.
+async function goToMatch(match) {
+  try {
+    requireFeature(capabilities, "navigation");
+    await goToShape(match.slideId, match.shapePath[0]);
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Navigation error:", error);
+    setFindStatus("Error: " + (error.message || error));
+  }
+}
+
+async function goToIssue(issue) {
+  try {
+    requireFeature(capabilities, "navigation");
+    await (issue.shapeId ? goToShape(issue.slideId, issue.shapeId) : goToSlide(issue.slideId));
+    await detectSelectedElement();
+  } catch (error) {
+    console.error("Navigation error:", error);
+    showSelectionError(error);
+  }
+}
+
+// Writes the alt text entered for an issue, then checks the presentation again
+async function fixAltText(issue, values) {
+  try {
+    requireFeature(capabilities, "alt-text");
+    lastEdit = await applyShapeEdits({ slideId: issue.slideId, shapeId: issue.shapeId }, values);
+    document.getElementById("undo-edit").disabled = false;
+    await runAccessibilityCheck();
+  } catch (error) {
+    console.error("Alt text error:", error);
+    document.getElementById("accessibility-results").textContent =
+      "Error: " + (error.message || error);
+  }
+}
+
+// Runs the layout rules with the configuration from the task pane
+async function runLayoutLint() {
+  const container = document.getElementById("lint-results");
+  lastLintReport = null;
+  document.getElementById("export-lint").disabled = true;
+
+  let userConfig;
+  try {
+    userConfig = JSON.parse(document.getElementById("lint-config").value);
+    resolveLintConfig(userConfig);
+  } catch (error) {
+    container.textContent = "Invalid configuration: " + error.message;
+    return;
+  }
+
+  container.textContent = "Checking layout...";
+  try {
+    // The configured slide size wins over the presentation's, for decks meant for another size
+    const config = resolveLintConfig(userConfig, await loadSlideSize());
+    const issues = lintPresentation(await loadPresentationData(scopedSlideIds), config);
+    lastLintReport = { generatedAt: new Date().toISOString(), config, issues };
+    renderIssues(container, issues, {
+      onGoTo: goToIssue,
+      emptyMessage: "No layout issues found.",
+    });
+    document.getElementById("export-lint").disabled = false;
+  } catch (error) {
+    console.error("Layout lint error:", error);
+    container.textContent = "Error: " + (error.message || error);
+  }
+}
+
+// Downloads the last layout lint run with the configuration it used
+function exportLintResults() {
+  if (lastLintReport) {
+    downloadFile("layout-lint.json", JSON.stringify(lastLintReport, null, 2), "application/json");
+  }
+}
+
+// Compares shapes in the same role across slides
+async function runConsistencyCheck() {
+  const container = document.getElementById("consistency-results");
+  const snapAll = document.getElementById("snap-all-consistency");
+  consistencyIssues = [];
+  snapAll.disabled = true;
+  container.textContent = "Checking presentation...";
+
+  try {
+    consistencyIssues = checkConsistency(await loadPresentationData(scopedSlideIds));
+    renderConsistencyIssues(
+      container,
+      consistencyIssues,
+      { onGoTo: goToIssue, onSnap: (issue) => snapToCanonical([issue]) },
+      supports("shape-editing")
+    );
+    snapAll.disabled = consistencyIssues.length === 0 || !supports("shape-editing");
+  } catch (error) {
+    console.error("Consistency check error:", error);
+    container.textContent = "Error: " + (error.message || error);
+  }
+}
+
+// Moves, resizes and restyles shapes to the values most slides use, as one undoable edit
+async function snapToCanonical(issues) {
+  if (issues.length === 0) {
+    return;
+  }
+
+  try {
+    lastEdit = await applyShapeEditBatch(
+      issues.map((issue) => ({
+        slideId: issue.slideId,
+        shapeId: issue.shapeId,
+        values: issue.canonical,
+      }))
+    );
+    document.getElementById("undo-edit").disabled = false;
+    await runConsistencyCheck();
+  } catch (error) {
+    console.error("Snap to canonical error:", error);
+    document.getElementById("consistency-results").textContent =
+      "Error: " + (error.message || error);
   }
-  
-  // Add detection method information
-  if (selectionInfo.detectionMethod) {
-    message += "\nDetection method: " + selectionInfo.detectionMethod;
-  }
-  
-  document.getElementById('item-subject').textContent = message;
-}
-
-// Helper function to get detailed information about a picture
-function getPictureDetailsString(picture, index) {
-  let details = `${index + 1}. ${picture.name || "Unnamed Picture"} (ID: ${picture.id})\n`;
-  details += `   Type: Picture/Image\n`;
-  details += `   Position: (${picture.left}, ${picture.top})\n`;
-  details += `   Size: ${picture.width} x ${picture.height}\n`;
-  details += `   Z-Index: ${picture.zIndex}\n`;
-  
-  // Add picture-specific details
-  if (picture.altTextDescription) {
-    details += `   Alt Text: ${picture.altTextDescription}\n`;
-  }
-  
-  if (picture.altTextTitle) {
-    details += `   Alt Text Title: ${picture.altTextTitle}\n`;
-  }
-  
-  if (picture.imageData && picture.imageData.format) {
-    details += `   Image Format: ${picture.imageData.format}\n`;
-  }
-  
-  details += "\n";
-  return details;
-}
-
-// Helper function to get detailed information about a shape
-function getDetailedShapeInfo(shape, index) {
-  let details = `${index + 1}. ${shape.name || "Unnamed"} (ID: ${shape.id})\n`;
-  details += `   Type: ${shape.type}\n`;
-  
-  // Add specific details based on shape type
-  switch (shape.type) {
-    case "Picture":
-      details += `   Element Type: Image/Picture\n`;
-      
-      // Load additional picture-specific properties if available
-      try {
-        if (shape.imageData) {
-          details += `   Image Format: ${shape.imageData.format || "Unknown"}\n`;
-        }
-        
-        if (shape.altTextDescription) {
-          details += `   Alt Text: ${shape.altTextDescription}\n`;
-        }
-        
-        if (shape.altTextTitle) {
-          details += `   Alt Text Title: ${shape.altTextTitle}\n`;
-        }
-      } catch (e) {
-        console.log("Couldn't load some picture properties", e);
-      }
-      break;
-    case "Group":
-      details += `   Element Type: Group (contains multiple elements)\n`;
-      break;
-    case "Table":
-      details += `   Element Type: Table\n`;
-      break;
-    case "Chart":
-      details += `   Element Type: Chart\n`;
-      break;
-    case "SmartArt":
-      details += `   Element Type: SmartArt\n`;
-      break;
-  }
-  
-  details += `   Position: (${shape.left}, ${shape.top})\n`;
-  details += `   Size: ${shape.width} x ${shape.height}\n`;
-  details += `   Z-Index: ${shape.zIndex}\n`;
-  
-  if (shape.text) {
-    // Truncate text if it's too long
-    const maxTextLength = 100;
-    const displayText = shape.text.length > maxTextLength ? 
-      shape.text.substring(0, maxTextLength) + "..." : 
-      shape.text;
-    details += `   Text: "${displayText}"\n`;
-  }
-  
-  details += "\n";
-  return details;
 }
 
 export async function run() {
-  detectSelectedElement();
+  await detectSelectedElement();
+}
+
+// Connects to the scripting API, or disconnects, as the user allows or stops allowing it
+function toggleBridge(event) {
+  if (bridge) {
+    bridge.close();
+    bridge = null;
+  }
+
+  if (event.target.checked) {
+    const handlers = createBridgeHandlers(capabilities, () =>
+      resolveCurrentSelection().then(buildSelectionModel)
+    );
+    // A connection closed by an earlier toggle may still report, so only the current one counts
+    const connection = connectBridge(bridgeUrl(window.location.href), handlers, {
+      onStatus: (connected) => connection === bridge && showBridgeStatus(connected),
+    });
+    bridge = connection;
+  }
+  showBridgeStatus(false);
+}
+
+function showBridgeStatus(connected) {
+  const status = document.getElementById("bridge-status");
+  if (!bridge) {
+    status.textContent = "";
+  } else if (connected) {
+    status.textContent = `Connected. Scripts can use ${new URL("/api", window.location.href).href}`;
+  } else {
+    status.textContent = "Waiting for the scripting API. Serve the add-in with npm run serve.";
+  }
 }
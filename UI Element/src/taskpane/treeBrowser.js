@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global document */
+
+function describeNode(node) {
+  if (node.kind === "slide") {
+    return `${node.name} (${node.children.length} element${node.children.length === 1 ? "" : "s"})`;
+  }
+
+  let label = `${node.name || "Unnamed"} [${node.type}]`;
+  if (node.details.rowCount !== undefined) {
+    label += ` ${node.details.rowCount}x${node.details.columnCount}`;
+  }
+  if (node.details.placeholderType) {
+    label += ` ${node.details.placeholderType}`;
+  }
+  return label;
+}
+
+function createNodeLabel(node, onSelect) {
+  const label = document.createElement("a");
+  label.href = "#";
+  label.className = `tree-node__label tree-node__label--${node.kind}`;
+  label.textContent = describeNode(node);
+  if (node.text) {
+    label.title = node.text;
+  }
+  label.onclick = (event) => {
+    event.preventDefault();
+    onSelect(node);
+  };
+  return label;
+}
+
+function createNode(node, onSelect, expanded) {
+  const item = document.createElement("li");
+  item.className = "tree-node";
+  item.dataset.nodeId = node.id;
+
+  if (node.children.length === 0) {
+    item.appendChild(createNodeLabel(node, onSelect));
+    return item;
+  }
+
+  const details = document.createElement("details");
+  details.open = expanded;
+  const summary = document.createElement("summary");
+  summary.appendChild(createNodeLabel(node, onSelect));
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+  node.children.forEach((child) => list.appendChild(createNode(child, onSelect, expanded)));
+  details.appendChild(list);
+
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Renders the presentation tree as nested collapsible lists.
+ * @param container {HTMLElement}
+ * @param tree {import("../inspector/presentationTree").TreeNode[]}
+ * @param onSelect {function(TreeNode): void} Called when a node is clicked.
+ * @param expanded {boolean} Whether nodes start expanded, e.g. while filtering.
+ */
+export function renderTree(container, tree, onSelect, expanded = false) {
+  container.innerHTML = "";
+
+  if (tree.length === 0) {
+    const empty = document.createElement("p");
+    empty.textContent = "No matching elements.";
+    container.appendChild(empty);
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "tree";
+  tree.forEach((node) => list.appendChild(createNode(node, onSelect, expanded)));
+  container.appendChild(list);
+}
+
+/**
+ * Fills the type filter with the shape types found in the tree.
+ * @param select {HTMLSelectElement}
+ * @param types {string[]}
+ */
+export function renderTypeOptions(select, types) {
+  const current = select.value;
+  select.innerHTML = '<option value="">All types</option>';
+  types.forEach((type) => {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = type;
+    select.appendChild(option);
+  });
+  select.value = types.includes(current) ? current : "";
+}
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global global */
+
+import { createOfficeMock } from "./office";
+import { createFakeHost, createPowerPointMock } from "./powerpoint";
+
+/**
+ * Installs fake Office and PowerPoint globals for the given document state.
+ * @param options {Object} Passed to createFakeHost.
+ * @returns The fake host, to inspect or change the document from a test.
+ */
+export function installOfficeMocks(options = {}) {
+  const host = createFakeHost(options);
+  global.Office = createOfficeMock(host);
+  global.PowerPoint = createPowerPointMock(host);
+  return host;
+}
+
+export function uninstallOfficeMocks() {
+  delete global.Office;
+  delete global.PowerPoint;
+}
+
+// Shape types that have no text frame
+const NO_TEXT_FRAME_TYPES = ["Image", "Group", "Table", "Chart"];
+
+/**
+ * Shape data with sensible defaults for the properties the inspector loads.
+ * @param overrides {Object} PowerPoint.Shape members, plus text, which is put in the text frame.
+ */
+export function shapeData(overrides = {}) {
+  const { text = "", ...members } = overrides;
+  const data = {
+    id: "1",
+    name: "Rectangle 1",
+    type: "GeometricShape",
+    left: 100,
+    top: 100,
+    width: 200,
+    height: 100,
+    zOrderPosition: 1,
+    altTextTitle: "",
+    altTextDescription: "",
+    ...members,
+  };
+  if (!NO_TEXT_FRAME_TYPES.includes(data.type)) {
+    const textFrame = data.textFrame || {};
+    const textRange = textFrame.textRange || {};
+    const frameText = "text" in overrides || !("text" in textRange) ? text : textRange.text;
+    data.textFrame = { ...textFrame, textRange: { ...textRange, text: frameText } };
+  }
+  return data;
+}
+
+/**
+ * Fill, line and text frame data for shapeData, for the style properties the inspector loads.
+ * @param overrides {Object} Replaces whole groups, e.g. { fill: { type: "NoFill" } }.
+ */
+export function shapeStyleData(overrides = {}) {
+  return {
+    fill: { type: "Solid", foregroundColor: "#FF0000", transparency: 0 },
+    lineFormat: { visible: true, color: "#000000", weight: 1, dashStyle: "Solid" },
+    textFrame: {
+      leftMargin: 7.2,
+      rightMargin: 7.2,
+      topMargin: 3.6,
+      bottomMargin: 3.6,
+      autoSizeSetting: "AutoSizeNone",
+      verticalAlignment: "Top",
+      wordWrap: true,
+      textRange: {
+        text: "",
+        font: {
+          name: "Calibri",
+          size: 18,
+          color: "#333333",
+          bold: true,
+          italic: false,
+          underline: "None",
+        },
+        paragraphFormat: { horizontalAlignment: "Center" },
+      },
+    },
+    ...overrides,
+  };
+}
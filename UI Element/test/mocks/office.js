@@ -0,0 +1,191 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// A fake of the common Office API surface (Office.onReady, Office.context.document and its
+// settings, dialogs, add-in command registration and the requirement set checks) backed by the
+// same host as the PowerPoint fake.
+
+const AsyncResultStatus = { Succeeded: "succeeded", Failed: "failed" };
+
+function asyncResult(value) {
+  return { status: AsyncResultStatus.Succeeded, value };
+}
+
+function asyncFailure(message) {
+  return { status: AsyncResultStatus.Failed, error: { message } };
+}
+
+const DialogMessageReceived = "dialogMessageReceived";
+const DialogEventReceived = "dialogEventReceived";
+
+/**
+ * A dialog opened with displayDialogAsync. Tests play the page inside it with sendToParent.
+ */
+class FakeDialog {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.messages = [];
+    this.closed = false;
+    this.handlers = {};
+  }
+
+  addEventHandler(eventType, handler) {
+    this.handlers[eventType] = handler;
+  }
+
+  messageChild(message) {
+    this.messages.push(message);
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  // Sends a message from the page to the add-in, like Office.context.ui.messageParent
+  sendToParent(message) {
+    const handler = this.handlers[DialogMessageReceived];
+    if (handler) {
+      handler({ type: DialogMessageReceived, message });
+    }
+  }
+
+  // Closes the dialog the way the user does, with its close button
+  dismiss() {
+    this.closed = true;
+    const handler = this.handlers[DialogEventReceived];
+    if (handler) {
+      handler({ type: DialogEventReceived, error: 12006 });
+    }
+  }
+}
+
+// The default page says it's ready and closes once the add-in sends it something
+function defaultDialogPage(dialog) {
+  dialog.onMessage = () => Promise.resolve().then(() => dialog.sendToParent("close"));
+  Promise.resolve().then(() => dialog.sendToParent("ready"));
+}
+
+/**
+ * Creates the fake Office global for a host.
+ * @param host {ReturnType<import("./powerpoint").createFakeHost>}
+ */
+export function createOfficeMock(host) {
+  const info = { host: "PowerPoint", platform: "PC" };
+
+  return {
+    HostType: { PowerPoint: "PowerPoint" },
+    EventType: {
+      DocumentSelectionChanged: "documentSelectionChanged",
+      DialogMessageReceived,
+      DialogEventReceived,
+      DialogParentMessageReceived: "dialogParentMessageReceived",
+    },
+    CoercionType: { Text: "text", SlideRange: "slideRange" },
+    AsyncResultStatus,
+
+    // The fake is always ready, so callbacks run straight away
+    onReady(callback) {
+      if (callback) {
+        callback(info);
+      }
+      return Promise.resolve(info);
+    },
+
+    // Functions registered for ribbon buttons, by name
+    actions: {
+      registered: {},
+      associate(name, action) {
+        this.registered[name] = action;
+      },
+    },
+
+    context: {
+      ui: {
+        displayDialogAsync(url, options, callback) {
+          const dialog = new FakeDialog(url, options);
+          host.dialogs.push(dialog);
+          callback(asyncResult(dialog));
+          (host.dialogPage || defaultDialogPage)(dialog);
+        },
+
+        // Used by pages running inside a dialog
+        messageParent(message) {
+          host.parentMessages.push(message);
+        },
+
+        addHandlerAsync(eventType, handler, callback) {
+          if (eventType === "dialogParentMessageReceived") {
+            host.parentMessageHandlers.push(handler);
+          }
+          if (typeof callback === "function") {
+            callback(asyncResult(undefined));
+          }
+        },
+      },
+      requirements: {
+        isSetSupported: (name, version) => host.isSetSupported(name, version),
+      },
+      document: {
+        // Values are copied through JSON, like the real settings store
+        settings: {
+          get(name) {
+            return name in host.settings ? JSON.parse(JSON.stringify(host.settings[name])) : null;
+          },
+          set(name, value) {
+            host.settings[name] = JSON.parse(JSON.stringify(value));
+          },
+          remove(name) {
+            delete host.settings[name];
+          },
+          saveAsync(options, callback) {
+            const done = typeof options === "function" ? options : callback;
+            if (!host.failSettingsSave) {
+              host.savedSettings = JSON.parse(JSON.stringify(host.settings));
+            }
+            if (typeof done === "function") {
+              done(
+                host.failSettingsSave
+                  ? asyncFailure("The settings couldn't be saved.")
+                  : asyncResult(undefined)
+              );
+            }
+          },
+        },
+
+        addHandlerAsync(eventType, handler, callback) {
+          if (eventType === "documentSelectionChanged") {
+            host.selectionHandlers.push(handler);
+          }
+          if (typeof callback === "function") {
+            callback(asyncResult(undefined));
+          }
+        },
+
+        getSelectedDataAsync(coercionType, options, callback) {
+          const done = typeof options === "function" ? options : callback;
+
+          if (coercionType === "text") {
+            done(asyncResult(host.selectedText));
+          } else if (coercionType === "slideRange") {
+            done(
+              asyncResult({
+                slides: host.selectedSlideIds.map((id) => ({
+                  id,
+                  index: host.slides.findIndex((slide) => slide.id === id) + 1,
+                })),
+              })
+            );
+          } else {
+            done(asyncFailure(`Coercion type '${coercionType}' is not supported.`));
+          }
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,875 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// A fake of the parts of the PowerPoint JavaScript object model used by the inspector.
+//
+// Document state lives in a "host" object made of plain data. Every PowerPoint.run call gets a
+// new request context whose proxies follow the Office.js rules closely enough to catch the
+// usual mistakes: properties throw until they are loaded and synced, loads and writes are
+// queued until context.sync(), and loading a property the host doesn't know fails the sync.
+// Properties from a newer PowerPointApi than the host supports fail the sync the same way.
+// Data for the classes in MEMBERS may only hold members @types/office-js declares, so a test
+// can't pass by reading something PowerPoint doesn't have.
+
+export class FakeOfficeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "OfficeExtension.Error";
+    this.code = code;
+  }
+}
+
+// Properties of the PowerPoint classes, from @types/office-js
+const MEMBERS = {
+  Shape: [
+    "adjustments",
+    "altTextDescription",
+    "altTextTitle",
+    "creationId",
+    "customXmlParts",
+    "fill",
+    "group",
+    "height",
+    "id",
+    "isDecorative",
+    "left",
+    "level",
+    "lineFormat",
+    "name",
+    "parentGroup",
+    "placeholderFormat",
+    "rotation",
+    "tags",
+    "textFrame",
+    "top",
+    "type",
+    "visible",
+    "width",
+    "zOrderPosition",
+  ],
+  ShapeFill: ["foregroundColor", "transparency", "type"],
+  ShapeGroup: ["creationId", "id", "shape", "shapes"],
+  TextFrame: [
+    "autoSizeSetting",
+    "bottomMargin",
+    "hasText",
+    "leftMargin",
+    "rightMargin",
+    "textRange",
+    "topMargin",
+    "verticalAlignment",
+    "wordWrap",
+  ],
+  TextRange: ["font", "length", "paragraphFormat", "start", "text"],
+  Table: ["columnCount", "columns", "rowCount", "rows", "styleSettings", "values"],
+  TableCell: [
+    "borders",
+    "columnCount",
+    "columnIndex",
+    "fill",
+    "font",
+    "horizontalAlignment",
+    "indentLevel",
+    "margins",
+    "rowCount",
+    "rowIndex",
+    "text",
+    "textRuns",
+    "verticalAlignment",
+  ],
+  Slide: ["background", "id", "index", "layout", "shapes", "slideMaster", "tags"],
+};
+
+// PowerPointApi version of the properties added after the class, from @types/office-js
+const PROPERTY_VERSIONS = {
+  Shape: {
+    altTextDescription: "1.10",
+    altTextTitle: "1.10",
+    group: "1.8",
+    isDecorative: "1.10",
+    level: "1.10",
+    parentGroup: "1.8",
+    placeholderFormat: "1.8",
+    rotation: "1.10",
+    visible: "1.10",
+    zOrderPosition: "1.8",
+  },
+  TableCell: { fill: "1.9", font: "1.9" },
+  Slide: { index: "1.8" },
+};
+
+// Fixture data that isn't a property. The fake reads it for methods, such as getTable().
+const HIDDEN = {
+  Shape: ["table"],
+  Table: ["cells"],
+  TextRange: ["runs"],
+};
+
+// The class of each navigation property, for the classes whose data is checked
+const NAVIGATION_TYPES = {
+  Shape: { group: "ShapeGroup", textFrame: "TextFrame" },
+  TextFrame: { textRange: "TextRange" },
+};
+
+function checkMembers(type, data) {
+  const unknown = Object.keys(data).filter(
+    (key) => !MEMBERS[type].includes(key) && !(HIDDEN[type] || []).includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`PowerPoint.${type} has no ${unknown.join(", ")}.`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return !Array.isArray(value) && !isPlainObject(value);
+}
+
+// Turns "a,b/c" or ["a", "b/c"] into [["a"], ["b", "c"]]
+function parseLoadSpec(spec) {
+  if (spec === undefined || spec === null || spec === "") {
+    return [];
+  }
+  const list = Array.isArray(spec) ? spec : String(spec).split(",");
+  return list
+    .map((path) => path.trim())
+    .filter((path) => path.length > 0)
+    .map((path) => path.split("/"));
+}
+
+function compareVersions(a, b) {
+  const partsA = String(a).split(".").map(Number);
+  const partsB = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Base class for fake proxy objects. Scalar properties of the backing data become getters that
+ * throw until loaded, nested objects become navigation properties and arrays become collections.
+ * options.type names the PowerPoint class, to check the data against MEMBERS.
+ */
+export class FakeClientObject {
+  constructor(context, data, options = {}) {
+    this.context = context;
+    this._data = data;
+    this._type = options.type;
+    this._hidden = new Set(HIDDEN[options.type] || []);
+    this._loaded = new Map();
+    this._navigation = new Map();
+    this._collectionTypes = options.collections || {};
+    this._collectionClasses = options.collectionClasses || {};
+    this._navigationClasses = options.navigationClasses || {};
+    this._readOnly = new Set(options.readOnly || []);
+
+    if (MEMBERS[options.type]) {
+      checkMembers(options.type, data);
+    }
+
+    this._properties().forEach((key) => {
+      if (isScalar(data[key])) {
+        this._defineScalar(key);
+      } else {
+        Object.defineProperty(this, key, {
+          get: () => this._getNavigation(key),
+          enumerable: true,
+          configurable: true,
+        });
+      }
+    });
+  }
+
+  // Keys of the backing data that are properties
+  _properties() {
+    return Object.keys(this._data).filter((key) => !this._hidden.has(key));
+  }
+
+  // The PowerPointApi version a property needs, when the host doesn't support it
+  _missingVersion(key) {
+    const version = (PROPERTY_VERSIONS[this._type] || {})[key];
+    return version && !this.context.host.isSetSupported("PowerPointApi", version) ? version : null;
+  }
+
+  _defineScalar(key) {
+    const descriptor = {
+      get: () => {
+        if (!this._loaded.has(key)) {
+          throw new FakeOfficeError(
+            "PropertyNotLoaded",
+            `The property '${key}' is not available. Call the load method and context.sync() first.`
+          );
+        }
+        return this._loaded.get(key);
+      },
+      enumerable: true,
+      configurable: true,
+    };
+
+    if (!this._readOnly.has(key)) {
+      descriptor.set = (value) => {
+        this._loaded.set(key, value);
+        const version = this._missingVersion(key);
+        if (version) {
+          this.context._requireApi("PowerPointApi", version, key);
+        }
+        this.context._enqueue(() => this._write(key, value));
+      };
+    }
+
+    Object.defineProperty(this, key, descriptor);
+  }
+
+  _write(key, value) {
+    this._data[key] = value;
+  }
+
+  _getNavigation(key) {
+    if (!this._navigation.has(key)) {
+      const value = this._data[key];
+      const Collection = this._collectionClasses[key] || FakeCollection;
+      const proxy = Array.isArray(value)
+        ? new Collection(
+            this.context,
+            () => this._data[key],
+            this._collectionTypes[key] || FakeClientObject
+          )
+        : new (this._navigationClasses[key] || FakeClientObject)(this.context, value, {
+            type: (NAVIGATION_TYPES[this._type] || {})[key],
+          });
+      this._navigation.set(key, proxy);
+    }
+    return this._navigation.get(key);
+  }
+
+  load(spec) {
+    const paths = parseLoadSpec(spec);
+    this.context._enqueue(() => this._applyLoad(paths));
+    return this;
+  }
+
+  _applyLoad(paths) {
+    if (paths.length === 0) {
+      this._properties()
+        .filter((key) => isScalar(this._data[key]) && !this._missingVersion(key))
+        .forEach((key) => this._loaded.set(key, this._data[key]));
+      return;
+    }
+
+    const byProperty = new Map();
+    paths.forEach(([first, ...rest]) => {
+      if (!byProperty.has(first)) {
+        byProperty.set(first, []);
+      }
+      if (rest.length > 0) {
+        byProperty.get(first).push(rest);
+      }
+    });
+
+    byProperty.forEach((rests, key) => {
+      if (!(key in this._data) || this._hidden.has(key)) {
+        throw new FakeOfficeError(
+          "InvalidArgument",
+          `The property '${key}' is not supported by this host.`
+        );
+      }
+      const version = this._missingVersion(key);
+      if (version) {
+        throw new FakeOfficeError("ApiNotFound", `${key} requires PowerPointApi ${version}.`);
+      }
+      if (isScalar(this._data[key])) {
+        this._loaded.set(key, this._data[key]);
+      } else {
+        this._getNavigation(key)._applyLoad(rests);
+      }
+    });
+  }
+
+  toJSON() {
+    return Object.fromEntries(this._loaded);
+  }
+}
+
+/**
+ * Fake collection proxy. The items array is built when the collection is loaded, so it reflects
+ * the document at sync time and throws before that.
+ */
+export class FakeCollection {
+  constructor(context, getData, ItemType) {
+    this.context = context;
+    this._getData = getData;
+    this._ItemType = ItemType;
+    this._items = null;
+  }
+
+  get items() {
+    if (!this._items) {
+      throw new FakeOfficeError(
+        "PropertyNotLoaded",
+        "The property 'items' is not available. Call the load method and context.sync() first."
+      );
+    }
+    return this._items;
+  }
+
+  load(spec) {
+    const paths = parseLoadSpec(spec);
+    this.context._enqueue(() => this._applyLoad(paths));
+    return this;
+  }
+
+  _applyLoad(paths) {
+    const itemPaths = [];
+    paths.forEach(([first, ...rest]) => {
+      if (first !== "items") {
+        throw new FakeOfficeError("InvalidArgument", `Collections can't load '${first}'.`);
+      }
+      if (rest.length > 0) {
+        itemPaths.push(rest);
+      }
+    });
+
+    this._items = this._getData().map((data) => new this._ItemType(this.context, data));
+    this._items.forEach((item) => item._applyLoad(itemPaths));
+  }
+
+  getItem(id) {
+    const data = this._getData().find((item) => item.id === id);
+    if (!data) {
+      this.context._enqueue(() => {
+        throw new FakeOfficeError("ItemNotFound", `No item with id '${id}'.`);
+      });
+      return new this._ItemType(this.context, { id });
+    }
+    return new this._ItemType(this.context, data);
+  }
+
+  getItemAt(index) {
+    const data = this._getData()[index];
+    if (!data) {
+      this.context._enqueue(() => {
+        throw new FakeOfficeError("ItemNotFound", `No item at index ${index}.`);
+      });
+      return new this._ItemType(this.context, {});
+    }
+    return new this._ItemType(this.context, data);
+  }
+
+  toJSON() {
+    return { items: this._items ? this._items.map((item) => item.toJSON()) : [] };
+  }
+}
+
+/**
+ * A table's data holds its size and a cells array of rows: { rowCount, columnCount,
+ * cells: [[{ text }]] }.
+ */
+export class FakeTable extends FakeClientObject {
+  constructor(context, data) {
+    super(context, data, { type: "Table" });
+  }
+
+  getCellOrNullObject(rowIndex, columnIndex) {
+    const row = (this._data.cells || [])[rowIndex];
+    const cell = row && row[columnIndex];
+    if (!cell) {
+      return new FakeClientObject(this.context, { isNullObject: true });
+    }
+    return new FakeClientObject(this.context, cell, { type: "TableCell" });
+  }
+}
+
+// Replaces part of a text range's text. Runs give the text's formatting as [{ text, font }];
+// the new text takes the formatting of the run it starts in, like typing over a selection.
+function replaceText(data, start, length, text) {
+  const end = start + length;
+  data.text = data.text.slice(0, start) + text + data.text.slice(end);
+  if (!data.runs) {
+    return;
+  }
+
+  let position = 0;
+  let inserted = false;
+  data.runs = data.runs
+    .map((run, index) => {
+      const runStart = position;
+      position += run.text.length;
+      const holdsStart = !inserted && (start < position || index === data.runs.length - 1);
+      if (holdsStart) {
+        inserted = true;
+      }
+      const before = run.text.slice(0, Math.max(0, start - runStart));
+      const after = run.text.slice(Math.max(0, end - runStart));
+      return { ...run, text: before + (holdsStart ? text : "") + after };
+    })
+    .filter((run) => run.text.length > 0);
+}
+
+/**
+ * A text range's data may hold runs, see replaceText. Setting the whole text leaves one run
+ * with the first run's formatting, while setting a substring's text keeps the other runs.
+ */
+export class FakeTextRange extends FakeClientObject {
+  constructor(context, data, options = {}) {
+    super(context, data, { type: "TextRange" });
+    // For substrings: the data of the range they're part of, and where they are in it
+    this._span = options.span || null;
+  }
+
+  _write(key, value) {
+    if (key !== "text") {
+      super._write(key, value);
+    } else if (this._span) {
+      replaceText(this._span.data, this._span.start, this._span.length, value);
+    } else {
+      replaceText(this._data, 0, this._data.text.length, value);
+    }
+  }
+
+  getSubstring(start, length) {
+    const data = { text: this._data.text.substr(start, length) };
+    return new FakeTextRange(this.context, data, {
+      span: { data: this._data, start, length },
+    });
+  }
+}
+
+export class FakeTextFrame extends FakeClientObject {
+  constructor(context, data) {
+    super(context, data, { type: "TextFrame", navigationClasses: { textRange: FakeTextRange } });
+  }
+}
+
+export class FakeShapeFill extends FakeClientObject {
+  constructor(context, data) {
+    super(context, data, { type: "ShapeFill" });
+  }
+
+  clear() {
+    this.context._enqueue(() => {
+      this._data.type = "NoFill";
+    });
+  }
+
+  setSolidColor(color) {
+    this.context._enqueue(() => {
+      Object.assign(this._data, { type: "Solid", foregroundColor: color, transparency: 0 });
+    });
+  }
+}
+
+// The value a method returns, like OfficeExtension.ClientResult. It throws until synced.
+export class FakeClientResult {
+  constructor() {
+    this._synced = false;
+    this._value = undefined;
+  }
+
+  get value() {
+    if (!this._synced) {
+      throw new FakeOfficeError(
+        "PropertyNotLoaded",
+        "The value is not available. Call context.sync() first."
+      );
+    }
+    return this._value;
+  }
+
+  _set(value) {
+    this._value = value;
+    this._synced = true;
+  }
+}
+
+export class FakeShape extends FakeClientObject {
+  constructor(context, data) {
+    super(context, data, {
+      type: "Shape",
+      collections: { shapes: FakeShape },
+      navigationClasses: { fill: FakeShapeFill, group: FakeShapeGroup, textFrame: FakeTextFrame },
+      readOnly: ["id", "type"],
+    });
+  }
+
+  // Table shapes keep their rows and columns under "table", like FakeTable's data. It isn't a
+  // property: PowerPoint only reaches tables through getTable().
+  getTable() {
+    this.context._requireApi("PowerPointApi", "1.8", "getTable");
+    if (!this._data.table) {
+      this.context._enqueue(() => {
+        throw new FakeOfficeError("InvalidArgument", `Shape '${this._data.id}' isn't a table.`);
+      });
+    }
+    return new FakeTable(this.context, this._data.table || {});
+  }
+
+  // Stands in for the PNG with the shape's id and the rendered size, in base64. Like
+  // PowerPoint, the image fits the requested width and height and keeps its aspect ratio.
+  getImageAsBase64(options = {}) {
+    this.context._requireApi("PowerPointApi", "1.10", "getImageAsBase64");
+    const result = new FakeClientResult();
+    this.context._enqueue(() => {
+      const { id, width, height } = this._data;
+      const scale = Math.min(
+        options.width ? options.width / width : Infinity,
+        options.height ? options.height / height : Infinity
+      );
+      const factor = scale === Infinity ? 1 : scale;
+      const size = `${Math.round(width * factor)}x${Math.round(height * factor)}`;
+      result._set(Buffer.from(`PNG ${id} ${size}`).toString("base64"));
+    });
+    return result;
+  }
+
+  delete() {
+    this.context._enqueue(() => {
+      const slide = this.context.host.findSlideOfShape(this._data.id);
+      slide.shapes.splice(slide.shapes.indexOf(this._data), 1);
+    });
+  }
+}
+
+// The shapes of a group are shapes too, so they can hold groups and tables
+export class FakeShapeGroup extends FakeClientObject {
+  constructor(context, data) {
+    super(context, data, { type: "ShapeGroup", collections: { shapes: FakeShape } });
+  }
+
+  // Puts the group's shapes where the group was
+  ungroup() {
+    this.context._requireApi("PowerPointApi", "1.8", "ungroup");
+    this.context._enqueue(() => {
+      const host = this.context.host;
+      const groupShape = host.findShape((shape) => shape.group === this._data);
+      const shapes = host.findParentShapes(groupShape.id);
+      shapes.splice(shapes.indexOf(groupShape), 1, ...this._data.shapes);
+    });
+  }
+}
+
+/**
+ * A slide's shapes. Hosts created with legacyShapeSelection also expose getSelected(), which
+ * the original inspector used and which isn't part of any requirement set.
+ */
+export class FakeShapeCollection extends FakeCollection {
+  constructor(context, getData, ItemType) {
+    super(context, getData, ItemType);
+    if (context.host.legacyShapeSelection) {
+      this.getSelected = () =>
+        new FakeCollection(
+          context,
+          () => getData().filter((shape) => context.host.selectedShapeIds.includes(shape.id)),
+          FakeShape
+        );
+    }
+  }
+
+  // Groups shapes by id or proxy. The group takes the place of the topmost one.
+  addGroup(values) {
+    this.context._requireApi("PowerPointApi", "1.8", "addGroup");
+    const host = this.context.host;
+    const ids = values.map((value) => (typeof value === "string" ? value : value._data.id));
+    const data = {
+      id: host.nextShapeId(),
+      name: "",
+      type: "Group",
+      left: 0,
+      top: 0,
+      width: 0,
+      height: 0,
+      zOrderPosition: 0,
+      group: { shapes: [] },
+    };
+    data.name = `Group ${data.id}`;
+
+    this.context._enqueue(() => {
+      const shapes = this._getData();
+      const members = shapes.filter((shape) => ids.includes(shape.id));
+      if (members.length !== ids.length || ids.length < 2) {
+        throw new FakeOfficeError("InvalidArgument", "Groups need two or more shapes.");
+      }
+      data.left = Math.min(...members.map((shape) => shape.left));
+      data.top = Math.min(...members.map((shape) => shape.top));
+      data.width = Math.max(...members.map((shape) => shape.left + shape.width)) - data.left;
+      data.height = Math.max(...members.map((shape) => shape.top + shape.height)) - data.top;
+      data.zOrderPosition = members[members.length - 1].zOrderPosition;
+      data.group.shapes = members;
+
+      shapes.splice(shapes.indexOf(members[members.length - 1]) + 1, 0, data);
+      members.forEach((shape) => shapes.splice(shapes.indexOf(shape), 1));
+    });
+    return new FakeShape(this.context, data);
+  }
+}
+
+/**
+ * A slide's tags, as { key, value } data. Like PowerPoint, keys are stored in upper case.
+ */
+export class FakeTagCollection extends FakeCollection {
+  // Adds a tag, or replaces the value of the tag with the same key
+  add(key, value) {
+    this.context._enqueue(() => {
+      const tags = this._getData();
+      const existing = tags.find((tag) => tag.key === key.toUpperCase());
+      if (existing) {
+        existing.value = value;
+      } else {
+        tags.push({ key: key.toUpperCase(), value });
+      }
+    });
+  }
+
+  delete(key) {
+    this.context._enqueue(() => {
+      const tags = this._getData();
+      const index = tags.findIndex((tag) => tag.key === key.toUpperCase());
+      if (index !== -1) {
+        tags.splice(index, 1);
+      }
+    });
+  }
+}
+
+export class FakeSlide extends FakeClientObject {
+  constructor(context, data) {
+    super(context, data, {
+      type: "Slide",
+      collections: { shapes: FakeShape },
+      collectionClasses: { shapes: FakeShapeCollection, tags: FakeTagCollection },
+      readOnly: ["id"],
+    });
+  }
+
+  setSelectedShapes(shapeIds) {
+    this.context._requireApi("PowerPointApi", "1.5", "setSelectedShapes");
+    this.context._enqueue(() => this.context.host.selectShapes(shapeIds));
+  }
+}
+
+export class FakePresentation {
+  constructor(context) {
+    this.context = context;
+    this.slides = new FakeCollection(context, () => context.host.slides, FakeSlide);
+  }
+
+  get pageSetup() {
+    this.context._requireApi("PowerPointApi", "1.10", "pageSetup");
+    return new FakeClientObject(this.context, this.context.host.pageSetup);
+  }
+
+  getSelectedSlides() {
+    const host = this.context.host;
+    this.context._requireApi("PowerPointApi", "1.5", "getSelectedSlides");
+    return new FakeCollection(
+      this.context,
+      () => host.slides.filter((slide) => host.selectedSlideIds.includes(slide.id)),
+      FakeSlide
+    );
+  }
+
+  getSelectedShapes() {
+    const host = this.context.host;
+    this.context._requireApi("PowerPointApi", "1.5", "getSelectedShapes");
+    return new FakeCollection(
+      this.context,
+      () => host.selectedShapeIds.map((id) => host.findShape(id)).filter(Boolean),
+      FakeShape
+    );
+  }
+
+  setSelectedSlides(slideIds) {
+    this.context._requireApi("PowerPointApi", "1.5", "setSelectedSlides");
+    this.context._enqueue(() => this.context.host.selectSlides(slideIds));
+  }
+}
+
+export class FakeRequestContext {
+  constructor(host) {
+    this.host = host;
+    this._queue = [];
+    this.presentation = new FakePresentation(this);
+  }
+
+  _enqueue(operation) {
+    this._queue.push(operation);
+  }
+
+  // Queues a failure for APIs the host's requirement sets don't include, the way a real host
+  // rejects the sync containing the call.
+  _requireApi(name, version, method) {
+    if (!this.host.isSetSupported(name, version)) {
+      this._enqueue(() => {
+        throw new FakeOfficeError("ApiNotFound", `${method} requires ${name} ${version}.`);
+      });
+    }
+  }
+
+  async sync() {
+    const queue = this._queue;
+    this._queue = [];
+    this.host.syncCount++;
+    // Operations after a failing one are not applied, like a real batch
+    queue.forEach((operation) => operation());
+  }
+}
+
+function findIn(shapes, predicate) {
+  for (const shape of shapes) {
+    if (predicate(shape)) {
+      return shape;
+    }
+    const child = shape.group ? findIn(shape.group.shapes, predicate) : undefined;
+    if (child) {
+      return child;
+    }
+  }
+  return undefined;
+}
+
+function cloneData(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates the document state shared by the fake Office and PowerPoint globals.
+ * @param options {Object}
+ * @param options.slides {Object[]} Slides as plain data: { id, shapes: [{ id, name, ... }] },
+ *   optionally with layout, slideMaster and tags.
+ * @param options.selectedSlideIds {string[]} Defaults to the first slide.
+ * @param options.selectedShapeIds {string[]}
+ * @param options.selectedText {string}
+ * @param options.requirementSets {Object} Supported versions by set name, e.g.
+ *   { PowerPointApi: "1.5" }.
+ * @param options.pageSetup {{slideWidth: number, slideHeight: number}} Defaults to 16:9.
+ * @param options.legacyShapeSelection {boolean} Whether slide shape collections have getSelected().
+ * @param options.dialogPage {function(FakeDialog): void} Plays the page opened in a dialog. By
+ *   default the page says it is ready and closes once it receives a message.
+ * @param options.settings {Object} Document settings saved in the presentation, by name.
+ * @param options.failSettingsSave {boolean} Whether Office.context.document.settings.saveAsync
+ *   fails.
+ */
+export function createFakeHost(options = {}) {
+  const slides = cloneData(options.slides || []);
+
+  const host = {
+    slides,
+    selectedSlideIds: options.selectedSlideIds || (slides.length > 0 ? [slides[0].id] : []),
+    selectedShapeIds: options.selectedShapeIds || [],
+    selectedText: options.selectedText || "",
+    requirementSets: options.requirementSets || { PowerPointApi: "1.5", DialogApi: "1.2" },
+    pageSetup: cloneData(options.pageSetup || { slideWidth: 960, slideHeight: 540 }),
+    legacyShapeSelection: Boolean(options.legacyShapeSelection),
+    selectionHandlers: [],
+    dialogs: [],
+    dialogPage: options.dialogPage,
+    // Settings as set by the add-in, and as last saved in the presentation
+    settings: cloneData(options.settings || {}),
+    savedSettings: cloneData(options.settings || {}),
+    failSettingsSave: Boolean(options.failSettingsSave),
+    parentMessages: [],
+    parentMessageHandlers: [],
+    syncCount: 0,
+
+    isSetSupported(name, version) {
+      const supported = host.requirementSets[name];
+      if (supported === undefined) {
+        return false;
+      }
+      return version === undefined || compareVersions(supported, version) >= 0;
+    },
+
+    findSlide(slideId) {
+      return host.slides.find((slide) => slide.id === slideId);
+    },
+
+    findSlideOfShape(shapeId) {
+      return host.slides.find((slide) => findIn(slide.shapes, (shape) => shape.id === shapeId));
+    },
+
+    // Finds a shape by id, or by a predicate, including shapes inside groups
+    findShape(match) {
+      const predicate = typeof match === "function" ? match : (shape) => shape.id === match;
+      for (const slide of host.slides) {
+        const shape = findIn(slide.shapes, predicate);
+        if (shape) {
+          return shape;
+        }
+      }
+      return undefined;
+    },
+
+    // The shapes array holding a shape: its slide's shapes or its group's
+    findParentShapes(shapeId) {
+      const parent = host.findShape(
+        (shape) => shape.group && shape.group.shapes.some((child) => child.id === shapeId)
+      );
+      return parent ? parent.group.shapes : host.findSlideOfShape(shapeId).shapes;
+    },
+
+    nextShapeId() {
+      const ids = [];
+      const collect = (shapes) =>
+        shapes.forEach((shape) => {
+          ids.push(Number(shape.id) || 0);
+          collect(shape.group ? shape.group.shapes : []);
+        });
+      host.slides.forEach((slide) => collect(slide.shapes));
+      return String(Math.max(0, ...ids) + 1);
+    },
+
+    selectSlides(slideIds) {
+      host.selectedSlideIds = [...slideIds];
+      host.selectedShapeIds = [];
+      host.selectedText = "";
+      host.fireSelectionChanged();
+    },
+
+    // Selects shapes the way a click does: the slide holding the first shape becomes selected
+    selectShapes(shapeIds) {
+      const slide = shapeIds.length > 0 ? host.findSlideOfShape(shapeIds[0]) : null;
+      if (slide) {
+        host.selectedSlideIds = [slide.id];
+      }
+      host.selectedShapeIds = [...shapeIds];
+      host.selectedText = "";
+      host.fireSelectionChanged();
+    },
+
+    selectText(text) {
+      host.selectedText = text;
+      host.fireSelectionChanged();
+    },
+
+    fireSelectionChanged() {
+      host.selectionHandlers.forEach((handler) => handler({ type: "documentSelectionChanged" }));
+    },
+  };
+
+  return host;
+}
+
+/**
+ * Creates the fake PowerPoint global for a host.
+ */
+export function createPowerPointMock(host) {
+  return {
+    async run(batch) {
+      const context = new FakeRequestContext(host);
+      const result = await batch(context);
+      // PowerPoint.run flushes anything still queued when the batch returns
+      if (context._queue.length > 0) {
+        await context.sync();
+      }
+      return result;
+    },
+  };
+}
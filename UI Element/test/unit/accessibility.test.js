@@ -0,0 +1,238 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import {
+  auditPresentation,
+  countUnreadableAltText,
+  findSlideTitle,
+} from "../../src/inspector/accessibility";
+import { loadPresentationData } from "../../src/inspector/presentationData";
+
+function shape(overrides) {
+  return { ...shapeData(overrides), placeholderType: null, fontSize: null, ...overrides };
+}
+
+function title(text, overrides = {}) {
+  return shape({
+    id: "t",
+    name: "Title 1",
+    placeholderType: "Title",
+    text,
+    top: 20,
+    height: 50,
+    zIndex: 1,
+    ...overrides,
+  });
+}
+
+function rules(issues) {
+  return issues.map((issue) => [issue.slideIndex, issue.rule, issue.shapeId]);
+}
+
+describe("auditPresentation", () => {
+  it("reports nothing for an accessible slide", () => {
+    const slides = [
+      {
+        id: "256",
+        index: 1,
+        shapes: [
+          title("Agenda"),
+          shape({
+            id: "2",
+            type: "Image",
+            altTextDescription: "Team photo",
+            top: 100,
+            zIndex: 2,
+          }),
+        ],
+      },
+    ];
+
+    expect(auditPresentation(slides)).toEqual([]);
+  });
+
+  it("reports pictures, charts and groups without alt text", () => {
+    const slides = [
+      {
+        id: "256",
+        index: 1,
+        shapes: [
+          title("Agenda"),
+          shape({ id: "2", type: "Image", top: 100, zIndex: 2 }),
+          shape({ id: "3", type: "Chart", altTextDescription: "  ", top: 100, zIndex: 3 }),
+          shape({ id: "4", type: "Group", top: 100, zIndex: 4 }),
+          shape({ id: "5", type: "GeometricShape", top: 100, zIndex: 5 }),
+        ],
+      },
+    ];
+
+    const issues = auditPresentation(slides, { canWriteAltText: true });
+    expect(rules(issues)).toEqual([
+      [1, "missing-alt-text", "2"],
+      [1, "missing-alt-text", "3"],
+      [1, "missing-alt-text", "4"],
+    ]);
+    expect(issues[0]).toMatchObject({ severity: "error", fixableAltText: true });
+    expect(auditPresentation(slides)[0].fixableAltText).toBeUndefined();
+  });
+
+  it("skips alt text the host couldn't read instead of reporting it missing", () => {
+    const slides = [
+      {
+        id: "256",
+        index: 1,
+        shapes: [
+          title("Agenda"),
+          shape({ id: "2", type: "Image", altTextDescription: null, top: 100, zIndex: 2 }),
+          shape({ id: "3", type: "Chart", altTextDescription: "", top: 100, zIndex: 3 }),
+        ],
+      },
+    ];
+
+    expect(rules(auditPresentation(slides))).toEqual([[1, "missing-alt-text", "3"]]);
+    expect(countUnreadableAltText(slides)).toBe(1);
+  });
+
+  it("reports missing and duplicate titles", () => {
+    const slides = [
+      { id: "256", index: 1, shapes: [title("Results")] },
+      { id: "257", index: 2, shapes: [title("")] },
+      { id: "258", index: 3, shapes: [shape({ id: "2", name: "Content" })] },
+      { id: "259", index: 4, shapes: [title(" results ")] },
+    ];
+
+    const issues = auditPresentation(slides);
+    expect(rules(issues)).toEqual([
+      [1, "duplicate-title", "t"],
+      [2, "missing-title", "t"],
+      [3, "missing-title", null],
+      [4, "duplicate-title", "t"],
+    ]);
+    expect(issues[0].message).toBe('Title "Results" is used on slides 1, 4');
+  });
+
+  it("reports reading-order anomalies", () => {
+    const slides = [
+      {
+        id: "256",
+        index: 1,
+        shapes: [
+          shape({ id: "2", name: "Body", top: 200, height: 100, zIndex: 1 }),
+          title("Agenda", { zIndex: 2 }),
+          shape({ id: "3", name: "Footer", top: 500, height: 20, zIndex: 2 }),
+        ],
+      },
+    ];
+
+    expect(rules(auditPresentation(slides))).toEqual([
+      [1, "title-not-first", "t"],
+      [1, "duplicate-z-order", "3"],
+      [1, "reading-order", "2"],
+    ]);
+  });
+
+  it("reports text below the minimum size", () => {
+    const slides = [
+      {
+        id: "256",
+        index: 1,
+        shapes: [
+          title("Agenda", { fontSize: 40 }),
+          shape({ id: "2", top: 100, zIndex: 2, fontSize: 9 }),
+        ],
+      },
+    ];
+
+    expect(rules(auditPresentation(slides))).toEqual([[1, "tiny-text", "2"]]);
+    expect(auditPresentation(slides, { minFontSize: 8 })).toEqual([]);
+  });
+
+  it("falls back to the shape name to find the title", () => {
+    const slide = { shapes: [shape({ id: "2", name: "Title 3" })] };
+    expect(findSlideTitle(slide).id).toBe("2");
+  });
+});
+
+describe("loadPresentationData", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("loads every slide with alt text, placeholder types and fonts", async () => {
+    installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({
+              id: "2",
+              type: "Placeholder",
+              text: "Agenda",
+              placeholderFormat: { type: "Title" },
+              textFrame: { textRange: { font: { size: 40, name: "Segoe UI" } } },
+            }),
+            shapeData({ id: "3", type: "Image", altTextDescription: "Logo" }),
+          ],
+        },
+        { id: "257", shapes: [] },
+      ],
+      requirementSets: { PowerPointApi: "1.10" },
+    });
+
+    const slides = await loadPresentationData();
+
+    expect(slides.map((slide) => [slide.id, slide.index])).toEqual([
+      ["256", 1],
+      ["257", 2],
+    ]);
+    expect(slides[0].shapes[0]).toMatchObject({
+      placeholderType: "Title",
+      fontSize: 40,
+      fontName: "Segoe UI",
+      text: "Agenda",
+    });
+    expect(slides[0].shapes[1]).toMatchObject({
+      placeholderType: null,
+      fontSize: null,
+      fontName: null,
+      altTextDescription: "Logo",
+    });
+  });
+
+  it("leaves alt text unread on hosts before PowerPointApi 1.10", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "3", type: "Image" })] }],
+      requirementSets: { PowerPointApi: "1.9" },
+    });
+
+    const slides = await loadPresentationData();
+
+    expect(slides[0].shapes[0].altTextDescription).toBeNull();
+    expect(rules(auditPresentation(slides))).toEqual([[1, "missing-title", null]]);
+    expect(countUnreadableAltText(slides)).toBe(1);
+  });
+
+  it("loads only the given slides, keeping their place in the presentation", async () => {
+    installOfficeMocks({
+      slides: [
+        { id: "256", shapes: [] },
+        { id: "257", shapes: [shapeData({ id: "2" })] },
+        { id: "258", shapes: [] },
+      ],
+    });
+
+    const slides = await loadPresentationData(["258", "257"]);
+
+    expect(slides.map((slide) => [slide.id, slide.index, slide.shapes.length])).toEqual([
+      ["257", 2, 1],
+      ["258", 3, 0],
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { shapeData } from "../mocks";
+import { alignShapes, distributeShapes, matchSize, snapToGrid } from "../../src/inspector/arrange";
+
+const shapes = [
+  shapeData({ id: "a", left: 10, top: 20, width: 100, height: 40 }),
+  shapeData({ id: "b", left: 50, top: 100, width: 60, height: 20 }),
+  shapeData({ id: "c", left: 200, top: 60, width: 40, height: 80 }),
+];
+
+describe("alignShapes", () => {
+  it("aligns to the edges of the box around the shapes", () => {
+    expect(alignShapes(shapes, "left")).toEqual([
+      { shapeId: "b", values: { left: 10 } },
+      { shapeId: "c", values: { left: 10 } },
+    ]);
+    expect(alignShapes(shapes, "bottom")).toEqual([
+      { shapeId: "a", values: { top: 100 } },
+      { shapeId: "b", values: { top: 120 } },
+    ]);
+  });
+
+  it("aligns centers and middles", () => {
+    expect(alignShapes(shapes, "center")).toEqual([
+      { shapeId: "a", values: { left: 75 } },
+      { shapeId: "b", values: { left: 95 } },
+      { shapeId: "c", values: { left: 105 } },
+    ]);
+    expect(alignShapes(shapes, "middle")).toEqual([
+      { shapeId: "a", values: { top: 60 } },
+      { shapeId: "b", values: { top: 70 } },
+      { shapeId: "c", values: { top: 40 } },
+    ]);
+  });
+
+  it("needs two shapes and a known alignment", () => {
+    expect(() => alignShapes(shapes.slice(0, 1), "left")).toThrow(
+      "Select at least 2 shapes to align"
+    );
+    expect(() => alignShapes(shapes, "diagonal")).toThrow('Unknown alignment "diagonal"');
+  });
+});
+
+describe("distributeShapes", () => {
+  it("leaves equal gaps between the shapes, keeping the outermost in place", () => {
+    // Span 10..240 holds 200pt of shapes, leaving two 15pt gaps
+    expect(distributeShapes(shapes, "horizontal")).toEqual([
+      { shapeId: "b", values: { left: 125 } },
+    ]);
+  });
+
+  it("distributes vertically in top-to-bottom order", () => {
+    const stacked = [
+      shapeData({ id: "a", top: 300, height: 50 }),
+      shapeData({ id: "b", top: 0, height: 50 }),
+      shapeData({ id: "c", top: 60, height: 100 }),
+    ];
+
+    // Span 0..350 holds 200pt of shapes, leaving two 75pt gaps
+    expect(distributeShapes(stacked, "vertical")).toEqual([{ shapeId: "c", values: { top: 125 } }]);
+  });
+
+  it("needs three shapes", () => {
+    expect(() => distributeShapes(shapes.slice(0, 2), "vertical")).toThrow(
+      "Select at least 3 shapes to distribute"
+    );
+  });
+});
+
+describe("matchSize", () => {
+  it("resizes to the first shape", () => {
+    expect(matchSize(shapes, "width")).toEqual([
+      { shapeId: "b", values: { width: 100 } },
+      { shapeId: "c", values: { width: 100 } },
+    ]);
+    expect(matchSize(shapes.slice(0, 2), "both")).toEqual([
+      { shapeId: "b", values: { width: 100, height: 40 } },
+    ]);
+  });
+});
+
+describe("snapToGrid", () => {
+  it("moves shapes to the nearest grid lines", () => {
+    expect(snapToGrid(shapes, { size: 25 })).toEqual([
+      { shapeId: "a", values: { left: 0, top: 25 } },
+      { shapeId: "c", values: { top: 50 } },
+    ]);
+  });
+
+  it("honours the grid origin and can snap sizes", () => {
+    expect(snapToGrid([shapes[2]], { size: 30, originX: 5, originY: 5, snapSize: true })).toEqual([
+      { shapeId: "c", values: { left: 215, top: 65, width: 30, height: 90 } },
+    ]);
+  });
+
+  it("rejects a grid without a size", () => {
+    expect(() => snapToGrid(shapes, { size: 0 })).toThrow("Grid size must be greater than 0");
+  });
+});
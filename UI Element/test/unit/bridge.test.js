@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, fetch, it, jest, require */
+
+import http from "http";
+import express from "express";
+import WebSocket from "ws";
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import { detectCapabilities } from "../../src/inspector/capabilities";
+import { createBridgeHandlers } from "../../src/inspector/bridgeHandlers";
+import { buildSelectionModel } from "../../src/inspector/selectionModel";
+import { connectBridge } from "../../src/taskpane/bridgeClient";
+
+const { createBridge } = require("../../server/bridge");
+
+const slide = {
+  id: "256",
+  shapes: [
+    shapeData({ id: "2", name: "Title 1", text: "Quarterly review" }),
+    shapeData({ id: "3", name: "Picture 2", type: "Image", left: 150 }),
+  ],
+};
+
+// Starts the API on a free port, without HTTPS
+async function startServer(options) {
+  const bridge = createBridge(options);
+  const app = express();
+  app.use("/api", bridge.router);
+  const server = http.createServer(app);
+  bridge.attach(server);
+  await new Promise((resolve) => server.listen(0, "localhost", resolve));
+  const { port } = server.address();
+  return { bridge, server, base: `http://localhost:${port}` };
+}
+
+// Connects the task pane's bridge client, answering from the fake PowerPoint host
+function connectTaskpane(base, handlers) {
+  const selection = () =>
+    Promise.resolve(buildSelectionModel({ slideId: "256", shapes: [], allShapes: [] }));
+  return new Promise((resolve) => {
+    const client = connectBridge(
+      base.replace("http:", "ws:") + "/bridge",
+      handlers || createBridgeHandlers(detectCapabilities(), selection),
+      { WebSocket, onStatus: (connected) => connected && resolve(client) }
+    );
+  });
+}
+
+async function call(base, path, init) {
+  const response = await fetch(base + path, init);
+  return { status: response.status, body: await response.json() };
+}
+
+function post(values, type = "application/json") {
+  return { method: "POST", headers: { "Content-Type": type }, body: JSON.stringify(values) };
+}
+
+describe("scripting bridge", () => {
+  let running;
+  let client;
+
+  async function setUp(options) {
+    running = await startServer(options);
+    client = await connectTaskpane(running.base);
+    return running.base;
+  }
+
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(async () => {
+    if (client) {
+      client.close();
+      client = null;
+    }
+    if (running) {
+      running.bridge.close();
+      await new Promise((resolve) => running.server.close(resolve));
+      running = null;
+    }
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("answers 503 until a task pane connects", async () => {
+    running = await startServer();
+
+    expect(await call(running.base, "/api/status")).toEqual({
+      status: 200,
+      body: { connected: false },
+    });
+    expect(await call(running.base, "/api/selection")).toEqual({
+      status: 503,
+      body: { error: "No task pane is connected" },
+    });
+  });
+
+  it("forwards queries to the task pane", async () => {
+    installOfficeMocks({ slides: [slide] });
+    const base = await setUp();
+
+    expect((await call(base, "/api/status")).body).toEqual({ connected: true });
+    const selection = await call(base, "/api/selection");
+    expect(selection.status).toBe(200);
+    expect(selection.body.slideId).toBe("256");
+
+    const shapes = await call(base, "/api/slides/256/shapes");
+    expect(shapes.body.index).toBe(1);
+    expect(shapes.body.shapes.map((shape) => shape.name)).toEqual(["Title 1", "Picture 2"]);
+  });
+
+  it("edits a shape in the live deck and reports invalid edits", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const host = installOfficeMocks({ slides: [slide] });
+    const base = await setUp();
+
+    const edit = await call(base, "/api/shapes/3", post({ left: "24", name: "Logo" }));
+    expect(edit.status).toBe(200);
+    expect(edit.body).toMatchObject({ shapeId: "3", previous: { left: 150, name: "Picture 2" } });
+    expect(host.findShape("3")).toMatchObject({ left: 24, name: "Logo" });
+
+    expect(await call(base, "/api/shapes/3", post({ width: 0 }))).toEqual({
+      status: 400,
+      body: {
+        error: "Invalid property values",
+        details: { width: "Width must be greater than 0" },
+      },
+    });
+    expect((await call(base, "/api/shapes/3", post({ rotation: 90 }))).body.error).toBe(
+      "Can't edit rotation on this shape"
+    );
+    const altText = await call(base, "/api/shapes/3", post({ altTextDescription: "Logo" }));
+    expect(altText.status).toBe(501);
+    expect(altText.body.error).toMatch(/^Alt text checks and editing is unavailable/);
+    expect((await call(base, "/api/shapes/99", post({ left: 1 }))).status).toBe(404);
+    expect((await call(base, "/api/shapes/3", post({ left: 1 }, "text/plain"))).status).toBe(415);
+  });
+
+  it("reports unsupported features and slow task panes", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    installOfficeMocks({ slides: [slide], requirementSets: { PowerPointApi: "1.3" } });
+    const base = await setUp({ timeout: 50 });
+
+    const shapes = await call(base, "/api/slides/256/shapes");
+    expect(shapes.status).toBe(501);
+    expect(shapes.body.error).toMatch(/^Presentation tree, checks and inventory is unavailable/);
+
+    client.close();
+    client = await connectTaskpane(base, { getSelection: () => new Promise(() => {}) });
+    expect(await call(base, "/api/selection")).toEqual({
+      status: 504,
+      body: { error: "The task pane didn't answer getSelection within 50 ms" },
+    });
+  });
+
+  it("only accepts task pane connections from the allowed origins", async () => {
+    running = await startServer({ origins: ["https://localhost:3000"] });
+    const url = running.base.replace("http:", "ws:") + "/bridge";
+
+    const rejected = new WebSocket(url, { origin: "https://example.com" });
+    const error = await new Promise((resolve) => rejected.on("error", resolve));
+    expect(error.message).toMatch(/401/);
+
+    const accepted = new WebSocket(url, { origin: "https://localhost:3000" });
+    await new Promise((resolve) => accepted.on("open", resolve));
+    expect(running.bridge.isConnected()).toBe(true);
+    accepted.close();
+  });
+});
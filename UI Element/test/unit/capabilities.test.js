@@ -0,0 +1,87 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import {
+  describeUnavailable,
+  detectCapabilities,
+  isFeatureSupported,
+  requireFeature,
+  unavailableFeatures,
+} from "../../src/inspector/capabilities";
+
+// Mirrors Office's check: a set is supported up to and including the given version. Versions
+// compare part by part, so 1.10 comes after 1.9.
+function hostSupporting(sets) {
+  const parts = (version) => version.split(".").map(Number);
+  return (name, version) => {
+    if (sets[name] === undefined) {
+      return false;
+    }
+    const [major, minor] = parts(sets[name]);
+    const [wantedMajor, wantedMinor] = parts(version);
+    return major > wantedMajor || (major === wantedMajor && minor >= wantedMinor);
+  };
+}
+
+describe("detectCapabilities", () => {
+  it("finds the highest supported version of each requirement set", () => {
+    const capabilities = detectCapabilities(hostSupporting({ PowerPointApi: "1.4" }));
+
+    expect(capabilities.versions).toEqual({ PowerPointApi: "1.4", DialogApi: null });
+    expect(detectCapabilities(hostSupporting({ PowerPointApi: "1.10" })).versions).toEqual({
+      PowerPointApi: "1.10",
+      DialogApi: null,
+    });
+  });
+
+  it("supports every feature on a current host", () => {
+    const capabilities = detectCapabilities(
+      hostSupporting({ PowerPointApi: "1.10", DialogApi: "1.2" })
+    );
+
+    expect(unavailableFeatures(capabilities)).toEqual([]);
+    expect(describeUnavailable(capabilities, "navigation")).toBeNull();
+    expect(() => requireFeature(capabilities, "selection")).not.toThrow();
+  });
+
+  it("explains why each missing feature is unavailable", () => {
+    const capabilities = detectCapabilities(
+      hostSupporting({ PowerPointApi: "1.4", DialogApi: "1.1" })
+    );
+
+    expect(unavailableFeatures(capabilities).map((feature) => feature.id)).toEqual([
+      "selection",
+      "navigation",
+      "alt-text",
+      "grouping",
+      "table-editing",
+      "picture-images",
+      "reports",
+    ]);
+    expect(isFeatureSupported(capabilities, "shape-editing")).toBe(true);
+    expect(() => requireFeature(capabilities, "reports")).toThrow(
+      "Ribbon command reports is unavailable. Requires DialogApi 1.2; this host supports DialogApi 1.1."
+    );
+  });
+
+  it("says when the host doesn't support a requirement set at all", () => {
+    const capabilities = detectCapabilities(hostSupporting({}));
+
+    expect(describeUnavailable(capabilities, "presentation-checks")).toBe(
+      "Presentation tree, checks and inventory is unavailable. Requires PowerPointApi 1.4; " +
+        "this host doesn't support PowerPointApi."
+    );
+  });
+
+  it("rejects unknown features", () => {
+    const capabilities = detectCapabilities(hostSupporting({}));
+
+    expect(() => isFeatureSupported(capabilities, "teleport")).toThrow(
+      'Unknown feature "teleport"'
+    );
+  });
+});
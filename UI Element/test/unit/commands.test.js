@@ -0,0 +1,254 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, global, it, jest, navigator, require,
+  Storage, StorageEvent, window */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+
+function loadCommands(options) {
+  const host = installOfficeMocks(options);
+  let commands;
+  jest.isolateModules(() => {
+    commands = require("../../src/commands/commands");
+  });
+  return { host, commands };
+}
+
+function lastReport(host) {
+  const dialog = host.dialogs[host.dialogs.length - 1];
+  return JSON.parse(dialog.messages[0]);
+}
+
+const slide = {
+  id: "256",
+  shapes: [
+    shapeData({ id: "2", name: "Title 1", text: "Quarterly review", left: -20 }),
+    shapeData({ id: "3", name: "Picture 2", type: "Image", top: 300 }),
+  ],
+};
+
+describe("ribbon commands", () => {
+  let event;
+
+  beforeEach(() => {
+    event = { completed: jest.fn() };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    Object.defineProperty(navigator, "clipboard", {
+      value: { writeText: jest.fn().mockResolvedValue(undefined) },
+      configurable: true,
+    });
+  });
+
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("registers a function for each ribbon button", () => {
+    loadCommands({ slides: [slide] });
+
+    expect(Object.keys(global.Office.actions.registered)).toEqual([
+      "inspectElement",
+      "showSelectionInfo",
+      "runAccessibilityCheck",
+      "runLayoutLint",
+      "exportInventory",
+    ]);
+  });
+
+  it("has the open task pane inspect the selection", async () => {
+    const { host, commands } = loadCommands({ slides: [slide], selectedShapeIds: ["3"] });
+    const requests = [];
+    const setItem = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, "setItem").mockImplementation(function (key, value) {
+      setItem.call(this, key, value);
+      if (key === "element-inspector.inspect-request") {
+        // What the task pane's answer looks like from the command's page
+        requests.push(value);
+        window.dispatchEvent(
+          new StorageEvent("storage", { key: "element-inspector.inspect-answer", newValue: value })
+        );
+      }
+    });
+
+    await commands.inspectElement(event);
+
+    expect(requests).toHaveLength(1);
+    expect(host.dialogs).toHaveLength(0);
+    expect(event.completed).toHaveBeenCalledTimes(1);
+  });
+
+  it("shows the selection in a dialog when no task pane answers", async () => {
+    const { host, commands } = loadCommands({ slides: [slide], selectedShapeIds: ["3"] });
+
+    await commands.inspectElement(event);
+
+    const report = lastReport(host);
+    expect(report).toMatchObject({
+      title: "Inspect element",
+      summary:
+        "Open the Element Inspector task pane to edit 1 selected shape, then choose Inspect " +
+        "Element again. Use Copy to copy the JSON.",
+    });
+    expect(JSON.parse(report.details).shapes.map((shape) => shape.id)).toEqual(["3"]);
+    expect(event.completed).toHaveBeenCalledTimes(1);
+  });
+
+  it("shows the selection in a dialog to copy from, without touching the clipboard", async () => {
+    const { host, commands } = loadCommands({ slides: [slide], selectedShapeIds: ["3"] });
+
+    await commands.showSelectionInfo(event);
+
+    const report = lastReport(host);
+    expect(JSON.parse(report.details).shapes.map((shape) => shape.id)).toEqual(["3"]);
+    expect(host.dialogs[0].url).toMatch(/\/report\.html$/);
+    expect(host.dialogs[0].closed).toBe(true);
+    expect(report).toMatchObject({
+      title: "Selection info",
+      summary: "Use Copy to copy the JSON for 1 selected shape.",
+    });
+    // Commands run without a user gesture, so only the dialog's Copy button copies
+    expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+    expect(event.completed).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports the accessibility check and the layout lint", async () => {
+    const { host, commands } = loadCommands({
+      slides: [slide],
+      requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" },
+    });
+
+    await commands.runAccessibilityCheck(event);
+    expect(lastReport(host).summary).toMatch(/^Found \d+ issues \(\d+ error/);
+    expect(lastReport(host).details).toContain('Slide 1 [error] Image "Picture 2" has no alt text');
+
+    await commands.runLayoutLint(event);
+    expect(lastReport(host)).toMatchObject({
+      title: "Layout lint",
+      summary: "Found 1 issue (1 error).",
+      details: 'Slide 1 [error] "Title 1" extends off the slide (left)',
+    });
+    expect(lastReport(host).attachments[0].filename).toBe("layout-lint.json");
+    expect(event.completed).toHaveBeenCalledTimes(2);
+  });
+
+  it("notes the alt text it couldn't check on hosts before PowerPointApi 1.10", async () => {
+    const { host, commands } = loadCommands({ slides: [slide] });
+
+    await commands.runAccessibilityCheck(event);
+
+    expect(lastReport(host).summary).toMatch(/\. Alt text wasn't checked: reading it requires/);
+    expect(lastReport(host).details).not.toContain("has no alt text");
+  });
+
+  it("checks the layout against the presentation's slide size on PowerPointApi 1.10", async () => {
+    const wide = { id: "256", shapes: [shapeData({ id: "2", name: "Title 1", left: 600 })] };
+    const { host, commands } = loadCommands({
+      slides: [wide],
+      requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" },
+      pageSetup: { slideWidth: 720, slideHeight: 540 },
+    });
+
+    await commands.runLayoutLint(event);
+    expect(lastReport(host).details).toBe(
+      'Slide 1 [error] "Title 1" extends off the slide (right)'
+    );
+
+    uninstallOfficeMocks();
+    const older = loadCommands({
+      slides: [wide],
+      pageSetup: { slideWidth: 720, slideHeight: 540 },
+    });
+    await older.commands.runLayoutLint(event);
+    expect(lastReport(older.host).summary).toBe("No layout issues found.");
+  });
+
+  it("offers the inventory as CSV and Markdown downloads", async () => {
+    const { host, commands } = loadCommands({ slides: [slide] });
+
+    await commands.exportInventory(event);
+
+    const report = lastReport(host);
+    expect(report.summary).toBe("Found 2 shapes on 1 slide.");
+    expect(report.attachments.map((attachment) => attachment.filename)).toEqual([
+      "presentation-inventory.csv",
+      "presentation-inventory.md",
+    ]);
+  });
+
+  it("checks only the selected slides when several are selected", async () => {
+    const { host, commands } = loadCommands({
+      slides: [
+        slide,
+        { id: "257", shapes: [shapeData({ id: "2", name: "Title 1" })] },
+        { id: "258", shapes: [shapeData({ id: "2", name: "Title 1", top: 500 })] },
+      ],
+      selectedSlideIds: ["257", "258"],
+    });
+
+    await commands.runLayoutLint(event);
+    expect(lastReport(host)).toMatchObject({
+      summary: "Found 1 issue (1 error). Checked the 2 selected slides only.",
+      details: 'Slide 3 [error] "Title 1" extends off the slide (bottom)',
+    });
+
+    await commands.exportInventory(event);
+    const report = lastReport(host);
+    expect(report.title).toBe("Selected slides inventory");
+    expect(report.summary).toBe("Found 2 shapes on 2 slides.");
+    expect(report.attachments[0].filename).toBe("selected-slides-inventory.csv");
+  });
+
+  it("reports a failed command in the dialog", async () => {
+    const { host, commands } = loadCommands({ slides: [slide] });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    global.PowerPoint.run = () => Promise.reject(new Error("The document is busy"));
+
+    await commands.runLayoutLint(event);
+
+    expect(lastReport(host).summary).toBe("Error: The document is busy");
+    expect(event.completed).toHaveBeenCalled();
+  });
+
+  it("explains a command the host can't run instead of running it", async () => {
+    const { host, commands } = loadCommands({
+      slides: [slide],
+      requirementSets: { PowerPointApi: "1.3", DialogApi: "1.2" },
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await commands.runLayoutLint(event);
+
+    expect(lastReport(host).summary).toBe(
+      "Error: Presentation tree, checks and inventory is unavailable. Requires PowerPointApi " +
+        "1.4; this host supports PowerPointApi 1.3."
+    );
+    expect(host.syncCount).toBe(0);
+    expect(event.completed).toHaveBeenCalled();
+  });
+
+  it("completes when the user closes the dialog, or when there is no dialog", async () => {
+    const { commands } = loadCommands({
+      slides: [slide],
+      dialogPage: (dialog) => Promise.resolve().then(() => dialog.dismiss()),
+    });
+    await commands.exportInventory(event);
+    expect(event.completed).toHaveBeenCalledTimes(1);
+
+    uninstallOfficeMocks();
+    const older = loadCommands({ slides: [slide], requirementSets: { PowerPointApi: "1.5" } });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    await older.commands.exportInventory(event);
+
+    expect(older.host.dialogs).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith("Report dialog error:", expect.any(Error));
+    expect(event.completed).toHaveBeenCalledTimes(2);
+  });
+});
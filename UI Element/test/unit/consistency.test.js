@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { shapeData } from "../mocks";
+import { checkConsistency, shapeRole } from "../../src/inspector/consistency";
+
+function shape(overrides) {
+  return {
+    ...shapeData(overrides),
+    placeholderType: null,
+    fontSize: null,
+    fontName: null,
+    ...overrides,
+  };
+}
+
+function title(overrides = {}) {
+  return shape({
+    id: "t",
+    name: "Title 1",
+    placeholderType: "Title",
+    left: 40,
+    top: 20,
+    width: 880,
+    height: 60,
+    fontSize: 40,
+    fontName: "Segoe UI",
+    ...overrides,
+  });
+}
+
+function deck(...shapeLists) {
+  return shapeLists.map((shapes, index) => ({ id: String(256 + index), index: index + 1, shapes }));
+}
+
+describe("checkConsistency", () => {
+  it("names roles after the placeholder type, or else the shape name", () => {
+    expect(shapeRole(title())).toBe("Title placeholder");
+    expect(shapeRole(shape({ name: "Logo" }))).toBe("Logo");
+    expect(shapeRole(shape({ name: "" }))).toBeNull();
+  });
+
+  it("reports the shapes that differ from most slides, with the values to snap to", () => {
+    const slides = deck(
+      [title({ id: "2" })],
+      [title({ id: "3", left: 40.5 })],
+      [title({ id: "4", top: 32, fontSize: 36 })],
+      [title({ id: "5", fontName: "Arial" })]
+    );
+
+    const issues = checkConsistency(slides);
+
+    expect(issues).toEqual([
+      {
+        rule: "inconsistent-shape",
+        severity: "warning",
+        slideId: "258",
+        slideIndex: 3,
+        shapeId: "4",
+        shapeName: "Title 1",
+        role: "Title placeholder",
+        message:
+          "Title placeholder differs from the other slides: top 32pt (usually 20pt), " +
+          "font size 36pt (usually 40pt)",
+        canonical: { top: 20, "textFrame/textRange/font/size": 40 },
+      },
+      expect.objectContaining({
+        slideIndex: 4,
+        message: "Title placeholder differs from the other slides: font Arial (usually Segoe UI)",
+        canonical: { "textFrame/textRange/font/name": "Segoe UI" },
+      }),
+    ]);
+  });
+
+  it("only compares properties a majority of slides agree on", () => {
+    const logo = (id, left) => shape({ id, name: "Logo", type: "Image", left });
+
+    // No left position is shared by more than half of the logos
+    expect(
+      checkConsistency(deck([logo("2", 10)], [logo("3", 10)], [logo("4", 500)], [logo("5", 800)]))
+    ).toEqual([]);
+    // Roles on too few slides aren't compared
+    expect(checkConsistency(deck([logo("2", 10)], [logo("3", 500)]))).toEqual([]);
+  });
+
+  it("compares repeated roles on a slide in order", () => {
+    const body = (id, left) => shape({ id, name: `Content ${id}`, placeholderType: "Body", left });
+    const slides = deck(
+      [body("2", 40), body("3", 500)],
+      [body("4", 40), body("5", 500)],
+      [body("6", 40), body("7", 520)]
+    );
+
+    expect(checkConsistency(slides).map((issue) => [issue.shapeId, issue.role])).toEqual([
+      ["7", "Body placeholder (2)"],
+    ]);
+  });
+});
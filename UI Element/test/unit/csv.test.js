@@ -0,0 +1,40 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { defuseFormula, formatCsv, parseCsv } from "../../src/inspector/export/csv";
+
+describe("CSV", () => {
+  it("quotes cells that need it and defuses formulas but not signed numbers", () => {
+    expect(formatCsv([["a,b", 'say "hi"', "one\ntwo", null, 12.5]])).toBe(
+      '"a,b","say ""hi""","one\ntwo",,12.5\r\n'
+    );
+    expect(formatCsv([["=SUM(A1)", "-12.5", "+3%", "-1,200", "-1+1"]])).toBe(
+      `'=SUM(A1),-12.5,+3%,"-1,200",'-1+1\r\n`
+    );
+  });
+
+  it("parses what it formats, keeping the apostrophes in front of formulas", () => {
+    const rows = [
+      ["Region", "Revenue", "Note"],
+      ["North, East", "-1,200", 'Up "a lot"\nsince Q2'],
+      ["=Total", "'quoted", ""],
+    ];
+
+    expect(parseCsv(formatCsv(rows))).toEqual([...rows.slice(0, 2), ["'=Total", "'quoted", ""]]);
+    expect(defuseFormula("=Total")).toBe("'=Total");
+    expect(defuseFormula("-1,200")).toBe("-1,200");
+  });
+
+  it("reads spreadsheet exports with a byte order mark and LF line breaks", () => {
+    expect(parseCsv("\uFEFFa,b\n1,\n")).toEqual([
+      ["a", "b"],
+      ["1", ""],
+    ]);
+    expect(parseCsv("")).toEqual([]);
+    expect(() => parseCsv('a,"b\n')).toThrow("The CSV ends inside a quoted cell");
+  });
+});
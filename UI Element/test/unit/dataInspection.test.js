@@ -0,0 +1,187 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import {
+  formatTableCsv,
+  importTableCsv,
+  loadTable,
+  tableImportReplacements,
+} from "../../src/inspector/dataInspection";
+import { undoTextReplacements } from "../../src/inspector/findReplace";
+
+function cell(text, overrides = {}) {
+  return {
+    text,
+    rowCount: 1,
+    columnCount: 1,
+    fill: { foregroundColor: "#FFFFFF" },
+    font: { name: "Segoe UI", size: 12, color: "#000000", bold: false, italic: false },
+    ...overrides,
+  };
+}
+
+function resultsTable(cells) {
+  return shapeData({
+    id: "4",
+    name: "Results",
+    type: "Table",
+    table: { rowCount: cells.length, columnCount: cells[0].length, cells },
+  });
+}
+
+const formattedCells = [
+  [
+    cell("Region", {
+      columnCount: 2,
+      fill: { foregroundColor: "#0078D4" },
+      font: { name: "Segoe UI", size: 14, color: "#FFFFFF", bold: true, italic: false },
+    }),
+    cell(""),
+  ],
+  [cell("North"), cell("1,200")],
+  [cell("South"), cell("-35")],
+];
+
+// Shape.getTable(), which reads table cells, came with PowerPointApi 1.8
+const requirementSets = { PowerPointApi: "1.8" };
+
+describe("table inspection", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("reads cell text, merged cells and formatting", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [resultsTable(formattedCells)] }],
+      requirementSets: { PowerPointApi: "1.9" },
+    });
+
+    const table = await loadTable("256", "4");
+
+    expect(table).toMatchObject({ name: "Results", rowCount: 3, columnCount: 2, formatted: true });
+    expect(table.cells[0][0]).toEqual({
+      row: 0,
+      column: 0,
+      text: "Region",
+      rowSpan: 1,
+      columnSpan: 2,
+      mergedInto: null,
+      fill: "#0078D4",
+      font: { name: "Segoe UI", size: 14, color: "#FFFFFF", bold: true, italic: false },
+    });
+    expect(table.cells[0][1].mergedInto).toEqual({ row: 0, column: 0 });
+    expect(formatTableCsv(table)).toBe('Region,\r\nNorth,"1,200"\r\nSouth,-35\r\n');
+  });
+
+  it("reads the text of tables whose formatting the host can't read", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [resultsTable([[{ text: "A" }, { text: "B" }]])] }],
+      requirementSets,
+    });
+
+    const table = await loadTable("256", "4");
+
+    expect(table.formatted).toBe(false);
+    expect(table.cells[0].map((item) => [item.text, item.columnSpan, item.fill])).toEqual([
+      ["A", 1, null],
+      ["B", 1, null],
+    ]);
+  });
+
+  it("leaves cell formatting out below PowerPointApi 1.9", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [resultsTable(formattedCells)] }],
+      requirementSets,
+    });
+
+    const table = await loadTable("256", "4");
+
+    expect(table.formatted).toBe(false);
+    expect(table.cells[0][0]).toMatchObject({ text: "Region", fill: null, font: null });
+  });
+
+  it("can't read table cells below PowerPointApi 1.8", async () => {
+    installOfficeMocks({ slides: [{ id: "256", shapes: [resultsTable(formattedCells)] }] });
+
+    await expect(loadTable("256", "4")).rejects.toThrow("This host can't read table cells");
+  });
+
+  it("keeps formula cells exported with an apostrophe and writes other apostrophes", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [resultsTable([[cell("=Total"), cell("Total")]])] }],
+      requirementSets,
+    });
+    const table = await loadTable("256", "4");
+
+    expect(tableImportReplacements(table, formatTableCsv(table))).toEqual([]);
+    expect(tableImportReplacements(table, "'=Total,'Total\r\n").map((item) => item.text)).toEqual([
+      "'Total",
+    ]);
+  });
+
+  it("only inspects tables", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", name: "Title 1" })] }],
+    });
+
+    await expect(loadTable("256", "2")).rejects.toThrow("Title 1 isn't a table");
+  });
+
+  it("checks that a CSV fits the table and ignores merged cells", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [resultsTable(formattedCells)] }],
+      requirementSets,
+    });
+    const table = await loadTable("256", "4");
+
+    expect(() => tableImportReplacements(table, "a,b\r\n")).toThrow(
+      "The CSV has 1 rows, but the table has 3"
+    );
+    expect(() => tableImportReplacements(table, "a,b\r\nc\r\nd,e\r\n")).toThrow(
+      "Row 2 of the CSV has 1 cells, but the table has 2 columns"
+    );
+
+    const replacements = tableImportReplacements(table, "Region,ignored\nNorth,1300\nSouth,-35\n");
+    expect(replacements).toEqual([
+      {
+        target: expect.objectContaining({
+          id: "256/4@1,1",
+          cell: { row: 1, column: 1 },
+          location: "Results, row 2, column 2",
+        }),
+        previous: "1,200",
+        text: "1300",
+      },
+    ]);
+  });
+
+  it("imports changed cells as an undoable batch and skips cells edited meanwhile", async () => {
+    const host = installOfficeMocks({
+      slides: [{ id: "256", shapes: [resultsTable(formattedCells)] }],
+      requirementSets,
+    });
+    const table = await loadTable("256", "4");
+    const cells = host.slides[0].shapes[0].table.cells;
+    cells[2][1].text = "-40";
+
+    const { replacements, stale } = await importTableCsv(table, "Region,\nWest,1300\nSouth,-50\n");
+
+    expect(stale.map((target) => target.location)).toEqual(["Results, row 3, column 2"]);
+    expect(replacements).toHaveLength(2);
+    expect(cells.map((row) => row.map((item) => item.text))).toEqual([
+      ["Region", ""],
+      ["West", "1300"],
+      ["South", "-40"],
+    ]);
+
+    await undoTextReplacements(replacements);
+    expect(cells[1].map((item) => item.text)).toEqual(["North", "1,200"]);
+  });
+});
@@ -0,0 +1,256 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, console, describe, expect, it, jest, Office, PowerPoint */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import { createStrategyRegistry } from "../../src/inspector/detection/registry";
+import { runDetection } from "../../src/inspector/detection/pipeline";
+import { defaultStrategies, otherHostStrategies } from "../../src/inspector/detection/strategies";
+import directSelection from "../../src/inspector/detection/strategies/directSelection";
+import lastModified from "../../src/inspector/detection/strategies/lastModified";
+import slideSelection from "../../src/inspector/detection/strategies/slideSelection";
+import zOrder from "../../src/inspector/detection/strategies/zOrder";
+import { buildSelectionModel } from "../../src/inspector/selectionModel";
+
+function slideWithShapes(extra = {}) {
+  return {
+    id: "256",
+    shapes: [
+      shapeData({
+        id: "2",
+        name: "Title 1",
+        text: "Quarterly review",
+        zOrderPosition: 1,
+        ...extra["2"],
+      }),
+      shapeData({
+        id: "3",
+        name: "Picture 2",
+        type: "Image",
+        left: 150,
+        top: 120,
+        zOrderPosition: 2,
+        ...extra["3"],
+      }),
+      shapeData({
+        id: "4",
+        name: "Rectangle 3",
+        left: 400,
+        top: 300,
+        zOrderPosition: 3,
+        ...extra["4"],
+      }),
+    ],
+  };
+}
+
+function detect(strategies, options = {}) {
+  return PowerPoint.run((context) =>
+    runDetection(context, createStrategyRegistry(strategies), {
+      isSetSupported: (name, version) => Office.context.requirements.isSetSupported(name, version),
+      ...options,
+    })
+  );
+}
+
+function ids(shapes) {
+  return shapes.map((shape) => shape.id);
+}
+
+describe("strategy registry", () => {
+  it("lists strategies by priority", () => {
+    const registry = createStrategyRegistry([zOrder, directSelection, lastModified]);
+    expect(registry.list().map((strategy) => strategy.id)).toEqual([
+      "direct-selection",
+      "lastModified",
+      "z-order",
+    ]);
+  });
+
+  it("rejects duplicate and malformed strategies", () => {
+    const registry = createStrategyRegistry([zOrder]);
+    expect(() => registry.register(zOrder)).toThrow(/already registered/);
+    expect(() => registry.register({ id: "broken" })).toThrow(/detect function/);
+  });
+
+  it("leaves disabled strategies out of the enabled list", () => {
+    const registry = createStrategyRegistry(defaultStrategies);
+    registry.setEnabled("z-order", false);
+
+    expect(registry.isEnabled("z-order")).toBe(false);
+    expect(registry.listEnabled().map((strategy) => strategy.id)).not.toContain("z-order");
+    expect(() => registry.setEnabled("missing", false)).toThrow(/Unknown/);
+  });
+});
+
+describe("runDetection", () => {
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("reports an empty result when no slide is selected", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()], selectedSlideIds: [] });
+
+    const result = await detect(defaultStrategies);
+
+    expect(result.slideId).toBeNull();
+    expect(result.winner).toBeNull();
+    expect(result.candidates).toEqual([]);
+  });
+
+  it("picks the highest-priority strategy that matched and reports every candidate", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()], selectedShapeIds: ["3"] });
+
+    const result = await detect(defaultStrategies);
+
+    expect(result.slideId).toBe("256");
+    expect(result.winner).toBe("direct-selection");
+    expect(ids(result.shapes)).toEqual(["3"]);
+    expect(ids(result.allShapes)).toEqual(["2", "3", "4"]);
+    expect(result.candidates.map((candidate) => [candidate.strategyId, candidate.status])).toEqual([
+      ["direct-selection", "matched"],
+      ["slide-selection", "failed"],
+      ["z-order", "matched"],
+    ]);
+  });
+
+  it("reports every selected slide and detects on the first", async () => {
+    installOfficeMocks({
+      slides: [slideWithShapes(), { id: "257", shapes: [] }, { id: "258", shapes: [] }],
+      selectedSlideIds: ["256", "258"],
+    });
+
+    const result = await detect(defaultStrategies);
+
+    expect(result.slideId).toBe("256");
+    expect(result.slideIds).toEqual(["256", "258"]);
+    expect(ids(result.allShapes)).toEqual(["2", "3", "4"]);
+  });
+
+  it("skips strategies whose requirement set is not supported", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()], requirementSets: { PowerPointApi: "1.5" } });
+
+    const result = await detect([directSelection, zOrder], {
+      isSetSupported: () => false,
+    });
+
+    expect(result.candidates[0]).toMatchObject({
+      strategyId: "direct-selection",
+      status: "unsupported",
+      error: "Requires PowerPointApi 1.5",
+    });
+    expect(result.candidates[1]).toMatchObject({ strategyId: "z-order", status: "matched" });
+  });
+
+  it("falls back to the slide's getSelected() on hosts below PowerPointApi 1.5", async () => {
+    installOfficeMocks({
+      slides: [{ id: "255", shapes: [] }, slideWithShapes()],
+      selectedSlideIds: ["256"],
+      selectedShapeIds: ["4"],
+      requirementSets: { PowerPointApi: "1.4" },
+      legacyShapeSelection: true,
+    });
+
+    const result = await detect(defaultStrategies);
+
+    // getSelectedSlides() is missing too, so the slide is found from the common API's slide range
+    expect(result.slideId).toBe("256");
+    expect(ids(result.allShapes)).toEqual(["2", "3", "4"]);
+    expect(result.candidates[0]).toMatchObject({
+      strategyId: "direct-selection",
+      status: "unsupported",
+    });
+    expect(result.winner).toBe("slide-selection");
+    expect(ids(result.shapes)).toEqual(["4"]);
+  });
+
+  it("never picks a candidate below the confidence threshold", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()] });
+
+    const result = await detect([zOrder]);
+    expect(result.winner).toBeNull();
+    expect(result.candidates[0].status).toBe("matched");
+
+    const lowered = await detect([zOrder], { minConfidence: 0 });
+    expect(lowered.winner).toBe("z-order");
+    expect(ids(lowered.shapes)).toEqual(["4"]);
+  });
+
+  it("loads display properties shape by shape when pictures have no text frame", async () => {
+    installOfficeMocks({
+      slides: [slideWithShapes()],
+      selectedShapeIds: ["3"],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    const result = await detect([directSelection]);
+    const model = buildSelectionModel(result);
+
+    expect(model.slideShapes.map((shape) => shape.text)).toEqual(["Quarterly review", null, ""]);
+    expect(model.slideShapes.map((shape) => shape.zIndex)).toEqual([1, 2, 3]);
+  });
+
+  it("doesn't load display properties from requirement sets the host lacks", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()], selectedShapeIds: ["3"] });
+
+    const model = buildSelectionModel(await detect([directSelection]));
+
+    expect(model.slideShapes.map((shape) => shape.zIndex)).toEqual([null, null, null]);
+    expect(model.slideShapes.map((shape) => shape.altTextDescription)).toEqual([null, null, null]);
+  });
+});
+
+describe("detection strategies", () => {
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("direct-selection maps getSelectedShapes() onto the snapshot", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()], selectedShapeIds: ["4", "2"] });
+
+    const result = await detect([directSelection]);
+    expect(ids(result.shapes)).toEqual(["4", "2"]);
+  });
+
+  it("slide-selection maps the slide's shapes.getSelected() onto the snapshot", async () => {
+    installOfficeMocks({
+      slides: [slideWithShapes()],
+      selectedShapeIds: ["4", "2"],
+      legacyShapeSelection: true,
+    });
+
+    const result = await detect([slideSelection]);
+    expect(result.winner).toBe("slide-selection");
+    expect(ids(result.shapes)).toEqual(["2", "4"]);
+  });
+
+  it("slide-selection fails on hosts without shapes.getSelected()", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()], selectedShapeIds: ["4"] });
+
+    const result = await detect([slideSelection]);
+    expect(result.candidates[0]).toMatchObject({
+      status: "failed",
+      error: "shapes.getSelected() is not available on this host",
+    });
+  });
+
+  it("other hosts' strategies fail quietly on PowerPoint, so they aren't defaults", async () => {
+    installOfficeMocks({ slides: [slideWithShapes()] });
+    const log = jest.spyOn(console, "log");
+
+    const result = await detect(otherHostStrategies);
+    expect(result.candidates.map((candidate) => [candidate.strategyId, candidate.status])).toEqual([
+      ["active-view", "failed"],
+      ["isSelected", "failed"],
+      ["lastModified", "failed"],
+    ]);
+    expect(result.winner).toBeNull();
+    expect(log).not.toHaveBeenCalled();
+    otherHostStrategies.forEach((strategy) => expect(defaultStrategies).not.toContain(strategy));
+  });
+});
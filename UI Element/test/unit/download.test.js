@@ -0,0 +1,43 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, describe, document, expect, HTMLAnchorElement, it, jest, URL */
+
+import { downloadFile } from "../../src/taskpane/download";
+
+describe("downloadFile", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => "blob:report");
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    jest.restoreAllMocks();
+  });
+
+  it("clicks a download link and revokes its URL only after the click", () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      expect(this.download).toBe("report.csv");
+      expect(this.href).toBe("blob:report");
+    });
+
+    downloadFile("report.csv", "a,b", "text/csv");
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(document.querySelector("a")).toBeNull();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:report");
+  });
+});
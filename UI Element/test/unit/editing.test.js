@@ -0,0 +1,245 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, describe, expect, it */
+
+import { installOfficeMocks, shapeData, shapeStyleData, uninstallOfficeMocks } from "../mocks";
+import { detectCapabilities } from "../../src/inspector/capabilities";
+import { toShapeModel } from "../../src/inspector/selectionModel";
+import {
+  applyShapeEditBatch,
+  applyShapeEdits,
+  getEditableProperties,
+  undoShapeEdit,
+  undoShapeEditBatch,
+  validateShapeEdits,
+} from "../../src/inspector/editing";
+
+const shape = toShapeModel(shapeData({ id: "2", name: "Title 1", text: "Hello" }));
+const capabilities = detectCapabilities(() => true);
+// A PowerPointApi 1.9 host, which can't write alt text
+const withoutAltText = detectCapabilities((name, version) => version !== "1.10");
+
+describe("getEditableProperties", () => {
+  it("leaves out optional properties the host didn't report", () => {
+    const picture = toShapeModel(shapeData({ type: "Image" }));
+    const keys = getEditableProperties(picture, capabilities).map((property) => property.key);
+
+    expect(keys).toEqual([
+      "name",
+      "left",
+      "top",
+      "width",
+      "height",
+      "altTextTitle",
+      "altTextDescription",
+    ]);
+  });
+
+  it("leaves out alt text on hosts that can't write it", () => {
+    const keys = getEditableProperties(shape, withoutAltText).map((property) => property.key);
+
+    expect(keys).toEqual(["name", "left", "top", "width", "height", "text"]);
+    expect(validateShapeEdits(shape, { altTextDescription: "Logo" }, withoutAltText)).toEqual({
+      values: {},
+      errors: {},
+    });
+  });
+});
+
+describe("validateShapeEdits", () => {
+  it("returns only the changed values, parsed", () => {
+    const result = validateShapeEdits(
+      shape,
+      {
+        name: " Heading ",
+        left: "100",
+        top: "12.5",
+        width: "200",
+        text: "Hello",
+      },
+      capabilities
+    );
+
+    expect(result.errors).toEqual({});
+    expect(result.values).toEqual({ name: "Heading", top: 12.5 });
+  });
+
+  it("reports invalid values", () => {
+    const result = validateShapeEdits(
+      shape,
+      { name: "  ", left: "abc", width: "0", height: "" },
+      capabilities
+    );
+
+    expect(result.values).toEqual({});
+    expect(result.errors).toEqual({
+      name: "Name is required",
+      left: "Left must be a number",
+      width: "Width must be greater than 0",
+      height: "Height is required",
+    });
+  });
+});
+
+describe("applyShapeEdits", () => {
+  afterEach(uninstallOfficeMocks);
+
+  it("writes the values and can undo them", async () => {
+    const host = installOfficeMocks({ slides: [{ id: "256", shapes: [shapeData({ id: "2" })] }] });
+
+    const edit = await applyShapeEdits({ slideId: "256", shapeId: "2" }, { left: 10, name: "Box" });
+
+    expect(host.findShape("2")).toMatchObject({ left: 10, name: "Box" });
+    expect(edit.previous).toEqual({ left: 100, name: "Rectangle 1" });
+
+    await undoShapeEdit(edit);
+    expect(host.findShape("2")).toMatchObject({ left: 100, name: "Rectangle 1" });
+  });
+
+  it("writes text to the shape's text frame", async () => {
+    const host = installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", text: "Hello" })] }],
+    });
+
+    const edit = await applyShapeEdits({ slideId: "256", shapeId: "2" }, { text: "Goodbye" });
+
+    expect(host.findShape("2").textFrame.textRange.text).toBe("Goodbye");
+    expect(edit).toMatchObject({ values: { text: "Goodbye" }, previous: { text: "Hello" } });
+
+    await undoShapeEdit(edit);
+    expect(host.findShape("2").textFrame.textRange.text).toBe("Hello");
+  });
+
+  it("edits a shape inside nested groups through its path", async () => {
+    const host = installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({
+              id: "3",
+              type: "Group",
+              group: {
+                shapes: [
+                  shapeData({
+                    id: "31",
+                    type: "Group",
+                    group: { shapes: [shapeData({ id: "311", name: "Tagline" })] },
+                  }),
+                ],
+              },
+            }),
+          ],
+        },
+      ],
+    });
+
+    const edit = await applyShapeEdits(
+      { slideId: "256", shapeId: "311", shapePath: ["3", "31", "311"] },
+      { left: 20 }
+    );
+
+    expect(host.findShape("311").left).toBe(20);
+    expect(edit.shapePath).toEqual(["3", "31", "311"]);
+
+    await undoShapeEdit(edit);
+    expect(host.findShape("311").left).toBe(100);
+  });
+
+  it("refuses an empty edit", async () => {
+    await expect(applyShapeEdits({ slideId: "256", shapeId: "2" }, {})).rejects.toThrow(
+      /no changes/
+    );
+  });
+
+  it("fails when the shape no longer exists", async () => {
+    installOfficeMocks({ slides: [{ id: "256", shapes: [] }] });
+
+    await expect(
+      applyShapeEdits({ slideId: "256", shapeId: "2" }, { left: 10 })
+    ).rejects.toMatchObject({ code: "ItemNotFound" });
+  });
+});
+
+describe("applyShapeEditBatch", () => {
+  afterEach(uninstallOfficeMocks);
+
+  it("writes several shapes in one batch and can undo them", async () => {
+    const host = installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2" }), shapeData({ id: "3", top: 50 })] }],
+    });
+
+    const edits = await applyShapeEditBatch([
+      { slideId: "256", shapeId: "2", values: { top: 10 } },
+      { slideId: "256", shapeId: "3", values: {} },
+      { slideId: "256", shapeId: "3", values: { top: 10, width: 40 } },
+    ]);
+
+    expect(edits.map((edit) => [edit.shapeId, edit.previous])).toEqual([
+      ["2", { top: 100 }],
+      ["3", { top: 50, width: 200 }],
+    ]);
+    expect(host.findShape("3")).toMatchObject({ top: 10, width: 40 });
+
+    await undoShapeEditBatch(edits);
+    expect(host.findShape("2").top).toBe(100);
+    expect(host.findShape("3")).toMatchObject({ top: 50, width: 200 });
+  });
+
+  it("writes and undoes nested properties by path", async () => {
+    const host = installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", ...shapeStyleData() })] }],
+    });
+
+    const edits = await applyShapeEditBatch([
+      {
+        slideId: "256",
+        shapeId: "2",
+        values: { "lineFormat/weight": 3, "textFrame/textRange/font/name": "Segoe UI" },
+      },
+    ]);
+
+    expect(edits[0].previous).toEqual({
+      "lineFormat/weight": 1,
+      "textFrame/textRange/font/name": "Calibri",
+    });
+    expect(host.findShape("2").lineFormat.weight).toBe(3);
+    expect(host.findShape("2").textFrame.textRange.font.name).toBe("Segoe UI");
+
+    await undoShapeEditBatch(edits);
+    expect(host.findShape("2").textFrame.textRange.font.name).toBe("Calibri");
+  });
+
+  it("clears a fill for NoFill and sets the solid fill back on undo", async () => {
+    const host = installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", ...shapeStyleData() })] }],
+    });
+
+    const edits = await applyShapeEditBatch([
+      { slideId: "256", shapeId: "2", values: { "fill/type": "NoFill" } },
+    ]);
+
+    expect(edits[0].previous).toEqual({
+      "fill/type": "Solid",
+      "fill/foregroundColor": "#FF0000",
+      "fill/transparency": 0,
+    });
+    expect(host.findShape("2").fill.type).toBe("NoFill");
+
+    await undoShapeEditBatch(edits);
+    expect(host.findShape("2").fill).toEqual({
+      type: "Solid",
+      foregroundColor: "#FF0000",
+      transparency: 0,
+    });
+  });
+
+  it("refuses a batch without changes", async () => {
+    await expect(
+      applyShapeEditBatch([{ slideId: "256", shapeId: "2", values: {} }])
+    ).rejects.toThrow(/no changes/);
+  });
+});
@@ -0,0 +1,256 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import {
+  applyTextReplacements,
+  createSearchPattern,
+  findTextMatches,
+  loadTextTargets,
+  replaceMatches,
+  undoTextReplacements,
+} from "../../src/inspector/findReplace";
+
+const slides = [
+  {
+    id: "256",
+    shapes: [
+      shapeData({ id: "2", name: "Title 1", text: "Contoso Cloud for Contoso teams" }),
+      shapeData({
+        id: "3",
+        name: "Logo group",
+        type: "Group",
+        group: {
+          shapes: [
+            shapeData({ id: "31", name: "Logo mark", type: "Image" }),
+            shapeData({
+              id: "32",
+              name: "Inner group",
+              type: "Group",
+              group: { shapes: [shapeData({ id: "321", name: "Tagline", text: "contoso cloud" })] },
+            }),
+          ],
+        },
+      }),
+    ],
+  },
+  {
+    id: "257",
+    shapes: [
+      shapeData({
+        id: "4",
+        name: "Results",
+        type: "Table",
+        table: {
+          rowCount: 2,
+          columnCount: 2,
+          cells: [
+            [{ text: "Product" }, { text: "Users" }],
+            [{ text: "Contoso Cloud" }, { text: "" }],
+          ],
+        },
+      }),
+    ],
+  },
+];
+
+// Shape.getTable(), which reads table cells, came with PowerPointApi 1.8
+const requirementSets = { PowerPointApi: "1.8" };
+
+// Plain targets for the matching tests
+function target(id, text) {
+  return {
+    id,
+    slideId: "256",
+    slideIndex: 1,
+    shapePath: [id],
+    cell: null,
+    location: `Shape ${id}`,
+    text,
+  };
+}
+
+describe("find and replace", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("loads the text of shapes, grouped shapes and table cells in presentation order", async () => {
+    installOfficeMocks({ slides, requirementSets });
+
+    const { targets, unsearched } = await loadTextTargets();
+
+    expect(unsearched).toEqual([]);
+    expect(targets.map((item) => [item.id, item.location, item.text])).toEqual([
+      ["256/2", "Title 1", "Contoso Cloud for Contoso teams"],
+      ["256/3/32/321", "Logo group > Inner group > Tagline", "contoso cloud"],
+      ["257/4@0,0", "Results, row 1, column 1", "Product"],
+      ["257/4@0,1", "Results, row 1, column 2", "Users"],
+      ["257/4@1,0", "Results, row 2, column 1", "Contoso Cloud"],
+    ]);
+  });
+
+  it("searches only the given slides", async () => {
+    installOfficeMocks({ slides, requirementSets });
+
+    const { targets } = await loadTextTargets(["257"]);
+
+    expect(targets.map((item) => [item.id, item.slideIndex])).toEqual([
+      ["257/4@0,0", 2],
+      ["257/4@0,1", 2],
+      ["257/4@1,0", 2],
+    ]);
+  });
+
+  it("reports text the host can't reach", async () => {
+    const withoutCells = JSON.parse(JSON.stringify(slides));
+    delete withoutCells[1].shapes[0].table;
+    installOfficeMocks({ slides: withoutCells, requirementSets });
+
+    const { targets, unsearched } = await loadTextTargets();
+
+    expect(unsearched).toEqual(["table cells"]);
+    expect(targets).toHaveLength(2);
+  });
+
+  it("leaves table cells and groups out on hosts below PowerPointApi 1.8", async () => {
+    installOfficeMocks({ slides, requirementSets: { PowerPointApi: "1.5" } });
+
+    const { targets, unsearched } = await loadTextTargets();
+
+    expect(unsearched).toEqual(["table cells", "grouped shapes"]);
+    expect(targets.map((item) => item.id)).toEqual(["256/2"]);
+  });
+
+  it("matches with case, whole-word and regex modes", () => {
+    const targets = [target("1", "Contoso and contoso-cloud, not Contosoville")];
+    const found = (query, options) =>
+      findTextMatches(targets, query, "Fabrikam", options).map((match) => match.index);
+
+    expect(found("contoso")).toEqual([0, 12, 31]);
+    expect(found("contoso", { matchCase: true })).toEqual([12]);
+    expect(found("contoso", { wholeWord: true })).toEqual([0, 12]);
+    expect(found("c.ntoso")).toEqual([]);
+    expect(found("c.ntoso", { regex: true, matchCase: true })).toEqual([12]);
+    // Empty matches have nothing to replace
+    expect(found("^", { regex: true })).toEqual([]);
+
+    expect(() => createSearchPattern("")).toThrow("Type the text to find");
+    expect(() => createSearchPattern("(", { regex: true })).toThrow(/Invalid regular expression/);
+  });
+
+  it("previews matches and expands regex replacements", () => {
+    const [match] = findTextMatches(
+      [target("1", "Sales for Contoso Cloud rose")],
+      "(?<brand>Contoso) (\\w+)",
+      "$2 by $<brand> ($&, $$1)",
+      { regex: true }
+    );
+
+    expect(match).toMatchObject({
+      id: "1#10",
+      text: "Contoso Cloud",
+      replacement: "Cloud by Contoso (Contoso Cloud, $1)",
+      before: "Sales for ",
+      after: " rose",
+    });
+    // Without regex mode the replacement is used as typed
+    expect(findTextMatches([target("1", "a")], "a", "$&")[0].replacement).toBe("$&");
+  });
+
+  it("replaces only the picked matches", () => {
+    const text = "Contoso, Contoso, Contoso";
+    const matches = findTextMatches([target("1", text)], "Contoso", "Fabrikam Ltd");
+
+    expect(replaceMatches(text, [matches[0], matches[2]])).toBe(
+      "Fabrikam Ltd, Contoso, Fabrikam Ltd"
+    );
+  });
+
+  it("writes replacements in one batch and undoes them", async () => {
+    const host = installOfficeMocks({ slides, requirementSets });
+    const { targets } = await loadTextTargets();
+    const matches = findTextMatches(targets, "contoso cloud", "Fabrikam Hub", { wholeWord: true });
+    const syncs = host.syncCount;
+
+    const { replacements, stale } = await applyTextReplacements(targets, matches);
+
+    expect(host.syncCount - syncs).toBe(2);
+    expect(stale).toEqual([]);
+    expect(replacements).toHaveLength(3);
+    const [title, group] = host.slides[0].shapes;
+    expect(title.textFrame.textRange.text).toBe("Fabrikam Hub for Contoso teams");
+    expect(group.group.shapes[1].group.shapes[0].textFrame.textRange.text).toBe("Fabrikam Hub");
+    expect(host.slides[1].shapes[0].table.cells[1][0].text).toBe("Fabrikam Hub");
+
+    await undoTextReplacements(replacements);
+    expect(title.textFrame.textRange.text).toBe("Contoso Cloud for Contoso teams");
+    expect(host.slides[1].shapes[0].table.cells[1][0].text).toBe("Contoso Cloud");
+  });
+
+  it("keeps the formatting of the text around each replaced match", async () => {
+    const bold = { name: "Calibri", size: 18, bold: true };
+    const plain = { name: "Calibri", size: 18, bold: false };
+    const text = "Contoso Cloud for Contoso teams";
+    const host = installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({
+              id: "2",
+              textFrame: {
+                textRange: {
+                  text,
+                  runs: [
+                    { text: "Contoso Cloud", font: bold },
+                    { text: " for Contoso teams", font: plain },
+                  ],
+                },
+              },
+            }),
+          ],
+        },
+      ],
+    });
+    const { targets } = await loadTextTargets();
+    const textRange = host.findShape("2").textFrame.textRange;
+
+    const { replacements } = await applyTextReplacements(
+      targets,
+      findTextMatches(targets, "Contoso", "Fabrikam")
+    );
+
+    expect(textRange.text).toBe("Fabrikam Cloud for Fabrikam teams");
+    expect(textRange.runs).toEqual([
+      { text: "Fabrikam Cloud", font: bold },
+      { text: " for Fabrikam teams", font: plain },
+    ]);
+
+    await undoTextReplacements(replacements);
+    expect(textRange.runs).toEqual([
+      { text: "Contoso Cloud", font: bold },
+      { text: " for Contoso teams", font: plain },
+    ]);
+  });
+
+  it("skips texts that changed since the search", async () => {
+    const host = installOfficeMocks({ slides, requirementSets });
+    const { targets } = await loadTextTargets();
+    const matches = findTextMatches(targets, "Contoso", "Fabrikam");
+    host.slides[0].shapes[0].textFrame.textRange.text = "Edited meanwhile";
+
+    const { replacements, stale } = await applyTextReplacements(targets, matches);
+
+    expect(stale.map((item) => item.location)).toEqual(["Title 1"]);
+    expect(replacements).toHaveLength(2);
+    expect(host.slides[0].shapes[0].textFrame.textRange.text).toBe("Edited meanwhile");
+    await expect(applyTextReplacements(targets, [])).rejects.toThrow("Pick the matches to replace");
+  });
+});
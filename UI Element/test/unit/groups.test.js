@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import {
+  findGroupNode,
+  groupShapes,
+  loadGroupTree,
+  ungroupShape,
+} from "../../src/inspector/groups";
+
+const logoGroup = shapeData({
+  id: "3",
+  name: "Logo group",
+  type: "Group",
+  left: 600,
+  top: 400,
+  width: 300,
+  height: 100,
+  group: {
+    shapes: [
+      shapeData({ id: "31", name: "Logo mark", type: "Image", left: 600, top: 400 }),
+      shapeData({
+        id: "32",
+        name: "Inner group",
+        type: "Group",
+        left: 700,
+        top: 420,
+        group: { shapes: [shapeData({ id: "321", name: "Tagline", left: 710, top: 450 })] },
+      }),
+    ],
+  },
+});
+
+const slides = [
+  {
+    id: "256",
+    shapes: [
+      shapeData({ id: "2", name: "Title 1", left: 40, top: 20 }),
+      logoGroup,
+      shapeData({ id: "4", name: "Footer", left: 40, top: 500 }),
+    ],
+  },
+];
+
+describe("groups", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("loads nested groups with positions on the slide and within each group", async () => {
+    installOfficeMocks({ slides, requirementSets: { PowerPointApi: "1.8" } });
+
+    const { root, truncated } = await loadGroupTree("256", "3");
+
+    expect(truncated).toBe(false);
+    expect(root).toMatchObject({ id: "3", shapePath: ["3"], relativeLeft: null });
+    expect(root.children.map((child) => child.name)).toEqual(["Logo mark", "Inner group"]);
+    expect(findGroupNode(root, "321")).toMatchObject({
+      name: "Tagline",
+      shapePath: ["3", "32", "321"],
+      left: 710,
+      top: 450,
+      relativeLeft: 10,
+      relativeTop: 30,
+      text: "",
+    });
+    expect(findGroupNode(root, "99")).toBeNull();
+  });
+
+  it("only loads groups", async () => {
+    installOfficeMocks({ slides });
+
+    await expect(loadGroupTree("256", "2")).rejects.toThrow("Title 1 isn't a group");
+    await expect(ungroupShape("256", "2")).rejects.toThrow("Title 1 isn't a group");
+  });
+
+  it("groups shapes and ungroups them again", async () => {
+    const host = installOfficeMocks({
+      slides,
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    const groupId = await groupShapes("256", ["2", "4"]);
+
+    const group = host.findShape(groupId);
+    expect(host.slides[0].shapes.map((shape) => shape.id)).toEqual(["3", groupId]);
+    expect(group).toMatchObject({ type: "Group", left: 40, top: 20, width: 200, height: 580 });
+
+    expect(await ungroupShape("256", groupId)).toEqual(["2", "4"]);
+    expect(host.slides[0].shapes.map((shape) => shape.id)).toEqual(["3", "2", "4"]);
+
+    await expect(groupShapes("256", ["2"])).rejects.toThrow("Select two or more shapes to group");
+  });
+
+  it("needs PowerPointApi 1.8 to group", async () => {
+    installOfficeMocks({ slides });
+
+    await expect(groupShapes("256", ["2", "4"])).rejects.toMatchObject({ code: "ApiNotFound" });
+  });
+});
@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { shapeData } from "../mocks";
+import { toShapeModel } from "../../src/inspector/selectionModel";
+import {
+  createSelectionHistory,
+  diffShapes,
+  diffSnapshots,
+  formatSnapshotDiff,
+} from "../../src/inspector/history";
+
+// The shape as the inspector reads it from PowerPoint
+function shape(overrides) {
+  return toShapeModel(shapeData(overrides));
+}
+
+function model(shapes, slideId = "256") {
+  return { timestamp: "2024-05-01T10:00:00.000Z", slideId, shapes };
+}
+
+describe("createSelectionHistory", () => {
+  it("records selections with shapes, oldest first", () => {
+    const history = createSelectionHistory();
+
+    expect(history.record(model([]))).toBeNull();
+    const first = history.record(model([shape({ id: "2" })]));
+    const second = history.record(model([shape({ id: "3" })]));
+
+    expect(history.list().map((snapshot) => snapshot.id)).toEqual([first.id, second.id]);
+    expect(history.get(first.id).shapes[0].id).toBe("2");
+  });
+
+  it("skips a selection identical to the previous one", () => {
+    const history = createSelectionHistory();
+
+    history.record(model([shape({ id: "2" })]));
+    expect(history.record(model([shape({ id: "2" })]))).toBeNull();
+    expect(history.record(model([shape({ id: "2", left: 5 })]))).not.toBeNull();
+    expect(history.list()).toHaveLength(2);
+  });
+
+  it("copies the shapes so later edits to the model don't change the snapshot", () => {
+    const history = createSelectionHistory();
+    const selection = model([shape({ id: "2" })]);
+
+    const snapshot = history.record(selection);
+    selection.shapes[0].left = 999;
+
+    expect(snapshot.shapes[0].left).toBe(100);
+  });
+
+  it("drops the oldest snapshots past the limit and can be cleared", () => {
+    const history = createSelectionHistory({ limit: 2 });
+    [1, 2, 3].forEach((left) => history.record(model([shape({ left })])));
+
+    expect(history.list().map((snapshot) => snapshot.shapes[0].left)).toEqual([2, 3]);
+
+    history.clear();
+    expect(history.list()).toEqual([]);
+    expect(history.record(model([shape({ left: 3 })]))).not.toBeNull();
+  });
+});
+
+describe("diffShapes", () => {
+  it("classifies each changed property", () => {
+    const before = shape({ name: "Box", text: "Hi" });
+    const after = shape({ name: "Card", text: "Hello", left: 120, height: 80 });
+
+    expect(diffShapes(before, after)).toEqual([
+      { kind: "moved", property: "left", before: 100, after: 120 },
+      { kind: "resized", property: "height", before: 100, after: 80 },
+      { kind: "renamed", property: "name", before: "Box", after: "Card" },
+      { kind: "text", property: "text", before: "Hi", after: "Hello" },
+    ]);
+  });
+});
+
+describe("diffSnapshots", () => {
+  it("compares shared shapes and lists the rest", () => {
+    const from = model([shape({ id: "2" }), shape({ id: "3" }), shape({ id: "4" })]);
+    const to = model([shape({ id: "2", top: 40 }), shape({ id: "3" }), shape({ id: "5" })]);
+
+    const diff = diffSnapshots(from, to);
+
+    expect(diff.shapes.map((shape) => shape.shapeId)).toEqual(["2"]);
+    expect(diff.unchanged).toEqual(["3"]);
+    expect(diff.removed).toEqual(["4"]);
+    expect(diff.added).toEqual(["5"]);
+    expect(formatSnapshotDiff(diff)).toBe(
+      [
+        "Rectangle 1 (ID: 2)",
+        "  moved: top 100 -> 40",
+        "Unchanged: 3",
+        "Only in the first snapshot: 4",
+        "Only in the second snapshot: 5",
+      ].join("\n")
+    );
+  });
+
+  it("says when the snapshots share no shapes", () => {
+    const diff = diffSnapshots(model([shape({ id: "2" })]), model([shape({ id: "3" })]));
+
+    expect(formatSnapshotDiff(diff)).toContain("The snapshots have no shapes in common.");
+  });
+});
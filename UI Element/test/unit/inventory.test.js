@@ -0,0 +1,162 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, describe, expect, it */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import { loadInventoryData } from "../../src/inspector/presentationData";
+import { toShapeModel } from "../../src/inspector/selectionModel";
+import {
+  formatInventoryCsv,
+  formatInventoryMarkdown,
+  selectionInventory,
+} from "../../src/inspector/export/inventory";
+
+// The shape as the inspector reads it from PowerPoint
+function shape(overrides) {
+  return toShapeModel(shapeData(overrides));
+}
+
+const slides = [
+  {
+    id: "256",
+    index: 1,
+    shapes: [
+      shape({ id: "2", name: "Title 1", text: 'Q3 "final" review, draft' }),
+      shape({
+        id: "3",
+        name: "Picture 2",
+        type: "Image",
+        left: 10.5,
+        altTextDescription: "Logo | mark",
+      }),
+    ],
+  },
+  { id: "257", index: 2, shapes: [] },
+];
+
+describe("formatInventoryCsv", () => {
+  it("writes a header and one row per shape", () => {
+    const lines = formatInventoryCsv(slides).split("\r\n");
+
+    expect(lines[0]).toBe(
+      "slideIndex,slideId,id,name,type,parentId,group,left,top,width,height,text,altTextTitle," +
+        "altTextDescription"
+    );
+    expect(lines[1]).toBe(
+      '1,256,2,Title 1,GeometricShape,,,100,100,200,100,"Q3 ""final"" review, draft",,'
+    );
+    expect(lines[2]).toBe("1,256,3,Picture 2,Image,,,10.5,100,200,100,,,Logo | mark");
+    expect(lines).toHaveLength(4);
+  });
+
+  it("names the group holding each grouped shape", () => {
+    const csv = formatInventoryCsv([
+      {
+        id: "256",
+        index: 1,
+        shapes: [{ ...shape({ id: "51", name: "Logo mark" }), parentId: "5", group: "Logo group" }],
+      },
+    ]);
+
+    expect(csv.split("\r\n")[1]).toMatch(/^1,256,51,Logo mark,GeometricShape,5,Logo group,/);
+  });
+
+  it("keeps line breaks inside quoted cells and defuses formulas", () => {
+    const csv = formatInventoryCsv([
+      { id: "256", index: 1, shapes: [shape({ name: "=SUM(A1)", text: "one\ntwo" })] },
+    ]);
+
+    expect(csv).toContain(`'=SUM(A1),GeometricShape`);
+    expect(csv).toContain('"one\ntwo"');
+  });
+});
+
+describe("formatInventoryMarkdown", () => {
+  it("writes a table per slide", () => {
+    const markdown = formatInventoryMarkdown(slides, "Deck");
+
+    expect(markdown).toBe(
+      [
+        "# Deck",
+        "",
+        "## Slide 1",
+        "",
+        "| Name | Type | Group | Position | Size | Text | Alt text |",
+        "| --- | --- | --- | --- | --- | --- | --- |",
+        '| Title 1 | GeometricShape |  | 100, 100 | 200 x 100 | Q3 "final" review, draft |  |',
+        "| Picture 2 | Image |  | 10.5, 100 | 200 x 100 |  | Logo \\| mark |",
+        "",
+        "## Slide 2",
+        "",
+        "_No shapes._",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("names slides by id when their number is unknown", () => {
+    const markdown = formatInventoryMarkdown(
+      selectionInventory({ slideId: "300", shapes: [shape({ text: "a\nb" })] }, null),
+      "Selected shapes"
+    );
+
+    expect(markdown).toContain("## Slide 300");
+    expect(markdown).toContain("| a<br>b |");
+  });
+});
+
+describe("loadInventoryData", () => {
+  afterEach(uninstallOfficeMocks);
+
+  const slide = {
+    id: "256",
+    shapes: [
+      shapeData({
+        id: "5",
+        name: "Logo group",
+        type: "Group",
+        group: {
+          shapes: [
+            shapeData({ id: "51", name: "Logo mark", type: "Image" }),
+            shapeData({
+              id: "52",
+              name: "Inner group",
+              type: "Group",
+              group: { shapes: [shapeData({ id: "521", name: "Tagline", text: "Contoso" })] },
+            }),
+          ],
+        },
+      }),
+      shapeData({ id: "2", name: "Title 1", text: "Results" }),
+    ],
+  };
+
+  it("lists the shapes inside groups after their group", async () => {
+    installOfficeMocks({ slides: [slide], requirementSets: { PowerPointApi: "1.8" } });
+
+    const { slides, unread } = await loadInventoryData();
+
+    expect(unread).toEqual([]);
+    expect(slides[0].shapes.map((item) => [item.id, item.parentId, item.group, item.text])).toEqual(
+      [
+        ["5", null, null, null],
+        ["51", "5", "Logo group", null],
+        ["52", "5", "Logo group", null],
+        ["521", "52", "Logo group > Inner group", "Contoso"],
+        ["2", null, null, "Results"],
+      ]
+    );
+  });
+
+  it("lists only top-level shapes on hosts that can't read groups", async () => {
+    installOfficeMocks({ slides: [slide] });
+
+    const { slides, unread } = await loadInventoryData();
+
+    expect(unread).toEqual(["grouped shapes"]);
+    expect(slides[0].shapes.map((item) => item.id)).toEqual(["5", "2"]);
+  });
+});
@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { shapeData } from "../mocks";
+import {
+  DEFAULT_LINT_CONFIG,
+  DEFAULT_SLIDE_SIZE,
+  lintPresentation,
+  mostCommon,
+  resolveLintConfig,
+} from "../../src/inspector/lint/layoutLint";
+
+function shape(overrides) {
+  return { ...shapeData(overrides), placeholderType: null, fontSize: null, ...overrides };
+}
+
+function slide(index, shapes) {
+  return { id: String(255 + index), index, shapes };
+}
+
+function rules(issues) {
+  return issues.map((issue) => [issue.slideIndex, issue.rule, issue.shapeId]);
+}
+
+// Only the rules under test, so the other checks don't add noise
+function only(...names) {
+  const config = { rules: {} };
+  Object.keys(DEFAULT_LINT_CONFIG.rules).forEach((rule) => {
+    config.rules[rule] = { severity: names.includes(rule) ? "warning" : "off" };
+  });
+  return config;
+}
+
+describe("resolveLintConfig", () => {
+  it("merges rule options over the defaults", () => {
+    const config = resolveLintConfig({ rules: { overlap: { minOverlapArea: 50 } } });
+
+    expect(config.rules.overlap).toEqual({
+      ...DEFAULT_LINT_CONFIG.rules.overlap,
+      minOverlapArea: 50,
+    });
+    expect(config.slideSize).toEqual(DEFAULT_SLIDE_SIZE);
+  });
+
+  it("takes the slide size from the config, then the presentation, then the default", () => {
+    const presentation = { width: 720, height: 540 };
+
+    expect(resolveLintConfig({}, presentation).slideSize).toEqual(presentation);
+    expect(resolveLintConfig({ slideSize: { width: 1000 } }, presentation).slideSize).toEqual({
+      width: 1000,
+      height: 540,
+    });
+    expect(resolveLintConfig({}, null).slideSize).toEqual(DEFAULT_SLIDE_SIZE);
+  });
+
+  it("rejects unknown rules and severities", () => {
+    expect(() => resolveLintConfig({ rules: { spacing: {} } })).toThrow(
+      'Unknown layout rule "spacing"'
+    );
+    expect(() => resolveLintConfig({ rules: { overlap: { severity: "fatal" } } })).toThrow(
+      'Rule "overlap" has severity "fatal"'
+    );
+  });
+});
+
+describe("mostCommon", () => {
+  it("returns the most frequent value, preferring the first on ties", () => {
+    expect(mostCommon([3, 5, 5, 3, 7])).toEqual({ value: 3, count: 2 });
+    expect(mostCommon([])).toBeNull();
+  });
+});
+
+describe("lintPresentation", () => {
+  it("reports shapes that extend off the slide", () => {
+    const slides = [
+      slide(1, [
+        shape({ id: "a", left: -10 }),
+        shape({ id: "b", left: 900, width: 100 }),
+        shape({ id: "c" }),
+      ]),
+    ];
+
+    const issues = lintPresentation(slides, only("off-slide"));
+
+    expect(rules(issues)).toEqual([
+      [1, "off-slide", "a"],
+      [1, "off-slide", "b"],
+    ]);
+    expect(issues[1].message).toBe('"Rectangle 1" extends off the slide (right)');
+  });
+
+  it("reports overlapping shapes but not contained or barely touching ones", () => {
+    const slides = [
+      slide(1, [
+        shape({ id: "a", left: 100, top: 100, width: 200, height: 100 }),
+        shape({ id: "b", name: "Box", left: 250, top: 150, width: 200, height: 100 }),
+        shape({ id: "c", left: 120, top: 120, width: 50, height: 50 }),
+        shape({ id: "d", left: 449, top: 249, width: 40, height: 40 }),
+      ]),
+    ];
+
+    const issues = lintPresentation(slides, only("overlap"));
+
+    expect(rules(issues)).toEqual([[1, "overlap", "b"]]);
+    expect(issues[0].message).toBe('"Box" overlaps "Rectangle 1" by 50 x 50pt');
+  });
+
+  it("reports edges that are nearly but not exactly aligned", () => {
+    const slides = [
+      slide(1, [
+        shape({ id: "a", left: 100, top: 100 }),
+        shape({ id: "b", left: 102, top: 300 }),
+        shape({ id: "c", left: 100, top: 500, width: 150 }),
+      ]),
+    ];
+
+    const issues = lintPresentation(slides, only("near-alignment"));
+
+    expect(rules(issues)).toEqual([
+      [1, "near-alignment", "b"],
+      [1, "near-alignment", "c"],
+    ]);
+    expect(issues[0].message).toBe('"Rectangle 1"\'s left edge is 2pt off "Rectangle 1"\'s');
+  });
+
+  it("reports slides whose margins differ from the rest of the deck", () => {
+    // The right edge stays put so only the left margin changes
+    const content = (left) => [shape({ id: "s", left, top: 40, width: 440 - left, height: 400 })];
+    const slides = [slide(1, content(40)), slide(2, content(40)), slide(3, content(60))];
+
+    const issues = lintPresentation(slides, only("inconsistent-margins"));
+
+    expect(rules(issues)).toEqual([[3, "inconsistent-margins", "s"]]);
+    expect(issues[0].message).toBe("left margin is 60pt, most slides use 40pt");
+  });
+
+  it("reports titles whose font size differs from the rest of the deck", () => {
+    const title = (fontSize) => [
+      shape({ id: "t", name: "Title 1", placeholderType: "Title", fontSize }),
+    ];
+    const slides = [slide(1, title(40)), slide(2, title(32)), slide(3, title(40))];
+
+    const issues = lintPresentation(slides, only("inconsistent-font-size"));
+
+    expect(rules(issues)).toEqual([[2, "inconsistent-font-size", "t"]]);
+    expect(issues[0].message).toBe("Title text is 32pt, most slides use 40pt");
+  });
+
+  it("uses the configured severities and skips rules that are off", () => {
+    const slides = [slide(1, [shape({ id: "a", left: -10 }), shape({ id: "b", left: -10 })])];
+
+    const issues = lintPresentation(slides, {
+      rules: { "off-slide": { severity: "info" }, overlap: { severity: "off" } },
+    });
+
+    expect(issues.map((issue) => [issue.rule, issue.severity])).toEqual([
+      ["off-slide", "info"],
+      ["off-slide", "info"],
+    ]);
+  });
+
+  it("ignores shapes without geometry", () => {
+    const slides = [slide(1, [shape({ id: "a", left: null })])];
+
+    expect(lintPresentation(slides)).toEqual([]);
+  });
+});
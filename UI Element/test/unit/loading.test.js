@@ -0,0 +1,154 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, console, describe, expect, it, jest, PowerPoint */
+
+import { installOfficeMocks, shapeData, shapeStyleData, uninstallOfficeMocks } from "../mocks";
+import {
+  CORE_SHAPE_PROPERTIES,
+  MAX_GROUP_DEPTH,
+  itemPaths,
+  loadEach,
+  readPath,
+  walkShapeTree,
+} from "../../src/inspector/loading";
+
+// A group holding a group, and so on, depth levels down to a rectangle
+function nestedGroup(depth) {
+  if (depth === 0) {
+    return shapeData({ id: "leaf", name: "Leaf" });
+  }
+  return shapeData({
+    id: `group-${depth}`,
+    name: `Group ${depth}`,
+    type: "Group",
+    group: { shapes: [nestedGroup(depth - 1)] },
+  });
+}
+
+function loadTopLevel(context) {
+  const shapes = context.presentation.slides.getItem("256").shapes;
+  shapes.load(itemPaths(CORE_SHAPE_PROPERTIES));
+  return context.sync().then(() => shapes.items.map((shape) => ({ shape, path: [shape.id] })));
+}
+
+function childEntry(entry, child) {
+  return { shape: child, path: [...entry.path, child.id] };
+}
+
+describe("loading", () => {
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("builds load paths on collection items", () => {
+    expect(itemPaths(["id", "name"])).toBe("items/id,items/name");
+    expect(itemPaths(["id"], "group/shapes/")).toBe("group/shapes/items/id");
+  });
+
+  it("reads values by path and returns null for missing ones", () => {
+    const shape = { textFrame: { textRange: { font: { size: 18 } } } };
+
+    expect(readPath(shape, "textFrame/textRange/font/size")).toBe(18);
+    expect(readPath(shape, "textFrame/textRange/font/name")).toBeNull();
+    expect(readPath(shape, "fill/foregroundColor")).toBeNull();
+  });
+
+  it("loads properties shape by shape when some shapes don't have them, quietly", async () => {
+    const log = jest.spyOn(console, "log");
+    installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({ id: "2", ...shapeStyleData() }),
+            shapeData({ id: "3", type: "Image" }),
+            shapeData({ id: "4", ...shapeStyleData() }),
+          ],
+        },
+      ],
+    });
+
+    const loaded = await PowerPoint.run(async (context) => {
+      const level = await loadTopLevel(context);
+      const shapes = await loadEach(
+        context,
+        level.map((entry) => entry.shape),
+        "textFrame/wordWrap"
+      );
+      return shapes.map((shape) => shape.id);
+    });
+
+    expect(loaded).toEqual(["2", "4"]);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it("walks nested groups level by level", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [nestedGroup(2), shapeData()] }],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    const { levels, truncated } = await PowerPoint.run(async (context) => {
+      const seen = [];
+      const stopped = await walkShapeTree(
+        context,
+        await loadTopLevel(context),
+        async (level) => {
+          seen.push(level.map((entry) => entry.path.join("/")));
+        },
+        childEntry
+      );
+      return { levels: seen, truncated: stopped };
+    });
+
+    expect(levels).toEqual([["group-2", "1"], ["group-2/group-1"], ["group-2/group-1/leaf"]]);
+    expect(truncated).toBe(false);
+  });
+
+  it("reports groups it can't walk on hosts before PowerPointApi 1.8", async () => {
+    installOfficeMocks({ slides: [{ id: "256", shapes: [nestedGroup(2), shapeData()] }] });
+
+    const { levels, truncated } = await PowerPoint.run(async (context) => {
+      const seen = [];
+      const stopped = await walkShapeTree(
+        context,
+        await loadTopLevel(context),
+        async (level) => {
+          seen.push(level.map((entry) => entry.path.join("/")));
+        },
+        childEntry
+      );
+      return { levels: seen, truncated: stopped };
+    });
+
+    expect(levels).toEqual([["group-2", "1"]]);
+    expect(truncated).toBe(true);
+  });
+
+  it("reports groups nested deeper than it walks", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [nestedGroup(MAX_GROUP_DEPTH + 1)] }],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    const { depth, truncated } = await PowerPoint.run(async (context) => {
+      let levels = 0;
+      const stopped = await walkShapeTree(
+        context,
+        await loadTopLevel(context),
+        async () => {
+          levels++;
+        },
+        childEntry
+      );
+      return { depth: levels, truncated: stopped };
+    });
+
+    expect(depth).toBe(MAX_GROUP_DEPTH + 1);
+    expect(truncated).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { layoutMinimap, SHAPE_TYPE_COLORS } from "../../src/inspector/minimap";
+
+function shape(overrides) {
+  return {
+    id: "2",
+    name: "Title 1",
+    type: "GeometricShape",
+    left: 40,
+    top: 20,
+    width: 880,
+    height: 60,
+    zIndex: 0,
+    text: null,
+    ...overrides,
+  };
+}
+
+function model(overrides) {
+  return { slideId: "256", shapes: [], slideShapes: [], ...overrides };
+}
+
+describe("layoutMinimap", () => {
+  it("draws every shape back to front, colored by type, with the selection highlighted", () => {
+    const title = shape({ zIndex: 1, text: "Quarterly review" });
+    const picture = shape({
+      id: "3",
+      name: "Picture 2",
+      type: "Image",
+      left: 600,
+      top: 200,
+      width: 300,
+      height: 200,
+      zIndex: 0,
+    });
+
+    const layout = layoutMinimap(model({ shapes: [picture], slideShapes: [title, picture] }), {
+      width: 960,
+      height: 540,
+    });
+
+    expect(layout.viewBox).toEqual({ x: -10, y: -10, width: 980, height: 560 });
+    expect(layout.boxes.map((box) => [box.id, box.color, box.selected])).toEqual([
+      ["3", SHAPE_TYPE_COLORS.Image, true],
+      ["2", SHAPE_TYPE_COLORS.GeometricShape, false],
+    ]);
+    expect(layout.boxes[1]).toMatchObject({ x: 40, y: 20, width: 880, height: 60 });
+    expect(layout.boxes[1].tooltip).toBe(
+      'Title 1 (GeometricShape)\nPosition: (40, 20)\nSize: 880 x 60\nText: "Quarterly review"'
+    );
+  });
+
+  it("grows the view to shapes off the slide and keeps thin shapes visible", () => {
+    const layout = layoutMinimap(
+      model({
+        slideShapes: [
+          shape({
+            id: "4",
+            name: "Line 3",
+            type: "Line",
+            left: -100,
+            top: 300,
+            width: 200,
+            height: 0,
+          }),
+        ],
+      })
+    );
+
+    expect(layout.viewBox).toEqual({ x: -110, y: -10, width: 1080, height: 560 });
+    expect(layout.boxes[0]).toMatchObject({ height: 1, label: "" });
+  });
+
+  it("shortens labels to fit their box", () => {
+    const layout = layoutMinimap(
+      model({
+        slideShapes: [
+          shape({ id: "5", name: "Speaker notes callout", width: 100 }),
+          shape({ id: "6", name: "Tiny", width: 20 }),
+        ],
+      })
+    );
+
+    expect(layout.boxes.map((box) => box.label)).toEqual(["Speaker no…", ""]);
+  });
+
+  it("falls back to the selected shapes and needs a slide", () => {
+    const layout = layoutMinimap(model({ shapes: [shape({ id: "7" })] }));
+
+    expect(layout.boxes.map((box) => box.id)).toEqual(["7"]);
+    expect(layoutMinimap(model({ slideId: null }))).toBeNull();
+  });
+});
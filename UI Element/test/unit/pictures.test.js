@@ -0,0 +1,146 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, Buffer, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import { loadPictureImage, loadPictures, summarizePictures } from "../../src/inspector/pictures";
+
+function picture(overrides = {}) {
+  return shapeData({ type: "Image", width: 144, height: 72, ...overrides });
+}
+
+// The mock renders a shape as its id and pixel size
+function decode(base64) {
+  return Buffer.from(base64, "base64").toString();
+}
+
+describe("pictures", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("lists pictures on every slide and in groups", async () => {
+    installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({ id: "2", name: "Title 1" }),
+            picture({ id: "3", name: "Photo", width: 480, height: 360 }),
+          ],
+        },
+        {
+          id: "257",
+          shapes: [
+            shapeData({
+              id: "5",
+              name: "Logo group",
+              type: "Group",
+              group: { shapes: [picture({ id: "51", name: "Logo mark" })] },
+            }),
+          ],
+        },
+      ],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    const { pictures, unread } = await loadPictures();
+
+    expect(unread).toEqual([]);
+    expect(pictures).toEqual([
+      {
+        slideId: "256",
+        slideIndex: 1,
+        shapeId: "3",
+        shapePath: ["3"],
+        name: "Photo",
+        location: "Photo",
+        width: 480,
+        height: 360,
+        thumbnail: null,
+      },
+      {
+        slideId: "257",
+        slideIndex: 2,
+        shapeId: "51",
+        shapePath: ["5", "51"],
+        name: "Logo mark",
+        location: "Logo group > Logo mark",
+        width: 144,
+        height: 72,
+        thumbnail: null,
+      },
+    ]);
+    expect(summarizePictures(pictures)).toEqual({ count: 2, slides: 2 });
+
+    const onSecondSlide = await loadPictures(["257"]);
+    expect(onSecondSlide.pictures.map((item) => [item.shapeId, item.slideIndex])).toEqual([
+      ["51", 2],
+    ]);
+  });
+
+  it("reports pictures in groups as unread on hosts before PowerPointApi 1.8", async () => {
+    installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            picture({ id: "3", name: "Photo" }),
+            shapeData({
+              id: "5",
+              name: "Logo group",
+              type: "Group",
+              group: { shapes: [picture({ id: "51", name: "Logo mark" })] },
+            }),
+          ],
+        },
+      ],
+    });
+
+    const { pictures, unread } = await loadPictures();
+
+    expect(unread).toEqual(["grouped shapes"]);
+    expect(pictures.map((item) => item.shapeId)).toEqual(["3"]);
+  });
+
+  it("renders thumbnails and full-size images on PowerPointApi 1.10", async () => {
+    installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({
+              id: "5",
+              name: "Logo group",
+              type: "Group",
+              group: { shapes: [picture({ id: "51", name: "Logo mark" })] },
+            }),
+          ],
+        },
+      ],
+      requirementSets: { PowerPointApi: "1.10" },
+    });
+
+    const { pictures } = await loadPictures();
+
+    expect(decode(pictures[0].thumbnail)).toBe("PNG 51 192x96");
+    expect(decode(await loadPictureImage(pictures[0]))).toBe("PNG 51 144x72");
+  });
+
+  it("can't render pictures on hosts before PowerPointApi 1.10", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [picture({ id: "3" })] }],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    const { pictures } = await loadPictures();
+
+    expect(pictures[0].thumbnail).toBeNull();
+    await expect(loadPictureImage(pictures[0])).rejects.toMatchObject({ code: "ApiNotFound" });
+  });
+});
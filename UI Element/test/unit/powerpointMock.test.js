@@ -0,0 +1,172 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, Buffer, describe, expect, it, jest, Office, PowerPoint */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+
+describe("PowerPoint mock", () => {
+  afterEach(uninstallOfficeMocks);
+
+  it("throws when a property is read before it is loaded and synced", async () => {
+    installOfficeMocks({ slides: [{ id: "256", shapes: [shapeData({ id: "2" })] }] });
+
+    await PowerPoint.run(async (context) => {
+      const shapes = context.presentation.slides.getItem("256").shapes;
+      expect(() => shapes.items).toThrow(/not available/);
+
+      shapes.load("items/name");
+      expect(() => shapes.items).toThrow(/not available/);
+
+      await context.sync();
+      expect(shapes.items[0].name).toBe("Rectangle 1");
+      expect(() => shapes.items[0].left).toThrow(/not available/);
+    });
+  });
+
+  it("fails the sync when a property is unknown to the host", async () => {
+    installOfficeMocks({ slides: [{ id: "256", shapes: [shapeData()] }] });
+
+    await PowerPoint.run(async (context) => {
+      const shapes = context.presentation.slides.getItem("256").shapes;
+      shapes.load("items/isSelected");
+      await expect(context.sync()).rejects.toMatchObject({ code: "InvalidArgument" });
+    });
+  });
+
+  it("only takes shape data PowerPoint.Shape has", async () => {
+    installOfficeMocks({ slides: [{ id: "256", shapes: [{ ...shapeData(), zIndex: 1 }] }] });
+
+    await PowerPoint.run(async (context) => {
+      const shapes = context.presentation.slides.getItem("256").shapes;
+      shapes.load("items/name");
+      await expect(context.sync()).rejects.toThrow("PowerPoint.Shape has no zIndex.");
+    });
+  });
+
+  it("reaches tables only through getTable()", async () => {
+    const table = { rowCount: 1, columnCount: 1, cells: [[{ text: "Region" }]] };
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", type: "Table", table })] }],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    await PowerPoint.run(async (context) => {
+      const shape = context.presentation.slides.getItem("256").shapes.getItem("2");
+      shape.load("table/rowCount");
+      await expect(context.sync()).rejects.toMatchObject({ code: "InvalidArgument" });
+
+      const cell = shape.getTable().getCellOrNullObject(0, 0);
+      cell.load("text");
+      await context.sync();
+      expect(cell.text).toBe("Region");
+    });
+  });
+
+  it("applies writes on sync", async () => {
+    const host = installOfficeMocks({ slides: [{ id: "256", shapes: [shapeData({ id: "2" })] }] });
+
+    await PowerPoint.run(async (context) => {
+      const shape = context.presentation.slides.getItem("256").shapes.getItem("2");
+      shape.left = 42;
+      expect(host.findShape("2").left).toBe(100);
+      await context.sync();
+    });
+
+    expect(host.findShape("2").left).toBe(42);
+  });
+
+  it("keeps the other runs' formatting only when a substring's text is set", async () => {
+    const runs = [
+      { text: "Bold", font: { bold: true } },
+      { text: " plain", font: { bold: false } },
+    ];
+    const host = installOfficeMocks({
+      slides: [
+        {
+          id: "256",
+          shapes: [shapeData({ id: "2", textFrame: { textRange: { text: "Bold plain", runs } } })],
+        },
+      ],
+    });
+    const textRange = host.findShape("2").textFrame.textRange;
+
+    await PowerPoint.run(async (context) => {
+      const shape = context.presentation.slides.getItem("256").shapes.getItem("2");
+      shape.textFrame.textRange.getSubstring(5, 5).text = "text";
+      await context.sync();
+      expect(textRange.runs).toEqual([runs[0], { text: " text", font: { bold: false } }]);
+
+      shape.textFrame.textRange.text = "All new";
+      await context.sync();
+      expect(textRange.runs).toEqual([{ text: "All new", font: { bold: true } }]);
+    });
+  });
+
+  it("rejects APIs from requirement sets the host doesn't support", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData()] }],
+      requirementSets: { PowerPointApi: "1.4" },
+    });
+
+    await PowerPoint.run(async (context) => {
+      context.presentation.getSelectedShapes().load("items");
+      await expect(context.sync()).rejects.toMatchObject({ code: "ApiNotFound" });
+    });
+  });
+
+  it("rejects properties from requirement sets the host doesn't support", async () => {
+    const host = installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2" })] }],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    await PowerPoint.run(async (context) => {
+      const shape = context.presentation.slides.getItem("256").shapes.getItem("2");
+      shape.load("zOrderPosition");
+      await context.sync();
+      expect(shape.zOrderPosition).toBe(1);
+
+      shape.load("altTextDescription");
+      await expect(context.sync()).rejects.toMatchObject({ code: "ApiNotFound" });
+
+      shape.altTextDescription = "Logo";
+      await expect(context.sync()).rejects.toMatchObject({ code: "ApiNotFound" });
+
+      // Loading everything leaves out what the host doesn't have
+      shape.load();
+      await context.sync();
+      expect(shape.toJSON()).not.toHaveProperty("altTextTitle");
+    });
+    expect(host.findShape("2").altTextDescription).toBe("");
+  });
+
+  it("returns a method's result only after the sync", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2" })] }],
+      requirementSets: { PowerPointApi: "1.10" },
+    });
+
+    await PowerPoint.run(async (context) => {
+      const shape = context.presentation.slides.getItem("256").shapes.getItem("2");
+      const image = shape.getImageAsBase64({ width: 100 });
+      expect(() => image.value).toThrow(/not available/);
+
+      await context.sync();
+      expect(Buffer.from(image.value, "base64").toString()).toBe("PNG 2 100x50");
+    });
+  });
+
+  it("notifies selection handlers when the selection changes", () => {
+    const host = installOfficeMocks({ slides: [{ id: "256", shapes: [shapeData({ id: "2" })] }] });
+    const handler = jest.fn();
+    Office.context.document.addHandlerAsync(Office.EventType.DocumentSelectionChanged, handler);
+
+    host.selectShapes(["2"]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(host.selectedShapeIds).toEqual(["2"]);
+  });
+});
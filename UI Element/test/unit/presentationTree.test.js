@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import {
+  filterTree,
+  listShapeTypes,
+  loadPresentationTree,
+  selectTreeNode,
+} from "../../src/inspector/presentationTree";
+
+const slides = [
+  {
+    id: "256",
+    shapes: [
+      shapeData({
+        id: "2",
+        name: "Title 1",
+        type: "Placeholder",
+        text: "Agenda",
+        placeholderFormat: { type: "Title" },
+      }),
+      shapeData({
+        id: "3",
+        name: "Logo group",
+        type: "Group",
+        group: {
+          shapes: [
+            shapeData({ id: "31", name: "Logo mark", type: "Image" }),
+            shapeData({
+              id: "32",
+              name: "Inner group",
+              type: "Group",
+              group: { shapes: [shapeData({ id: "321", name: "Tagline", text: "Contoso" })] },
+            }),
+          ],
+        },
+      }),
+    ],
+  },
+  {
+    id: "257",
+    shapes: [
+      shapeData({
+        id: "4",
+        name: "Results",
+        type: "Table",
+        table: { rowCount: 3, columnCount: 2 },
+      }),
+    ],
+  },
+];
+
+function names(nodes) {
+  return nodes.map((node) => node.name);
+}
+
+describe("loadPresentationTree", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("loads every slide, shape and nested group child", async () => {
+    installOfficeMocks({ slides, requirementSets: { PowerPointApi: "1.8" } });
+
+    const tree = await loadPresentationTree();
+
+    expect(names(tree)).toEqual(["Slide 1", "Slide 2"]);
+    expect(names(tree[0].children)).toEqual(["Title 1", "Logo group"]);
+    expect(tree[0].children[0].details).toEqual({ placeholderType: "Title" });
+
+    const group = tree[0].children[1];
+    expect(names(group.children)).toEqual(["Logo mark", "Inner group"]);
+    expect(group.children[1].children[0]).toMatchObject({
+      id: "321",
+      slideId: "256",
+      text: "Contoso",
+      selectId: "3",
+    });
+
+    expect(tree[1].children[0].details).toEqual({ rowCount: 3, columnCount: 2 });
+  });
+
+  it("lists tables without their size on hosts without PowerPointApi 1.8", async () => {
+    installOfficeMocks({ slides, requirementSets: { PowerPointApi: "1.5" } });
+
+    const tree = await loadPresentationTree();
+
+    expect(tree[1].children[0]).toMatchObject({ name: "Results", type: "Table", details: {} });
+  });
+});
+
+describe("filterTree", () => {
+  let tree;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    installOfficeMocks({ slides, requirementSets: { PowerPointApi: "1.8" } });
+    tree = await loadPresentationTree();
+  });
+
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("returns the tree unchanged without a filter", () => {
+    expect(filterTree(tree, {})).toBe(tree);
+  });
+
+  it("keeps the ancestors of matching shapes", () => {
+    const filtered = filterTree(tree, { query: "contoso", field: "text" });
+
+    expect(filtered).toHaveLength(1);
+    expect(names(filtered[0].children)).toEqual(["Logo group"]);
+    expect(names(filtered[0].children[0].children)).toEqual(["Inner group"]);
+    expect(names(filtered[0].children[0].children[0].children)).toEqual(["Tagline"]);
+  });
+
+  it("filters by name and by type", () => {
+    expect(names(filterTree(tree, { query: "title", field: "name" })[0].children)).toEqual([
+      "Title 1",
+    ]);
+    expect(filterTree(tree, { query: "title", field: "text" })).toEqual([]);
+    expect(names(filterTree(tree, { type: "Table" })[0].children)).toEqual(["Results"]);
+  });
+
+  it("lists the shape types in the tree", () => {
+    expect(listShapeTypes(tree)).toEqual([
+      "GeometricShape",
+      "Group",
+      "Image",
+      "Placeholder",
+      "Table",
+    ]);
+  });
+});
+
+describe("selectTreeNode", () => {
+  afterEach(uninstallOfficeMocks);
+
+  it("shows the slide and selects the top-level shape", async () => {
+    const host = installOfficeMocks({ slides });
+
+    await selectTreeNode({ kind: "shape", id: "321", slideId: "256", selectId: "3" });
+    expect(host.selectedSlideIds).toEqual(["256"]);
+    expect(host.selectedShapeIds).toEqual(["3"]);
+
+    await selectTreeNode({ kind: "slide", id: "257", slideId: "257", selectId: null });
+    expect(host.selectedSlideIds).toEqual(["257"]);
+    expect(host.selectedShapeIds).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, shapeStyleData, uninstallOfficeMocks } from "../mocks";
+import { toShapeModel } from "../../src/inspector/selectionModel";
+import {
+  PRESETS_SETTING,
+  createPreset,
+  describePreset,
+  formatPresetFile,
+  mergePresets,
+  parsePresetFile,
+  presetEditValues,
+  readStoredPresets,
+  storePresets,
+} from "../../src/inspector/presets";
+
+const callout = toShapeModel(
+  shapeData({
+    id: "2",
+    name: "Callout",
+    left: 40,
+    top: 60,
+    width: 300,
+    height: 80,
+    ...shapeStyleData(),
+  })
+);
+
+describe("presets", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("saves the chosen parts of a shape", () => {
+    const preset = createPreset("  Callout box ", callout, {
+      position: false,
+      size: true,
+      style: true,
+    });
+
+    expect(preset.name).toBe("Callout box");
+    expect(preset.geometry).toEqual({ width: 300, height: 80 });
+    expect(preset.style).toMatchObject({ fillColor: "#FF0000", fontName: "Calibri" });
+    expect(describePreset(preset)).toMatch(/^Size 300 x 80; Fill: #FF0000; Line: /);
+
+    expect(() => createPreset("", callout, { size: true })).toThrow("Give the preset a name");
+    expect(() => createPreset("Empty", callout, {})).toThrow(
+      "Pick at least one of position, size and style"
+    );
+    expect(() => createPreset("Plain", toShapeModel(shapeData()), { style: true })).toThrow(
+      "couldn't be read"
+    );
+  });
+
+  it("applies geometry and the style properties the target can take", () => {
+    const preset = createPreset("Corner", callout, { position: true, size: false, style: true });
+    // Pictures have a fill and a line but no text frame
+    const pictureData = shapeData({ id: "3", type: "Image", ...shapeStyleData() });
+    delete pictureData.textFrame;
+
+    const values = presetEditValues(preset, toShapeModel(pictureData));
+    expect(values).toMatchObject({ left: 40, top: 60, "fill/foregroundColor": "#FF0000" });
+    expect(Object.keys(values).some((key) => key.startsWith("textFrame"))).toBe(false);
+  });
+
+  it("round-trips presets through a JSON file and rejects invalid ones", () => {
+    const preset = createPreset("Callout", callout, { position: true, size: true, style: true });
+    expect(parsePresetFile(formatPresetFile([preset]))).toEqual([preset]);
+
+    // Hand-written presets may leave style properties out
+    expect(parsePresetFile('[{"name": "Bold", "style": {"bold": true}}]')[0].style).toMatchObject({
+      bold: true,
+      fontName: null,
+    });
+
+    expect(() => parsePresetFile("{")).toThrow("The preset file isn't valid JSON");
+    expect(() => parsePresetFile('{"version": 1}')).toThrow('needs a "presets" list');
+    expect(() => parsePresetFile('{"version": 2, "presets": []}')).toThrow("version 2");
+    expect(() => parsePresetFile('[{"name": "Wide", "geometry": {"width": -1}}]')).toThrow(
+      'Preset "Wide": width must be greater than 0'
+    );
+    expect(() => parsePresetFile('[{"name": "Odd", "style": {"shadow": true}}]')).toThrow(
+      'Preset "Odd": unknown style "shadow"'
+    );
+    expect(() => parsePresetFile('[{"name": "Nothing"}]')).toThrow("it has no geometry or style");
+  });
+
+  it("replaces presets with the same name when merging", () => {
+    const first = { name: "A", geometry: { left: 1 }, style: null };
+    const second = { name: "B", geometry: { left: 2 }, style: null };
+    const updated = { name: "A", geometry: { left: 3 }, style: null };
+
+    expect(mergePresets([first, second], [updated, { ...second, name: "C" }])).toEqual({
+      presets: [updated, second, { ...second, name: "C" }],
+      added: ["C"],
+      replaced: ["A"],
+    });
+  });
+
+  it("stores presets in the document settings", async () => {
+    const stored = { name: "Stored", geometry: { top: 10 }, style: null };
+    const host = installOfficeMocks({
+      settings: { [PRESETS_SETTING]: [stored, { name: "Broken", geometry: { top: "x" } }] },
+    });
+
+    // Presets that no longer validate are skipped
+    expect(readStoredPresets()).toEqual([stored]);
+
+    const next = [stored, { name: "New", geometry: { left: 5 }, style: null }];
+    await storePresets(next);
+    expect(host.savedSettings[PRESETS_SETTING]).toEqual(next);
+
+    host.failSettingsSave = true;
+    await expect(storePresets([])).rejects.toThrow("The settings couldn't be saved.");
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, describe, document, expect, it, jest, require */
+
+import fs from "fs";
+import path from "path";
+import { installOfficeMocks, uninstallOfficeMocks } from "../mocks";
+
+jest.mock("../../src/taskpane/download", () => ({ downloadFile: jest.fn() }));
+
+const html = fs.readFileSync(path.join(__dirname, "../../src/dialog/report.html"), "utf8");
+
+function loadReportPage() {
+  document.body.innerHTML = html.slice(html.indexOf("<body"), html.indexOf("</body>"));
+  const host = installOfficeMocks();
+  let download;
+  jest.isolateModules(() => {
+    require("../../src/dialog/report");
+    download = require("../../src/taskpane/download");
+  });
+  return { host, downloadFile: download.downloadFile };
+}
+
+describe("report dialog", () => {
+  afterEach(uninstallOfficeMocks);
+
+  it("asks for the report, shows it and offers its attachments", () => {
+    const { host, downloadFile } = loadReportPage();
+    expect(host.parentMessages).toEqual(["ready"]);
+
+    const report = {
+      title: "Layout lint",
+      summary: "Found 1 issue (1 error).",
+      details: "Slide 1 [error] off the slide",
+      attachments: [
+        { label: "Download JSON", filename: "a.json", type: "application/json", content: "[]" },
+      ],
+    };
+    host.parentMessageHandlers.forEach((handler) => handler({ message: JSON.stringify(report) }));
+
+    expect(document.getElementById("report-title").textContent).toBe("Layout lint");
+    expect(document.getElementById("report-details").textContent).toBe(report.details);
+    expect(document.getElementById("report-copy").hidden).toBe(false);
+
+    const download = [...document.querySelectorAll("#report-actions button")].find(
+      (button) => button.textContent === "Download JSON"
+    );
+    download.onclick();
+    expect(downloadFile).toHaveBeenCalledWith("a.json", "[]", "application/json");
+
+    document.getElementById("report-close").onclick();
+    expect(host.parentMessages).toEqual(["ready", "close"]);
+  });
+});
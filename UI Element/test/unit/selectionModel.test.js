@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import {
+  buildSelectionModel,
+  SELECTION_MODEL_VERSION,
+  serializeSelectionModel,
+} from "../../src/inspector/selectionModel";
+import { formatSelectionModel } from "../../src/inspector/formatSelection";
+import { shapeData } from "../mocks";
+
+const title = shapeData({ id: "2", name: "Title 1", text: "Quarterly review" });
+const picture = shapeData({
+  id: "3",
+  name: "Picture 2",
+  type: "Image",
+  altTextDescription: "Revenue chart",
+});
+
+describe("buildSelectionModel", () => {
+  it("converts the selected shapes into plain serializable data", () => {
+    const model = buildSelectionModel({
+      slideId: "256",
+      shapes: [picture, title],
+      allShapes: [title, picture],
+      candidates: [
+        {
+          strategyId: "direct-selection",
+          priority: 100,
+          confidence: 1,
+          status: "matched",
+          shapes: [picture, title],
+        },
+        {
+          strategyId: "active-view",
+          priority: 90,
+          confidence: 0.9,
+          status: "failed",
+          shapes: [],
+          error: "nope",
+        },
+      ],
+      detectionMethod: "direct-selection",
+    });
+
+    expect(model).toMatchObject({
+      version: SELECTION_MODEL_VERSION,
+      slideId: "256",
+      slideIds: ["256"],
+      detectionMethod: "direct-selection",
+      text: null,
+    });
+    expect(model.slideShapes.map((shape) => shape.id)).toEqual(["2", "3"]);
+    expect(model.shapes[0]).toMatchObject({ id: "3", type: "Image", text: null });
+    expect(model.shapes[1]).toMatchObject({ id: "2", text: "Quarterly review" });
+    expect(model.candidates[0].shapeIds).toEqual(["3", "2"]);
+    expect(model.candidates[1].error).toBe("nope");
+    expect(JSON.parse(serializeSelectionModel(model))).toEqual(model);
+  });
+
+  it("drops duplicate shapes and reads unloaded properties as null", () => {
+    const unloaded = {
+      id: "5",
+      get name() {
+        throw new Error("PropertyNotLoaded");
+      },
+    };
+
+    const model = buildSelectionModel({ shapes: [title, title, unloaded] });
+
+    expect(model.shapes.map((shape) => shape.id)).toEqual(["2", "5"]);
+    expect(model.shapes[1].name).toBeNull();
+  });
+
+  it("lists every shape on the slide, selected or not", () => {
+    expect(
+      buildSelectionModel({ shapes: [], allShapes: [title, picture] }).slideShapes
+    ).toHaveLength(2);
+    expect(
+      buildSelectionModel({ shapes: [title], allShapes: [title, picture] }).slideShapes
+    ).toHaveLength(2);
+  });
+});
+
+describe("formatSelectionModel", () => {
+  it("lists pictures and other shapes separately", () => {
+    const message = formatSelectionModel(
+      buildSelectionModel({ shapes: [title, picture], detectionMethod: "isSelected" })
+    );
+
+    expect(message).toContain("SELECTED PICTURE:\n1. Picture 2 (ID: 3)");
+    expect(message).toContain("   Alt Text: Revenue chart\n");
+    expect(message).toContain("SELECTED SHAPE:\n1. Title 1 (ID: 2)");
+    expect(message).toContain('   Text: "Quarterly review"\n');
+    expect(message).toContain("Detection method: isSelected");
+  });
+
+  it("truncates long text", () => {
+    const long = shapeData({ text: "x".repeat(150) });
+    const message = formatSelectionModel(buildSelectionModel({ shapes: [long] }));
+
+    expect(message).toContain(`Text: "${"x".repeat(100)}..."`);
+  });
+
+  it("groups the slide's shapes by type when nothing is selected", () => {
+    const message = formatSelectionModel(buildSelectionModel({ allShapes: [title, picture] }));
+
+    expect(message).toContain("No element is currently selected.");
+    expect(message).toContain("All elements on current slide (2 total)");
+    expect(message).toContain("== GeometricShape Elements (1) ==");
+    expect(message).toContain("== Image Elements (1) ==");
+  });
+
+  it("says when only the first of several selected slides is listed", () => {
+    const model = buildSelectionModel({
+      slideId: "256",
+      slideIds: ["256", "257", "259"],
+      allShapes: [title],
+    });
+
+    expect(model.slideIds).toEqual(["256", "257", "259"]);
+    expect(formatSelectionModel(model)).toMatch(
+      /^3 slides selected; elements are listed for the first one\.\n\nNo element/
+    );
+    expect(formatSelectionModel(buildSelectionModel({ slideId: "256" }))).not.toContain(
+      "slides selected"
+    );
+  });
+
+  it("reports an empty slide", () => {
+    expect(formatSelectionModel(buildSelectionModel({}))).toContain(
+      "No elements found on the current slide."
+    );
+  });
+});
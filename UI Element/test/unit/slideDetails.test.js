@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest */
+
+import { installOfficeMocks, shapeData, uninstallOfficeMocks } from "../mocks";
+import { deleteSlideTag, loadSlideDetails, setSlideTag } from "../../src/inspector/slideDetails";
+
+function placeholder(overrides, placeholderFormat) {
+  return shapeData({ type: "Placeholder", placeholderFormat, ...overrides });
+}
+
+const detailedSlide = {
+  id: "257",
+  layout: { id: "L2", name: "Title and Content" },
+  slideMaster: { id: "M1", name: "Office Theme" },
+  shapes: [
+    placeholder(
+      { id: "2", name: "Title 1", text: "Results" },
+      { type: "Title", containedType: null }
+    ),
+    placeholder({ id: "3", name: "Content 2", text: "" }, { type: "Body", containedType: null }),
+    placeholder(
+      { id: "4", name: "Picture 3", text: "" },
+      { type: "Picture", containedType: "Image" }
+    ),
+    shapeData({ id: "5", name: "Logo", type: "Image" }),
+  ],
+  tags: [{ key: "REVIEWED", value: "yes" }],
+};
+
+describe("slide details", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("loads the layout, master, placeholders and tags of a slide", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [] }, detailedSlide],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+
+    expect(await loadSlideDetails("257")).toEqual({
+      id: "257",
+      index: 2,
+      layoutName: "Title and Content",
+      masterName: "Office Theme",
+      placeholders: [
+        { shapeId: "2", name: "Title 1", placeholderType: "Title", filled: true },
+        { shapeId: "3", name: "Content 2", placeholderType: "Body", filled: false },
+        { shapeId: "4", name: "Picture 3", placeholderType: "Picture", filled: true },
+      ],
+      tags: [{ key: "REVIEWED", value: "yes" }],
+    });
+  });
+
+  it("leaves placeholders out on hosts before PowerPointApi 1.8", async () => {
+    installOfficeMocks({ slides: [detailedSlide] });
+
+    expect(await loadSlideDetails("257")).toMatchObject({
+      layoutName: "Title and Content",
+      placeholders: null,
+      tags: [{ key: "REVIEWED", value: "yes" }],
+    });
+  });
+
+  it("leaves out what the host can't read", async () => {
+    installOfficeMocks({
+      slides: [{ id: "256", shapes: [placeholder({ id: "2" }, undefined)] }],
+    });
+
+    expect(await loadSlideDetails("256")).toEqual({
+      id: "256",
+      index: 1,
+      layoutName: null,
+      masterName: null,
+      placeholders: null,
+      tags: null,
+    });
+    await expect(loadSlideDetails("999")).rejects.toThrow("Slide 999 isn't in the presentation");
+  });
+
+  it("adds, changes and deletes tags", async () => {
+    const host = installOfficeMocks({ slides: [detailedSlide] });
+
+    await setSlideTag("257", "workflow.stage", "draft");
+    await setSlideTag("257", "REVIEWED", "no");
+    expect(host.slides[0].tags).toEqual([
+      { key: "REVIEWED", value: "no" },
+      { key: "WORKFLOW.STAGE", value: "draft" },
+    ]);
+
+    await deleteSlideTag("257", "REVIEWED");
+    expect(host.slides[0].tags).toEqual([{ key: "WORKFLOW.STAGE", value: "draft" }]);
+
+    await expect(setSlideTag("257", "", "x")).rejects.toThrow("Give the tag a name");
+    await expect(setSlideTag("257", "needs review", "x")).rejects.toThrow(
+      "Tag names can only use letters"
+    );
+  });
+});
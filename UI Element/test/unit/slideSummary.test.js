@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global describe, expect, it */
+
+import { shapeData } from "../mocks";
+import { auditPresentation } from "../../src/inspector/accessibility";
+import { summarizeSlides } from "../../src/inspector/slideSummary";
+
+function shape(overrides) {
+  return { ...shapeData(overrides), placeholderType: null, fontSize: null, ...overrides };
+}
+
+describe("summarizeSlides", () => {
+  it("counts each slide's shapes by type and its accessibility issues", () => {
+    const slides = [
+      {
+        id: "257",
+        index: 2,
+        shapes: [
+          shape({ id: "2", type: "Placeholder", placeholderType: "Title", text: " Results " }),
+          shape({ id: "3", type: "Image", altTextDescription: "Revenue chart" }),
+          shape({ id: "4", type: "Image", altTextDescription: "" }),
+          shape({ id: "5", type: "Table" }),
+        ],
+      },
+      { id: "259", index: 4, shapes: [] },
+    ];
+
+    const summaries = summarizeSlides(slides);
+
+    expect(summaries[0]).toMatchObject({
+      id: "257",
+      index: 2,
+      title: "Results",
+      shapeCount: 4,
+      types: [
+        { type: "Image", count: 2 },
+        { type: "Placeholder", count: 1 },
+        { type: "Table", count: 1 },
+      ],
+    });
+    const issuesOnFirst = auditPresentation(slides).filter((issue) => issue.slideId === "257");
+    expect(issuesOnFirst.length).toBeGreaterThan(0);
+    expect(summaries[0].accessibilityIssues).toBe(issuesOnFirst.length);
+    expect(summaries[1]).toMatchObject({ id: "259", title: null, shapeCount: 0, types: [] });
+  });
+});
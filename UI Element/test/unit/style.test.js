@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, beforeEach, console, describe, expect, it, jest, PowerPoint */
+
+import { installOfficeMocks, shapeData, shapeStyleData, uninstallOfficeMocks } from "../mocks";
+import { toShapeModel } from "../../src/inspector/selectionModel";
+import {
+  describeStyle,
+  loadShapeStyles,
+  readShapeStyle,
+  styleEditValues,
+} from "../../src/inspector/style";
+
+const title = shapeData({ id: "2", name: "Title 1", ...shapeStyleData() });
+// Pictures have a fill and a line but no text frame
+const picture = shapeData({
+  id: "3",
+  name: "Picture 2",
+  type: "Image",
+  ...shapeStyleData({ fill: { type: "NoFill", foregroundColor: "", transparency: 0 } }),
+});
+delete picture.textFrame;
+
+function loadStyles(slides) {
+  installOfficeMocks({ slides });
+  return PowerPoint.run(async (context) => {
+    const shapes = context.presentation.slides.getItem("256").shapes;
+    shapes.load("items/id");
+    await context.sync();
+    await loadShapeStyles(context, shapes.items);
+    return shapes.items.map(readShapeStyle);
+  });
+}
+
+describe("shape styles", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("loads fill, line, font, paragraph and text frame properties", async () => {
+    const [style, pictureStyle] = await loadStyles([{ id: "256", shapes: [title, picture] }]);
+
+    expect(style).toEqual({
+      fillType: "Solid",
+      fillColor: "#FF0000",
+      fillTransparency: 0,
+      lineVisible: true,
+      lineColor: "#000000",
+      lineWeight: 1,
+      lineDashStyle: "Solid",
+      fontName: "Calibri",
+      fontSize: 18,
+      fontColor: "#333333",
+      bold: true,
+      italic: false,
+      underline: "None",
+      alignment: "Center",
+      marginLeft: 7.2,
+      marginRight: 7.2,
+      marginTop: 3.6,
+      marginBottom: 3.6,
+      autoSize: "AutoSizeNone",
+      verticalAlignment: "Top",
+      wordWrap: true,
+    });
+    // The picture fails the text groups on its own, without blanking the title's
+    expect(pictureStyle).toMatchObject({
+      fillType: "NoFill",
+      lineColor: "#000000",
+      fontName: null,
+    });
+  });
+
+  it("reports no style when nothing could be loaded", () => {
+    expect(readShapeStyle(shapeData())).toBeNull();
+    expect(toShapeModel(shapeData()).style).toBeNull();
+  });
+
+  it("only writes the properties the target can take", () => {
+    const style = readShapeStyle(title);
+    const pictureModel = toShapeModel(picture);
+
+    expect(styleEditValues(style, toShapeModel(title))).toMatchObject({
+      "fill/foregroundColor": "#FF0000",
+      "textFrame/textRange/font/name": "Calibri",
+      "textFrame/leftMargin": 7.2,
+    });
+    expect(styleEditValues(style, pictureModel)).toEqual({
+      "fill/foregroundColor": "#FF0000",
+      "fill/transparency": 0,
+      "lineFormat/visible": true,
+      "lineFormat/color": "#000000",
+      "lineFormat/weight": 1,
+      "lineFormat/dashStyle": "Solid",
+    });
+    // No fill clears the target's fill
+    expect(Object.keys(styleEditValues(pictureModel.style, toShapeModel(title)))).toEqual([
+      "lineFormat/visible",
+      "lineFormat/color",
+      "lineFormat/weight",
+      "lineFormat/dashStyle",
+      "fill/type",
+    ]);
+    // Other fills can't be set, so they aren't copied
+    const gradient = { ...pictureModel.style, fillType: "Gradient" };
+    expect(styleEditValues(gradient, toShapeModel(title))).not.toHaveProperty("fill/type");
+  });
+
+  it("describes a style in a few lines", () => {
+    expect(describeStyle(readShapeStyle(title))).toEqual([
+      "Fill: #FF0000",
+      "Line: #000000, 1 pt, Solid",
+      "Font: Calibri 18 pt #333333 bold",
+      "Alignment: Center",
+      "Text frame: margins 7.2/7.2/3.6/3.6, AutoSizeNone, Top, wrap",
+    ]);
+    expect(
+      describeStyle({
+        ...readShapeStyle(picture),
+        fillType: "Solid",
+        fillColor: "#0078D4",
+        fillTransparency: 0.25,
+        lineVisible: false,
+      })
+    ).toEqual(["Fill: #0078D4, 25% transparent", "Line: none"]);
+  });
+});
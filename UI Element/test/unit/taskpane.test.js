@@ -0,0 +1,1031 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+/* global afterEach, atob, beforeEach, console, describe, document, Element, Event, expect, it, jest,
+  localStorage, require, StorageEvent, window */
+
+import fs from "fs";
+import path from "path";
+import { installOfficeMocks, shapeData, shapeStyleData, uninstallOfficeMocks } from "../mocks";
+
+jest.mock("../../src/taskpane/download", () => ({ downloadFile: jest.fn() }));
+
+const html = fs.readFileSync(path.join(__dirname, "../../src/taskpane/taskpane.html"), "utf8");
+
+function loadTaskpane(options) {
+  document.body.innerHTML = html.slice(html.indexOf("<body"), html.indexOf("</body>"));
+  const host = installOfficeMocks(options);
+  let taskpane;
+  let download;
+  jest.isolateModules(() => {
+    taskpane = require("../../src/taskpane/taskpane");
+    download = require("../../src/taskpane/download");
+  });
+  return { host, taskpane, downloadFile: download.downloadFile };
+}
+
+function output() {
+  return document.getElementById("item-subject").textContent;
+}
+
+const slide = {
+  id: "256",
+  shapes: [
+    shapeData({ id: "2", name: "Title 1", text: "Quarterly review" }),
+    shapeData({ id: "3", name: "Picture 2", type: "Image" }),
+  ],
+};
+
+describe("taskpane", () => {
+  beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+  afterEach(() => {
+    uninstallOfficeMocks();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it("shows the app body once Office is ready", () => {
+    loadTaskpane({ slides: [slide] });
+
+    expect(document.getElementById("sideload-msg").style.display).toBe("none");
+    expect(document.getElementById("app-body").style.display).toBe("flex");
+    expect(document.getElementById("copy-json").disabled).toBe(true);
+  });
+
+  it("displays the selected shapes and enables the JSON actions", async () => {
+    const { taskpane } = loadTaskpane({ slides: [slide], selectedShapeIds: ["3"] });
+
+    await taskpane.detectSelectedElement();
+
+    expect(output()).toContain("SELECTED PICTURE:\n1. Picture 2 (ID: 3)");
+    expect(output()).toContain("Detection method: direct-selection");
+    expect(document.getElementById("copy-json").disabled).toBe(false);
+    expect(document.getElementById("download-json").disabled).toBe(false);
+  });
+
+  it("draws the slide's shapes in the minimap and selects the clicked ones", async () => {
+    // Clicking a shape changes the selection, whose debounced detection mustn't outlive the test
+    jest.useFakeTimers();
+    const { host, taskpane } = loadTaskpane({ slides: [slide], selectedShapeIds: ["3"] });
+
+    await taskpane.detectSelectedElement();
+
+    const boxes = [...document.querySelectorAll("#minimap .minimap__shape")];
+    expect(boxes.map((box) => box.dataset.shapeId)).toEqual(["2", "3"]);
+    expect(boxes[1].classList.contains("minimap__shape--selected")).toBe(true);
+    expect(boxes[0].querySelector("title").textContent).toContain("Title 1 (GeometricShape)");
+    expect(document.getElementById("selection-details").open).toBe(false);
+
+    boxes[0].dispatchEvent(new window.MouseEvent("click", { bubbles: true, shiftKey: true }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(host.selectedShapeIds).toEqual(["3", "2"]);
+    expect(document.querySelectorAll(".minimap__shape--selected")).toHaveLength(2);
+
+    document
+      .querySelector('.minimap__shape[data-shape-id="3"]')
+      .dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(host.selectedShapeIds).toEqual(["3"]);
+  });
+
+  it("sizes the minimap's slide from the page setup on PowerPointApi 1.10", async () => {
+    const slideRect = () => document.querySelector("#minimap .minimap__slide");
+
+    await loadTaskpane({
+      slides: [slide],
+      requirementSets: { PowerPointApi: "1.10" },
+      pageSetup: { slideWidth: 720, slideHeight: 540 },
+    }).taskpane.detectSelectedElement();
+    expect([slideRect().getAttribute("width"), slideRect().getAttribute("height")]).toEqual([
+      "720",
+      "540",
+    ]);
+
+    // Older hosts can't read the page setup, so the minimap assumes a 16:9 slide
+    await loadTaskpane({
+      slides: [slide],
+      pageSetup: { slideWidth: 720, slideHeight: 540 },
+    }).taskpane.detectSelectedElement();
+    expect(slideRect().getAttribute("width")).toBe("960");
+  });
+
+  it("shows selected text before the shapes", async () => {
+    const { taskpane } = loadTaskpane({
+      slides: [slide],
+      selectedShapeIds: ["2"],
+      selectedText: "Quarterly",
+    });
+
+    await taskpane.detectSelectedElement();
+
+    expect(output()).toContain('SELECTED TEXT:\n"Quarterly"');
+    expect(output()).toContain("Detection method: text");
+  });
+
+  it("falls back to the older detection strategies on hosts without PowerPointApi 1.5", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const { taskpane } = loadTaskpane({
+      slides: [slide],
+      selectedShapeIds: ["3"],
+      requirementSets: { PowerPointApi: "1.4", DialogApi: "1.2" },
+      legacyShapeSelection: true,
+    });
+
+    await taskpane.detectSelectedElement();
+
+    expect(output()).toContain("SELECTED PICTURE:\n1. Picture 2 (ID: 3)");
+    expect(output()).toContain("Detection method: slide-selection");
+    expect(output()).toContain("- direct-selection (confidence 1): unsupported");
+    expect(output()).toContain(
+      "Exact selected shape detection is unavailable. Requires PowerPointApi 1.5; " +
+        "this host supports PowerPointApi 1.4."
+    );
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  it("shows the feature matrix and disables what the host can't support", () => {
+    loadTaskpane({ slides: [slide], requirementSets: { PowerPointApi: "1.3" } });
+
+    const panel = document.getElementById("capabilities");
+    expect(panel.open).toBe(true);
+    expect(panel.querySelector("summary").textContent).toBe(
+      "Host support: PowerPointApi 1.3 (9 unavailable)"
+    );
+    expect(panel.querySelector('[data-feature="reports"]').textContent).toBe(
+      "Ribbon command reports: unavailable. Requires DialogApi 1.2; this host doesn't support " +
+        "DialogApi. Ribbon commands can't show their results."
+    );
+    expect(document.getElementById("load-tree").disabled).toBe(true);
+    expect(document.getElementById("run-lint").disabled).toBe(true);
+    expect(document.querySelector("[data-arrange]").disabled).toBe(true);
+    expect(document.getElementById("compare-history").disabled).toBe(false);
+  });
+
+  it("keeps the feature matrix closed when everything is available", () => {
+    loadTaskpane({ slides: [slide], requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" } });
+
+    const panel = document.getElementById("capabilities");
+    expect(panel.open).toBe(false);
+    expect(panel.querySelector("summary").textContent).toBe(
+      "Host support: PowerPointApi 1.10, all features available"
+    );
+    expect(panel.querySelectorAll(".capability--unavailable")).toHaveLength(0);
+    expect(document.getElementById("load-tree").disabled).toBe(false);
+  });
+
+  it("only offers alt text fields on hosts that can write alt text", async () => {
+    const { taskpane } = loadTaskpane({ slides: [slide], selectedShapeIds: ["2"] });
+    await taskpane.detectSelectedElement();
+    const fields = () =>
+      [...document.querySelectorAll('.shape-editor[data-shape-id="2"] [name]')].map(
+        (field) => field.name
+      );
+
+    expect(fields()).not.toContain("altTextDescription");
+
+    const current = loadTaskpane({
+      slides: [slide],
+      selectedShapeIds: ["2"],
+      requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" },
+    });
+    await current.taskpane.detectSelectedElement();
+    expect(fields()).toContain("altTextDescription");
+  });
+
+  it("edits the selected shape from its form and undoes the edit", async () => {
+    const { host, taskpane } = loadTaskpane({ slides: [slide], selectedShapeIds: ["2"] });
+    await taskpane.detectSelectedElement();
+
+    const form = document.querySelector('.shape-editor[data-shape-id="2"]');
+    form.querySelector('input[name="width"]').value = "-5";
+    form.querySelector('input[name="left"]').value = "24";
+    await form.onsubmit(new Event("submit"));
+
+    expect(form.querySelector('[data-error-for="width"]').textContent).toBe(
+      "Width must be greater than 0"
+    );
+    expect(host.findShape("2").left).toBe(100);
+
+    form.querySelector('input[name="width"]').value = "200";
+    await form.onsubmit(new Event("submit"));
+
+    expect(host.findShape("2").left).toBe(24);
+    expect(document.getElementById("edit-status").textContent).toBe("Updated left on Title 1.");
+    expect(document.getElementById("undo-edit").disabled).toBe(false);
+
+    await document.getElementById("undo-edit").onclick();
+
+    expect(host.findShape("2").left).toBe(100);
+    expect(document.getElementById("undo-edit").disabled).toBe(true);
+  });
+
+  it("copies a shape's style and pastes it onto shapes on another slide", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const { host, taskpane } = loadTaskpane({
+      slides: [
+        { id: "256", shapes: [shapeData({ id: "2", name: "Callout", ...shapeStyleData() })] },
+        {
+          id: "257",
+          shapes: [
+            shapeData({
+              id: "5",
+              ...shapeStyleData({
+                fill: { type: "Solid", foregroundColor: "#FFFFFF", transparency: 0 },
+              }),
+            }),
+            shapeData({ id: "6", type: "Image" }),
+          ],
+        },
+      ],
+      selectedShapeIds: ["2"],
+    });
+    host.findShape("5").textFrame.textRange.font.name = "Arial";
+    await taskpane.detectSelectedElement();
+
+    expect(output()).toContain("   Font: Calibri 18 pt #333333 bold\n");
+    expect(document.getElementById("paste-style").disabled).toBe(true);
+    document.getElementById("copy-style").click();
+    expect(document.getElementById("copied-style").textContent).toMatch(
+      /^Copied the style of Callout: Fill: #FF0000; Line: #000000, 1 pt, Solid; Font: Calibri/
+    );
+
+    // Set the selection directly, so no debounced detection outlives the test
+    host.selectedSlideIds = ["257"];
+    host.selectedShapeIds = ["5", "6"];
+    await taskpane.detectSelectedElement();
+    await document.getElementById("paste-style").onclick();
+
+    expect(document.getElementById("edit-status").textContent).toBe(
+      "Pasted the style of Callout onto 1 shape."
+    );
+    expect(host.findShape("5").fill.foregroundColor).toBe("#FF0000");
+    expect(host.findShape("5").textFrame.textRange.font.name).toBe("Calibri");
+
+    await document.getElementById("undo-edit").onclick();
+    expect(host.findShape("5").fill.foregroundColor).toBe("#FFFFFF");
+    expect(host.findShape("5").textFrame.textRange.font.name).toBe("Arial");
+  });
+
+  it("saves a preset in the presentation and applies it to another shape", async () => {
+    const { host, taskpane, downloadFile } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({ id: "2", name: "Callout", width: 300, height: 80, ...shapeStyleData() }),
+            shapeData({ id: "3", left: 500, width: 50, height: 20, ...shapeStyleData() }),
+          ],
+        },
+      ],
+      selectedShapeIds: ["2"],
+    });
+    expect(document.getElementById("preset-list").textContent).toBe(
+      "No presets saved in this presentation yet."
+    );
+    await taskpane.detectSelectedElement();
+
+    document.getElementById("preset-name").value = "Callout box";
+    document.getElementById("preset-position").checked = false;
+    await document.getElementById("save-preset").onclick();
+    expect(document.getElementById("preset-status").textContent).toBe("Saved preset Callout box.");
+    expect(host.savedSettings["elementInspector.presets"][0].geometry).toEqual({
+      width: 300,
+      height: 80,
+    });
+
+    host.selectedShapeIds = ["3"];
+    await taskpane.detectSelectedElement();
+    await document.querySelector('[data-preset-name="Callout box"] button').onclick();
+    expect(document.getElementById("preset-status").textContent).toBe(
+      "Applied Callout box to 1 shape."
+    );
+    expect(host.findShape("3")).toMatchObject({ left: 500, width: 300, height: 80 });
+
+    await document.getElementById("undo-edit").onclick();
+    expect(host.findShape("3").width).toBe(50);
+
+    await document.getElementById("export-presets").onclick();
+    const [filename, content] = downloadFile.mock.calls[0];
+    expect(filename).toBe("presets.json");
+    expect(JSON.parse(content).presets[0].name).toBe("Callout box");
+  });
+
+  it("imports presets from a JSON file and reports invalid files", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { host } = loadTaskpane({
+      slides: [slide],
+      settings: {
+        "elementInspector.presets": [{ name: "Banner", geometry: { top: 0 }, style: null }],
+      },
+    });
+    const input = document.getElementById("import-presets");
+    const importFile = (text) => {
+      const file = new window.File([text], "presets.json", { type: "application/json" });
+      Object.defineProperty(input, "files", { value: [file], configurable: true });
+      return input.onchange({ target: input });
+    };
+
+    await importFile(
+      JSON.stringify({
+        version: 1,
+        presets: [
+          { name: "Banner", geometry: { top: 20 } },
+          { name: "Footer", geometry: { top: 500 } },
+        ],
+      })
+    );
+    expect(document.getElementById("preset-status").textContent).toBe(
+      "Imported 2 presets from presets.json, replacing Banner."
+    );
+    expect(
+      host.savedSettings["elementInspector.presets"].map((preset) => preset.geometry.top)
+    ).toEqual([20, 500]);
+
+    await importFile("not json");
+    expect(document.getElementById("preset-status").textContent).toBe(
+      "Error: The preset file isn't valid JSON"
+    );
+
+    await document.querySelector('[data-preset-name="Footer"] button:last-child').onclick();
+    expect(document.querySelectorAll(".preset")).toHaveLength(1);
+    expect(host.savedSettings["elementInspector.presets"]).toHaveLength(1);
+  });
+
+  it("shows the selected slide's details and edits its tags", async () => {
+    const { host, taskpane } = loadTaskpane({
+      slides: [
+        {
+          ...slide,
+          layout: { name: "Title Only" },
+          slideMaster: { name: "Office Theme" },
+          tags: [{ key: "STAGE", value: "draft" }],
+        },
+      ],
+      selectedShapeIds: ["2"],
+    });
+    await taskpane.detectSelectedElement();
+
+    const details = document.getElementById("slide-details");
+    expect([...details.querySelectorAll(".slide-summary dd")].map((dd) => dd.textContent)).toEqual([
+      "1 (id 256)",
+      "Title Only",
+      "Office Theme",
+    ]);
+    expect(details.textContent).toContain("This slide has no placeholders.");
+    expect(details.textContent).toContain(
+      "PowerPoint's JavaScript API doesn't expose speaker notes."
+    );
+
+    const stage = details.querySelector('.slide-tag[data-key="STAGE"]');
+    stage.elements.value.value = "final";
+    await stage.onsubmit(new Event("submit"));
+    expect(host.slides[0].tags).toEqual([{ key: "STAGE", value: "final" }]);
+    expect(document.getElementById("slide-status").textContent).toBe("Saved tag STAGE.");
+
+    const added = document.querySelector('#slide-details .slide-tag[data-key=""]');
+    added.elements.key.value = "owner";
+    added.elements.value.value = "Design";
+    await added.onsubmit(new Event("submit"));
+    expect(host.slides[0].tags).toContainEqual({ key: "OWNER", value: "Design" });
+
+    await document.querySelector('.slide-tag[data-key="STAGE"] .slide-tag__delete').onclick();
+    expect(host.slides[0].tags).toEqual([{ key: "OWNER", value: "Design" }]);
+    expect([...details.querySelectorAll(".slide-tag")].map((form) => form.dataset.key)).toEqual([
+      "OWNER",
+      "",
+    ]);
+  });
+
+  it("summarizes several selected slides and limits the presentation tools to them", async () => {
+    // Going to a slide changes the selection, whose debounced detection mustn't outlive the test
+    jest.useFakeTimers();
+    const titled = (id, text) => ({
+      id,
+      shapes: [
+        shapeData({
+          id: "2",
+          name: "Title 1",
+          type: "Placeholder",
+          placeholderFormat: { type: "Title" },
+          text,
+        }),
+        shapeData({ id: "3", name: "Logo", type: "Image", altTextDescription: "Contoso logo" }),
+      ],
+    });
+    const { host, taskpane } = loadTaskpane({
+      slides: [
+        titled("256", "Contoso intro"),
+        titled("257", "Contoso plans"),
+        titled("258", "Contoso roadmap"),
+      ],
+      selectedSlideIds: ["256", "258"],
+      requirementSets: { PowerPointApi: "1.8", DialogApi: "1.2" },
+    });
+    const scope = document.getElementById("scope-selected-slides");
+    expect(scope.disabled).toBe(true);
+
+    await taskpane.detectSelectedElement();
+
+    expect(output()).toContain("2 slides selected; elements are listed for the first one.");
+    const summaries = document.getElementById("slide-summaries");
+    expect(summaries.querySelector(".issues-summary").textContent).toBe(
+      "2 slides selected, 4 shapes in total."
+    );
+    expect(
+      [...summaries.querySelectorAll(".slide-range__title")].map((link) => link.textContent)
+    ).toEqual(["Slide 1: Contoso intro", "Slide 3: Contoso roadmap"]);
+    expect(summaries.querySelector(".slide-range__details").textContent).toBe(
+      "2 shapes: 1 Image, 1 Placeholder; 1 accessibility issue"
+    );
+
+    scope.checked = true;
+    scope.onchange();
+    expect(document.getElementById("slide-scope-status").textContent).toBe(
+      "The tools below run on 2 selected slides."
+    );
+
+    // Going to one of the slides keeps the scope
+    summaries.querySelector('[data-slide-id="258"] a').onclick(new Event("click"));
+    await jest.runAllTimersAsync();
+    expect(host.selectedSlideIds).toEqual(["258"]);
+    expect(summaries.innerHTML).toBe("");
+
+    document.getElementById("find-query").value = "contoso";
+    await document.getElementById("find-text").onclick();
+    expect(document.querySelector("#find-results .issues-summary").textContent).toBe(
+      "2 matches on 2 slides"
+    );
+
+    scope.checked = false;
+    scope.onchange();
+    await document.getElementById("find-text").onclick();
+    expect(document.querySelector("#find-results .issues-summary").textContent).toBe(
+      "3 matches on 3 slides"
+    );
+  });
+
+  it("shows a table's cells and imports a CSV into it", async () => {
+    const { host, taskpane, downloadFile } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({
+              id: "4",
+              name: "Results",
+              type: "Table",
+              table: {
+                rowCount: 2,
+                columnCount: 2,
+                cells: [
+                  [{ text: "Region" }, { text: "Users" }],
+                  [{ text: "North" }, { text: "1200" }],
+                ],
+              },
+            }),
+          ],
+        },
+      ],
+      selectedShapeIds: ["4"],
+      requirementSets: { PowerPointApi: "1.8" },
+    });
+    await taskpane.detectSelectedElement();
+
+    await document.getElementById("inspect-data").onclick();
+    expect([...document.querySelectorAll(".data-grid td")].map((cell) => cell.textContent)).toEqual(
+      ["Region", "Users", "North", "1200"]
+    );
+
+    document.getElementById("export-table-csv").onclick();
+    expect(downloadFile).toHaveBeenCalledWith(
+      "Results.csv",
+      "Region,Users\r\nNorth,1200\r\n",
+      "text/csv"
+    );
+
+    const input = document.getElementById("import-table-csv");
+    const file = new window.File(["Region,Users\nNorth,1350\n"], "users.csv", { type: "text/csv" });
+    Object.defineProperty(input, "files", { value: [file], configurable: true });
+    await input.onchange({ target: input });
+
+    const cells = host.slides[0].shapes[0].table.cells;
+    expect(cells[1][1].text).toBe("1350");
+    expect(document.getElementById("data-status").textContent).toBe(
+      "Imported users.csv: updated 1 cell."
+    );
+    expect(document.querySelector('.data-grid td[data-row="1"][data-column="1"]').textContent).toBe(
+      "1350"
+    );
+
+    await document.getElementById("undo-edit").onclick();
+    expect(cells[1][1].text).toBe("1200");
+  });
+
+  it("explains that chart data can't be read", async () => {
+    const { taskpane } = loadTaskpane({
+      slides: [
+        { id: "256", shapes: [shapeData({ id: "6", name: "Revenue chart", type: "Chart" })] },
+      ],
+      selectedShapeIds: ["6"],
+    });
+    await taskpane.detectSelectedElement();
+
+    await document.getElementById("inspect-data").onclick();
+
+    expect(document.getElementById("data-view").textContent).toContain("Revenue chart");
+    expect(document.getElementById("data-view").textContent).toContain("doesn't expose chart data");
+    expect(document.getElementById("export-table-csv").disabled).toBe(true);
+  });
+
+  it("shows a group's contents and edits a shape inside it", async () => {
+    const { host, taskpane } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({
+              id: "5",
+              name: "Logo group",
+              type: "Group",
+              group: {
+                shapes: [
+                  shapeData({ id: "51", name: "Logo mark", type: "Image" }),
+                  shapeData({ id: "52", name: "Tagline", left: 120, top: 110 }),
+                ],
+              },
+            }),
+          ],
+        },
+      ],
+      selectedShapeIds: ["5"],
+      requirementSets: { PowerPointApi: "1.8", DialogApi: "1.2" },
+    });
+    await taskpane.detectSelectedElement();
+
+    const labels = [...document.querySelectorAll("#group-tree .group-node__label")];
+    expect(labels.map((label) => label.textContent)).toEqual([
+      "Logo group [Group]",
+      "Logo mark [Image]",
+      "Tagline [GeometricShape]",
+    ]);
+    expect(document.querySelector('.group-node[data-shape-id="52"]').textContent).toContain(
+      "in group (20, 10)"
+    );
+    expect(document.getElementById("ungroup-shape").disabled).toBe(false);
+
+    labels[2].onclick(new Event("click"));
+    const form = document.querySelector('#group-child-editor .shape-editor[data-shape-id="52"]');
+    form.querySelector('input[name="left"]').value = "150";
+    await form.onsubmit(new Event("submit"));
+
+    expect(host.findShape("52").left).toBe(150);
+    expect(document.getElementById("edit-status").textContent).toBe("Updated left on Tagline.");
+
+    await document.getElementById("undo-edit").onclick();
+    expect(host.findShape("52").left).toBe(120);
+  });
+
+  it("groups the selected shapes and ungroups them again", async () => {
+    // Grouping changes the selection, whose debounced detection mustn't outlive the test
+    jest.useFakeTimers();
+    const { host, taskpane } = loadTaskpane({
+      slides: [slide],
+      selectedShapeIds: ["2", "3"],
+      requirementSets: { PowerPointApi: "1.8", DialogApi: "1.2" },
+    });
+    await taskpane.detectSelectedElement();
+    expect(document.getElementById("ungroup-shape").disabled).toBe(true);
+
+    await document.getElementById("group-shapes").onclick();
+
+    const group = host.slides[0].shapes[0];
+    expect(group.type).toBe("Group");
+    expect(host.selectedShapeIds).toEqual([group.id]);
+    expect(document.getElementById("group-status").textContent).toBe("Grouped 2 shapes.");
+    expect(document.querySelectorAll("#group-tree .group-node")).toHaveLength(3);
+    expect(document.getElementById("group-shapes").disabled).toBe(true);
+
+    await document.getElementById("ungroup-shape").onclick();
+
+    expect(host.slides[0].shapes.map((shape) => shape.id)).toEqual(["2", "3"]);
+    expect(host.selectedShapeIds).toEqual(["2", "3"]);
+    expect(document.getElementById("group-status").textContent).toBe(
+      `Ungrouped ${group.name} into 2 shapes.`
+    );
+  });
+
+  it("finds text in groups and replaces the picked matches", async () => {
+    const { host } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({ id: "2", name: "Title 1", text: "Contoso Cloud" }),
+            shapeData({
+              id: "3",
+              name: "Footer group",
+              type: "Group",
+              group: { shapes: [shapeData({ id: "31", name: "Footer", text: "(c) Contoso" })] },
+            }),
+          ],
+        },
+      ],
+      requirementSets: { PowerPointApi: "1.8", DialogApi: "1.2" },
+    });
+
+    document.getElementById("find-query").value = "contoso";
+    document.getElementById("replace-text").value = "Fabrikam";
+    await document.getElementById("find-text").onclick();
+
+    const results = document.getElementById("find-results");
+    expect(results.querySelector(".issues-summary").textContent).toBe("2 matches on 1 slide");
+    expect(
+      [...results.querySelectorAll(".find-match__location")].map((link) => link.textContent)
+    ).toEqual(["Title 1", "Footer group > Footer"]);
+    expect(results.querySelector(".find-match__preview").textContent).toBe("ContosoFabrikam Cloud");
+
+    // Leave the title alone
+    results.querySelector('[data-match-id="256/2#0"]').checked = false;
+    await document.getElementById("replace-picked").onclick();
+
+    expect(document.getElementById("find-status").textContent).toBe("Replaced 1 match.");
+    expect(host.slides[0].shapes[1].group.shapes[0].textFrame.textRange.text).toBe("(c) Fabrikam");
+    expect(host.findShape("2").textFrame.textRange.text).toBe("Contoso Cloud");
+    expect(results.querySelector(".issues-summary").textContent).toBe("1 match on 1 slide");
+
+    await document.getElementById("undo-edit").onclick();
+    expect(host.slides[0].shapes[1].group.shapes[0].textFrame.textRange.text).toBe("(c) Contoso");
+  });
+
+  it("reports an invalid search without loading the presentation", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { host } = loadTaskpane({ slides: [slide] });
+    const syncs = host.syncCount;
+
+    document.getElementById("find-query").value = "[";
+    document.getElementById("find-regex").checked = true;
+    await document.getElementById("find-text").onclick();
+
+    expect(document.getElementById("find-status").textContent).toMatch(
+      /^Error: Invalid regular expression/
+    );
+    expect(host.syncCount).toBe(syncs);
+    expect(document.getElementById("replace-picked").disabled).toBe(true);
+  });
+
+  it("snaps a shape that differs across slides to the canonical values", async () => {
+    const logo = (id, left) =>
+      shapeData({ id, name: "Logo", type: "Image", left, top: 480, width: 80, height: 40 });
+    const { host } = loadTaskpane({
+      slides: [
+        { id: "256", shapes: [logo("2", 860)] },
+        { id: "257", shapes: [logo("3", 860)] },
+        { id: "258", shapes: [logo("4", 845)] },
+      ],
+    });
+
+    await document.getElementById("run-consistency").onclick();
+
+    const results = document.getElementById("consistency-results");
+    expect(results.querySelector(".issue__message").textContent).toBe(
+      "Logo differs from the other slides: left 845pt (usually 860pt)"
+    );
+    expect(document.getElementById("snap-all-consistency").disabled).toBe(false);
+
+    await results.querySelector(".issue__snap").onclick();
+    expect(host.findShape("4").left).toBe(860);
+    expect(results.querySelector(".issues-summary").textContent).toBe(
+      "Shapes in the same role match across slides."
+    );
+
+    await document.getElementById("undo-edit").onclick();
+    expect(host.findShape("4").left).toBe(845);
+  });
+
+  it("aligns the selected shapes and undoes the alignment", async () => {
+    const { host, taskpane } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [shapeData({ id: "2", left: 40 }), shapeData({ id: "3", left: 90, width: 50 })],
+        },
+      ],
+      selectedShapeIds: ["2", "3"],
+    });
+    await taskpane.detectSelectedElement();
+
+    await document.querySelector('[data-arrange="align"][data-value="right"]').onclick();
+
+    expect(host.findShape("3").left).toBe(190);
+    expect(document.getElementById("edit-status").textContent).toBe("Arranged 1 shape.");
+
+    await document.getElementById("undo-edit").onclick();
+    expect(host.findShape("3").left).toBe(90);
+  });
+
+  it("reports arrange errors in the edit status", async () => {
+    const { taskpane } = loadTaskpane({ slides: [slide], selectedShapeIds: ["2"] });
+    await taskpane.detectSelectedElement();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await document.querySelector('[data-arrange="distribute"]').onclick();
+
+    expect(document.getElementById("edit-status").textContent).toBe(
+      "Error: Select at least 3 shapes to distribute"
+    );
+  });
+
+  it("exports the selection and the whole deck as CSV and Markdown", async () => {
+    const { taskpane, downloadFile } = loadTaskpane({
+      slides: [{ id: "255", shapes: [] }, slide],
+      selectedSlideIds: ["256"],
+      selectedShapeIds: ["3"],
+    });
+    await taskpane.detectSelectedElement();
+
+    await document.getElementById("download-csv").onclick();
+    const [filename, csv, type] = downloadFile.mock.calls[0];
+    expect([filename, type]).toEqual(["selection-256.csv", "text/csv"]);
+    expect(csv.split("\r\n")[1]).toMatch(/^2,256,3,Picture 2,Image,/);
+
+    await document.getElementById("export-deck-markdown").onclick();
+    const [deckFilename, markdown] = downloadFile.mock.calls[1];
+    expect(deckFilename).toBe("presentation-inventory.md");
+    expect(markdown).toContain("## Slide 1\n\n_No shapes._");
+    expect(markdown).toContain("| Title 1 | GeometricShape |");
+    expect(document.getElementById("inventory-status").textContent).toBe(
+      "Exported 2 shapes from 2 slides."
+    );
+  });
+
+  it("records each selection and diffs two snapshots of a shape", async () => {
+    const { host, taskpane } = loadTaskpane({ slides: [slide], selectedShapeIds: ["2"] });
+    await taskpane.detectSelectedElement();
+    await taskpane.detectSelectedElement();
+    expect(document.querySelectorAll("#history-list .history__item")).toHaveLength(1);
+
+    host.findShape("2").left = 140;
+    host.findShape("2").textFrame.textRange.text = "Annual review";
+    await taskpane.detectSelectedElement();
+
+    expect(document.querySelectorAll("#history-list .history__item")).toHaveLength(2);
+    document.getElementById("compare-history").onclick();
+    expect(document.getElementById("history-diff").textContent).toBe(
+      [
+        "Title 1 (ID: 2)",
+        "  moved: left 100 -> 140",
+        '  text: text "Quarterly review" -> "Annual review"',
+      ].join("\n")
+    );
+
+    document.getElementById("clear-history").onclick();
+    expect(document.getElementById("history-list").textContent).toBe("No selections recorded yet.");
+  });
+
+  it("browses the presentation and selects a shape from the tree", async () => {
+    // Picking a shape changes the selection, whose debounced detection mustn't outlive the test
+    jest.useFakeTimers();
+    const { host } = loadTaskpane({
+      slides: [slide, { id: "257", shapes: [shapeData({ id: "5", name: "Chart 1" })] }],
+    });
+
+    await document.getElementById("load-tree").onclick();
+    expect(document.querySelectorAll(".tree-node__label--slide")).toHaveLength(2);
+
+    const query = document.getElementById("tree-query");
+    query.value = "chart";
+    query.oninput();
+    const labels = [...document.querySelectorAll(".tree-node__label")].map(
+      (label) => label.textContent
+    );
+    expect(labels).toEqual(["Slide 2 (1 element)", "Chart 1 [GeometricShape]"]);
+
+    document.querySelector('[data-node-id="5"] a').click();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(host.selectedShapeIds).toEqual(["5"]);
+    expect(output()).toContain("Chart 1 (ID: 5)");
+  });
+
+  it("lists the presentation's pictures largest first and says what can't be read", async () => {
+    const { taskpane } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [
+            shapeData({ id: "3", name: "Logo", type: "Image", width: 144, height: 72 }),
+            shapeData({ id: "4", name: "Photo", type: "Image", width: 480, height: 270 }),
+          ],
+        },
+      ],
+    });
+    await taskpane.detectSelectedElement();
+
+    await document.getElementById("load-pictures").onclick();
+
+    const results = document.getElementById("picture-results");
+    expect(results.querySelector(".issues-summary").textContent).toBe("2 pictures on 1 slide.");
+    expect(results.textContent).toContain("doesn't expose the original image files");
+    const items = [...results.querySelectorAll(".picture")];
+    expect(items.map((item) => item.dataset.shapeId)).toEqual(["4", "3"]);
+    expect(items[0].textContent).toContain("On slide 480 x 270 pt");
+    expect(results.textContent).toContain("thumbnails and downloads require PowerPointApi 1.10");
+    expect(results.querySelector(".picture__thumbnail")).toBeNull();
+    expect(results.querySelector(".picture__download")).toBeNull();
+  });
+
+  it("shows picture thumbnails and downloads the rendered picture on PowerPointApi 1.10", async () => {
+    const { downloadFile } = loadTaskpane({
+      slides: [
+        {
+          id: "256",
+          shapes: [shapeData({ id: "3", name: "Logo", type: "Image", width: 144, height: 72 })],
+        },
+      ],
+      requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" },
+    });
+
+    await document.getElementById("load-pictures").onclick();
+
+    const results = document.getElementById("picture-results");
+    expect(results.textContent).not.toContain("require PowerPointApi 1.10");
+    const thumbnail = results.querySelector(".picture__thumbnail");
+    expect(atob(thumbnail.src.replace("data:image/png;base64,", ""))).toBe("PNG 3 192x96");
+
+    await results.querySelector(".picture__download").onclick(new Event("click"));
+
+    const [filename, bytes, type] = downloadFile.mock.calls[0];
+    expect([filename, type]).toEqual(["Logo.png", "image/png"]);
+    expect(String.fromCharCode(...bytes)).toBe("PNG 3 144x72");
+  });
+
+  it("fixes missing alt text from the accessibility check", async () => {
+    const { host } = loadTaskpane({
+      slides: [slide],
+      requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" },
+    });
+
+    await document.getElementById("run-accessibility").onclick();
+    const issue = document.querySelector('.issue[data-rule="missing-alt-text"]');
+    expect(issue.textContent).toContain('Image "Picture 2" has no alt text');
+
+    const form = issue.querySelector("form");
+    await form.onsubmit(new Event("submit"));
+    expect(form.querySelector(".issue__fix-error").textContent).not.toBe("");
+
+    form.elements.altTextDescription.value = "Company logo";
+    await form.onsubmit(new Event("submit"));
+
+    expect(host.findShape("3").altTextDescription).toBe("Company logo");
+    expect(document.querySelector('.issue[data-rule="missing-alt-text"]')).toBeNull();
+  });
+
+  it("notes that alt text wasn't checked on hosts that can't read it", async () => {
+    loadTaskpane({ slides: [slide] });
+
+    await document.getElementById("run-accessibility").onclick();
+
+    const results = document.getElementById("accessibility-results");
+    expect(results.querySelector('.issue[data-rule="missing-alt-text"]')).toBeNull();
+    expect(results.querySelector("form")).toBeNull();
+    expect(results.querySelector("p.ms-font-s").textContent).toMatch(/^Alt text wasn't checked/);
+  });
+
+  it("runs the layout lint with the edited configuration", async () => {
+    loadTaskpane({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", left: -20 }), shapeData({ id: "3" })] }],
+    });
+    const config = document.getElementById("lint-config");
+    expect(JSON.parse(config.value).rules.overlap.severity).toBe("warning");
+
+    config.value = "{";
+    await document.getElementById("run-lint").onclick();
+    expect(document.getElementById("lint-results").textContent).toMatch(/^Invalid configuration/);
+    expect(document.getElementById("export-lint").disabled).toBe(true);
+
+    config.value = JSON.stringify({ rules: { overlap: { severity: "off" } } });
+    await document.getElementById("run-lint").onclick();
+
+    const issues = document.querySelectorAll("#lint-results .issue");
+    expect([...issues].map((issue) => issue.dataset.rule)).toEqual(["off-slide"]);
+    expect(document.getElementById("export-lint").disabled).toBe(false);
+  });
+
+  it("lints against the presentation's slide size unless the configuration sets one", async () => {
+    loadTaskpane({
+      slides: [{ id: "256", shapes: [shapeData({ id: "2", left: 600 })] }],
+      requirementSets: { PowerPointApi: "1.10", DialogApi: "1.2" },
+      pageSetup: { slideWidth: 720, slideHeight: 540 },
+    });
+    const config = document.getElementById("lint-config");
+    const rules = () =>
+      [...document.querySelectorAll("#lint-results .issue")].map((issue) => issue.dataset.rule);
+
+    await document.getElementById("run-lint").onclick();
+    expect(rules()).toEqual(["off-slide"]);
+
+    config.value = JSON.stringify({ slideSize: { width: 960 } });
+    await document.getElementById("run-lint").onclick();
+    expect(rules()).toEqual([]);
+  });
+
+  it("inspects the selected shape each time the ribbon asks", async () => {
+    Element.prototype.scrollIntoView = jest.fn();
+    // Task panes loaded by earlier tests still listen on the window, so call this one directly
+    const addEventListener = jest.spyOn(window, "addEventListener");
+    let onStorage;
+    const request = (id) => {
+      onStorage(
+        new StorageEvent("storage", { key: "element-inspector.inspect-request", newValue: id })
+      );
+      return new Promise((resolve) => setTimeout(resolve, 0));
+    };
+
+    try {
+      const { host } = loadTaskpane({ slides: [slide], selectedShapeIds: ["3"] });
+      onStorage = addEventListener.mock.calls.find(([type]) => type === "storage")[1];
+      await request("1");
+
+      let editor = document.querySelector('.shape-editor[data-shape-id="3"]');
+      expect(output()).toContain("Detection method: direct-selection");
+      expect(editor.scrollIntoView).toHaveBeenCalled();
+      expect(document.activeElement).toBe(editor.querySelector('input[name="name"]'));
+      expect(localStorage.getItem("element-inspector.inspect-answer")).toBe("1");
+
+      // The pane stays open, so a second request inspects the new selection
+      host.selectedShapeIds = ["2"];
+      await request("2");
+
+      editor = document.querySelector('.shape-editor[data-shape-id="2"]');
+      expect(document.activeElement).toBe(editor.querySelector('input[name="name"]'));
+      expect(localStorage.getItem("element-inspector.inspect-answer")).toBe("2");
+    } finally {
+      localStorage.clear();
+      delete Element.prototype.scrollIntoView;
+    }
+  });
+
+  it("doesn't offer the old position capture workaround", async () => {
+    const { taskpane } = loadTaskpane({ slides: [slide] });
+    await taskpane.detectSelectedElement();
+
+    expect(document.body.textContent).not.toContain("Capture Current Position");
+    expect(output()).toContain("4. Select an element and choose 'Inspect Element' on the ribbon");
+  });
+
+  it("connects to the scripting API only while the user allows it", () => {
+    const sockets = [];
+    window.WebSocket = jest.fn(function (url) {
+      this.url = url;
+      this.close = jest.fn(() => this.onclose());
+      sockets.push(this);
+    });
+
+    try {
+      loadTaskpane({ slides: [slide] });
+      const checkbox = document.getElementById("bridge-enabled");
+      const status = () => document.getElementById("bridge-status").textContent;
+      expect(sockets).toHaveLength(0);
+
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event("change"));
+      expect(sockets[0].url).toBe("ws://localhost/bridge");
+      expect(status()).toBe("Waiting for the scripting API. Serve the add-in with npm run serve.");
+
+      sockets[0].onopen();
+      expect(status()).toBe("Connected. Scripts can use http://localhost/api");
+
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event("change"));
+      expect(sockets[0].close).toHaveBeenCalled();
+      expect(sockets).toHaveLength(1);
+      expect(status()).toBe("");
+    } finally {
+      delete window.WebSocket;
+    }
+  });
+
+  it("runs detection after a debounced selection change", async () => {
+    jest.useFakeTimers();
+    const { host } = loadTaskpane({ slides: [slide] });
+
+    host.selectShapes(["2"]);
+    host.selectShapes(["3"]);
+    expect(output()).toBe("");
+
+    jest.advanceTimersByTime(300);
+    expect(output()).toBe("Detecting selected element...");
+
+    jest.useRealTimers();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(output()).toContain("Picture 2 (ID: 3)");
+  });
+});
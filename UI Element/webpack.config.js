@@ -20,6 +20,7 @@ module.exports = async (env, options) => {
       polyfill: ["core-js/stable", "regenerator-runtime/runtime"],
       taskpane: ["./src/taskpane/taskpane.js", "./src/taskpane/taskpane.html"],
       commands: "./src/commands/commands.js",
+      report: ["./src/dialog/report.js", "./src/dialog/report.html"],
     },
     output: {
       clean: true,
@@ -80,6 +81,11 @@ module.exports = async (env, options) => {
         template: "./src/commands/commands.html",
         chunks: ["polyfill", "commands"],
       }),
+      new HtmlWebpackPlugin({
+        filename: "report.html",
+        template: "./src/dialog/report.html",
+        chunks: ["polyfill", "report"],
+      }),
     ],
     devServer: {
       headers: {